@@ -0,0 +1,66 @@
+/**
+ * Gameplay analytics. Events are queued and sent to the backend in batches:
+ *
+ *   POST /api/analytics/events  {userId, events: [{name, time, ...properties}]}
+ *
+ * A batch goes out once enough events have queued up, and whatever is left when
+ * the page is hidden. Analytics must never get in the way of the game, so failures
+ * are only logged.
+ */
+const Analytics = {
+    API_URL: 'https://hop-bunny-backend-v2.vercel.app/api',
+
+    // Events queued before a batch is sent
+    BATCH_SIZE: 20,
+
+    queue: [],
+
+    /**
+     * Record an event
+     * @param {string} name - Event name, e.g. 'powerUpCollected'
+     * @param {Object} properties - Details of the event
+     */
+    track: (name, properties = {}) => {
+        Analytics.queue.push({ name: name, time: Date.now(), ...properties });
+
+        if (Analytics.queue.length >= Analytics.BATCH_SIZE) {
+            Analytics.flush();
+        }
+    },
+
+    /**
+     * Send the queued events
+     */
+    flush: () => {
+        if (Analytics.queue.length === 0) return;
+
+        const events = Analytics.queue;
+        Analytics.queue = [];
+
+        const token = localStorage.getItem('token') || sessionStorage.getItem('token');
+        const userId = localStorage.getItem('userId') || sessionStorage.getItem('userId');
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        // keepalive lets the request finish while the page is being closed
+        fetch(`${Analytics.API_URL}/analytics/events`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({ userId: userId, events: events }),
+            keepalive: true
+        }).catch(error => {
+            console.warn('Could not send analytics:', error);
+        });
+    }
+};
+
+// Send what's left before the page goes away
+if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            Analytics.flush();
+        }
+    });
+}
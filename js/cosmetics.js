@@ -0,0 +1,288 @@
+/**
+ * Cosmetics bought with coins in the shop: character skins, jump trails and
+ * platform palettes.
+ *
+ * The catalog lives here; which items a player owns and has selected is kept on
+ * their account by the backend:
+ *
+ *   GET  /api/user/:id            -> {coins, cosmetics: {owned: {skins: [...], ...}, selected: {skins: 'classic', ...}}}
+ *   POST /api/cosmetics/purchase  {userId, category, itemId} -> {coins, cosmetics}
+ *   POST /api/cosmetics/select    {userId, category, itemId} -> {cosmetics}
+ *
+ * The last known state is cached in localStorage per account so the selection
+ * still applies when the backend can't be reached. Guests get the free items.
+ * Cosmetics only change how things are drawn, never the simulation, so replays
+ * and run verification don't depend on them.
+ */
+const Cosmetics = {
+    API_URL: 'https://hop-bunny-backend-v2.vercel.app/api',
+
+    // Everything on sale, by category. The first item of each category is free.
+    CATALOG: {
+        skins: {
+            classic: {
+                label: 'Classic Bunny',
+                price: 0,
+                sprite: 'assets/player.png',
+                hoodie: '#39547B',
+                fur: '#FFFFFF',
+                chain: '#FFD700'
+            },
+            midnight: { label: 'Midnight', price: 150, sprite: null, hoodie: '#2C2C54', fur: '#D1D8E0', chain: '#C0C0C0' },
+            strawberry: { label: 'Strawberry', price: 200, sprite: null, hoodie: '#E84A5F', fur: '#FFF0F5', chain: '#FFD700' },
+            golden: { label: 'Golden', price: 500, sprite: null, hoodie: '#B8860B', fur: '#FFE680', chain: '#FFFFFF' }
+        },
+        trails: {
+            classic: { label: 'Blue Dots', price: 0, color: '#39547B' },
+            mint: { label: 'Mint', price: 100, color: '#3EB489' },
+            gold: { label: 'Gold Glow', price: 300, color: '#FFD700', glow: true },
+            rainbow: { label: 'Rainbow', price: 250, rainbow: true }
+        },
+        // Palettes recolor the everyday platforms; hazards keep their warning colors
+        platformThemes: {
+            classic: { label: 'Classic', price: 0, colors: {} },
+            candy: {
+                label: 'Candy',
+                price: 150,
+                colors: {
+                    normal: { light: '#FFB6C1', dark: '#D16D8A' },
+                    moving: { light: '#B5EAD7', dark: '#6FB89A' },
+                    vertical: { light: '#FFDAC1', dark: '#D9A07A' }
+                }
+            },
+            autumn: {
+                label: 'Autumn',
+                price: 200,
+                colors: {
+                    normal: { light: '#D2691E', dark: '#8B4513' },
+                    moving: { light: '#CD853F', dark: '#8B5A2B' },
+                    vertical: { light: '#DAA520', dark: '#996515' }
+                }
+            },
+            midnight: {
+                label: 'Midnight',
+                price: 250,
+                colors: {
+                    normal: { light: '#4B4E8C', dark: '#23244A' },
+                    moving: { light: '#6A5ACD', dark: '#3C2F8F' },
+                    vertical: { light: '#8A7FD4', dark: '#4B3F99' }
+                }
+            }
+        }
+    },
+
+    // The player's coins and cosmetics, as last reported by the backend
+    coins: 0,
+    owned: {},
+    selected: {},
+
+    /**
+     * Get the categories in the catalog
+     * @returns {string[]} Category names
+     */
+    categories: () => {
+        return Object.keys(Cosmetics.CATALOG);
+    },
+
+    /**
+     * Get the free item of a category, which everyone owns
+     * @param {string} category - Category name
+     * @returns {string} Item ID
+     */
+    defaultId: (category) => {
+        return Object.keys(Cosmetics.CATALOG[category])[0];
+    },
+
+    /**
+     * Get an item, falling back to the category's free item
+     * @param {string} category - Category name
+     * @param {string} id - Item ID
+     * @returns {Object} The item
+     */
+    get: (category, id) => {
+        const items = Cosmetics.CATALOG[category];
+        if (id && Object.prototype.hasOwnProperty.call(items, id)) {
+            return items[id];
+        }
+        return items[Cosmetics.defaultId(category)];
+    },
+
+    /**
+     * Get the item selected in a category
+     * @param {string} category - Category name
+     * @returns {Object} The item
+     */
+    selectedItem: (category) => {
+        return Cosmetics.get(category, Cosmetics.selected[category]);
+    },
+
+    /**
+     * Check whether the player owns an item
+     * @param {string} category - Category name
+     * @param {string} id - Item ID
+     * @returns {boolean} True if owned (free items always are)
+     */
+    isOwned: (category, id) => {
+        return id === Cosmetics.defaultId(category) || (Cosmetics.owned[category] || []).includes(id);
+    },
+
+    /**
+     * Take on account data from the backend (or the cache). Unknown items are dropped
+     * and a selection of something not owned falls back to the free item.
+     * @param {Object} data - Account data ({coins, cosmetics: {owned, selected}})
+     */
+    apply: (data) => {
+        const cosmetics = (data && data.cosmetics) || {};
+
+        if (data && data.coins !== undefined) {
+            Cosmetics.coins = parseInt(data.coins) || 0;
+        }
+
+        for (const category of Cosmetics.categories()) {
+            const owned = (cosmetics.owned && cosmetics.owned[category]) || [];
+            Cosmetics.owned[category] = owned.filter(id => Object.prototype.hasOwnProperty.call(Cosmetics.CATALOG[category], id));
+
+            const selected = cosmetics.selected && cosmetics.selected[category];
+            Cosmetics.selected[category] = Cosmetics.isOwned(category, selected) ? selected : Cosmetics.defaultId(category);
+        }
+    },
+
+    /**
+     * Get the signed-in account ({token, userId}), or null for guests
+     * @returns {Object|null} Account credentials
+     */
+    account: () => {
+        const token = localStorage.getItem('token') || sessionStorage.getItem('token');
+        const userId = localStorage.getItem('userId') || sessionStorage.getItem('userId');
+        return token && userId ? { token, userId } : null;
+    },
+
+    /**
+     * Get the localStorage key the account's cosmetics are cached under
+     * @param {string} userId - Account ID
+     * @returns {string} Storage key
+     */
+    cacheKey: (userId) => {
+        return `cosmetics:${userId}`;
+    },
+
+    /**
+     * Remember the current state for the account, for when the backend can't be reached
+     * @param {string} userId - Account ID
+     */
+    save: (userId) => {
+        const data = { coins: Cosmetics.coins, cosmetics: { owned: Cosmetics.owned, selected: Cosmetics.selected } };
+        localStorage.setItem(Cosmetics.cacheKey(userId), JSON.stringify(data));
+    },
+
+    /**
+     * Send a request to the backend and parse its JSON reply
+     * @param {string} path - API path, e.g. '/cosmetics/select'
+     * @param {Object} options - fetch() options
+     * @returns {Promise<Object>} Reply data
+     * @throws {Error} If the request fails
+     */
+    request: (path, options) => {
+        return fetch(Cosmetics.API_URL + path, options).then(response => {
+            return response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.message || `Request failed (${response.status})`);
+                }
+                return data;
+            });
+        });
+    },
+
+    /**
+     * Load the player's cosmetics. Call before the game is created so the first run
+     * is drawn with them.
+     * @returns {Promise<void>} Resolves once loaded, or once the cache or the free items are in use
+     */
+    load: () => {
+        const account = Cosmetics.account();
+        if (!account) {
+            Cosmetics.apply(null);
+            return Promise.resolve();
+        }
+
+        // Start from the cached state in case the backend can't be reached
+        try {
+            Cosmetics.apply(JSON.parse(localStorage.getItem(Cosmetics.cacheKey(account.userId))));
+        } catch (error) {
+            Cosmetics.apply(null);
+        }
+
+        return Cosmetics.request(`/user/${account.userId}`, {
+            method: 'GET',
+            headers: { 'Authorization': `Bearer ${account.token}` }
+        })
+            .then(data => {
+                Cosmetics.apply(data);
+                Cosmetics.save(account.userId);
+            })
+            .catch(error => {
+                console.warn('Could not load cosmetics, using the last known ones:', error);
+            });
+    },
+
+    /**
+     * Buy an item with coins. The backend takes the coins and adds the item to the account.
+     * @param {string} category - Category name
+     * @param {string} id - Item ID
+     * @returns {Promise<void>} Resolves once bought
+     * @throws {Error} If the player is a guest, already owns it or can't afford it
+     */
+    buy: (category, id) => {
+        const account = Cosmetics.account();
+        const item = Cosmetics.get(category, id);
+
+        if (!account) return Promise.reject(new Error('Sign in to buy items'));
+        if (Cosmetics.isOwned(category, id)) return Promise.reject(new Error('Already owned'));
+        if (Cosmetics.coins < item.price) return Promise.reject(new Error('Not enough coins'));
+
+        return Cosmetics.request('/cosmetics/purchase', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${account.token}`
+            },
+            body: JSON.stringify({ userId: account.userId, category: category, itemId: id })
+        }).then(data => {
+            Cosmetics.apply(data);
+            Cosmetics.save(account.userId);
+        });
+    },
+
+    /**
+     * Select an owned item. The selection applies at once and is saved to the account;
+     * if the account can't be updated, the previous selection comes back.
+     * @param {string} category - Category name
+     * @param {string} id - Item ID
+     * @returns {Promise<void>} Resolves once saved (guests' selections aren't saved)
+     * @throws {Error} If the item isn't owned or the selection couldn't be saved
+     */
+    select: (category, id) => {
+        if (!Cosmetics.isOwned(category, id)) return Promise.reject(new Error('Buy this item first'));
+
+        const previous = Cosmetics.selected[category];
+        Cosmetics.selected[category] = id;
+
+        const account = Cosmetics.account();
+        if (!account) return Promise.resolve();
+
+        return Cosmetics.request('/cosmetics/select', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${account.token}`
+            },
+            body: JSON.stringify({ userId: account.userId, category: category, itemId: id })
+        }).then(() => {
+            // Only cache what the account has, so the next load doesn't undo it
+            Cosmetics.save(account.userId);
+        }, error => {
+            Cosmetics.selected[category] = previous;
+            throw error;
+        });
+    }
+};
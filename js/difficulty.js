@@ -0,0 +1,270 @@
+/**
+ * Data-driven difficulty curves.
+ *
+ * How a run gets harder is described by difficulty profiles, loaded from
+ * data/difficulty-profiles.json so curves can be tuned (or A/B tested with
+ * ?difficulty=<id>) without code changes. A profile looks like:
+ *
+ *   "normal": {
+ *     "label": "Normal",
+ *     "levelScore": 1000,        // score between difficulty levels
+ *     "by": "level",             // keyframe positions are levels, or "height" for scores
+ *     "interpolation": "linear", // "linear" between keyframes, or "step" to hold each value
+ *     "bossScores": [5000, 10000], // scores where a boss fight starts (see BossManager)
+ *     "curves": {
+ *       "gravity": [[1, 0.5], [7, 0.8]],  // [position, value] keyframes
+ *       ...
+ *     }
+ *   }
+ *
+ * Values hold steady before the first and after the last keyframe. Parameters a
+ * profile leaves out use the built-in Normal curve, and unknown profile IDs use
+ * the default profile - a missing or broken file never stops the game.
+ *
+ * The shipped profiles are the modes offered on the start screen. Scores are
+ * tagged with the profile they were played on and kept on a board per mode.
+ */
+class DifficultyProfile {
+    /**
+     * Create a profile from its JSON description
+     * @param {string} id - Profile ID (e.g. 'normal')
+     * @param {Object} data - Profile description (see above)
+     * @param {Object} fallbackCurves - Curves for parameters the profile leaves out
+     * @throws {Error} If the profile is malformed
+     */
+    constructor(id, data, fallbackCurves = DifficultyProfiles.BUILT_IN.curves) {
+        this.id = id;
+        this.label = data.label || id;
+        this.levelScore = data.levelScore || 1000;
+        this.by = data.by || 'level';
+        this.interpolation = data.interpolation || 'linear';
+        this.bossScores = data.bossScores || DifficultyProfiles.BUILT_IN.bossScores;
+
+        if (!(this.levelScore > 0)) throw new Error('levelScore must be positive');
+        if (this.by !== 'level' && this.by !== 'height') throw new Error(`Unknown keyframe position "${this.by}"`);
+        if (this.interpolation !== 'linear' && this.interpolation !== 'step') {
+            throw new Error(`Unknown interpolation "${this.interpolation}"`);
+        }
+        if (!Array.isArray(this.bossScores) || this.bossScores.some((score, i) =>
+            !(score > 0) || (i > 0 && score <= this.bossScores[i - 1]))) {
+            throw new Error('bossScores must be positive scores in increasing order');
+        }
+
+        const curves = data.curves || {};
+        this.curves = {};
+        for (const name of Object.keys(fallbackCurves)) {
+            this.curves[name] = curves[name] ? DifficultyProfile.checkCurve(name, curves[name]) : fallbackCurves[name];
+        }
+
+        // Fingerprint of everything that decides how a run plays out (not the label).
+        // Replays record it, so a retuned profile can't silently replay them differently.
+        const settings = [this.levelScore, this.by, this.interpolation, this.bossScores, this.curves];
+        this.hash = SeededRandom.hashString(JSON.stringify(settings)).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Check that a curve is a list of [position, value] keyframes in increasing order
+     * @param {string} name - Parameter name, for error messages
+     * @param {Array} keyframes - Keyframes to check
+     * @returns {Array} The keyframes
+     * @throws {Error} If the curve is malformed
+     */
+    static checkCurve(name, keyframes) {
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error(`${name} needs at least one keyframe`);
+        }
+
+        keyframes.forEach((keyframe, i) => {
+            if (!Array.isArray(keyframe) || !Number.isFinite(keyframe[0]) || !Number.isFinite(keyframe[1])) {
+                throw new Error(`${name} keyframe ${i} must be [position, value]`);
+            }
+            if (i > 0 && keyframe[0] <= keyframes[i - 1][0]) {
+                throw new Error(`${name} keyframes must be in increasing order`);
+            }
+        });
+
+        return keyframes;
+    }
+
+    /**
+     * Get the difficulty level for a score
+     * @param {number} score - Current score
+     * @returns {number} Level (1 at the start of a run)
+     */
+    levelAt(score) {
+        return 1 + Math.floor(score / this.levelScore);
+    }
+
+    /**
+     * Get every parameter's value at a point in a run
+     * @param {number} level - Current difficulty level
+     * @param {number} score - Current score (for profiles keyed by height)
+     * @returns {Object} Parameter values by name
+     */
+    valuesAt(level, score = 0) {
+        const position = this.by === 'height' ? score : level;
+        const values = {};
+
+        for (const name of Object.keys(this.curves)) {
+            values[name] = this.sample(this.curves[name], position);
+        }
+
+        return values;
+    }
+
+    /**
+     * Read a curve at a position
+     * @param {Array} keyframes - [position, value] keyframes
+     * @param {number} position - Level or score
+     * @returns {number} Value at that position
+     */
+    sample(keyframes, position) {
+        if (position <= keyframes[0][0]) return keyframes[0][1];
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const [at, value] = keyframes[i];
+            if (position < at) {
+                const [previousAt, previousValue] = keyframes[i - 1];
+                if (this.interpolation === 'step') return previousValue;
+
+                return previousValue + (value - previousValue) * (position - previousAt) / (at - previousAt);
+            }
+        }
+
+        return keyframes[keyframes.length - 1][1];
+    }
+}
+
+/**
+ * The difficulty profiles the game knows about
+ */
+const DifficultyProfiles = {
+    // The Normal curve the game shipped with. Used for parameters a profile leaves out
+    // and when no profiles could be loaded, so the "normal" profile in the JSON file
+    // must stay the same as this one.
+    BUILT_IN: {
+        label: 'Normal',
+        levelScore: 1000,
+        by: 'level',
+        interpolation: 'linear',
+        bossScores: [5000, 10000],
+        curves: {
+            gravity: [[1, 0.5], [7, 0.8]],
+            jumpForce: [[1, -15], [6, -20]],
+            platformDensity: [[1, 10], [6, 5]],
+            platformMinWidth: [[1, 60], [5, 20]],
+            platformMaxWidth: [[1, 120], [5, 80]],
+            platformHeight: [[1, 20], [6, 10]],
+            enemySpawnChance: [[1, 0.2], [7, 0.5]],
+            enemyMaxSpeed: [[1, 2], [7, 5]],
+            cameraSmoothing: [[1, 0.1], [6, 0.2]],
+            enemyMinHeight: [[1, 1000]],
+            powerUpInterval: [[1, 3000]],
+            powerUpChance: [[1, 0.5]],
+            specialPlatformScale: [[1, 1]]
+        }
+    },
+
+    // Loaded profiles by ID
+    profiles: {},
+
+    // Profile used when none (or an unknown one) is asked for
+    defaultId: 'normal',
+
+    /**
+     * Add the profiles from a parsed profiles file. Malformed profiles are skipped.
+     * @param {Object} data - Parsed data/difficulty-profiles.json ({default, profiles})
+     */
+    register: (data) => {
+        const profiles = (data && data.profiles) || {};
+
+        for (const id of Object.keys(profiles)) {
+            try {
+                DifficultyProfiles.profiles[id] = new DifficultyProfile(id, profiles[id]);
+            } catch (error) {
+                console.warn(`Skipping difficulty profile "${id}": ${error.message}`);
+            }
+        }
+
+        if (data && DifficultyProfiles.profiles[data.default]) {
+            DifficultyProfiles.defaultId = data.default;
+        }
+    },
+
+    /**
+     * Load the profiles file
+     * @param {string} url - Location of the profiles file
+     * @returns {Promise<void>} Resolves once loaded, or once the built-in curve is in use
+     */
+    load: (url = 'data/difficulty-profiles.json') => {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => DifficultyProfiles.register(data))
+            .catch(error => {
+                console.warn('Could not load difficulty profiles, using the built-in curve:', error);
+            });
+    },
+
+    /**
+     * Get a profile, falling back to the default one
+     * @param {string} id - Profile ID (optional)
+     * @returns {DifficultyProfile} The profile
+     */
+    get: (id) => {
+        const profiles = DifficultyProfiles.profiles;
+        if (id && Object.prototype.hasOwnProperty.call(profiles, id)) {
+            return profiles[id];
+        }
+        return profiles[DifficultyProfiles.defaultId] || new DifficultyProfile('normal', DifficultyProfiles.BUILT_IN);
+    },
+
+    /**
+     * Check whether a profile is known (rather than replaced by the default one)
+     * @param {string} id - Profile ID
+     * @returns {boolean} True if get(id) returns that profile
+     */
+    has: (id) => {
+        return DifficultyProfiles.get(id).id === id;
+    },
+
+    /**
+     * List the known profiles, e.g. for a mode selector
+     * @returns {Array} [{id, label}] in file order
+     */
+    list: () => {
+        const ids = Object.keys(DifficultyProfiles.profiles);
+        if (ids.length === 0) return [{ id: 'normal', label: DifficultyProfiles.BUILT_IN.label }];
+
+        return ids.map(id => ({ id: id, label: DifficultyProfiles.profiles[id].label }));
+    },
+
+    /**
+     * Get the localStorage key of a mode's high score. Each mode has its own board;
+     * Normal keeps the key the single high score used before there were modes.
+     * @param {string} id - Profile ID
+     * @returns {string} Storage key
+     */
+    highScoreKey: (id) => {
+        return id === 'normal' ? 'highScore' : `highScore:${id}`;
+    },
+
+    /**
+     * Get a player's best score on a mode's board from backend user data. Scores
+     * from before there were modes ({highScore}) count towards Normal.
+     * @param {Object} user - User data ({highScores: {<id>: score}, highScore})
+     * @param {string} id - Profile ID
+     * @returns {number} Best score on that board (0 if none)
+     */
+    scoreFor: (user, id) => {
+        const scores = (user && user.highScores) || {};
+        if (Object.prototype.hasOwnProperty.call(scores, id)) {
+            return parseInt(scores[id]) || 0;
+        }
+        return id === 'normal' ? parseInt(user && user.highScore) || 0 : 0;
+    }
+};
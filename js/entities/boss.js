@@ -0,0 +1,479 @@
+/**
+ * Boss class for the game - a big enemy fought at height milestones
+ */
+class Boss extends Entity {
+    /**
+     * Create a new boss
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Boss width
+     * @param {number} height - Boss height
+     * @param {number} maxHealth - Stomps needed to defeat it
+     * @param {number} entranceHeight - How far above its place it drops in from
+     */
+    constructor(x, y, width, height, maxHealth, entranceHeight = 0) {
+        // It drops in from above, and can't hurt or be hurt until it's in place
+        super('boss', x, y - entranceHeight, width, height);
+        this.homeY = y; // Height it swoops down from and back up to
+        this.isEntering = entranceHeight > 0;
+        this.entranceProgress = 0; // 0 to 1 over the entrance
+        this.entranceDuration = 1500;
+        this.entranceHeight = entranceHeight;
+        
+        // Health
+        this.maxHealth = maxHealth;
+        this.health = maxHealth;
+        this.invulnerableTimer = 0; // ms left of flashing after a stomp, when it can't be hurt again
+        
+        // One attack pattern per phase - the boss moves on to the next as it loses health
+        this.phases = [
+            { swaySpeed: 1.2, fireInterval: 1500, pattern: 'aimed', swoopInterval: 0 },
+            { swaySpeed: 2, fireInterval: 1300, pattern: 'spread', swoopInterval: 0 },
+            { swaySpeed: 2.6, fireInterval: 1800, pattern: 'ring', swoopInterval: 4000 }
+        ];
+        this.phase = 0;
+        
+        // Movement
+        this.swayAngle = 0;
+        this.isSwooping = false;
+        this.swoopTimer = 0; // ms since the last swoop
+        this.swoopProgress = 0; // 0 to 1 over a swoop
+        this.swoopDuration = 1500;
+        this.swoopDepth = 220;
+        
+        // Attacks
+        this.fireTimer = 0;
+        
+        // State, fading away once it's defeated
+        this.isDying = false;
+        this.sprite = new Sprite();
+        this.animationTime = 0;
+    }
+    
+    /**
+     * Get the weak point on top of the boss - the only place a stomp hurts it
+     * @returns {Object} Weak point box {x, y, width, height}
+     */
+    getWeakPoint() {
+        return {
+            x: this.x + this.width * 0.3,
+            y: this.y,
+            width: this.width * 0.4,
+            height: this.height * 0.3
+        };
+    }
+    
+    /**
+     * Update the boss
+     * @param {number} deltaTime - Time since last update
+     * @param {number} canvasWidth - Canvas width for movement bounds
+     * @returns {string|null} Attack pattern fired this tick ('aimed', 'spread' or 'ring'), or null
+     */
+    update(deltaTime, canvasWidth) {
+        this.animationTime += deltaTime;
+        
+        if (this.isDying) {
+            if (this.sprite.updateFade(deltaTime)) {
+                this.active = false;
+            }
+            return null;
+        }
+        
+        if (this.isEntering) {
+            this.entranceProgress = Math.min(1, this.entranceProgress + deltaTime / this.entranceDuration);
+            this.y = this.homeY - (1 - this.entranceProgress) * this.entranceHeight;
+            this.isEntering = this.entranceProgress < 1;
+            return null;
+        }
+        
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer -= deltaTime;
+        }
+        
+        const phase = this.phases[this.phase];
+        
+        // Sway from side to side across the arena
+        this.swayAngle += deltaTime * 0.001 * phase.swaySpeed;
+        const middleX = (canvasWidth - this.width) / 2;
+        this.x = middleX + Math.sin(this.swayAngle) * Math.max(0, middleX - 10);
+        
+        // Later phases swoop down at the player now and then
+        if (this.isSwooping) {
+            this.swoopProgress += deltaTime / this.swoopDuration;
+            if (this.swoopProgress >= 1) {
+                this.isSwooping = false;
+                this.swoopProgress = 0;
+            }
+        } else if (phase.swoopInterval > 0) {
+            this.swoopTimer += deltaTime;
+            if (this.swoopTimer >= phase.swoopInterval) {
+                this.swoopTimer = 0;
+                this.isSwooping = true;
+            }
+        }
+        this.y = this.homeY + Math.sin(this.swoopProgress * Math.PI) * this.swoopDepth;
+        
+        // Attack when it's time, but not mid-swoop
+        this.fireTimer += deltaTime;
+        if (!this.isSwooping && this.fireTimer >= phase.fireInterval) {
+            this.fireTimer = 0;
+            return phase.pattern;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Take a stomp on the weak point
+     * @returns {boolean} True if the stomp hurt the boss (it can't be hurt while flashing)
+     */
+    takeHit() {
+        if (this.isDying || this.invulnerableTimer > 0) return false;
+        
+        this.health--;
+        this.invulnerableTimer = 1000;
+        
+        if (this.health <= 0) {
+            this.isDying = true;
+            this.sprite.fadeOut(1500);
+            return true;
+        }
+        
+        this.phase = Math.min(
+            this.phases.length - 1,
+            Math.floor((this.maxHealth - this.health) * this.phases.length / this.maxHealth)
+        );
+        return true;
+    }
+    
+    /**
+     * Draw the boss
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position for scroll offset
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        const x = this.transform.interpolatedX(alpha);
+        const screenY = this.transform.interpolatedY(alpha) - cameraY;
+        const centerX = x + this.width / 2;
+        const centerY = screenY + this.height * 0.6;
+        
+        ctx.save();
+        
+        // Fade and shrink away when defeated, flash while it can't be hurt
+        if (this.isDying) {
+            const scale = 1 - this.sprite.fadeProgress * 0.5;
+            this.sprite.apply(ctx);
+            ctx.translate(centerX, centerY);
+            ctx.rotate(this.sprite.fadeProgress * Math.PI);
+            ctx.scale(scale, scale);
+            ctx.translate(-centerX, -centerY);
+        } else if (this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer / 100) % 2 === 0) {
+            ctx.globalAlpha = 0.4;
+        }
+        
+        // Body - redder with every phase
+        const bodyColors = ['#6A4C93', '#A23E48', '#D7263D'];
+        ctx.fillStyle = bodyColors[this.phase];
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY, this.width / 2, this.height * 0.4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Eyes with angry brows
+        const eyeY = centerY - this.height * 0.08;
+        for (const side of [-1, 1]) {
+            const eyeX = centerX + side * this.width * 0.18;
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.beginPath();
+            ctx.arc(eyeX, eyeY, this.width * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = '#000000';
+            ctx.beginPath();
+            ctx.arc(eyeX, eyeY + 2, this.width * 0.04, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(eyeX - side * this.width * 0.1, eyeY - this.width * 0.12);
+            ctx.lineTo(eyeX + side * this.width * 0.06, eyeY - this.width * 0.07);
+            ctx.stroke();
+        }
+        
+        // Jagged mouth
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        const mouthY = centerY + this.height * 0.15;
+        for (let i = 0; i <= 6; i++) {
+            const mouthX = centerX - this.width * 0.2 + i * this.width * 0.4 / 6;
+            const toothY = mouthY + (i % 2 === 0 ? 0 : 5);
+            if (i === 0) {
+                ctx.moveTo(mouthX, toothY);
+            } else {
+                ctx.lineTo(mouthX, toothY);
+            }
+        }
+        ctx.stroke();
+        
+        // Crown, with the weak point as its glowing gem
+        const weakPoint = this.getWeakPoint();
+        const crownBottom = screenY + this.height * 0.3;
+        ctx.fillStyle = '#FFD700';
+        ctx.beginPath();
+        ctx.moveTo(weakPoint.x, crownBottom);
+        ctx.lineTo(weakPoint.x, screenY + this.height * 0.05);
+        ctx.lineTo(weakPoint.x + weakPoint.width * 0.25, screenY + this.height * 0.18);
+        ctx.lineTo(weakPoint.x + weakPoint.width * 0.5, screenY);
+        ctx.lineTo(weakPoint.x + weakPoint.width * 0.75, screenY + this.height * 0.18);
+        ctx.lineTo(weakPoint.x + weakPoint.width, screenY + this.height * 0.05);
+        ctx.lineTo(weakPoint.x + weakPoint.width, crownBottom);
+        ctx.closePath();
+        ctx.fill();
+        
+        const glow = (Math.sin(this.animationTime * 0.008) + 1) / 2;
+        ctx.fillStyle = `rgba(255, 64, 160, ${0.6 + glow * 0.4})`;
+        ctx.shadowColor = '#FF40A0';
+        ctx.shadowBlur = 6 + glow * 8;
+        ctx.beginPath();
+        ctx.arc(centerX, crownBottom - this.height * 0.08, this.width * 0.05, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+}
+
+/**
+ * BossManager class for boss encounters.
+ *
+ * When the score reaches one of the milestones (from the difficulty profile's
+ * bossScores) a boss appears and the camera locks until it's beaten: the arena
+ * gets a ceiling and the climb only goes on once the boss is defeated. Bosses are
+ * only hurt by stomps on their weak point - the player's shots bounce off.
+ */
+class BossManager {
+    /**
+     * Create a new boss manager
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {number} canvasHeight - Height of the game canvas
+     * @param {ProjectileManager} projectileManager - Where boss shots go
+     * @param {number[]} milestones - Scores that start a boss fight, in increasing order
+     * @param {World} world - World the boss lives in (a world of its own if omitted)
+     */
+    constructor(canvasWidth, canvasHeight, projectileManager, milestones = [], world = null) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.world = world || new World(canvasWidth, canvasHeight);
+        this.projectileManager = projectileManager;
+        this.milestones = milestones;
+        this.encounter = 0; // Bosses defeated so far, which is also the next milestone's index
+        this.boss = null;
+        
+        // Boss settings
+        this.bossWidth = 120;
+        this.bossHeight = 80;
+        this.baseHealth = 6; // Two stomps per phase for the first boss
+        this.healthPerEncounter = 3; // Extra health for each later boss
+        this.bonusPerEncounter = 500; // Bonus score for a defeat, times the encounter number
+        this.shotSpeed = 4;
+        
+        // Called with (type, data) when something happens the game may react to (e.g. 'bossStart')
+        this.onEvent = null;
+    }
+    
+    /**
+     * Check whether a boss fight is going on
+     * @returns {boolean} True while a boss is in the arena
+     */
+    isFighting() {
+        return this.boss !== null;
+    }
+    
+    /**
+     * Start a fight when a milestone is reached, and update the boss during one
+     * @param {number} deltaTime - Time since last update
+     * @param {number} cameraY - Where the camera is settling (the top of the arena)
+     * @param {number} score - Current score
+     * @param {Player} player - The player, for aiming
+     */
+    update(deltaTime, cameraY, score, player = null) {
+        if (!this.boss) {
+            if (this.encounter < this.milestones.length && score >= this.milestones[this.encounter]) {
+                this.startEncounter(cameraY);
+            }
+            return;
+        }
+        
+        const pattern = this.boss.update(deltaTime, this.canvasWidth);
+        if (pattern && player) {
+            this.fire(pattern, player);
+        }
+        
+        if (!this.boss.active) {
+            this.endEncounter();
+        }
+    }
+    
+    /**
+     * Bring in the next boss
+     * @param {number} cameraY - Top of the arena
+     */
+    startEncounter(cameraY) {
+        const health = this.baseHealth + this.healthPerEncounter * this.encounter;
+        
+        const y = cameraY + this.canvasHeight * 0.25; // Low enough to jump on from the platforms above
+        this.boss = this.world.add(new Boss(
+            (this.canvasWidth - this.bossWidth) / 2,
+            y,
+            this.bossWidth,
+            this.bossHeight,
+            health,
+            y - cameraY + this.bossHeight // Starts just out of sight
+        ));
+        
+        if (this.onEvent) {
+            this.onEvent('bossStart', { encounter: this.encounter + 1, score: this.milestones[this.encounter], health: health });
+        }
+    }
+    
+    /**
+     * Finish the fight once the defeated boss has faded away
+     */
+    endEncounter() {
+        const boss = this.boss;
+        this.boss = null;
+        this.encounter++;
+        
+        this.world.remove(boss);
+        this.world.sweep('boss');
+        
+        if (this.onEvent) {
+            this.onEvent('bossDefeated', {
+                encounter: this.encounter,
+                bonus: this.bonusPerEncounter * this.encounter,
+                x: boss.x + boss.width / 2,
+                y: boss.y + boss.height / 2
+            });
+        }
+    }
+    
+    /**
+     * Fire the boss's attack pattern
+     * @param {string} pattern - 'aimed' (one shot at the player), 'spread' (three) or 'ring' (eight all round)
+     * @param {Player} player - The player
+     */
+    fire(pattern, player) {
+        const boss = this.boss;
+        const originX = boss.x + boss.width / 2;
+        const originY = boss.y + boss.height;
+        const aim = Math.atan2(player.y + player.height / 2 - originY, player.x + player.width / 2 - originX);
+        
+        let angles;
+        if (pattern === 'spread') {
+            angles = [aim - 0.3, aim, aim + 0.3];
+        } else if (pattern === 'ring') {
+            angles = Array.from({ length: 8 }, (_, i) => boss.swayAngle + i * Math.PI / 4);
+        } else {
+            angles = [aim];
+        }
+        
+        for (const angle of angles) {
+            this.projectileManager.fire(
+                'enemy',
+                originX,
+                originY,
+                Math.cos(angle) * this.shotSpeed,
+                Math.sin(angle) * this.shotSpeed
+            );
+        }
+        
+        if (this.onEvent) {
+            this.onEvent('bossAttack', { pattern: pattern });
+        }
+    }
+    
+    /**
+     * Check for collisions between the player (and their shots) and the boss.
+     * The boss's own shots are enemy shots and hurt like any other.
+     * @param {Player} player - The player object
+     */
+    checkCollisions(player) {
+        const boss = this.boss;
+        if (!boss || boss.isDying || boss.isEntering) return;
+        
+        // The player's shots bounce off its armour
+        this.projectileManager.hit('player', boss);
+        
+        if (!Utils.isColliding(player, boss)) return;
+        
+        // Landing on the weak point hurts the boss
+        const weakPoint = boss.getWeakPoint();
+        const playerBottom = player.y + player.height;
+        const stomped = player.velocityY > 0 &&
+            playerBottom < weakPoint.y + weakPoint.height &&
+            Utils.isColliding(player, weakPoint);
+        
+        if (stomped) {
+            player.velocityY = player.jumpForce * 0.8; // Bounce off its head
+            
+            const phase = boss.phase;
+            if (boss.takeHit() && this.onEvent) {
+                this.onEvent('bossHit', { health: boss.health, maxHealth: boss.maxHealth });
+                if (boss.phase !== phase && !boss.isDying) {
+                    this.onEvent('bossPhase', { phase: boss.phase + 1 });
+                }
+            }
+            return;
+        }
+        
+        // Bumping into the rest of it knocks the player down and away
+        const pushDirection = player.x + player.width / 2 < boss.x + boss.width / 2 ? -1 : 1;
+        player.velocityY = Math.max(player.velocityY, 6);
+        player.x += pushDirection * 30;
+    }
+    
+    /**
+     * Draw the boss
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        this.world.drawEntities('boss', ctx, cameraY, alpha);
+    }
+    
+    /**
+     * Draw the boss's health bar across the top of the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawHealthBar(ctx) {
+        const boss = this.boss;
+        if (!boss || boss.isDying) return;
+        
+        const barWidth = this.canvasWidth * 0.6;
+        const barX = (this.canvasWidth - barWidth) / 2;
+        const barY = 75;
+        
+        ctx.save();
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.roundRect(barX, barY, barWidth, 12, [6]);
+        ctx.fill();
+        
+        ctx.fillStyle = '#D7263D';
+        ctx.beginPath();
+        ctx.roundRect(barX, barY, barWidth * boss.health / boss.maxHealth, 12, [6]);
+        ctx.fill();
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`BOSS ${this.encounter + 1}`, this.canvasWidth / 2, barY - 2);
+        
+        ctx.restore();
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Coin class for the game - in-game currency, collected by touching it
+ */
+class Coin extends Entity {
+    /**
+     * Create a new coin
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} size - Size of the coin (both width and height)
+     * @param {number} value - Coins it's worth
+     */
+    constructor(x, y, size, value = 1) {
+        super('coin');
+        
+        // Visual properties, fading out once collected
+        this.spinSpeed = 0.005;
+        this.sprite = new Sprite();
+        
+        this.spawn(x, y, size, value);
+    }
+    
+    /**
+     * Set the coin up at a new place. Coins are reused by CollectibleManager, so
+     * everything about a coin is set here.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} size - Size of the coin (both width and height)
+     * @param {number} value - Coins it's worth
+     * @returns {Coin} This coin
+     */
+    spawn(x, y, size, value = 1) {
+        this.place(x, y, size, size);
+        
+        // Coin properties
+        this.value = value;
+        this.isCollected = false;
+        this.spinAngle = 0;
+        
+        return this;
+    }
+    
+    /**
+     * Update coin state
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (this.isCollected) {
+            // Float up and fade out once collected
+            this.y -= 1;
+            if (this.sprite.updateFade(deltaTime)) {
+                this.active = false;
+            }
+            return;
+        }
+        
+        this.spinAngle += deltaTime * this.spinSpeed;
+    }
+    
+    /**
+     * Collect the coin
+     * @returns {number} Coins it was worth
+     */
+    collect() {
+        this.isCollected = true;
+        this.sprite.fadeOut(200);
+        return this.value;
+    }
+    
+    /**
+     * Draw the coin
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position for scroll offset
+     */
+    draw(ctx, cameraY) {
+        if (!this.active) return;
+        
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2 - cameraY;
+        const radius = this.width / 2;
+        
+        // Spinning coins are squashed sideways, but never to nothing
+        const squash = Math.max(0.15, Math.abs(Math.cos(this.spinAngle)));
+        
+        ctx.save();
+        this.sprite.apply(ctx);
+        
+        ctx.fillStyle = '#FFD700';
+        ctx.strokeStyle = '#D4AF37';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY, radius * squash, radius, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Shine
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.beginPath();
+        ctx.ellipse(centerX - radius * squash * 0.3, centerY - radius * 0.3, radius * squash * 0.25, radius * 0.25, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+}
+
+/**
+ * CollectibleManager class for placing coins along the platforms and collecting them.
+ * Coins come in patterns (a row, an arc or a column) above some of the platforms on
+ * the guaranteed path, so they can always be reached.
+ */
+class CollectibleManager {
+    /**
+     * Create a new collectible manager
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {number} canvasHeight - Height of the game canvas
+     * @param {SeededRandom} random - Random generator for coin patterns
+     * @param {World} world - World the coins live in (a world of their own if omitted)
+     */
+    constructor(canvasWidth, canvasHeight, random = null, world = null) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.world = world || new World(canvasWidth, canvasHeight);
+        this.pool = this.world.pool(() => new Coin()); // Removed coins waiting to be reused
+        this.random = random || new SeededRandom(SeededRandom.generateSeed());
+        
+        // Coin settings
+        this.coinSize = 20;
+        this.coinSpacing = 30; // Distance between the coins of a pattern
+        this.patternChance = 0.35; // Chance a platform gets a pattern of coins
+        this.patterns = ['row', 'arc', 'column'];
+        
+        // Highest path platform already considered for a pattern
+        this.lastPlatformY = Infinity;
+        
+        // Called with (type, data) when something happens the game may react to (e.g. 'coin')
+        this.onEvent = null;
+    }
+    
+    // The coins in play, kept by the world
+    get coins() { return this.world.query('coin'); }
+    set coins(coins) { this.world.replace('coin', coins); }
+    
+    /**
+     * Update all coins, placing new patterns along platforms generated since the last tick
+     * @param {number} deltaTime - Time since last update
+     * @param {number} cameraY - Camera Y position
+     * @param {Platform[]} platforms - Platforms to place coins along
+     * @param {Player} player - The player, whose magnet pulls coins in
+     */
+    update(deltaTime, cameraY, platforms, player = null) {
+        // Path platforms are generated in height order, so anything above the last one is new.
+        // Moving platforms don't get coins - the coins would be left hanging in the air.
+        for (const platform of platforms) {
+            if (!platform.onPath || platform.y >= this.lastPlatformY) continue;
+            
+            this.lastPlatformY = platform.y;
+            if (!PlatformTypes.get(platform.type).carriesPlayer && this.random.chance(this.patternChance)) {
+                this.placePattern(this.random.item(this.patterns), platform);
+            }
+        }
+        
+        this.world.each('coin', coin => {
+            coin.update(deltaTime);
+            if (player && !coin.isCollected) {
+                player.pull(coin);
+            }
+            
+            // Remove coins that are done or too far below the camera
+            if (!coin.active || coin.y > cameraY + this.canvasHeight + 100) {
+                this.remove(coin);
+            }
+        }, true);
+    }
+    
+    /**
+     * Place a pattern of coins above a platform
+     * @param {string} pattern - Pattern name ('row', 'arc' or 'column')
+     * @param {Platform} platform - Platform to place the coins above
+     * @returns {Coin[]} The coins placed
+     */
+    placePattern(pattern, platform) {
+        const centerX = platform.x + platform.width / 2;
+        const spacing = this.coinSpacing;
+        const points = [];
+        
+        switch (pattern) {
+            case 'row':
+                // A line of coins hovering just above the platform
+                for (let i = -2; i <= 2; i++) {
+                    points.push([centerX + i * spacing, platform.y - 40]);
+                }
+                break;
+            
+            case 'arc':
+                // An arch over the platform, highest in the middle
+                for (let i = -2; i <= 2; i++) {
+                    points.push([centerX + i * spacing, platform.y - 50 - (4 - i * i) * 12]);
+                }
+                break;
+            
+            case 'column':
+                // A stack going straight up, collected by bouncing through it
+                for (let i = 0; i < 4; i++) {
+                    points.push([centerX, platform.y - 50 - i * spacing * 1.2]);
+                }
+                break;
+        }
+        
+        const placed = points.map(([x, y]) => {
+            const left = Math.max(0, Math.min(this.canvasWidth - this.coinSize, x - this.coinSize / 2));
+            return this.pool.acquire().spawn(left, y - this.coinSize / 2, this.coinSize);
+        });
+        placed.forEach(coin => this.world.add(coin));
+        
+        return placed;
+    }
+    
+    /**
+     * Collect every coin the player is touching
+     * @param {Player} player - The player object
+     * @returns {number} Coins collected this tick
+     */
+    checkCollisions(player) {
+        let collected = 0;
+        
+        for (const coin of this.world.near('coin', player.y, player.y + player.height)) {
+            if (coin.isCollected || !Utils.isColliding(player, coin)) continue;
+            
+            collected += coin.collect();
+            
+            // Let the game play the coin sound
+            if (this.onEvent) {
+                this.onEvent('coin', { value: coin.value, x: coin.x + coin.width / 2, y: coin.y + coin.height / 2 });
+            }
+        }
+        
+        return collected;
+    }
+    
+    /**
+     * Take a coin out of play, to be reused by a later pattern
+     * @param {Coin} coin - The coin
+     */
+    remove(coin) {
+        this.world.remove(coin);
+        this.pool.release(coin);
+    }
+    
+    /**
+     * Draw all coins
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     */
+    draw(ctx, cameraY) {
+        this.world.drawEntities('coin', ctx, cameraY);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * ActiveEffects class for the power-up effects on the player. Several effects can run
+ * at once, each with its own timer, and picking up one that's already running follows
+ * that effect's stacking rule.
+ */
+class ActiveEffects {
+    /**
+     * Create an empty set of effects
+     */
+    constructor() {
+        // Running effects ({type, timer, duration, charges}), in the order they started.
+        // duration is the full length of the timer, for the HUD's countdown rings.
+        this.active = [];
+        
+        // Effects waiting for the running effect of their group to end ({type, duration})
+        this.queued = [];
+    }
+    
+    /**
+     * Get the stacking rule for an effect, from its power-up definition (see PowerUpTypes)
+     * @param {string} type - Effect type
+     * @returns {Object} Rule ({stack, maxStack, maxCharges, group, untimed})
+     */
+    ruleFor(type) {
+        const definition = PowerUpTypes.get(type);
+        return (definition && definition.stacking) || { stack: 'refresh' };
+    }
+    
+    /**
+     * Get a running effect
+     * @param {string} type - Effect type
+     * @returns {Object|null} The effect, or null if it isn't running
+     */
+    get(type) {
+        return this.active.find(effect => effect.type === type) || null;
+    }
+    
+    /**
+     * Check whether an effect is running
+     * @param {string} type - Effect type
+     * @returns {boolean} True if it's running
+     */
+    has(type) {
+        return this.get(type) !== null;
+    }
+    
+    /**
+     * Add an effect, stacking it with a running one of the same type
+     * @param {string} type - Effect type
+     * @param {number} duration - Duration in milliseconds
+     * @returns {string} What happened: 'started', 'refreshed', 'extended', 'charged' or 'queued'
+     */
+    add(type, duration) {
+        const rule = this.ruleFor(type);
+        const current = this.get(type);
+        
+        if (current) {
+            switch (rule.stack) {
+                case 'extend':
+                    current.timer = Math.min(current.timer + duration, duration * rule.maxStack);
+                    current.duration = Math.max(current.duration, current.timer);
+                    return 'extended';
+                
+                case 'charges':
+                    current.charges = Math.min(current.charges + 1, rule.maxCharges);
+                    current.timer = duration;
+                    current.duration = duration;
+                    return 'charged';
+                
+                default:
+                    current.timer = duration;
+                    current.duration = duration;
+                    return 'refreshed';
+            }
+        }
+        
+        // Another effect of the group is running - wait for it to end
+        if (rule.group && this.active.some(effect => this.ruleFor(effect.type).group === rule.group)) {
+            const waiting = this.queued.find(entry => entry.type === type);
+            if (waiting) {
+                waiting.duration = Math.min(waiting.duration + duration, duration * (rule.maxStack || 1));
+            } else {
+                this.queued.push({ type: type, duration: duration });
+            }
+            return 'queued';
+        }
+        
+        this.active.push({ type: type, timer: duration, duration: duration, charges: rule.stack === 'charges' ? 1 : 0 });
+        return 'started';
+    }
+    
+    /**
+     * End an effect, starting the next queued effect of its group
+     * @param {string} type - Effect type
+     * @returns {boolean} True if the effect was running
+     */
+    remove(type) {
+        const index = this.active.findIndex(effect => effect.type === type);
+        if (index === -1) return false;
+        
+        this.active.splice(index, 1);
+        
+        const group = this.ruleFor(type).group;
+        const next = group ? this.queued.findIndex(entry => this.ruleFor(entry.type).group === group) : -1;
+        if (next !== -1) {
+            const [entry] = this.queued.splice(next, 1);
+            this.add(entry.type, entry.duration);
+        }
+        return true;
+    }
+    
+    /**
+     * Use up one charge of an effect (a double jump, or the shield saving the player)
+     * @param {string} type - Effect type
+     * @returns {boolean} True if there was a charge to use
+     */
+    useCharge(type) {
+        const effect = this.get(type);
+        if (!effect) return false;
+        
+        effect.charges--;
+        if (effect.charges <= 0) {
+            this.remove(type);
+        }
+        return true;
+    }
+    
+    /**
+     * Count down the timers, ending effects that run out
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        // Backwards, so effects started from the queue wait until the next tick
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const effect = this.active[i];
+            if (this.ruleFor(effect.type).untimed) continue;
+            
+            effect.timer -= deltaTime;
+            if (effect.timer <= 0) {
+                this.remove(effect.type);
+            }
+        }
+    }
+}
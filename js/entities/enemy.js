@@ -1,72 +1,101 @@
 /**
  * Enemy class for the game
  */
-class Enemy {
+class Enemy extends Entity {
     /**
      * Create a new enemy
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} width - Enemy width
      * @param {number} height - Enemy height
-     * @param {string} type - Enemy type ('basic', 'flying', 'static')
+     * @param {string} type - Enemy type ('basic', 'flying', 'static', 'chaser', 'turret' or 'patroller')
+     * @param {SeededRandom} random - Optional random generator for movement properties
      */
-    constructor(x, y, width, height, type = 'basic') {
-        // Position and size
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
+    constructor(x, y, width, height, type = 'basic', random = null) {
+        super('enemy');
+        
+        // Make the hitbox slightly smaller than it's drawn, to be more forgiving
+        this.collider = new Collider(0.2);
+        
+        // Animation, fading out as it dies (the image is a placeholder until an actual sprite is created)
+        this.sprite = new Sprite({ frameCount: 2, frameDelay: 10, src: 'assets/enemy.png' });
+        
+        this.spawn(x, y, width, height, type, random);
+    }
+    
+    /**
+     * Set the enemy up at a new place. Enemies are reused by EnemyManager, so
+     * everything about an enemy is set here.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Enemy width
+     * @param {number} height - Enemy height
+     * @param {string} type - Enemy type (see the constructor)
+     * @param {SeededRandom} random - Optional random generator for movement properties
+     * @returns {Enemy} This enemy
+     */
+    spawn(x, y, width, height, type = 'basic', random = null) {
+        this.place(x, y, width, height);
         
         // Type and behavior
         this.type = type;
-        this.active = true;
         this.isDying = false;
-        this.dyingProgress = 0;
+        this.flashingColors = false; // Set by EnemyManager to make it stand out
         
         // Physics and movement
+        const rand = random ? () => random.next() : Math.random;
         this.velocityX = 0;
         this.velocityY = 0;
-        this.direction = Math.random() > 0.5 ? 1 : -1;
+        this.direction = rand() > 0.5 ? 1 : -1;
         this.movementSpeed = 2;
         this.movementRange = 100;
         this.startX = x;
+        this.startY = y;
         this.amplitude = 40; // For flying enemies
-        this.frequency = 0.05; // For flying enemies
-        this.phase = Math.random() * Math.PI * 2; // Random starting phase
-        
-        // Animation
-        this.frame = 0;
-        this.frameCount = 2;
-        this.frameDelay = 10;
-        this.frameTimer = 0;
-        
-        // Create sprite image
-        this.sprite = new Image();
-        this.sprite.src = 'assets/enemy.png'; // This will be a placeholder until an actual sprite is created
-        
-        // Add error handling for the sprite
-        this.sprite.onerror = () => {
-            console.warn('Enemy sprite could not be loaded, using fallback');
-            this.spriteLoaded = false;
-        };
-        this.spriteLoaded = false;
+        this.frequency = 0.003; // For flying enemies - radians per ms
+        this.phase = rand() * Math.PI * 2; // Random starting phase
+        
+        // Chasers home in on the player once they're close
+        this.chaseRange = 400;
+        this.turnRate = 0.05; // Share of the way it turns towards the player each tick
+        
+        // Turrets fire at the player once they're close
+        this.fireRange = 500;
+        this.fireInterval = 2000; // ms between shots
+        this.fireTimer = this.fireInterval;
+        this.aimAngle = Math.PI / 2;
+        
+        // Patrollers walk back and forth along a platform (see walkOn)
+        this.platform = null;
+        this.platformOffset = 0;
+        
+        // Stomp and hit rules
+        this.health = type === 'chaser' ? 2 : 1; // Stomps it takes to defeat
+        this.spiked = type === 'static'; // Stomping it hurts like running into it
+        this.bumpsPlayer = type === 'patroller'; // Running into it pushes the player away instead of hurting them
+        this.stunTimer = 0; // ms left of being stunned by a hit
+        
+        return this;
     }
     
     /**
      * Update enemy state
      * @param {number} deltaTime - Time since last update
      * @param {number} canvasWidth - Width of the game canvas
+     * @param {Player} target - The player, for enemies that go after them
+     * @returns {boolean} True if the enemy fired a shot at the target this tick
      */
-    update(deltaTime, canvasWidth) {
+    update(deltaTime, canvasWidth, target = null) {
         if (this.isDying) {
             // Update dying animation
-            this.dyingProgress += deltaTime * 0.1;
-            if (this.dyingProgress >= 1) {
+            if (this.sprite.updateFade(deltaTime)) {
                 this.active = false;
             }
-            return;
+            return false;
         }
         
+        let fired = false;
+        
         // Update based on enemy type
         switch (this.type) {
             case 'basic':
@@ -74,10 +103,11 @@ class Enemy {
                 this.velocityX = this.direction * this.movementSpeed;
                 this.x += this.velocityX;
                 
-                // Reverse direction at movement range limits
+                // Reverse direction at movement range limits and screen edges
                 if (Math.abs(this.x - this.startX) > this.movementRange) {
                     this.direction *= -1;
                 }
+                this.bounceOffWalls(canvasWidth);
                 break;
                 
             case 'flying':
@@ -86,26 +116,169 @@ class Enemy {
                 this.velocityX = this.direction * this.movementSpeed;
                 this.x += this.velocityX;
                 
-                // Sine wave vertical movement
-                this.y = this.startX + Math.sin(this.phase) * this.amplitude;
+                // Sine wave vertical movement around where it spawned
+                this.y = this.startY + Math.sin(this.phase) * this.amplitude;
                 
                 // Reverse direction at screen edges
-                if (this.x <= 0 || this.x + this.width >= canvasWidth) {
-                    this.direction *= -1;
-                }
+                this.bounceOffWalls(canvasWidth);
                 break;
                 
             case 'static':
                 // Static enemy doesn't move, but may animate
                 break;
+                
+            case 'chaser':
+                this.updateChaser(deltaTime, canvasWidth, target);
+                break;
+                
+            case 'turret':
+                fired = this.updateTurret(deltaTime, target);
+                break;
+                
+            case 'patroller':
+                this.updatePatroller();
+                break;
         }
         
         // Animate sprite
-        this.frameTimer++;
-        if (this.frameTimer >= this.frameDelay) {
-            this.frame = (this.frame + 1) % this.frameCount;
-            this.frameTimer = 0;
+        this.sprite.animate();
+        
+        return fired;
+    }
+    
+    /**
+     * Turn around at the edges of the screen
+     * @param {number} canvasWidth - Width of the game canvas
+     */
+    bounceOffWalls(canvasWidth) {
+        if (this.x <= 0) {
+            this.x = 0;
+            this.direction = 1;
+        } else if (this.x + this.width >= canvasWidth) {
+            this.x = canvasWidth - this.width;
+            this.direction = -1;
+        }
+    }
+    
+    /**
+     * Home in on the target once it's in range, turning gradually so the player can
+     * outrun it. Stunned chasers drift to a stop instead.
+     * @param {number} deltaTime - Time since last update
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {Player} target - The player
+     */
+    updateChaser(deltaTime, canvasWidth, target) {
+        let wantX = 0;
+        let wantY = 0;
+        
+        if (this.stunTimer > 0) {
+            this.stunTimer -= deltaTime;
+        } else if (target) {
+            const dx = (target.x + target.width / 2) - (this.x + this.width / 2);
+            const dy = (target.y + target.height / 2) - (this.y + this.height / 2);
+            const distance = Math.hypot(dx, dy);
+            
+            if (distance > 0 && distance < this.chaseRange) {
+                const speed = this.movementSpeed * 0.75; // Slower than the player
+                wantX = dx / distance * speed;
+                wantY = dy / distance * speed;
+            }
+        }
+        
+        this.velocityX += (wantX - this.velocityX) * this.turnRate;
+        this.velocityY += (wantY - this.velocityY) * this.turnRate;
+        this.x = Math.max(0, Math.min(canvasWidth - this.width, this.x + this.velocityX));
+        this.y += this.velocityY;
+        
+        if (this.velocityX !== 0) {
+            this.direction = Math.sign(this.velocityX);
+        }
+    }
+    
+    /**
+     * Aim at the target and fire every fireInterval while it's in range
+     * @param {number} deltaTime - Time since last update
+     * @param {Player} target - The player
+     * @returns {boolean} True if the turret fired this tick
+     */
+    updateTurret(deltaTime, target) {
+        if (!target) return false;
+        
+        const dx = (target.x + target.width / 2) - (this.x + this.width / 2);
+        const dy = (target.y + target.height / 2) - (this.y + this.height / 2);
+        if (Math.hypot(dx, dy) > this.fireRange) return false;
+        
+        this.aimAngle = Math.atan2(dy, dx);
+        this.direction = dx < 0 ? -1 : 1;
+        
+        this.fireTimer -= deltaTime;
+        if (this.fireTimer > 0) return false;
+        
+        this.fireTimer = this.fireInterval;
+        return true;
+    }
+    
+    /**
+     * Walk back and forth along the platform, or fall once it's gone
+     */
+    updatePatroller() {
+        const platform = this.platform;
+        
+        if (!platform || !platform.active || platform.removed) {
+            this.platform = null;
+            this.velocityX = 0;
+            this.velocityY = Math.min(this.velocityY + 0.5, 10);
+            this.y += this.velocityY;
+            return;
+        }
+        
+        const maxOffset = Math.max(0, platform.width - this.width);
+        this.platformOffset += this.direction * this.movementSpeed * 0.5;
+        
+        if (this.platformOffset <= 0) {
+            this.platformOffset = 0;
+            this.direction = 1;
+        } else if (this.platformOffset >= maxOffset) {
+            this.platformOffset = maxOffset;
+            this.direction = -1;
         }
+        
+        // Stay on the platform even if it moves
+        const previousX = this.x;
+        this.x = platform.x + this.platformOffset;
+        this.y = platform.y - this.height;
+        this.velocityX = this.x - previousX;
+    }
+    
+    /**
+     * Put a patroller on the platform it walks along
+     * @param {Platform} platform - Platform to walk on
+     */
+    walkOn(platform) {
+        this.platform = platform;
+        this.platformOffset = Math.max(0, (platform.width - this.width) / 2);
+        this.x = platform.x + this.platformOffset;
+        this.y = platform.y - this.height;
+        this.startX = this.x;
+        this.startY = this.y;
+    }
+    
+    /**
+     * Take a hit from the player - a stomp or a shot
+     * @returns {boolean} True if the hit defeated the enemy
+     */
+    takeHit() {
+        this.health--;
+        if (this.health <= 0) {
+            this.die();
+            return true;
+        }
+        
+        // Knocked back and stunned for a moment
+        this.stunTimer = 1000;
+        this.velocityX = 0;
+        this.velocityY = 4;
+        return false;
     }
     
     /**
@@ -113,15 +286,16 @@ class Enemy {
      */
     die() {
         this.isDying = true;
-        this.dyingProgress = 0.01;
+        this.sprite.fadeOut(10, 0.01);
     }
     
     /**
      * Draw the enemy
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} cameraY - Camera Y position for scroll offset
+     * @param {number} alpha - Interpolation factor between the previous and current tick
      */
-    draw(ctx, cameraY) {
+    draw(ctx, cameraY, alpha = 1) {
         if (!this.active) return;
         
         // Calculate screen position
@@ -129,10 +303,11 @@ class Enemy {
         
         ctx.save();
         
+        // Draw at the position interpolated between the last two simulation ticks
+        this.transform.translate(ctx, alpha);
+        
         // Apply opacity for dying enemies
-        if (this.isDying) {
-            ctx.globalAlpha = 1 - this.dyingProgress;
-        }
+        this.sprite.apply(ctx);
         
         // Determine base enemy color - Pepe Green
         let bodyColor = '#4B5320';
@@ -320,6 +495,62 @@ class Enemy {
                     ctx.stroke();
                 }
                 break;
+                
+            case 'chaser':
+                // Angry eyebrows
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(this.x + this.width * 0.22, eyeY - eyeSize * 1.6);
+                ctx.lineTo(this.x + this.width * 0.45, eyeY - eyeSize * 0.9);
+                ctx.moveTo(this.x + this.width * 0.78, eyeY - eyeSize * 1.6);
+                ctx.lineTo(this.x + this.width * 0.55, eyeY - eyeSize * 0.9);
+                ctx.stroke();
+                
+                // Dizzy stars while stunned
+                if (this.stunTimer > 0) {
+                    ctx.fillStyle = '#FFD700';
+                    for (let i = 0; i < 3; i++) {
+                        const angle = this.stunTimer * 0.01 + i * Math.PI * 2 / 3;
+                        ctx.beginPath();
+                        ctx.arc(
+                            this.x + this.width / 2 + Math.cos(angle) * this.width * 0.4,
+                            screenY - 4 + Math.sin(angle) * 4,
+                            3,
+                            0, Math.PI * 2
+                        );
+                        ctx.fill();
+                    }
+                }
+                break;
+                
+            case 'turret':
+                // Cannon pointing at the player
+                ctx.save();
+                ctx.translate(this.x + this.width / 2, screenY + this.height * 0.6);
+                ctx.rotate(this.aimAngle);
+                ctx.fillStyle = '#555555';
+                ctx.fillRect(0, -this.height * 0.1, this.width * 0.6, this.height * 0.2);
+                ctx.restore();
+                
+                // Base
+                ctx.fillStyle = '#777777';
+                ctx.fillRect(this.x, screenY + this.height * 0.85, this.width, this.height * 0.15);
+                break;
+                
+            case 'patroller':
+                // Helmet
+                ctx.fillStyle = '#8A8A8A';
+                ctx.beginPath();
+                ctx.arc(this.x + this.width / 2, screenY + this.height * 0.22, this.width * 0.32, Math.PI, 0);
+                ctx.fill();
+                
+                // Feet, stepping in turn
+                ctx.fillStyle = '#2F3816';
+                const step = this.sprite.frame === 0 ? 2 : -2;
+                ctx.fillRect(this.x + this.width * 0.2 + step, screenY + this.height * 0.92, this.width * 0.22, this.height * 0.08);
+                ctx.fillRect(this.x + this.width * 0.58 - step, screenY + this.height * 0.92, this.width * 0.22, this.height * 0.08);
+                break;
         }
         
         ctx.restore();
@@ -334,44 +565,54 @@ class EnemyManager {
      * Create a new enemy manager
      * @param {number} canvasWidth - Width of the game canvas
      * @param {number} canvasHeight - Height of the game canvas
+     * @param {SeededRandom} random - Random generator for enemy spawns
+     * @param {ProjectileManager} projectileManager - Shots in play, shared with the player's
+     * @param {World} world - World the enemies live in (a world of their own if omitted)
      */
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, random = null, projectileManager = null, world = null) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
-        this.enemies = [];
+        this.world = world || new World(canvasWidth, canvasHeight);
+        this.pool = this.world.pool(() => new Enemy()); // Removed enemies waiting to be reused
+        this.projectileManager = projectileManager || new ProjectileManager(canvasWidth, canvasHeight, this.world);
+        this.random = random || new SeededRandom(SeededRandom.generateSeed());
         this.enemySize = 30; // Default enemy size
         
         // Enemy spawn settings
         this.minHeight = 1000; // Minimum height before enemies start spawning
         this.spawnInterval = 2000; // Height interval between enemy spawns
         this.lastSpawnHeight = this.minHeight;
-        this.enemyTypes = ['basic', 'flying', 'static'];
+        this.enemyTypes = ['basic', 'flying', 'static', 'patroller', 'chaser', 'turret'];
+        this.typeMinHeights = { patroller: 2000, chaser: 4000, turret: 6000 }; // Types missing here spawn from minHeight
+        this.projectileSpeed = 4;
         this.enemyChance = 0.7; // Chance of spawning an enemy at a spawn point
         
         // Properties for difficulty scaling
         this.spawnChance = 0.2; // Base chance to spawn enemies (will increase with difficulty)
         this.maxSpeed = 2; // Maximum enemy movement speed (will increase with difficulty)
+        
+        // Called with (type, data) when something happens the game may react to (e.g. 'enemyShot')
+        this.onEvent = null;
     }
     
+    // The enemies in play, kept by the world
+    get enemies() { return this.world.query('enemy'); }
+    set enemies(enemies) { this.world.replace('enemy', enemies); }
+    
     /**
      * Generate a new enemy
      * @param {number} height - Current game height
+     * @param {Platform[]} platforms - Platforms a patroller could walk on
      * @returns {Enemy|null} The newly generated enemy or null if no enemy was generated
      */
-    generateEnemy(height) {
+    generateEnemy(height, platforms = []) {
         if (height < this.minHeight) return null;
         
-        // Prevent enemy generation at the critical 300-310 score range
-        const currentScore = Math.floor(height / 10);
-        if (currentScore >= 300 && currentScore <= 310) {
-            return null;
-        }
-        
         // Check if we've reached a new spawn interval
         if (height - this.lastSpawnHeight < this.spawnInterval) return null;
         
         // Random chance to not spawn an enemy - use difficulty-adjusted spawnChance
-        if (Math.random() > this.spawnChance) {
+        if (this.random.next() > this.spawnChance) {
             this.lastSpawnHeight = height;
             return null;
         }
@@ -379,26 +620,40 @@ class EnemyManager {
         // Generate position - now place enemies only at screen edges
         // to make them easier to avoid
         let x;
-        if (Math.random() < 0.5) {
+        if (this.random.chance(0.5)) {
             // Left side
-            x = Utils.randomBetween(0, this.canvasWidth * 0.2);
+            x = this.random.between(0, this.canvasWidth * 0.2);
         } else {
             // Right side
-            x = Utils.randomBetween(this.canvasWidth * 0.8, this.canvasWidth - this.enemySize);
+            x = this.random.between(this.canvasWidth * 0.8, this.canvasWidth - this.enemySize);
         }
         
-        const y = -height - Utils.randomBetween(50, 150); // Position above the current view
+        const y = -height - this.random.between(50, 150); // Position above the current view
+        
+        // Pick one of the types unlocked at this height
+        const types = this.enemyTypes.filter(type => height >= (this.typeMinHeights[type] || 0));
+        let type = this.random.item(types);
+        
+        // Patrollers need a platform wide enough to walk on, near the spawn point
+        let walkway = null;
+        if (type === 'patroller') {
+            walkway = platforms.find(platform =>
+                platform.active && platform.width >= this.enemySize * 2 && Math.abs(platform.y - y) < 150
+            );
+            if (!walkway) type = 'basic';
+        }
         
         // Create the enemy with speed scaled by difficulty
-        const enemy = new Enemy(x, y, this.enemySize, this.enemySize, 'basic');
+        const enemy = this.pool.acquire().spawn(x, y, this.enemySize, this.enemySize, type, this.random);
+        if (walkway) enemy.walkOn(walkway);
         
         // Set enemy speed based on difficulty
-        enemy.movementSpeed = Utils.randomBetween(1, this.maxSpeed);
+        enemy.movementSpeed = this.random.between(1, this.maxSpeed);
         
         // Add flashing colors to make enemies super obvious
         enemy.flashingColors = true;
         
-        this.enemies.push(enemy);
+        this.world.add(enemy);
         
         // Update last spawn height
         this.lastSpawnHeight = height;
@@ -406,149 +661,192 @@ class EnemyManager {
         return enemy;
     }
     
+    /**
+     * Use the difficulty profile's enemy settings (see DifficultyProfile.valuesAt)
+     * @param {Object} values - Difficulty values for the current level
+     */
+    applyDifficulty(values) {
+        this.spawnChance = values.enemySpawnChance;
+        this.maxSpeed = values.enemyMaxSpeed;
+        
+        // Until the first spawn point is reached, it moves with the minimum height
+        if (this.lastSpawnHeight === this.minHeight) {
+            this.lastSpawnHeight = values.enemyMinHeight;
+        }
+        this.minHeight = values.enemyMinHeight;
+    }
+    
     /**
      * Update all enemies
      * @param {number} deltaTime - Time since last update
      * @param {number} cameraY - Camera Y position
      * @param {number} height - Current game height
+     * @param {Player} player - The player, for enemies that go after them
+     * @param {Platform[]} platforms - Platforms, for enemies that walk on them
      */
-    update(deltaTime, cameraY, height) {
-        // Clear all enemies in the critical 300-310 score range
-        if (Math.floor(height / 10) >= 300 && Math.floor(height / 10) <= 310) {
-            this.enemies = this.enemies.filter(enemy => {
-                const enemyScreenY = enemy.y - cameraY;
-                return enemyScreenY < -100 || enemyScreenY > 700;
-            });
-        }
-        
+    update(deltaTime, cameraY, height, player = null, platforms = []) {
         // Generate new enemies based on height
-        this.generateEnemy(Math.abs(cameraY));
+        this.generateEnemy(Math.abs(cameraY), platforms);
         
-        // Update existing enemies
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
-            
+        // Update existing enemies, newest first
+        this.world.each('enemy', enemy => {
             // Update enemy behavior
-            enemy.update(deltaTime, this.canvasWidth);
+            if (enemy.update(deltaTime, this.canvasWidth, player)) {
+                this.fireAt(enemy, player);
+            }
             
             // Remove enemies that are no longer active or are too far below the camera
             if (!enemy.active || enemy.y > cameraY + this.canvasHeight + 100) {
-                this.enemies.splice(i, 1);
+                this.remove(enemy);
             }
-        }
+        }, true);
+    }
+    
+    /**
+     * Fire a shot from an enemy at the player
+     * @param {Enemy} enemy - Enemy firing
+     * @param {Player} player - The player
+     */
+    fireAt(enemy, player) {
+        const angle = enemy.aimAngle;
+        
+        // From the end of the cannon
+        this.projectileManager.fire(
+            'enemy',
+            enemy.x + enemy.width / 2 + Math.cos(angle) * enemy.width * 0.6,
+            enemy.y + enemy.height * 0.6 + Math.sin(angle) * enemy.width * 0.6,
+            Math.cos(angle) * this.projectileSpeed,
+            Math.sin(angle) * this.projectileSpeed
+        );
         
-        // Make sure enemies don't get too dense at higher scores
-        if (window.game && window.game.score > 300) {
-            // Limit number of enemies on screen at once
-            const visibleEnemies = this.enemies.filter(e => 
-                e.y >= cameraY - 100 && e.y <= cameraY + this.canvasHeight + 100
-            );
-            
-            if (visibleEnemies.length > 3) {
-                // Remove some enemies if there are too many
-                for (let i = this.enemies.length - 1; i >= 0 && visibleEnemies.length > 3; i--) {
-                    if (!this.enemies[i].active || Math.random() < 0.3) {
-                        this.enemies.splice(i, 1);
-                        visibleEnemies.pop();
-                    }
-                }
-            }
+        if (this.onEvent) {
+            this.onEvent('enemyShot', { x: enemy.x, y: enemy.y });
         }
     }
     
+    /**
+     * Take an enemy out of play, to be reused by a later spawn
+     * @param {Enemy} enemy - The enemy
+     */
+    remove(enemy) {
+        this.world.remove(enemy);
+        this.pool.release(enemy);
+    }
+    
     /**
      * Draw all enemies
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
      */
-    draw(ctx, cameraY) {
-        for (const enemy of this.enemies) {
-            if (Utils.isVisible(enemy, this.canvasHeight, cameraY)) {
-                enemy.draw(ctx, cameraY);
-            }
-        }
+    draw(ctx, cameraY, alpha = 1) {
+        this.world.drawEntities('enemy', ctx, cameraY, alpha);
     }
     
     /**
      * Check for collisions with the player
      * @param {Player} player - The player object
-     * @returns {boolean} True if collision occurred
+     * @returns {boolean} True if the player was hurt, which ends the run
      */
     checkCollisions(player) {
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
+        // Shots hurt on contact and are used up
+        const projectile = this.projectileManager.hit('enemy', player);
+        if (projectile) {
+            if (player.isInvincible()) {
+                return false;
+            }
+            if (player.absorbHit()) {
+                return false;
+            }
+            return true;
+        }
+        
+        // Newest first, from the enemies around the player
+        const nearby = this.world.near('enemy', player.y, player.y + player.height);
+        for (let i = nearby.length - 1; i >= 0; i--) {
+            const enemy = nearby[i];
             
             if (!enemy.active || enemy.isDying) continue;
             
-            // Calculate precise collision box 
-            // Make the hitbox slightly smaller than visual to be more forgiving
-            const enemyCollisionBox = {
-                x: enemy.x + enemy.width * 0.2,
-                y: enemy.y + enemy.height * 0.2,
-                width: enemy.width * 0.6,
-                height: enemy.height * 0.6
-            };
-            
-            if (Utils.isColliding(player, enemyCollisionBox)) {
+            // The enemy's hitbox is smaller than it's drawn (see its collider)
+            if (player.overlaps(enemy)) {
                 // Check if player is jumping on top of the enemy
                 const playerBottom = player.y + player.height;
                 const enemyTop = enemy.y + (enemy.height * 0.2); // More forgiving top collision
+                const fromAbove = player.velocityY > 0 && playerBottom < enemyTop + enemy.height * 0.4;
                 
-                if (player.velocityY > 0 && playerBottom < enemyTop + enemy.height * 0.4) {
+                if (fromAbove && !enemy.spiked) {
                     // Player is jumping on enemy - more forgiving check
-                    enemy.die();
+                    if (enemy.takeHit()) {
+                        this.defeated(enemy);
+                    }
                     player.velocityY = player.jumpForce * 0.7; // Bounce off enemy
                     return false; // Not a harmful collision
-                } else {
-                    // Player collided with enemy (not from above)
-                    if (player.hasShield) {
-                        // Shield protects player and destroys enemy
-                        enemy.die();
-                        player.hasShield = false;
-                        return false;
-                    }
-                    
-                    // After score 300, make enemies weaker - only 50% chance of game over
-                    if (window.game && window.game.score > 300 && Math.random() < 0.5) {
-                        // The enemy just damages the player but doesn't cause game over
-                        enemy.die();
-                        
-                        // Give a visual indication (flash the screen)
-                        const gameContainer = document.querySelector('.game-container');
-                        if (gameContainer) {
-                            gameContainer.style.animation = 'none';
-                            setTimeout(() => {
-                                gameContainer.style.animation = 'damage-flash 0.5s';
-                            }, 10);
-                            
-                            // Add the animation if it doesn't exist
-                            if (!document.getElementById('damageAnimation')) {
-                                const style = document.createElement('style');
-                                style.id = 'damageAnimation';
-                                style.textContent = `
-                                    @keyframes damage-flash {
-                                        0% { background-color: rgba(255, 0, 0, 0); }
-                                        50% { background-color: rgba(255, 0, 0, 0.3); }
-                                        100% { background-color: rgba(255, 0, 0, 0); }
-                                    }
-                                `;
-                                document.head.appendChild(style);
-                            }
-                        }
-                        
-                        // Make player bounce away from enemy
-                        const pushDirection = player.x < enemy.x ? -1 : 1;
-                        player.velocityY = player.jumpForce * 0.5;
-                        player.x += pushDirection * 30;
-                        
-                        return false;
-                    }
-                    
-                    return true; // Harmful collision
                 }
+                
+                if (enemy.bumpsPlayer && !fromAbove) {
+                    // Walking into a patroller just knocks the player back
+                    this.pushAway(player, enemy.x);
+                    return false;
+                }
+                
+                // Player collided with enemy (not from above, or onto spikes)
+                if (player.isInvincible()) {
+                    // The star knocks out anything it touches
+                    enemy.die();
+                    this.defeated(enemy);
+                    return false;
+                }
+                
+                if (player.absorbHit()) {
+                    // Shield protects player and destroys enemy
+                    enemy.die();
+                    this.defeated(enemy);
+                    return false;
+                }
+                
+                return true; // Harmful collision
             }
         }
         
         return false;
     }
-} 
\ No newline at end of file
+    
+    /**
+     * Check the player's shots against the enemies
+     */
+    checkShots() {
+        const shots = this.projectileManager.span('player');
+        if (!shots) return;
+        
+        // Only enemies level with a shot can be hit
+        for (const enemy of this.world.near('enemy', shots.top, shots.bottom)) {
+            if (!enemy.active || enemy.isDying) continue;
+            
+            if (this.projectileManager.hit('player', enemy) && enemy.takeHit()) {
+                this.defeated(enemy);
+            }
+        }
+    }
+    
+    /**
+     * Make the player bounce away from something they ran into
+     * @param {Player} player - The player object
+     * @param {number} sourceX - Horizontal position of what they ran into
+     */
+    pushAway(player, sourceX) {
+        const pushDirection = player.x < sourceX ? -1 : 1;
+        player.velocityY = player.jumpForce * 0.5;
+        player.x += pushDirection * 30;
+    }
+    
+    /**
+     * Report an enemy the player defeated
+     * @param {Enemy} enemy - The enemy
+     */
+    defeated(enemy) {
+        if (this.onEvent) {
+            this.onEvent('enemyDefeated', { type: enemy.type });
+        }
+    }
+}
@@ -0,0 +1,393 @@
+/**
+ * Building blocks shared by every game object. An entity is a kind name plus
+ * components:
+ *
+ *   transform - position and size, and where it was on the last tick (always there)
+ *   collider  - the part of it that touches things, if smaller than its size
+ *   sprite    - animation frames, an image, and fading out
+ *   behavior  - what it does each tick and how it's drawn
+ *
+ * The game's entities (Player, Platform, Enemy, ...) extend Entity and add the
+ * components they need. New kinds of object don't need a class - compose one and
+ * add it to the World:
+ *
+ *   world.add(new Entity('spark', x, y, 8, 8)
+ *       .add(new Sprite({ fadeDuration: 500 }))
+ *       .add(new Behavior({
+ *           update(spark, deltaTime) { spark.y -= 1; },
+ *           draw(spark, ctx, x, screenY) { ctx.fillRect(x, screenY, spark.width, spark.height); }
+ *       })));
+ */
+
+/**
+ * Transform component - position and size
+ */
+class Transform {
+    /**
+     * Create a new transform
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    constructor(x = 0, y = 0, width = 0, height = 0) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        
+        // Position at the previous tick, for interpolated drawing
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    /**
+     * Remember the current position as the previous tick's
+     */
+    storePrevious() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    /**
+     * Get the X position between the previous and current tick
+     * @param {number} alpha - Interpolation factor (0 = previous, 1 = current)
+     * @returns {number} Interpolated X position
+     */
+    interpolatedX(alpha) {
+        return Utils.interpolate(this.prevX, this.x, alpha);
+    }
+    
+    /**
+     * Get the Y position between the previous and current tick
+     * @param {number} alpha - Interpolation factor (0 = previous, 1 = current)
+     * @returns {number} Interpolated Y position
+     */
+    interpolatedY(alpha) {
+        return Utils.interpolate(this.prevY, this.y, alpha);
+    }
+    
+    /**
+     * Shift the canvas so that drawing at the current position lands at the
+     * position interpolated between the last two ticks
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - Interpolation factor (0 = previous, 1 = current)
+     */
+    translate(ctx, alpha) {
+        ctx.translate(this.interpolatedX(alpha) - this.x, this.interpolatedY(alpha) - this.y);
+    }
+    
+    /**
+     * Check whether any of it is on screen
+     * @param {number} cameraY - Camera Y position
+     * @param {number} viewHeight - Height of the screen
+     * @returns {boolean} True if visible
+     */
+    isVisible(cameraY, viewHeight) {
+        return Utils.isVisible(this, viewHeight, cameraY);
+    }
+}
+
+/**
+ * Collider component - a hitbox inside the entity's bounds, for things drawn
+ * bigger than the part that should touch the player
+ */
+class Collider {
+    /**
+     * Create a new collider
+     * @param {number} insetX - Share of the width left out on each side (0 to 0.5)
+     * @param {number} insetY - Share of the height left out at the top and bottom (0 to 0.5)
+     */
+    constructor(insetX = 0, insetY = insetX) {
+        this.insetX = insetX;
+        this.insetY = insetY;
+    }
+    
+    /**
+     * Get the hitbox for a transform
+     * @param {Transform} transform - Where the entity is
+     * @returns {Object} Hitbox {x, y, width, height}
+     */
+    bounds(transform) {
+        return {
+            x: transform.x + transform.width * this.insetX,
+            y: transform.y + transform.height * this.insetY,
+            width: transform.width * (1 - this.insetX * 2),
+            height: transform.height * (1 - this.insetY * 2)
+        };
+    }
+}
+
+/**
+ * Sprite component - animation frames, an optional image and fading out
+ */
+class Sprite {
+    /**
+     * Create a new sprite
+     * @param {Object} options - Sprite settings
+     * @param {number} options.frameCount - Frames in the animation
+     * @param {number} options.frameDelay - Ticks each frame is shown for
+     * @param {string} options.src - Image to load (drawn shapes are used until it loads)
+     * @param {number} options.fadeDuration - Fade out over this many ms as soon as it's created
+     */
+    constructor(options = {}) {
+        // Animation
+        this.frameCount = options.frameCount || 1;
+        this.frameDelay = options.frameDelay || 10;
+        this.reset(); // Current frame and fading out
+        
+        this.image = null;
+        if (options.src) {
+            this.load(options.src);
+        }
+        if (options.fadeDuration) {
+            this.fadeOut(options.fadeDuration);
+        }
+    }
+    
+    /**
+     * Start the animation over and make the sprite fully visible again
+     */
+    reset() {
+        this.frame = 0;
+        this.frameTimer = 0;
+        
+        // Fading out (see fadeOut)
+        this.opacity = 1;
+        this.isFading = false;
+        this.fadeProgress = 0; // 0 to 1 over the fade
+        this.fadeDuration = 0;
+    }
+    
+    /**
+     * Load the sprite's image (there are no images outside the browser)
+     * @param {string} src - Image path, or null for none
+     * @returns {HTMLImageElement|null} The image
+     */
+    load(src) {
+        this.image = src && typeof Image !== 'undefined' ? new Image() : null;
+        if (this.image) {
+            this.image.onerror = () => {
+                console.warn(`Sprite ${src} could not be loaded, using fallback`);
+            };
+            this.image.src = src;
+        }
+        return this.image;
+    }
+    
+    /**
+     * Check whether the image can be drawn
+     * @returns {boolean} True once the image has loaded
+     */
+    isLoaded() {
+        return Boolean(this.image && this.image.complete);
+    }
+    
+    /**
+     * Move the animation on by one tick
+     */
+    animate() {
+        this.frameTimer++;
+        if (this.frameTimer >= this.frameDelay) {
+            this.frame = (this.frame + 1) % this.frameCount;
+            this.frameTimer = 0;
+        }
+    }
+    
+    /**
+     * Start fading out (does nothing if it's already fading)
+     * @param {number} duration - Length of the fade in ms
+     * @param {number} progress - How far into the fade to start (0 to 1)
+     */
+    fadeOut(duration, progress = 0) {
+        if (this.isFading) return;
+        
+        this.isFading = true;
+        this.fadeDuration = duration;
+        this.fadeProgress = progress;
+        this.opacity = 1 - progress;
+    }
+    
+    /**
+     * Move the fade on
+     * @param {number} deltaTime - Time since last update
+     * @returns {boolean} True once it has faded away
+     */
+    updateFade(deltaTime) {
+        if (!this.isFading) return false;
+        
+        this.fadeProgress += deltaTime / this.fadeDuration;
+        this.opacity = Math.max(0, 1 - this.fadeProgress);
+        return this.fadeProgress >= 1;
+    }
+    
+    /**
+     * Draw what follows at the sprite's opacity
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    apply(ctx) {
+        if (this.opacity < 1) {
+            ctx.globalAlpha = this.opacity;
+        }
+    }
+}
+
+/**
+ * Behavior component - what a composed entity does each tick and how it's drawn
+ */
+class Behavior {
+    /**
+     * Create a new behavior
+     * @param {Object} hooks - Behavior hooks
+     * @param {Function} hooks.update - Called with (entity, deltaTime, world) each tick
+     * @param {Function} hooks.draw - Called with (entity, ctx, x, screenY), already faded and interpolated
+     */
+    constructor(hooks = {}) {
+        this.update = hooks.update || null;
+        this.draw = hooks.draw || null;
+    }
+}
+
+/**
+ * Entity class - the base of every game object
+ */
+class Entity {
+    /**
+     * Create a new entity
+     * @param {string} kind - What it is (the World keeps each kind together, e.g. 'platform')
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    constructor(kind, x = 0, y = 0, width = 0, height = 0) {
+        this.kind = kind;
+        this.active = true; // False once it's done and can be removed
+        
+        // Components (see the top of this file)
+        this.transform = new Transform(x, y, width, height);
+        this.collider = null;
+        this.sprite = null;
+        this.behavior = null;
+    }
+    
+    // Position and size live in the transform
+    get x() { return this.transform.x; }
+    set x(value) { this.transform.x = value; }
+    get y() { return this.transform.y; }
+    set y(value) { this.transform.y = value; }
+    get width() { return this.transform.width; }
+    set width(value) { this.transform.width = value; }
+    get height() { return this.transform.height; }
+    set height(value) { this.transform.height = value; }
+    get prevX() { return this.transform.prevX; }
+    set prevX(value) { this.transform.prevX = value; }
+    get prevY() { return this.transform.prevY; }
+    set prevY(value) { this.transform.prevY = value; }
+    
+    /**
+     * Put the entity back in play somewhere new, as when it's reused from a Pool.
+     * Its sprite starts over, and it isn't drawn sliding from where it was.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    place(x = 0, y = 0, width = 0, height = 0) {
+        const transform = this.transform;
+        transform.x = x;
+        transform.y = y;
+        transform.width = width;
+        transform.height = height;
+        transform.storePrevious();
+        
+        this.active = true;
+        if (this.sprite) {
+            this.sprite.reset();
+        }
+    }
+    
+    /**
+     * Add a component, replacing any of the same type
+     * @param {Transform|Collider|Sprite|Behavior} component - The component
+     * @returns {Entity} This entity, for chaining
+     * @throws {Error} If it isn't one of the components
+     */
+    add(component) {
+        if (component instanceof Transform) {
+            this.transform = component;
+        } else if (component instanceof Collider) {
+            this.collider = component;
+        } else if (component instanceof Sprite) {
+            this.sprite = component;
+        } else if (component instanceof Behavior) {
+            this.behavior = component;
+        } else {
+            throw new Error(`Not an entity component: ${component}`);
+        }
+        return this;
+    }
+    
+    /**
+     * Get the part of the entity that touches things
+     * @returns {Object} Hitbox {x, y, width, height}
+     */
+    bounds() {
+        return this.collider ? this.collider.bounds(this.transform) : this.transform;
+    }
+    
+    /**
+     * Check whether this entity touches another one (or any box)
+     * @param {Entity|Object} other - Entity, or a box {x, y, width, height}
+     * @returns {boolean} True if their hitboxes overlap
+     */
+    overlaps(other) {
+        return Utils.isColliding(this.bounds(), other instanceof Entity ? other.bounds() : other);
+    }
+    
+    /**
+     * Check whether any of the entity is on screen
+     * @param {number} cameraY - Camera Y position
+     * @param {number} viewHeight - Height of the screen
+     * @returns {boolean} True if visible
+     */
+    isVisible(cameraY, viewHeight) {
+        return this.transform.isVisible(cameraY, viewHeight);
+    }
+    
+    /**
+     * Update a composed entity - its behavior, then its animation and fade.
+     * The game's entity classes replace this with their own rules.
+     * @param {number} deltaTime - Time since last update
+     * @param {World} world - World the entity is in
+     */
+    update(deltaTime, world = null) {
+        if (this.behavior && this.behavior.update) {
+            this.behavior.update(this, deltaTime, world);
+        }
+        
+        if (this.sprite) {
+            this.sprite.animate();
+            if (this.sprite.updateFade(deltaTime)) {
+                this.active = false;
+            }
+        }
+    }
+    
+    /**
+     * Draw a composed entity with its behavior, faded and at its interpolated position
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        if (!this.behavior || !this.behavior.draw) return;
+        
+        ctx.save();
+        if (this.sprite) {
+            this.sprite.apply(ctx);
+        }
+        this.behavior.draw(this, ctx, this.transform.interpolatedX(alpha), this.transform.interpolatedY(alpha) - cameraY);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Registry of platform types.
+ *
+ * Everything that makes a platform type different lives in one definition,
+ * registered from its own file in js/entities/platforms/ (load the registry
+ * first, then the type files, then platform.js):
+ *
+ *   PlatformTypes.register({
+ *     name: 'bouncy',
+ *     colors: { light: '#71A744', dark: '#4B5320' }, // Or a function (platform) => colors
+ *     spawnWeights: [[0, 0.7], [300, 0.42]],         // [score, weight] height bands
+ *     carriesPlayer: false,                          // Moves the player standing on it along
+ *     removeWhenLeftBehind: false,                   // Removed (rather than faded) far below the player
+ *     init(platform, rand) {},                       // Set up type-specific state (rand() is seeded)
+ *     update(platform, deltaTime, canvasWidth) {},   // Once per tick
+ *     onLand(platform, player) {},                   // The player landed on it - make them jump
+ *     draw(platform, ctx, screenY) {},               // Details on top of the platform body
+ *     canSpawn(recentTypes, manager) {},             // Veto a spawn (e.g. too many in a row)
+ *     onPathPlatform(platform, manager) {},          // Sees every new path platform
+ *     carry(platform, ticks) {}                      // Sideways push the player can't avoid
+ *   });
+ *
+ * Only `name` is required - without onLand the player just jumps. A spawn
+ * weight holds from its score until the next band; types without weights only
+ * appear when something else creates them. Weights are relative, so a mod can
+ * add a type without retuning the others.
+ */
+const PlatformTypes = {
+    // Registered type definitions by name, in registration order
+    types: {},
+
+    /**
+     * Add a platform type (replacing any type with the same name)
+     * @param {Object} definition - Type definition (see above)
+     * @returns {Object} The definition
+     * @throws {Error} If the definition has no name or malformed spawn weights
+     */
+    register: (definition) => {
+        if (!definition || !definition.name) {
+            throw new Error('A platform type needs a name');
+        }
+
+        const bands = definition.spawnWeights || [];
+        bands.forEach((band, i) => {
+            if (!Array.isArray(band) || !Number.isFinite(band[0]) || !(band[1] >= 0)) {
+                throw new Error(`${definition.name} spawn weight ${i} must be [score, weight]`);
+            }
+            if (i > 0 && band[0] <= bands[i - 1][0]) {
+                throw new Error(`${definition.name} spawn weights must be in increasing score order`);
+            }
+        });
+
+        PlatformTypes.types[definition.name] = definition;
+        return definition;
+    },
+
+    /**
+     * Get a platform type, falling back to 'normal' for unknown names
+     * @param {string} name - Type name
+     * @returns {Object} The type definition
+     */
+    get: (name) => {
+        return PlatformTypes.types[name] || PlatformTypes.types.normal;
+    },
+
+    /**
+     * Get the spawn weight of a type at a height
+     * @param {Object} definition - Type definition
+     * @param {number} score - Height of the platform in score points
+     * @returns {number} Relative spawn weight (0 before its first band)
+     */
+    weightAt: (definition, score) => {
+        let weight = 0;
+        for (const [from, value] of definition.spawnWeights || []) {
+            if (score < from) break;
+            weight = value;
+        }
+        return weight;
+    },
+
+    /**
+     * Pick a type for a new special platform by the spawn weights at its height
+     * @param {SeededRandom} random - Random generator of the level layout
+     * @param {number} score - Height of the platform in score points
+     * @param {string[]} recentTypes - Types of the last few platforms generated
+     * @param {PlatformManager} manager - Manager generating the platform
+     * @returns {string} Type name ('normal' if no type can spawn there)
+     */
+    pick: (random, score, recentTypes, manager) => {
+        const candidates = [];
+        let total = 0;
+
+        for (const definition of Object.values(PlatformTypes.types)) {
+            const weight = PlatformTypes.weightAt(definition, score);
+            if (weight <= 0) continue;
+            if (definition.canSpawn && !definition.canSpawn(recentTypes, manager)) continue;
+
+            candidates.push([definition.name, weight]);
+            total += weight;
+        }
+
+        let roll = random.next() * total;
+        for (const [name, weight] of candidates) {
+            roll -= weight;
+            if (roll < 0) return name;
+        }
+        return 'normal';
+    }
+};
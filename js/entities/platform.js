@@ -1,63 +1,79 @@
 /**
- * Platform class for the game
+ * Platform class for the game. What each type of platform does is defined in
+ * js/entities/platforms/ (see PlatformTypes).
  */
-class Platform {
+class Platform extends Entity {
     /**
      * Create a new platform
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} width - Platform width
      * @param {number} height - Platform height
-     * @param {string} type - Platform type: 'normal', 'bouncy', 'breakable', 'moving', 'disappearing'
+     * @param {string} type - Platform type, e.g. 'normal', 'bouncy' or 'moving' (see PlatformTypes)
+     * @param {SeededRandom} random - Optional random generator for movement properties
      */
-    constructor(x, y, width, height, type = 'normal') {
-        // Position and size
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
-        
-        // Platform properties
-        this.type = type;
-        this.active = true;
-        this.opacity = 1;
+    constructor(x, y, width, height, type = 'normal', random = null) {
+        super('platform');
+        
+        // Fades away once it starts disappearing
+        this.sprite = new Sprite();
         
-        // Movement properties (for moving platforms)
-        this.direction = Math.random() < 0.5 ? -1 : 1;
-        this.speed = 0.3 + Math.random() * 0.4;
+        this.spawn(x, y, width, height, type, random);
+    }
+    
+    /**
+     * Set the platform up at a new place. Platforms are reused by PlatformManager,
+     * so everything about a platform is set here.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Platform width
+     * @param {number} height - Platform height
+     * @param {string} type - Platform type (see PlatformTypes)
+     * @param {SeededRandom} random - Optional random generator for movement properties
+     * @returns {Platform} This platform
+     */
+    spawn(x, y, width, height, type = 'normal', random = null) {
+        this.place(x, y, width, height);
+        this.onPath = false; // Set by PlatformManager for platforms on the guaranteed path
+        
+        // Movement properties (for moving platforms and conveyor belts)
+        const rand = random ? () => random.next() : Math.random;
+        this.rand = rand; // For type-specific properties (see setType)
+        this.direction = rand() < 0.5 ? -1 : 1;
+        this.speed = 0.3 + rand() * 0.4;
         this.initialX = x;
-        this.moveRange = 30 + Math.random() * 20;
+        this.moveRange = 30 + rand() * 20;
+        
+        // How far the platform moved on the last update
+        this.velocityX = 0;
+        this.velocityY = 0;
         
         // Animation properties
         this.animationTime = 0;
-        this.breakProgress = 0;
-        this.disappearTimer = 0;
-        this.isDisappearing = false;
-        this.particleEffects = [];
-        
-        // Visual properties
-        this.colors = {
-            normal: {
-                light: '#5B9BD5', // Light blue
-                dark: '#2A5395'   // Dark blue
-            },
-            bouncy: {
-                light: '#71A744', // Light green
-                dark: '#4B5320'   // Dark green
-            },
-            breakable: {
-                light: '#8B5A2B', // Light brown
-                dark: '#5E4B2D'   // Dark brown
-            },
-            moving: {
-                light: '#71A744', // Light green (same as bouncy)
-                dark: '#4B5320'   // Dark green
-            },
-            disappearing: {
-                light: '#D55B5B', // Light red
-                dark: '#A32A2A'   // Dark red
-            }
-        };
+        
+        this.setType(type);
+        return this;
+    }
+    
+    /**
+     * Whether the platform is fading away (see startDisappearing)
+     * @returns {boolean} True once it has started disappearing
+     */
+    get isDisappearing() {
+        return this.sprite.isFading;
+    }
+    
+    /**
+     * Turn the platform into another type, setting up that type's state
+     * @param {string} type - Platform type (see PlatformTypes)
+     */
+    setType(type) {
+        this.type = type;
+        
+        const definition = PlatformTypes.get(type);
+        if (definition.init) {
+            definition.init(this, this.rand);
+        }
     }
     
     /**
@@ -69,79 +85,53 @@ class Platform {
         // Update animation time
         this.animationTime += deltaTime * 0.01;
         
-        switch (this.type) {
-            case 'moving':
-                // Move platform back and forth with slower animation
-                const animationSpeed = 0.15; // Reduced from 0.3 for even slower movement
-                this.x = this.initialX + Math.sin(this.animationTime * animationSpeed) * this.moveRange * this.direction;
-                
-                // Ensure platform stays within canvas bounds
-                if (this.x < 0) {
-                    this.x = 0;
-                    this.direction *= -1;
-                } else if (this.x + this.width > canvasWidth) {
-                    this.x = canvasWidth - this.width;
-                    this.direction *= -1;
-                }
-                break;
-                
-            case 'breakable':
-                // If breaking, update break progress
-                if (this.breakProgress > 0) {
-                    this.breakProgress += deltaTime * 0.02;
-                    
-                    // When break animation completes, deactivate platform
-                    if (this.breakProgress >= 1) {
-                        this.active = false;
-                    }
-                }
-                break;
-                
-            case 'disappearing':
-                // Update disappearing animation
-                if (this.isDisappearing && this.disappearTimer > 0) {
-                    this.disappearTimer -= deltaTime * 0.002;
-                    this.opacity = this.disappearTimer; // Fade out
-                    
-                    // Deactivate when fully transparent
-                    if (this.disappearTimer <= 0) {
-                        this.active = false;
-                    }
-                }
-                break;
+        const previousX = this.x;
+        const previousY = this.y;
+        
+        const definition = PlatformTypes.get(this.type);
+        if (definition.update) {
+            definition.update(this, deltaTime, canvasWidth);
+        }
+        
+        this.velocityX = this.x - previousX;
+        this.velocityY = this.y - previousY;
+        
+        // Fade out once disappearing has started, whatever the type, and
+        // deactivate when fully transparent
+        if (this.sprite.updateFade(deltaTime)) {
+            this.active = false;
         }
     }
     
     /**
-     * Break the platform (for breakable platforms)
+     * Start fading away (disappearing platforms, and platforms left far behind)
      */
-    break() {
-        if (this.type === 'breakable' && this.breakProgress === 0) {
-            this.breakProgress = 0.01; // Start breaking animation
-        }
+    startDisappearing() {
+        this.sprite.fadeOut(500); // update() deactivates the platform when it has faded away
     }
     
     /**
-     * Start the disappearing animation for this platform
+     * Get the platform's gradient colors
+     * @param {Object} theme - Platform theme whose colors override the type's (see Cosmetics)
+     * @returns {Object} {light, dark}
      */
-    startDisappearing() {
-        if (this.isDisappearing) return;
-        
-        this.isDisappearing = true;
-        this.disappearTimer = 1.0; // Start with full timer
+    getColors(theme = null) {
+        if (theme && theme.colors[this.type]) {
+            return theme.colors[this.type];
+        }
         
-        // Set a short timeout to actually make the platform inactive
-        setTimeout(() => {
-            this.active = false;
-        }, 1000); // 1 second disappear animation
+        const colors = PlatformTypes.get(this.type).colors;
+        return typeof colors === 'function' ? colors(this) : colors || PlatformTypes.get('normal').colors;
     }
     
     /**
      * Draw the platform
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     * @param {Object} theme - Platform theme to color it with
      */
-    draw(ctx, cameraY) {
+    draw(ctx, cameraY, alpha = 1, theme = null) {
         const screenY = this.y - cameraY;
         
         // Skip rendering platforms that are off-screen
@@ -151,15 +141,14 @@ class Platform {
         
         ctx.save();
         
-        // Apply opacity for disappearing/breaking platforms
-        if (this.opacity < 1) {
-            ctx.globalAlpha = this.opacity;
-        }
+        // Draw at the position interpolated between the last two simulation ticks
+        this.transform.translate(ctx, alpha);
         
-        // Get the current platform's colors
-        const colors = this.colors[this.type];
+        // Apply opacity for disappearing/breaking platforms
+        this.sprite.apply(ctx);
         
         // Create a gradient fill for the platform
+        const colors = this.getColors(theme);
         const gradient = ctx.createLinearGradient(this.x, screenY, this.x, screenY + this.height);
         gradient.addColorStop(0, colors.light);
         gradient.addColorStop(1, colors.dark);
@@ -181,250 +170,10 @@ class Platform {
         ctx.quadraticCurveTo(this.x, screenY, this.x + radius, screenY);
         ctx.fill();
         
-        // Add platform details based on type
-        switch (this.type) {
-            case 'normal':
-                // Draw paw prints (Bunny themed)
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-                const pawCount = Math.floor(this.width / 40);
-                for (let i = 0; i < pawCount; i++) {
-                    const pawX = this.x + 20 + i * (this.width - 40) / Math.max(1, pawCount - 1);
-                    const pawY = screenY + this.height / 2;
-                    
-                    // Main paw pad
-                    ctx.beginPath();
-                    ctx.arc(pawX, pawY, 5, 0, Math.PI * 2);
-                    ctx.fill();
-                    
-                    // Toe pads
-                    for (let j = 0; j < 3; j++) {
-                        const angle = -Math.PI / 4 + (Math.PI / 2) * j / 2;
-                        ctx.beginPath();
-                        ctx.arc(
-                            pawX + Math.cos(angle) * 7,
-                            pawY + Math.sin(angle) * 7,
-                            3,
-                            0, Math.PI * 2
-                        );
-                        ctx.fill();
-                    }
-                }
-                break;
-                
-            case 'bouncy':
-                // Draw springs
-                ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
-                ctx.lineWidth = 3;
-                
-                const springCount = Math.floor(this.width / 30);
-                for (let i = 0; i < springCount; i++) {
-                    const springX = this.x + (i + 1) * this.width / (springCount + 1);
-                    const springY = screenY + this.height / 2;
-                    
-                    // Draw spring coil
-                    ctx.beginPath();
-                    ctx.moveTo(springX, springY - 8);
-                    
-                    // Create zigzag pattern for spring
-                    for (let j = 0; j < 3; j++) {
-                        const yOffset = -8 + j * 5;
-                        ctx.lineTo(springX - 5, springY + yOffset);
-                        ctx.lineTo(springX + 5, springY + yOffset + 2.5);
-                    }
-                    
-                    ctx.lineTo(springX, springY + 8);
-                    ctx.stroke();
-                }
-                
-                // Add pulsing glow effect
-                const glowIntensity = (Math.sin(this.animationTime * 5) + 1) * 0.2;
-                if (glowIntensity > 0.1) {
-                    ctx.fillStyle = `rgba(255, 255, 0, ${glowIntensity})`;
-                    ctx.filter = 'blur(5px)';
-                    ctx.fillRect(this.x, screenY, this.width, this.height);
-                    ctx.filter = 'none';
-                }
-                break;
-                
-            case 'breakable':
-                // Draw wood grain texture
-                ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
-                ctx.lineWidth = 1;
-                
-                for (let i = 0; i < this.width; i += 10) {
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + i, screenY);
-                    
-                    // Wavy line for wood grain
-                    for (let y = 0; y < this.height; y += 5) {
-                        const xOffset = Math.sin(y * 0.2 + i * 0.1) * 2;
-                        ctx.lineTo(this.x + i + xOffset, screenY + y);
-                    }
-                    
-                    ctx.stroke();
-                }
-                
-                // Draw cracks if breaking
-                if (this.breakProgress > 0) {
-                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
-                    ctx.lineWidth = 2;
-                    
-                    const centerX = this.x + this.width / 2;
-                    const centerY = screenY + this.height / 2;
-                    
-                    // Create random cracks radiating from center
-                    for (let i = 0; i < 5; i++) {
-                        const angle = (i / 5) * Math.PI * 2;
-                        const length = this.width * 0.4 * this.breakProgress;
-                        
-                        ctx.beginPath();
-                        ctx.moveTo(centerX, centerY);
-                        ctx.lineTo(
-                            centerX + Math.cos(angle) * length,
-                            centerY + Math.sin(angle) * length
-                        );
-                        ctx.stroke();
-                    }
-                } else {
-                    // Warning symbol
-                    ctx.fillStyle = 'rgba(255, 50, 50, 0.6)';
-                    ctx.beginPath();
-                    ctx.arc(this.x + this.width / 2, screenY + this.height / 2, 8, 0, Math.PI * 2);
-                    ctx.fill();
-                    
-                    ctx.fillStyle = 'white';
-                    ctx.font = 'bold 12px Arial';
-                    ctx.textAlign = 'center';
-                    ctx.textBaseline = 'middle';
-                    ctx.fillText('!', this.x + this.width / 2, screenY + this.height / 2 + 1);
-                }
-                break;
-                
-            case 'moving':
-                // Draw Pepe face
-                // Eyes
-                const eyeSize = this.height * 0.3;
-                const eyePosY = screenY + this.height * 0.4;
-                const leftEyeX = this.x + this.width * 0.3;
-                const rightEyeX = this.x + this.width * 0.7;
-                
-                // White of eyes
-                ctx.fillStyle = 'white';
-                ctx.beginPath();
-                ctx.arc(leftEyeX, eyePosY, eyeSize, 0, Math.PI * 2);
-                ctx.arc(rightEyeX, eyePosY, eyeSize, 0, Math.PI * 2);
-                ctx.fill();
-                
-                // Direction of pupils based on movement
-                const pupilOffset = this.direction > 0 ? eyeSize * 0.3 : -eyeSize * 0.3;
-                
-                // Pupils
-                ctx.fillStyle = 'black';
-                ctx.beginPath();
-                ctx.arc(leftEyeX + pupilOffset, eyePosY, eyeSize * 0.5, 0, Math.PI * 2);
-                ctx.arc(rightEyeX + pupilOffset, eyePosY, eyeSize * 0.5, 0, Math.PI * 2);
-                ctx.fill();
-                
-                // Smile
-                ctx.strokeStyle = '#333';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width / 2,
-                    screenY + this.height * 0.7,
-                    this.width * 0.15,
-                    0,
-                    Math.PI
-                );
-                ctx.stroke();
-                
-                // Direction indicator - arrow on the side
-                const arrowSize = 10;
-                ctx.fillStyle = '#FFFFFF';
-                
-                // Draw arrow pointing in movement direction
-                if (this.direction > 0) {
-                    // Right arrow
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + this.width - arrowSize, screenY + this.height / 2);
-                    ctx.lineTo(this.x + this.width - arrowSize * 3, screenY + this.height / 2 - arrowSize);
-                    ctx.lineTo(this.x + this.width - arrowSize * 3, screenY + this.height / 2 + arrowSize);
-                    ctx.closePath();
-                    ctx.fill();
-                } else {
-                    // Left arrow
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + arrowSize, screenY + this.height / 2);
-                    ctx.lineTo(this.x + arrowSize * 3, screenY + this.height / 2 - arrowSize);
-                    ctx.lineTo(this.x + arrowSize * 3, screenY + this.height / 2 + arrowSize);
-                    ctx.closePath();
-                    ctx.fill();
-                }
-                break;
-                
-            case 'disappearing':
-                // Draw clock pattern
-                const centerX = this.x + this.width / 2;
-                const centerY = screenY + this.height / 2;
-                const radius = this.height * 0.4;
-                
-                // Clock face
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-                ctx.beginPath();
-                ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-                ctx.fill();
-                
-                ctx.strokeStyle = '#333';
-                ctx.lineWidth = 1;
-                ctx.beginPath();
-                ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-                ctx.stroke();
-                
-                // Clock hands - based on animation time
-                ctx.strokeStyle = '#333';
-                ctx.lineWidth = 2;
-                
-                // Hour hand
-                const hourAngle = this.animationTime % (Math.PI * 2);
-                ctx.beginPath();
-                ctx.moveTo(centerX, centerY);
-                ctx.lineTo(
-                    centerX + Math.cos(hourAngle) * radius * 0.5,
-                    centerY + Math.sin(hourAngle) * radius * 0.5
-                );
-                ctx.stroke();
-                
-                // Minute hand - moving faster
-                const minuteAngle = (this.animationTime * 12) % (Math.PI * 2);
-                ctx.beginPath();
-                ctx.moveTo(centerX, centerY);
-                ctx.lineTo(
-                    centerX + Math.cos(minuteAngle) * radius * 0.7,
-                    centerY + Math.sin(minuteAngle) * radius * 0.7
-                );
-                ctx.stroke();
-                
-                // Center dot
-                ctx.fillStyle = '#333';
-                ctx.beginPath();
-                ctx.arc(centerX, centerY, 2, 0, Math.PI * 2);
-                ctx.fill();
-                
-                // If disappearing, add particles rising up
-                if (this.disappearTimer > 0) {
-                    ctx.fillStyle = 'rgba(255, 200, 200, 0.7)';
-                    
-                    for (let i = 0; i < 10; i++) {
-                        const particleX = this.x + Math.random() * this.width;
-                        const particleY = screenY + this.height - (this.disappearTimer * 0.5) * Math.random() * this.height;
-                        const particleSize = 2 + Math.random() * 3;
-                        
-                        ctx.beginPath();
-                        ctx.arc(particleX, particleY, particleSize, 0, Math.PI * 2);
-                        ctx.fill();
-                    }
-                }
-                break;
+        // Add the type's details
+        const definition = PlatformTypes.get(this.type);
+        if (definition.draw) {
+            definition.draw(this, ctx, screenY);
         }
         
         // Add shadow
@@ -487,11 +236,24 @@ class PlatformManager {
      * @param {number} canvasWidth - Width of the game canvas
      * @param {number} canvasHeight - Height of the game canvas
      * @param {number} initialPlatformCount - Number of platforms to generate initially
+     * @param {SeededRandom} random - Random generator for the level layout
+     * @param {Object} physics - Player physics the layout must stay reachable with (see setPhysics)
+     * @param {World} world - World the platforms live in (a world of their own if omitted)
      */
-    constructor(canvasWidth, canvasHeight, initialPlatformCount = 10) {
+    constructor(canvasWidth, canvasHeight, initialPlatformCount = 10, random = null, physics = null, world = null) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
-        this.platforms = [];
+        this.world = world || new World(canvasWidth, canvasHeight);
+        
+        // Removed platforms wait for the next update before going back in the pool, so
+        // anything still holding one on that tick (a patroller walking on it) sees it removed
+        this.pool = this.world.pool(() => new Platform());
+        this.spent = [];
+        
+        // Level layout and fill-in platforms use separate streams so that fill-ins
+        // (which depend on where the camera is) don't shift the main layout
+        this.random = random || new SeededRandom(SeededRandom.generateSeed());
+        this.fillRandom = this.random.fork('fill');
         this.minPlatformWidth = 80;  // Increased from 60
         this.maxPlatformWidth = 150; // Increased from 120
         this.platformHeight = 20;
@@ -505,34 +267,56 @@ class PlatformManager {
         this.density = 10; // Number of platforms to maintain on screen
         this.minWidth = 60; // Minimum platform width
         this.maxWidth = 120; // Maximum platform width
+        this.specialPlatformScale = 1; // Multiplier on the height-based chance of a special platform
+        
+        // Reachability - every generated platform can be jumped to from the previous one.
+        // Defaults match a fresh player until setPhysics() is called.
+        this.setPhysics(physics || { speed: 6, gravity: 0.5, jumpForce: -15, terminalVelocity: 15, width: 60 });
+        this.reachMargin = 0.8; // Only use part of the horizontal reach so jumps aren't pixel-perfect
+        this.lastPathPlatform = null; // Most recent platform on the guaranteed path
+        
+        // Generation state kept by platform types between platforms (see stateFor)
+        this.typeState = {};
+        
+        // Platform theme the platforms are drawn with (null for each type's own colors)
+        this.theme = null;
         
         // Generate initial platforms
         this.generateInitialPlatforms(initialPlatformCount);
     }
     
+    // The platforms in play, kept by the world
+    get platforms() { return this.world.query('platform'); }
+    set platforms(platforms) { this.world.replace('platform', platforms); }
+    
     /**
      * Generate initial set of platforms
      * @param {number} count - Number of platforms to generate
      */
     generateInitialPlatforms(count) {
         // Always create a starting platform below the player
-        const startPlatform = new Platform(
+        const startPlatform = this.pool.acquire().spawn(
             this.canvasWidth / 2 - 75,
             this.canvasHeight - 100,
             150,
             this.platformHeight,
-            'normal'
+            'normal',
+            this.random
         );
-        this.platforms.push(startPlatform);
+        startPlatform.onPath = true;
+        this.world.add(startPlatform);
         this.highestPlatformY = startPlatform.y;
+        this.lastPathPlatform = startPlatform;
         
         // Add a few more platforms at the bottom to ensure player doesn't fall
         for (let i = 0; i < 5; i++) {  // Increased from 3 to 5
-            const x = Utils.randomBetween(0, this.canvasWidth - 100);
             const y = this.canvasHeight - 200 - (i * 70);
-            const platform = new Platform(x, y, 100, this.platformHeight, 'normal');
-            this.platforms.push(platform);
+            const x = this.reachableX(this.random.between(0, this.canvasWidth - 100), 100, y, this.platformHeight);
+            const platform = this.pool.acquire().spawn(x, y, 100, this.platformHeight, 'normal', this.random);
+            platform.onPath = true;
+            this.world.add(platform);
             this.highestPlatformY = Math.min(this.highestPlatformY, y);
+            this.lastPathPlatform = platform;
         }
         
         // Generate the rest of the platforms
@@ -546,100 +330,212 @@ class PlatformManager {
      * @returns {Platform} The newly generated platform
      */
     generatePlatform() {
-        // Calculate next platform Y position
-        const gap = Utils.randomBetween(this.minGapY, this.maxGapY);
+        // Calculate next platform Y position, at a height the player can land on
+        const gap = this.reachableGap(this.random.between(this.minGapY, this.maxGapY), this.platformHeight);
         const newY = this.highestPlatformY - gap;
         this.highestPlatformY = newY;
         
         // Determine platform width based on difficulty
-        const width = Utils.randomBetween(this.minWidth, this.maxWidth);
+        const width = this.random.between(this.minWidth, this.maxWidth);
         
-        // Calculate X position (within canvas bounds)
-        const x = Utils.randomBetween(0, this.canvasWidth - width);
+        // Calculate X position (within canvas bounds and within jumping distance)
+        const x = this.reachableX(this.random.between(0, this.canvasWidth - width), width, newY, this.platformHeight);
         
         // Determine platform type
         let type = 'normal';
         
         // Score-based special platform chance (increases with height)
         const score = Math.abs(newY) / 10; // Roughly equivalent to game score
-        const specialChance = Math.min(0.6, 0.2 + (score / 1000)); // Up to 60% chance at score 4000
+        const specialChance = Math.min(0.6, 0.2 + (score / 1000)) * this.specialPlatformScale; // Up to 60% chance at score 4000 (Normal)
         
-        if (Math.random() < specialChance) {
-            // Different special platform distributions based on score
-            const rand = Math.random();
-            
-            if (score < 300) {
-                // Early game: more bouncy, fewer moving platforms
-                if (rand < 0.7) {
-                    type = 'bouncy';
-                } else if (rand < 0.8) { // Reduced from 0.9 to 0.8
-                    type = 'moving';
-                } else {
-                    type = 'normal';
-                }
-            } else if (score < 1000) {
-                // Mid game: more variety with fewer moving platforms
-                if (rand < 0.5) {
-                    type = 'bouncy';
-                } else if (rand < 0.6) { // Reduced from 0.7 to 0.6
-                    type = 'moving';
-                } else if (rand < 0.9) {
-                    type = 'breakable';
-                } else {
-                    type = 'disappearing';
-                }
-            } else {
-                // Late game: more challenging platforms but fewer moving ones
-                if (rand < 0.35) {
-                    type = 'bouncy';
-                } else if (rand < 0.45) { // Reduced from 0.5 to 0.45
-                    type = 'moving';
-                } else if (rand < 0.8) { // Increased breakable chance
-                    type = 'breakable';
-                } else {
-                    type = 'disappearing';
-                }
-            }
-            
-            // Don't create challenging platforms too close together
-            const lastFewTypes = this.platforms.slice(-3).map(p => p.type);
-            if (type === 'disappearing' && lastFewTypes.includes('disappearing')) {
-                // Don't create two disappearing platforms in a row
-                type = 'normal';
-            } else if (type === 'breakable' && lastFewTypes.includes('breakable') && 
-                       lastFewTypes.includes('disappearing')) {
-                // Avoid too many difficult platforms in a sequence
-                type = Math.random() < 0.5 ? 'bouncy' : 'normal';
-            }
-            
-            // Create more consistent landing possibilities around score 300-310
-            if (score >= 300 && score <= 310) {
-                type = Math.random() < 0.7 ? 'normal' : 'bouncy';
-            }
-            
-            // Final check to further reduce moving platforms
-            if (type === 'moving' && Math.random() < 0.7) {
-                // 70% chance to convert a moving platform to another type
-                const fallbackRand = Math.random();
-                if (fallbackRand < 0.5) {
-                    type = 'normal';
-                } else if (fallbackRand < 0.8) {
-                    type = 'bouncy';
-                } else {
-                    type = 'breakable';
-                }
-            }
+        if (this.random.chance(specialChance)) {
+            // Each type's share of special platforms depends on the height (see PlatformTypes)
+            const recentTypes = this.platforms.slice(-3).map(p => p.type);
+            type = PlatformTypes.pick(this.random, score, recentTypes, this);
         }
         
         // Create the platform
-        const platform = new Platform(x, newY, width, this.platformHeight, type);
+        const platform = this.pool.acquire().spawn(x, newY, width, this.platformHeight, type, this.random);
+        platform.onPath = true;
+        this.lastPathPlatform = platform;
+        
+        // Let types react to the path growing (e.g. teleport exits)
+        for (const definition of Object.values(PlatformTypes.types)) {
+            if (definition.onPathPlatform) {
+                definition.onPathPlatform(platform, this);
+            }
+        }
         
         // Add to list of platforms
-        this.platforms.push(platform);
+        this.world.add(platform);
         
         return platform;
     }
     
+    /**
+     * Get the generation state a platform type keeps on this manager
+     * @param {string} type - Platform type
+     * @returns {Object} The type's state (empty at first)
+     */
+    stateFor(type) {
+        if (!this.typeState[type]) {
+            this.typeState[type] = {};
+        }
+        return this.typeState[type];
+    }
+    
+    /**
+     * Use the difficulty profile's platform settings (see DifficultyProfile.valuesAt)
+     * @param {Object} values - Difficulty values for the current level
+     * @param {Object} physics - Player physics the platforms must stay reachable with
+     */
+    applyDifficulty(values, physics) {
+        this.density = values.platformDensity;
+        this.minWidth = values.platformMinWidth;
+        this.maxWidth = values.platformMaxWidth;
+        this.platformHeight = values.platformHeight;
+        this.specialPlatformScale = values.specialPlatformScale;
+        
+        // Keep the platforms generated from now on reachable with the new physics
+        this.setPhysics(physics);
+    }
+    
+    /**
+     * Set the player physics that generated platforms must be reachable with.
+     * Call again whenever the player's movement changes (e.g. on difficulty increases).
+     * @param {Object} physics - Player physics {speed, gravity, jumpForce, terminalVelocity, width}
+     */
+    setPhysics(physics) {
+        this.physics = {
+            speed: physics.speed,
+            gravity: physics.gravity,
+            jumpForce: physics.jumpForce,
+            terminalVelocity: physics.terminalVelocity,
+            width: physics.width
+        };
+        
+        // Height of the player's feet above the take-off point on each tick of a jump,
+        // stepped exactly like Player.update, until they fall back below the take-off point
+        this.jumpArc = [];
+        let velocityY = this.physics.jumpForce;
+        let rise = 0;
+        while (rise >= 0) {
+            velocityY = Math.min(velocityY + this.physics.gravity, this.physics.terminalVelocity);
+            rise -= velocityY;
+            this.jumpArc.push({ rise: rise, falling: velocityY > 0 });
+        }
+    }
+    
+    /**
+     * Find when a jump lands on a platform higher up
+     * @param {number} gap - How far the target platform's top is above the take-off platform's top
+     * @param {number} height - Height of the target platform
+     * @returns {number} Ticks in the air before landing, or -1 if the player can't land there
+     */
+    landingTick(gap, height) {
+        for (let tick = 0; tick < this.jumpArc.length; tick++) {
+            const point = this.jumpArc[tick];
+            
+            // Collisions are checked once per tick, so the first falling tick with the feet
+            // at or below the top decides - if the feet are already past the top half the
+            // player drops straight through. Positions right on an edge are treated as
+            // misses, since floating point error can tip them either way.
+            if (point.falling && point.rise < gap + 0.01) {
+                const landed = point.rise < gap - 0.01 && point.rise > gap - height / 2 + 0.01;
+                return landed ? tick + 1 : -1;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Check whether the player can jump from one platform onto another
+     * @param {Platform} from - Platform the player takes off from
+     * @param {Platform} to - Platform the player wants to land on
+     * @returns {boolean} True if the landing is possible
+     */
+    canReach(from, to) {
+        const ticks = this.landingTick(from.y - to.y, to.height);
+        if (ticks < 0) return false;
+        
+        return this.horizontalDistance(from, to.x, to.width) + this.carryDistance(from, ticks) <= this.physics.speed * ticks;
+    }
+    
+    /**
+     * How far a platform can push the player sideways during a jump off it, however
+     * they steer - e.g. conveyor belts push the player along
+     * @param {Platform} from - Platform the player takes off from
+     * @param {number} ticks - Ticks in the air
+     * @returns {number} Largest push in pixels
+     */
+    carryDistance(from, ticks) {
+        const definition = PlatformTypes.get(from.type);
+        return definition.carry ? definition.carry(from, ticks) : 0;
+    }
+    
+    /**
+     * How far the player has to move sideways to get from standing on one platform to
+     * standing on another spot
+     * @param {Platform} from - Platform the player takes off from
+     * @param {number} x - Left edge of the landing spot
+     * @param {number} width - Width of the landing spot
+     * @returns {number} Horizontal distance in pixels
+     */
+    horizontalDistance(from, x, width) {
+        const playerWidth = this.physics.width;
+        const maxX = this.canvasWidth - playerWidth;
+        
+        // Player x positions that overlap each platform (and stay inside the walls)
+        const fromMin = Math.max(0, from.x - playerWidth + 1);
+        const fromMax = Math.min(maxX, from.x + from.width - 1);
+        const toMin = Math.max(0, x - playerWidth + 1);
+        const toMax = Math.min(maxX, x + width - 1);
+        
+        return Math.max(0, toMin - fromMax, fromMin - toMax);
+    }
+    
+    /**
+     * Adjust a platform gap so that the player lands on the platform instead of
+     * dropping through it, preferring a smaller gap
+     * @param {number} gap - Proposed gap above the previous platform
+     * @param {number} height - Height of the new platform
+     * @returns {number} A gap the player can land at
+     */
+    reachableGap(gap, height) {
+        if (this.landingTick(gap, height) >= 0) return gap;
+        
+        for (let offset = 1; offset < gap; offset++) {
+            if (this.landingTick(gap - offset, height) >= 0) return gap - offset;
+            if (gap + offset <= this.maxGapY && this.landingTick(gap + offset, height) >= 0) return gap + offset;
+        }
+        return gap;
+    }
+    
+    /**
+     * Move a proposed platform position sideways until it's within jumping distance
+     * of the previous platform on the path
+     * @param {number} x - Proposed left edge of the new platform
+     * @param {number} width - Width of the new platform
+     * @param {number} y - Top of the new platform
+     * @param {number} height - Height of the new platform
+     * @returns {number} Adjusted left edge
+     */
+    reachableX(x, width, y, height) {
+        const from = this.lastPathPlatform;
+        if (!from) return x;
+        
+        const ticks = this.landingTick(from.y - y, height);
+        if (ticks < 0) return x;
+        
+        const reach = Math.floor(this.physics.speed * ticks * this.reachMargin - this.carryDistance(from, ticks));
+        const excess = this.horizontalDistance(from, x, width) - reach;
+        if (excess <= 0) return x;
+        
+        // Pull the platform towards the one it's reached from
+        const adjusted = x > from.x ? x - excess : x + excess;
+        return Math.max(0, Math.min(this.canvasWidth - width, adjusted));
+    }
+    
     /**
      * Update all platforms
      * @param {number} deltaTime - Time since last update
@@ -647,43 +543,35 @@ class PlatformManager {
      * @param {Player} player - The player object for checking position
      */
     update(deltaTime, cameraY, player) {
-        // Find the player's current platform (or nearest above platform)
-        let playerCurrentPlatform = null;
-        let playerPlatformY = Infinity;
-        
-        if (player) {
-            // Find the platform the player is standing on or closest platform above
-            for (const platform of this.platforms) {
-                if (platform.y >= player.y + player.height && platform.y < playerPlatformY) {
-                    // This platform is below the player and higher than any previously found platform
-                    playerPlatformY = platform.y;
-                    playerCurrentPlatform = platform;
-                }
-            }
-        }
+        // Platforms removed on the last update can be reused now
+        this.spent.forEach(platform => this.pool.release(platform));
+        this.spent.length = 0;
         
-        // Update existing platforms
-        for (let i = this.platforms.length - 1; i >= 0; i--) {
-            const platform = this.platforms[i];
-            
-            // Store the previous x position before updating (for moving platforms)
+        // Find the platform the player is standing on, or the highest one below them
+        const playerCurrentPlatform = player ? this.world.nearestBelow('platform', player.y + player.height) : null;
+        
+        // Update existing platforms, newest first
+        this.world.each('platform', platform => {
+            // Store the previous position before updating (for platforms that move)
             const previousX = platform.x;
+            const previousY = platform.y;
             
             // Update platform behavior
             platform.update(deltaTime, this.canvasWidth);
             
-            // Check if this is a moving platform and player exists
-            if (platform.type === 'moving' && player) {
-                // Check if player is standing on this platform
+            // Check if this platform carries the player along and player exists
+            if (PlatformTypes.get(platform.type).carriesPlayer && player) {
+                // Check if player is standing on this platform (where it was before it moved)
                 const playerBottom = player.y + player.height;
                 const isStandingOnPlatform = 
-                    Math.abs(platform.y - playerBottom) < 5 && 
-                    player.x < platform.x + platform.width && 
-                    player.x + player.width > platform.x;
+                    Math.abs(previousY - playerBottom) < 5 && 
+                    player.x < previousX + platform.width && 
+                    player.x + player.width > previousX;
                 
                 // If player is standing on the platform, move them with it
                 if (isStandingOnPlatform) {
                     player.x += (platform.x - previousX);
+                    player.y += (platform.y - previousY);
                 }
                 
                 // Prevent platform from pushing player through walls
@@ -709,29 +597,28 @@ class PlatformManager {
             
             // Remove platforms that are no longer active
             if (!platform.active) {
-                this.platforms.splice(i, 1);
-                continue;
+                this.remove(platform);
+                return;
             }
             
             // Remove platforms that are too far below the camera
             if (platform.y > cameraY + this.canvasHeight + 300) {
-                this.platforms.splice(i, 1);
-                continue;
+                this.remove(platform);
+                return;
             }
             
             // If we have a current player platform, make platforms 350 units below it disappear
             if (playerCurrentPlatform && platform.y > playerCurrentPlatform.y + 350) {
-                // If it's a normal platform, immediately remove it to prevent unwanted landings
-                if (platform.type === 'normal' || platform.type === 'bouncy') {
-                    this.platforms.splice(i, 1);
+                // Some types are removed immediately to prevent unwanted landings
+                if (PlatformTypes.get(platform.type).removeWhenLeftBehind) {
+                    this.remove(platform);
                 } 
-                // For other platform types, start the disappearing animation if not already started
-                else if (platform.type !== 'disappearing' && !platform.isDisappearing) {
-                    platform.type = 'disappearing';
+                // Others fade out
+                else {
                     platform.startDisappearing();
                 }
             }
-        }
+        }, true);
         
         // Generate new platforms if needed - ensure we always have platforms ahead
         while (this.highestPlatformY > cameraY - this.canvasHeight * 2) {
@@ -746,29 +633,87 @@ class PlatformManager {
         if (visiblePlatforms.length < this.density * this.platformDensity) {
             // Create some extra platforms within the visible range
             for (let i = 0; i < 2; i++) {
-                const y = cameraY + Utils.randomBetween(100, this.canvasHeight - 100);
-                const width = Utils.randomBetween(this.minWidth, this.maxWidth);
-                const x = Utils.randomBetween(0, this.canvasWidth - width);
+                const y = cameraY + this.fillRandom.between(100, this.canvasHeight - 100);
+                const width = this.fillRandom.between(this.minWidth, this.maxWidth);
+                const x = this.fillRandom.between(0, this.canvasWidth - width);
                 
                 // Choose only between normal and bouncy for fill-in platforms, never moving
-                const fillType = Math.random() < 0.7 ? 'normal' : 'bouncy';
-                const fillPlatform = new Platform(x, y, width, this.platformHeight, fillType);
-                this.platforms.push(fillPlatform);
+                const fillType = this.fillRandom.chance(0.7) ? 'normal' : 'bouncy';
+                const fillPlatform = this.pool.acquire().spawn(x, y, width, this.platformHeight, fillType, this.fillRandom);
+                this.world.add(fillPlatform);
             }
         }
     }
     
+    /**
+     * Take a platform out of play, to be reused from the next update on
+     * @param {Platform} platform - The platform
+     */
+    remove(platform) {
+        this.world.remove(platform);
+        this.spent.push(platform);
+    }
+    
     /**
      * Draw all platforms
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        this.world.drawEntities('platform', ctx, cameraY, alpha, this.theme);
+    }
+    
+    /**
+     * Draw the guaranteed path for debugging - each link is green if the jump is
+     * possible with the current physics and red if it isn't
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
      */
-    draw(ctx, cameraY) {
-        for (const platform of this.platforms) {
-            if (Utils.isVisible(platform, this.canvasHeight, cameraY)) {
-                platform.draw(ctx, cameraY);
+    drawPathOverlay(ctx, cameraY, alpha = 1) {
+        const path = this.platforms
+            .filter(platform => platform.onPath && platform.active)
+            .sort((a, b) => b.y - a.y);
+        
+        // Center of a platform's top at its interpolated position on screen
+        const anchor = (platform) => ({
+            x: platform.transform.interpolatedX(alpha) + platform.width / 2,
+            y: platform.transform.interpolatedY(alpha) - cameraY
+        });
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1];
+            const to = path[i];
+            
+            // Only links that touch the screen
+            if (!from.isVisible(cameraY, this.canvasHeight) && !to.isVisible(cameraY, this.canvasHeight)) {
+                continue;
             }
+            
+            const start = anchor(from);
+            const end = anchor(to);
+            const reachable = this.canReach(from, to);
+            
+            ctx.strokeStyle = reachable ? 'rgba(0, 200, 0, 0.8)' : 'rgba(255, 0, 0, 0.9)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            
+            ctx.setLineDash([]);
+            ctx.strokeRect(to.x, end.y, to.width, to.height);
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fillText(`${Math.round(from.y - to.y)}`, end.x + 4, (start.y + end.y) / 2);
         }
+        
+        ctx.restore();
     }
     
     /**
@@ -785,7 +730,7 @@ class PlatformManager {
         // Check only platforms that could be in collision range
         const playerBottom = player.y + player.height;
         
-        for (const platform of this.platforms) {
+        for (const platform of this.world.near('platform', playerBottom - 20, playerBottom + 20)) {
             if (!platform.active) continue;
             
             // Quick vertical range check to skip unnecessary collision checks
@@ -0,0 +1,61 @@
+/**
+ * Bouncy platform - a spring that jumps the player 1.5 times as high
+ */
+PlatformTypes.register({
+    name: 'bouncy',
+    colors: {
+        light: '#71A744', // Light green
+        dark: '#4B5320'   // Dark green
+    },
+    spawnWeights: [[0, 0.7], [300, 0.42], [1000, 0.27]],
+    removeWhenLeftBehind: true,
+
+    /**
+     * Bounce the player higher than usual
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump(1.5); // Stronger jump
+    },
+
+    /**
+     * Draw springs with a pulsing glow
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+        ctx.lineWidth = 3;
+
+        const springCount = Math.floor(platform.width / 30);
+        for (let i = 0; i < springCount; i++) {
+            const springX = platform.x + (i + 1) * platform.width / (springCount + 1);
+            const springY = screenY + platform.height / 2;
+
+            // Draw spring coil
+            ctx.beginPath();
+            ctx.moveTo(springX, springY - 8);
+
+            // Create zigzag pattern for spring
+            for (let j = 0; j < 3; j++) {
+                const yOffset = -8 + j * 5;
+                ctx.lineTo(springX - 5, springY + yOffset);
+                ctx.lineTo(springX + 5, springY + yOffset + 2.5);
+            }
+
+            ctx.lineTo(springX, springY + 8);
+            ctx.stroke();
+        }
+
+        // Add pulsing glow effect
+        const glowIntensity = (Math.sin(platform.animationTime * 5) + 1) * 0.2;
+        if (glowIntensity > 0.1) {
+            ctx.fillStyle = `rgba(255, 255, 0, ${glowIntensity})`;
+            ctx.filter = 'blur(5px)';
+            ctx.fillRect(platform.x, screenY, platform.width, platform.height);
+            ctx.filter = 'none';
+        }
+    }
+});
@@ -0,0 +1,116 @@
+/**
+ * Breakable platform - breaks apart after one jump
+ */
+PlatformTypes.register({
+    name: 'breakable',
+    colors: {
+        light: '#8B5A2B', // Light brown
+        dark: '#5E4B2D'   // Dark brown
+    },
+    spawnWeights: [[0, 0.02], [300, 0.21], [1000, 0.17]],
+
+    /**
+     * Start with the platform whole
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.breakProgress = 0;
+    },
+
+    /**
+     * Play the break animation, then deactivate the platform
+     * @param {Platform} platform - Platform to update
+     * @param {number} deltaTime - Time since last update
+     */
+    update(platform, deltaTime) {
+        if (platform.breakProgress > 0) {
+            platform.breakProgress += deltaTime * 0.02;
+
+            // When break animation completes, deactivate platform
+            if (platform.breakProgress >= 1) {
+                platform.active = false;
+            }
+        }
+    },
+
+    /**
+     * Bounce the player and start breaking
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump();
+
+        if (platform.breakProgress === 0) {
+            platform.breakProgress = 0.01; // Start breaking animation
+        }
+    },
+
+    /**
+     * Avoid too many difficult platforms in a sequence
+     * @param {string[]} recentTypes - Types of the last few platforms generated
+     * @returns {boolean} True if a breakable platform may spawn next
+     */
+    canSpawn(recentTypes) {
+        return !(recentTypes.includes('breakable') && recentTypes.includes('disappearing'));
+    },
+
+    /**
+     * Draw wood grain, then cracks once breaking
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i < platform.width; i += 10) {
+            ctx.beginPath();
+            ctx.moveTo(platform.x + i, screenY);
+
+            // Wavy line for wood grain
+            for (let y = 0; y < platform.height; y += 5) {
+                const xOffset = Math.sin(y * 0.2 + i * 0.1) * 2;
+                ctx.lineTo(platform.x + i + xOffset, screenY + y);
+            }
+
+            ctx.stroke();
+        }
+
+        // Draw cracks if breaking
+        if (platform.breakProgress > 0) {
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.lineWidth = 2;
+
+            const centerX = platform.x + platform.width / 2;
+            const centerY = screenY + platform.height / 2;
+
+            // Create random cracks radiating from center
+            for (let i = 0; i < 5; i++) {
+                const angle = (i / 5) * Math.PI * 2;
+                const length = platform.width * 0.4 * platform.breakProgress;
+
+                ctx.beginPath();
+                ctx.moveTo(centerX, centerY);
+                ctx.lineTo(
+                    centerX + Math.cos(angle) * length,
+                    centerY + Math.sin(angle) * length
+                );
+                ctx.stroke();
+            }
+        } else {
+            // Warning symbol
+            ctx.fillStyle = 'rgba(255, 50, 50, 0.6)';
+            ctx.beginPath();
+            ctx.arc(platform.x + platform.width / 2, screenY + platform.height / 2, 8, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('!', platform.x + platform.width / 2, screenY + platform.height / 2 + 1);
+        }
+    }
+});
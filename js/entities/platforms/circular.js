@@ -0,0 +1,61 @@
+/**
+ * Circular platform - goes round in a circle, carrying the player with it
+ */
+PlatformTypes.register({
+    name: 'circular',
+    colors: {
+        light: '#F29E4C', // Light orange
+        dark: '#B8641E'   // Dark orange
+    },
+    spawnWeights: [[0, 0], [1000, 0.04]],
+    carriesPlayer: true,
+
+    /**
+     * Remember where the circle starts
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.initialY = platform.y;
+        platform.orbitRadius = platform.moveRange * 0.5; // Kept small so the path stays jumpable
+    },
+
+    /**
+     * Move the platform round the circle, starting from where it was placed (the
+     * bottom of the circle) and turning in its direction
+     * @param {Platform} platform - Platform to update
+     * @param {number} deltaTime - Time since last update
+     * @param {number} canvasWidth - Canvas width for movement bounds
+     */
+    update(platform, deltaTime, canvasWidth) {
+        const angle = platform.animationTime * 0.15; // Same pace as moving platforms
+        platform.x = platform.initialX + Math.sin(angle) * platform.orbitRadius * platform.direction;
+        platform.y = platform.initialY - (1 - Math.cos(angle)) * platform.orbitRadius;
+
+        // Ensure platform stays within canvas bounds
+        platform.x = Math.max(0, Math.min(canvasWidth - platform.width, platform.x));
+    },
+
+    /**
+     * Draw the circle's hub with a spoke pointing at the platform
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const angle = platform.animationTime * 0.15;
+        const centerX = platform.x + platform.width / 2;
+        const centerY = screenY + platform.height / 2;
+        const hubRadius = platform.height * 0.3;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, hubRadius, 0, Math.PI * 2);
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(
+            centerX + Math.sin(angle) * hubRadius * platform.direction,
+            centerY + Math.cos(angle) * hubRadius
+        );
+        ctx.stroke();
+    }
+});
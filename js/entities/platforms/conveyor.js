@@ -0,0 +1,74 @@
+/**
+ * Conveyor platform - a belt that pushes the player along in its direction
+ */
+PlatformTypes.register({
+    name: 'conveyor',
+    colors: {
+        light: '#9AA5B1', // Light steel
+        dark: '#52606D'   // Dark steel
+    },
+    spawnWeights: [[0, 0], [300, 0.1]],
+
+    /**
+     * Set the belt speed and how long the push lasts
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.conveyorSpeed = 2.5 * platform.direction; // Pixels per tick, in the belt's direction
+        platform.slipperiness = 0.9; // Share of the push the player keeps each tick
+    },
+
+    /**
+     * Bounce the player and push them along the belt
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.momentumX = platform.conveyorSpeed;
+        player.momentumDecay = platform.slipperiness;
+        player.jump();
+    },
+
+    /**
+     * How far the belt pushes the player during a jump, however they steer
+     * @param {Platform} platform - Platform the player takes off from
+     * @param {number} ticks - Ticks in the air
+     * @returns {number} Push in pixels
+     */
+    carry(platform, ticks) {
+        // The push loses the same share every tick
+        const keep = platform.slipperiness;
+        return Math.abs(platform.conveyorSpeed) * (1 - Math.pow(keep, ticks)) / (1 - keep);
+    },
+
+    /**
+     * Draw chevrons running along the belt in its direction
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(platform.x, screenY, platform.width, platform.height);
+        ctx.clip();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 2;
+
+        const chevronSpacing = 14;
+        const beltShift = ((platform.animationTime * platform.conveyorSpeed * 4) % chevronSpacing + chevronSpacing) % chevronSpacing;
+        const chevronMidY = screenY + platform.height / 2;
+        const chevronHalf = platform.height * 0.3;
+
+        for (let chevronX = platform.x - chevronSpacing + beltShift; chevronX < platform.x + platform.width + chevronSpacing; chevronX += chevronSpacing) {
+            ctx.beginPath();
+            ctx.moveTo(chevronX - 3 * platform.direction, chevronMidY - chevronHalf);
+            ctx.lineTo(chevronX + 3 * platform.direction, chevronMidY);
+            ctx.lineTo(chevronX - 3 * platform.direction, chevronMidY + chevronHalf);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+});
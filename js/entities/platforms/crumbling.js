@@ -0,0 +1,85 @@
+/**
+ * Crumbling platform - shrinks from both ends once landed on, until nothing is left
+ */
+PlatformTypes.register({
+    name: 'crumbling',
+    colors: {
+        light: '#D9B77E', // Sandstone
+        dark: '#9C7A43'   // Dark sandstone
+    },
+    spawnWeights: [[0, 0], [1000, 0.1]],
+
+    /**
+     * Start with the platform whole
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.crumbleTime = 2500; // ms from the first landing until nothing is left
+        platform.crumbleProgress = 0;
+        platform.fullWidth = platform.width;
+    },
+
+    /**
+     * Shrink towards the middle once crumbling has started
+     * @param {Platform} platform - Platform to update
+     * @param {number} deltaTime - Time since last update
+     */
+    update(platform, deltaTime) {
+        if (platform.crumbleProgress > 0) {
+            platform.crumbleProgress += deltaTime / platform.crumbleTime;
+
+            const center = platform.x + platform.width / 2;
+            platform.width = platform.fullWidth * Math.max(0, 1 - platform.crumbleProgress);
+            platform.x = center - platform.width / 2;
+
+            if (platform.crumbleProgress >= 1) {
+                platform.active = false;
+            }
+        }
+    },
+
+    /**
+     * Bounce the player and start crumbling
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump();
+
+        if (platform.crumbleProgress === 0) {
+            platform.fullWidth = platform.width;
+            platform.crumbleProgress = 0.001;
+        }
+    },
+
+    /**
+     * Draw cracked stone, with bits falling off both ends while it crumbles
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        ctx.strokeStyle = 'rgba(60, 40, 10, 0.5)';
+        ctx.lineWidth = 1;
+
+        for (let i = 12; i < platform.width - 6; i += 18) {
+            ctx.beginPath();
+            ctx.moveTo(platform.x + i, screenY);
+            ctx.lineTo(platform.x + i + 4, screenY + platform.height / 2);
+            ctx.lineTo(platform.x + i - 2, screenY + platform.height);
+            ctx.stroke();
+        }
+
+        // Bits falling off both ends while it crumbles
+        if (platform.crumbleProgress > 0) {
+            ctx.fillStyle = this.colors.dark;
+            const debrisFall = (platform.crumbleProgress * 200) % 24;
+
+            for (let i = 0; i < 3; i++) {
+                const debrisY = screenY + platform.height + (debrisFall + i * 8) % 24;
+                ctx.fillRect(platform.x - 2 - i * 2, debrisY, 3, 3);
+                ctx.fillRect(platform.x + platform.width - 1 + i * 2, debrisY, 3, 3);
+            }
+        }
+    }
+});
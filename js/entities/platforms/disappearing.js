@@ -0,0 +1,99 @@
+/**
+ * Disappearing platform - fades away after one jump (see Platform.startDisappearing)
+ */
+PlatformTypes.register({
+    name: 'disappearing',
+    colors: {
+        light: '#D55B5B', // Light red
+        dark: '#A32A2A'   // Dark red
+    },
+    spawnWeights: [[0, 0], [300, 0.1], [1000, 0.15]],
+
+    /**
+     * Bounce the player and start fading
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump();
+        platform.startDisappearing();
+    },
+
+    /**
+     * Don't create two disappearing platforms close together
+     * @param {string[]} recentTypes - Types of the last few platforms generated
+     * @returns {boolean} True if a disappearing platform may spawn next
+     */
+    canSpawn(recentTypes) {
+        return !recentTypes.includes('disappearing');
+    },
+
+    /**
+     * Draw a clock, with particles rising once it starts to fade
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const centerX = platform.x + platform.width / 2;
+        const centerY = screenY + platform.height / 2;
+        const radius = platform.height * 0.4;
+
+        // Clock face
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Clock hands - based on animation time
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+
+        // Hour hand
+        const hourAngle = platform.animationTime % (Math.PI * 2);
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(
+            centerX + Math.cos(hourAngle) * radius * 0.5,
+            centerY + Math.sin(hourAngle) * radius * 0.5
+        );
+        ctx.stroke();
+
+        // Minute hand - moving faster
+        const minuteAngle = (platform.animationTime * 12) % (Math.PI * 2);
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(
+            centerX + Math.cos(minuteAngle) * radius * 0.7,
+            centerY + Math.sin(minuteAngle) * radius * 0.7
+        );
+        ctx.stroke();
+
+        // Center dot
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // If disappearing, add particles rising up
+        if (platform.isDisappearing && platform.sprite.opacity > 0) {
+            ctx.fillStyle = 'rgba(255, 200, 200, 0.7)';
+
+            for (let i = 0; i < 10; i++) {
+                const particleX = platform.x + Math.random() * platform.width;
+                const particleY = screenY + platform.height - (platform.sprite.opacity * 0.5) * Math.random() * platform.height;
+                const particleSize = 2 + Math.random() * 3;
+
+                ctx.beginPath();
+                ctx.arc(particleX, particleY, particleSize, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * Ice platform - the player keeps sliding the way they were moving
+ */
+PlatformTypes.register({
+    name: 'ice',
+    colors: {
+        light: '#E0F7FF', // Frost white
+        dark: '#8FD3F4'   // Ice blue
+    },
+    spawnWeights: [[0, 0], [300, 0.1]],
+
+    /**
+     * Set how long a slide lasts
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.slipperiness = 0.96; // Share of the slide the player keeps each tick
+    },
+
+    /**
+     * Bounce the player, keeping their sideways speed as a slide
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.momentumX = Math.max(-player.speed, Math.min(player.speed, player.velocityX));
+        player.momentumDecay = platform.slipperiness;
+        player.jump();
+    },
+
+    /**
+     * Draw frosty glints on top and icicles underneath
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const glintCount = Math.max(1, Math.floor(platform.width / 35));
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.fillStyle = 'rgba(143, 211, 244, 0.8)';
+
+        for (let i = 0; i < glintCount; i++) {
+            const glintX = platform.x + (i + 0.5) * platform.width / glintCount;
+
+            ctx.beginPath();
+            ctx.moveTo(glintX - 6, screenY + platform.height - 4);
+            ctx.lineTo(glintX + 2, screenY + 4);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(glintX + 4, screenY + platform.height);
+            ctx.lineTo(glintX + 12, screenY + platform.height);
+            ctx.lineTo(glintX + 8, screenY + platform.height + 8);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+});
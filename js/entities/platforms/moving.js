@@ -0,0 +1,108 @@
+/**
+ * Moving platform - slides back and forth, carrying the player with it
+ */
+PlatformTypes.register({
+    name: 'moving',
+    colors: {
+        light: '#71A744', // Light green (same as bouncy)
+        dark: '#4B5320'   // Dark green
+    },
+    spawnWeights: [[0, 0.03]], // Rare - they make jumps hard to time
+    carriesPlayer: true,
+
+    /**
+     * Move the platform back and forth
+     * @param {Platform} platform - Platform to update
+     * @param {number} deltaTime - Time since last update
+     * @param {number} canvasWidth - Canvas width for movement bounds
+     */
+    update(platform, deltaTime, canvasWidth) {
+        const animationSpeed = 0.15; // Reduced from 0.3 for even slower movement
+        platform.x = platform.initialX + Math.sin(platform.animationTime * animationSpeed) * platform.moveRange * platform.direction;
+
+        // Ensure platform stays within canvas bounds
+        if (platform.x < 0) {
+            platform.x = 0;
+            platform.direction *= -1;
+        } else if (platform.x + platform.width > canvasWidth) {
+            platform.x = canvasWidth - platform.width;
+            platform.direction *= -1;
+        }
+    },
+
+    /**
+     * Bounce the player, passing on some of the platform's movement
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump();
+        player.velocityX += platform.velocityX * 0.5;
+    },
+
+    /**
+     * Draw a Pepe face looking the way the platform moves
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const eyeSize = platform.height * 0.3;
+        const eyePosY = screenY + platform.height * 0.4;
+        const leftEyeX = platform.x + platform.width * 0.3;
+        const rightEyeX = platform.x + platform.width * 0.7;
+
+        // White of eyes
+        ctx.fillStyle = 'white';
+        ctx.beginPath();
+        ctx.arc(leftEyeX, eyePosY, eyeSize, 0, Math.PI * 2);
+        ctx.arc(rightEyeX, eyePosY, eyeSize, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Direction of pupils based on movement
+        const pupilOffset = platform.direction > 0 ? eyeSize * 0.3 : -eyeSize * 0.3;
+
+        // Pupils
+        ctx.fillStyle = 'black';
+        ctx.beginPath();
+        ctx.arc(leftEyeX + pupilOffset, eyePosY, eyeSize * 0.5, 0, Math.PI * 2);
+        ctx.arc(rightEyeX + pupilOffset, eyePosY, eyeSize * 0.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Smile
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(
+            platform.x + platform.width / 2,
+            screenY + platform.height * 0.7,
+            platform.width * 0.15,
+            0,
+            Math.PI
+        );
+        ctx.stroke();
+
+        // Direction indicator - arrow on the side
+        const arrowSize = 10;
+        ctx.fillStyle = '#FFFFFF';
+
+        // Draw arrow pointing in movement direction
+        if (platform.direction > 0) {
+            // Right arrow
+            ctx.beginPath();
+            ctx.moveTo(platform.x + platform.width - arrowSize, screenY + platform.height / 2);
+            ctx.lineTo(platform.x + platform.width - arrowSize * 3, screenY + platform.height / 2 - arrowSize);
+            ctx.lineTo(platform.x + platform.width - arrowSize * 3, screenY + platform.height / 2 + arrowSize);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            // Left arrow
+            ctx.beginPath();
+            ctx.moveTo(platform.x + arrowSize, screenY + platform.height / 2);
+            ctx.lineTo(platform.x + arrowSize * 3, screenY + platform.height / 2 - arrowSize);
+            ctx.lineTo(platform.x + arrowSize * 3, screenY + platform.height / 2 + arrowSize);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+});
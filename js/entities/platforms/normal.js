@@ -0,0 +1,54 @@
+/**
+ * Normal platform - a plain jump
+ */
+PlatformTypes.register({
+    name: 'normal',
+    colors: {
+        light: '#5B9BD5', // Light blue
+        dark: '#2A5395'   // Dark blue
+    },
+    spawnWeights: [[0, 0.25], [300, 0.05]],
+    removeWhenLeftBehind: true, // Vanishes at once far below the player, so it can't catch a fall
+
+    /**
+     * Bounce the player
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        player.jump();
+    },
+
+    /**
+     * Draw paw prints (Bunny themed)
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        const pawCount = Math.floor(platform.width / 40);
+        for (let i = 0; i < pawCount; i++) {
+            const pawX = platform.x + 20 + i * (platform.width - 40) / Math.max(1, pawCount - 1);
+            const pawY = screenY + platform.height / 2;
+
+            // Main paw pad
+            ctx.beginPath();
+            ctx.arc(pawX, pawY, 5, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Toe pads
+            for (let j = 0; j < 3; j++) {
+                const angle = -Math.PI / 4 + (Math.PI / 2) * j / 2;
+                ctx.beginPath();
+                ctx.arc(
+                    pawX + Math.cos(angle) * 7,
+                    pawY + Math.sin(angle) * 7,
+                    3,
+                    0, Math.PI * 2
+                );
+                ctx.fill();
+            }
+        }
+    }
+});
@@ -0,0 +1,94 @@
+/**
+ * Path platform - follows a loop of authored waypoints, carrying the player with it
+ */
+PlatformTypes.register({
+    name: 'path',
+    colors: {
+        light: '#4CC9B0', // Light teal
+        dark: '#1F7A68'   // Dark teal
+    },
+    spawnWeights: [[0, 0], [1000, 0.04]],
+    carriesPlayer: true,
+
+    // Waypoint loops as [x, y] offsets from where the platform is placed, which is
+    // the first waypoint. Each platform mirrors its loop to match its direction.
+    // Add loops here to give path platforms new shapes.
+    paths: [
+        [[60, 0], [60, -40], [0, -40]],       // Square
+        [[40, -30], [80, 0]],                 // Triangle
+        [[30, -20], [0, -40], [-30, -20]]     // Diamond
+    ],
+
+    // Pixels travelled per unit of animation time, scaled by the platform's speed
+    travelSpeed: 8,
+
+    /**
+     * Pick one of the loops
+     * @param {Platform} platform - New platform
+     * @param {Function} rand - Random number generator (0 to 1)
+     */
+    init(platform, rand) {
+        const path = this.paths[Math.floor(rand() * this.paths.length)];
+
+        platform.initialY = platform.y;
+        platform.waypoints = [[0, 0], ...path.map(([x, y]) => [x * platform.direction, y])];
+        platform.pathLength = platform.waypoints.reduce((length, point, i) => {
+            const next = platform.waypoints[(i + 1) % platform.waypoints.length];
+            return length + Math.hypot(next[0] - point[0], next[1] - point[1]);
+        }, 0);
+    },
+
+    /**
+     * Move the platform along its loop at a steady speed
+     * @param {Platform} platform - Platform to update
+     * @param {number} deltaTime - Time since last update
+     * @param {number} canvasWidth - Canvas width for movement bounds
+     */
+    update(platform, deltaTime, canvasWidth) {
+        const waypoints = platform.waypoints;
+        let distance = (platform.animationTime * this.travelSpeed * platform.speed) % platform.pathLength;
+
+        for (let i = 0; i < waypoints.length; i++) {
+            const [fromX, fromY] = waypoints[i];
+            const [toX, toY] = waypoints[(i + 1) % waypoints.length];
+            const length = Math.hypot(toX - fromX, toY - fromY);
+
+            if (distance <= length || i === waypoints.length - 1) {
+                const t = length > 0 ? Math.min(1, distance / length) : 0;
+                platform.x = platform.initialX + fromX + (toX - fromX) * t;
+                platform.y = platform.initialY + fromY + (toY - fromY) * t;
+                break;
+            }
+            distance -= length;
+        }
+
+        // Ensure platform stays within canvas bounds
+        platform.x = Math.max(0, Math.min(canvasWidth - platform.width, platform.x));
+    },
+
+    /**
+     * Draw the loop as a dotted track through the platform's middle
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const originX = platform.initialX + platform.width / 2;
+        const originY = screenY + (platform.initialY - platform.y) + platform.height / 2;
+
+        ctx.strokeStyle = 'rgba(76, 201, 176, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([3, 5]);
+        ctx.beginPath();
+        platform.waypoints.forEach(([x, y], i) => {
+            if (i === 0) {
+                ctx.moveTo(originX + x, originY + y);
+            } else {
+                ctx.lineTo(originX + x, originY + y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+});
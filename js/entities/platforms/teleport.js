@@ -0,0 +1,106 @@
+/**
+ * Teleport platform - an entrance sends the player to its exit a few path platforms up
+ */
+PlatformTypes.register({
+    name: 'teleport',
+    // Both platforms of a pair share a shade
+    colors: (platform) => ({
+        light: `hsl(${platform.teleportHue}, 60%, 70%)`,
+        dark: `hsl(${platform.teleportHue}, 55%, 35%)`
+    }),
+    spawnWeights: [[0, 0], [1000, 0.05]],
+
+    /**
+     * Start unlinked
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.teleportTarget = null; // Exit platform (null for exits)
+        platform.teleportHue = 280;
+    },
+
+    /**
+     * Send the player to the exit, which they jump off instead
+     * @param {Platform} platform - Platform landed on
+     * @param {Player} player - The player
+     */
+    onLand(platform, player) {
+        if (platform.teleportTarget && platform.teleportTarget.active) {
+            player.teleportTo(platform.teleportTarget);
+        }
+        player.jump();
+    },
+
+    /**
+     * Only one pair is open at a time - no new entrance until the last one has its exit
+     * @param {string[]} recentTypes - Types of the last few platforms generated
+     * @param {PlatformManager} manager - Manager generating the platform
+     * @returns {boolean} True if a teleport entrance may spawn next
+     */
+    canSpawn(recentTypes, manager) {
+        return !manager.stateFor('teleport').entrance;
+    },
+
+    /**
+     * Open a pair on a new entrance, and close it on the path platform a few steps up.
+     * The exit is on the guaranteed path, so teleporting never skips past it.
+     * @param {Platform} platform - New path platform
+     * @param {PlatformManager} manager - Manager that generated it
+     */
+    onPathPlatform(platform, manager) {
+        const state = manager.stateFor('teleport');
+
+        if (state.entrance) {
+            state.countdown--;
+            if (state.countdown <= 0) {
+                state.pairs = (state.pairs || 0) + 1;
+                platform.setType('teleport');
+                this.link(state.entrance, platform, (280 + state.pairs * 67) % 360);
+                state.entrance = null;
+            }
+        } else if (platform.type === 'teleport') {
+            state.entrance = platform;
+            state.countdown = manager.random.between(3, 5); // Path platforms left until the exit
+        }
+    },
+
+    /**
+     * Link a teleport entrance to its exit
+     * @param {Platform} entrance - Teleport platform the player goes in at
+     * @param {Platform} exit - Teleport platform the player comes out on
+     * @param {number} hue - Color hue shared by both platforms of the pair
+     */
+    link(entrance, exit, hue) {
+        entrance.teleportTarget = exit;
+        entrance.teleportHue = hue;
+        exit.teleportHue = hue;
+    },
+
+    /**
+     * Draw a portal - an entrance swirls, an exit glows
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const portalX = platform.x + platform.width / 2;
+        const portalY = screenY + platform.height / 2;
+        const portalRadius = Math.min(platform.width * 0.3, 18);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(portalX, portalY, portalRadius, platform.height * 0.3, 0, 0, Math.PI * 2);
+        ctx.stroke();
+
+        if (platform.teleportTarget) {
+            const swirlAngle = platform.animationTime * 3;
+            ctx.beginPath();
+            ctx.ellipse(portalX, portalY, portalRadius * 0.6, platform.height * 0.18, 0, swirlAngle, swirlAngle + Math.PI * 1.2);
+            ctx.stroke();
+        } else {
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.3 + Math.sin(platform.animationTime * 4) * 0.2})`;
+            ctx.fill();
+        }
+    }
+});
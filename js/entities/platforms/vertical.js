@@ -0,0 +1,55 @@
+/**
+ * Vertical platform - a lift that rises and sinks, carrying the player with it
+ */
+PlatformTypes.register({
+    name: 'vertical',
+    colors: {
+        light: '#F2C94C', // Light yellow
+        dark: '#B7912B'   // Dark yellow
+    },
+    spawnWeights: [[0, 0], [300, 0.05]],
+    carriesPlayer: true,
+
+    /**
+     * Remember where the lift starts
+     * @param {Platform} platform - New platform
+     */
+    init(platform) {
+        platform.initialY = platform.y;
+        platform.liftRange = platform.moveRange * 0.6; // Kept small so the path stays jumpable
+    },
+
+    /**
+     * Move the platform up and down, starting from where it was placed
+     * @param {Platform} platform - Platform to update
+     */
+    update(platform) {
+        const animationSpeed = 0.15; // Same pace as moving platforms
+        platform.y = platform.initialY - Math.sin(platform.animationTime * animationSpeed) * platform.liftRange * platform.direction;
+    },
+
+    /**
+     * Draw arrows pointing the way the lift is going
+     * @param {Platform} platform - Platform to draw
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenY - Top of the platform on screen
+     */
+    draw(platform, ctx, screenY) {
+        const rising = platform.velocityY <= 0;
+        const arrowSize = Math.min(6, platform.height * 0.3);
+        const middleY = screenY + platform.height / 2;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        for (const arrowX of [platform.x + 14, platform.x + platform.width - 14]) {
+            const tipY = rising ? middleY - arrowSize : middleY + arrowSize;
+            const baseY = rising ? middleY + arrowSize : middleY - arrowSize;
+
+            ctx.beginPath();
+            ctx.moveTo(arrowX, tipY);
+            ctx.lineTo(arrowX - arrowSize, baseY);
+            ctx.lineTo(arrowX + arrowSize, baseY);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+});
@@ -1,20 +1,17 @@
 /**
  * Player class for the game
  */
-class Player {
+class Player extends Entity {
     /**
      * Create a new player
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
      * @param {number} width - Player width
      * @param {number} height - Player height
+     * @param {SeededRandom} random - Optional random generator for movement jitter
      */
-    constructor(x, y, width, height) {
-        // Position and size
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
+    constructor(x, y, width, height, random = null) {
+        super('player', x, y, width, height);
         
         // Physics
         this.velocityY = 0;
@@ -27,108 +24,88 @@ class Player {
         // Movement
         this.speed = 6;
         this.direction = 0; // -1: left, 0: neutral, 1: right
+        this.random = random;
+        
+        // Sideways push picked up from conveyor and ice platforms, on top of the controls
+        this.momentumX = 0;
+        this.momentumDecay = 0.9; // Share of the push kept each tick (set by the platform)
         
         // State
         this.isJumping = false;
         this.isFalling = false;
         this.isAlive = true;
         
-        // Power-ups
-        this.hasPowerUp = false;
-        this.powerUpType = null;
-        this.powerUpTimer = 0;
-        this.hasShield = false;
-        
-        // Animation
-        this.frame = 0;
-        this.frameCount = 3;
-        this.frameDelay = 5;
-        this.frameTimer = 0;
-        
-        // Create sprite image, but don't rely on it loading
-        this.sprite = new Image();
-        this.spriteLoaded = false;
-        this.sprite.onload = () => {
-            console.log("Player sprite loaded successfully!");
-            this.spriteLoaded = true;
-        };
-        this.sprite.onerror = (e) => {
-            console.warn('Failed to load player sprite', e);
-            this.spriteLoaded = false;
-        };
-        this.sprite.src = 'assets/player.png'; // Using the bunny image from the HTML file
-        
-        // Controls
-        this.setupControls();
+        // Power-ups - several can be active at once (see ActiveEffects for how they stack).
+        // What each one does comes from its hooks in PowerUpTypes.
+        this.effects = new ActiveEffects();
+        
+        // Shooting - tap to fire upward, at most once per shotInterval
+        this.shotInterval = 250; // ms between shots
+        this.shotTimer = 0; // ms until the next shot is allowed
+        this.shotSpeed = 12;
+        
+        // Called with (type, data) when something happens the game may react to (e.g. 'jump')
+        this.onEvent = null;
+        
+        // Animation, and the skin's image once it's loaded
+        this.sprite = new Sprite({ frameCount: 3, frameDelay: 5 });
+        
+        // Cosmetics, which only change how the player is drawn (see Cosmetics for the ones on sale)
+        this.skin = { sprite: 'assets/player.png', hoodie: '#39547B', fur: '#FFFFFF', chain: '#FFD700' };
+        this.trail = { color: '#39547B' };
+        this.setCosmetics(this.skin, this.trail);
     }
     
     /**
-     * Set up keyboard and touch controls
+     * Dress the player in a skin and trail
+     * @param {Object} skin - Skin ({sprite, hoodie, fur, chain}); without a sprite the bunny is drawn in its colors
+     * @param {Object} trail - Trail ({color, rainbow, glow})
      */
-    setupControls() {
-        // Keyboard controls
-        window.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowLeft' || e.key === 'a') {
-                this.direction = -1;
-            } else if (e.key === 'ArrowRight' || e.key === 'd') {
-                this.direction = 1;
-            }
-        });
-        
-        window.addEventListener('keyup', (e) => {
-            if ((e.key === 'ArrowLeft' || e.key === 'a') && this.direction === -1) {
-                this.direction = 0;
-            } else if ((e.key === 'ArrowRight' || e.key === 'd') && this.direction === 1) {
-                this.direction = 0;
-            }
-        });
-        
-        // Disable device orientation controls as they can interfere with touch controls
-        // Enable only on desktop for a better experience
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        
-        if (!isMobile && window.DeviceOrientationEvent) {
-            window.addEventListener('deviceorientation', (e) => {
-                if (e.gamma) {
-                    // Convert gamma rotation to direction (-90 to 90)
-                    this.direction = e.gamma / 45;
-                    // Clamp between -1 and 1
-                    this.direction = Math.max(-1, Math.min(1, this.direction));
-                }
-            }, true);
+    setCosmetics(skin, trail) {
+        this.trail = trail;
+        if (skin.sprite === this.skin.sprite && this.sprite.image) {
+            this.skin = skin;
+            return;
         }
+        this.skin = skin;
+        
+        // Don't rely on the image loading - the bunny is drawn in the skin's colors until it does
+        this.sprite.load(skin.sprite);
     }
     
     /**
      * Update player state
      * @param {number} deltaTime - Time since last update
-     * @param {Object} game - Game instance for reference
+     * @param {GameSimulation} game - Simulation the player belongs to
      */
     update(deltaTime, game) {
-        // Special handling for critical score range (300-310)
-        const isInCriticalRange = game && game.score >= 300 && game.score <= 310;
-        
         // Apply horizontal movement
-        this.velocityX = this.direction * this.speed;
+        this.velocityX = this.direction * this.speed + this.momentumX;
         this.x += this.velocityX;
         
+        // Let the push from the last platform die down
+        this.momentumX *= this.momentumDecay;
+        if (Math.abs(this.momentumX) < 0.01) {
+            this.momentumX = 0;
+        }
+        
         // Wall collision - bounce off the sides instead of wrapping
         if (this.x < 0) {
             this.x = 0;
             this.velocityX = Math.abs(this.velocityX) * 0.5; // Bounce with reduced velocity
             this.direction = Math.abs(this.direction) * 0.5; // Dampen direction
-        } else if (this.x + this.width > game.canvas.width) {
-            this.x = game.canvas.width - this.width;
+        } else if (this.x + this.width > game.width) {
+            this.x = game.width - this.width;
             this.velocityX = -Math.abs(this.velocityX) * 0.5; // Bounce with reduced velocity
             this.direction = -Math.abs(this.direction) * 0.5; // Dampen direction
         }
         
-        // Apply gravity
-        if (this.powerUpType !== 'jetpack') {
+        // Apply gravity, unless a jetpack or propeller is flying the player up
+        const flightSpeed = this.powerUpValue('flightSpeed');
+        if (!flightSpeed) {
             this.velocityY += this.gravity;
         } else {
-            // Jetpack makes player go up
-            this.velocityY = -10;
+            this.velocityY = -flightSpeed;
         }
         
         // Cap falling speed
@@ -136,82 +113,40 @@ class Player {
             this.velocityY = this.terminalVelocity;
         }
         
-        // If in critical range (score 300-310), limit jump height
-        if (isInCriticalRange && this.velocityY < -10) {
-            this.velocityY = -10; // Limit maximum upward velocity
-        }
-        
-        // Update position with safety checks
-        if (!isNaN(this.velocityY)) {
-            // Store previous Y position for debugging
-            const prevY = this.y;
-            
-            this.y += this.velocityY;
-            
-            // In critical range, make sure we don't go off-screen
-            if (isInCriticalRange) {
-                const screenY = this.y - game.camera.y;
-                if (screenY < 50) {
-                    // Too high, move back down
-                    this.y = game.camera.y + 50;
-                    this.velocityY = 0; // Stop upward momentum
-                }
-                
-                // Debug log if position changed significantly
-                if (Math.abs(this.y - prevY) > 20) {
-                    console.log(`Player Y jumped from ${prevY} to ${this.y}, velocityY: ${this.velocityY}`);
-                }
-            }
-        } else {
-            console.warn("Invalid vertical velocity detected");
-            this.velocityY = 0;
-        }
+        // Update position (invalid states are caught by the simulation's PlayerSafety)
+        this.y += this.velocityY;
         
         // Add randomness to bouncing for more lively movement
-        if (this.velocityY < 0 && !isInCriticalRange) { // Skip random movement in critical range
+        if (this.velocityY < 0) {
             // Random horizontal wiggle when jumping
-            this.x += (Math.random() - 0.5) * 0.5;
+            this.x += ((this.random ? this.random.next() : Math.random()) - 0.5) * 0.5;
             
             // Ensure wall constraints after random movement
             if (this.x < 0) this.x = 0;
-            if (this.x + this.width > game.canvas.width) this.x = game.canvas.width - this.width;
+            if (this.x + this.width > game.width) this.x = game.width - this.width;
         }
         
         // Update state
         this.isFalling = this.velocityY > 0;
         
-        // Handle power-up timer
-        if (this.hasPowerUp) {
-            this.powerUpTimer -= deltaTime;
-            if (this.powerUpTimer <= 0) {
-                this.deactivatePowerUp();
-            }
+        // Handle power-up timers
+        this.effects.update(deltaTime);
+        
+        // Reload
+        if (this.shotTimer > 0) {
+            this.shotTimer -= deltaTime;
         }
         
         // Set frame to 0 to prevent blinking animation
-        this.frame = 0;
+        this.sprite.frame = 0;
         
-        // Log position periodically for debugging
-        if (Math.random() < 0.01 || isInCriticalRange) {
-            Utils.debug(`Player pos: ${Math.round(this.x)},${Math.round(this.y)} vel: ${this.velocityY.toFixed(1)}`);
-        }
-        
-        // Check if player has fallen off the screen - with special handling for critical range
-        if (this.y > game.camera.y + game.canvas.height) {
-            // In critical range, don't let the player die from falling
-            if (isInCriticalRange) {
-                console.log("Preventing fall at critical score range");
-                this.y = game.camera.y + game.canvas.height * 0.7;
-                this.velocityY = this.jumpForce * 0.7;
-                return;
-            }
-            
-            if (!this.hasShield) {
+        // Check if player has fallen off the screen
+        if (this.y > game.camera.y + game.height) {
+            if (!this.absorbHit()) {
                 this.isAlive = false;
             } else {
-                // Use shield to save the player
-                this.hasShield = false;
-                this.y = game.camera.y + game.canvas.height - this.height * 2;
+                // The shield used up a charge saving the player
+                this.y = game.camera.y + game.height - this.height * 2;
                 this.velocityY = this.jumpForce;
             }
         }
@@ -227,38 +162,26 @@ class Player {
             const playerBottom = this.y + this.height;
             const platformTop = platform.y;
             
-            // Check if player's feet are near the platform top
-            if (playerBottom >= platformTop && playerBottom <= platformTop + platform.height / 2) {
+            // Check if player's feet are near the platform top. A platform moving up may
+            // have risen past the feet this tick, so it gets that much more leeway.
+            const rise = Math.max(0, -(platform.velocityY || 0));
+            if (playerBottom >= platformTop && playerBottom <= platformTop + platform.height / 2 + rise) {
                 // Snap player to the platform top
                 this.y = platformTop - this.height;
                 
-                // Handle different platform types
-                switch (platform.type) {
-                    case 'normal':
-                        this.jump();
-                        break;
-                    case 'bouncy':
-                        this.jump(1.5); // Stronger jump
-                        break;
-                    case 'breakable':
-                        this.jump();
-                        platform.break();
-                        break;
-                    case 'moving':
-                        this.jump();
-                        // Apply slight horizontal velocity based on platform movement
-                        this.velocityX += platform.velocityX * 0.5;
-                        break;
-                    case 'disappearing':
-                        this.jump();
-                        platform.startDisappearing();
-                        break;
+                // Landing stops any slide, unless the platform starts a new one
+                this.momentumX = 0;
+                
+                // The platform's type decides the jump (see PlatformTypes)
+                const definition = PlatformTypes.get(platform.type);
+                if (definition.onLand) {
+                    definition.onLand(platform, this);
+                } else {
+                    this.jump();
                 }
                 
                 // Debug log
-                if (window.Utils) {
-                    Utils.debug(`Jumped on ${platform.type} platform at y=${platform.y}`);
-                }
+                Utils.debug(`Jumped on ${platform.type} platform at y=${platform.y}`);
                 
                 return true;
             }
@@ -266,80 +189,175 @@ class Player {
         return false;
     }
     
+    /**
+     * Move the player onto the middle of a teleport exit
+     * @param {Platform} exit - Platform to come out on
+     */
+    teleportTo(exit) {
+        const from = { x: this.x, y: this.y };
+        
+        this.x = exit.x + exit.width / 2 - this.width / 2;
+        this.y = exit.y - this.height;
+        
+        if (this.onEvent) {
+            this.onEvent('teleport', { from: from, to: { x: this.x, y: this.y } });
+        }
+    }
+    
     /**
      * Make the player jump
      * @param {number} multiplier - Force multiplier (default: 1)
      */
     jump(multiplier = 1) {
+        // The spring makes every bounce higher
+        const jumpMultiplier = this.powerUpValue('jumpMultiplier');
+        if (jumpMultiplier) {
+            multiplier *= jumpMultiplier;
+        }
+        
         this.isJumping = true;
         this.isFalling = false;
         
-        // Check if we're in the critical score range
-        const isInCriticalRange = window.game && window.game.score >= 300 && window.game.score <= 310;
+        this.velocityY = this.jumpForce * multiplier;
         
-        // Apply jump force with a cap for critical range
-        if (isInCriticalRange) {
-            // Use a gentler jump in the critical range
-            this.velocityY = Math.max(-10, this.jumpForce * multiplier * 0.7);
-            console.log(`Critical range jump: ${this.velocityY}`);
-        } else {
-            this.velocityY = this.jumpForce * multiplier;
+        // Let the game play the jump sound
+        if (this.onEvent) {
+            this.onEvent('jump', { multiplier: multiplier });
         }
+    }
+    
+    /**
+     * Jump again in mid-air, using up a charge of the double jump power-up
+     * @returns {boolean} True if the player jumped
+     */
+    doubleJump() {
+        const type = this.powerUpWith('extraJumps');
+        if (!type || !this.effects.useCharge(type)) return false;
         
-        // Try to play jump sound if available
-        try {
-            if (window.game && window.game.sounds && window.game.sounds.jump) {
-                window.game.sounds.jump.currentTime = 0; // Reset sound position
-                const playPromise = window.game.sounds.jump.play();
-                
-                // Handle the promise properly to avoid uncaught exceptions
-                if (playPromise !== undefined) {
-                    playPromise.catch(error => {
-                        console.warn('[DEBUG] Could not play jump sound', error);
-                    });
-                }
-            }
-        } catch (e) {
-            console.warn('[DEBUG] Jump sound error:', e);
-        }
+        this.jump();
+        return true;
     }
     
     /**
-     * Activate a power-up
-     * @param {string} type - Type of power-up ('jetpack', 'spring', 'shield')
-     * @param {number} duration - Duration in milliseconds
+     * Fire a shot straight up from the player's head
+     * @param {ProjectileManager} projectileManager - Where the shot goes
+     * @returns {boolean} True if a shot was fired (false while reloading)
      */
-    activatePowerUp(type, duration) {
-        this.hasPowerUp = true;
-        this.powerUpType = type;
-        this.powerUpTimer = duration;
+    shoot(projectileManager) {
+        if (this.shotTimer > 0) return false;
+        
+        this.shotTimer = this.shotInterval;
+        
+        // Shots keep ahead of the player even while they're rising fast
+        const centerX = this.x + this.width / 2;
+        projectileManager.fire('player', centerX, this.y, 0, Math.min(this.velocityY, 0) - this.shotSpeed);
         
-        if (type === 'shield') {
-            this.hasShield = true;
+        // Let the game play the shot sound
+        if (this.onEvent) {
+            this.onEvent('shoot', { x: centerX, y: this.y });
         }
+        return true;
+    }
+    
+    /**
+     * Check whether the player can't be hurt (the star a boss drops)
+     * @returns {boolean} True while the star is active
+     */
+    isInvincible() {
+        return Boolean(this.powerUpValue('invincible'));
+    }
+    
+    /**
+     * Let a shield take a hit for the player, using up one of its charges
+     * @returns {boolean} True if the hit was absorbed
+     */
+    absorbHit() {
+        const type = this.powerUpWith('absorbsHits');
+        return type ? this.effects.useCharge(type) : false;
+    }
+    
+    /**
+     * Pull a pickup towards the player while the magnet is active
+     * @param {Object} item - Anything with x, y, width and height
+     * @returns {boolean} True if the item was pulled
+     */
+    pull(item) {
+        const magnet = this.powerUpValue('magnet');
+        if (!magnet) return false;
         
-        // TODO: Play power-up sound effect
+        const dx = (this.x + this.width / 2) - (item.x + item.width / 2);
+        const dy = (this.y + this.height / 2) - (item.y + item.height / 2);
+        
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0 || distance > magnet.range) return false;
+        
+        const step = Math.min(magnet.strength, distance);
+        item.x += dx / distance * step;
+        item.y += dy / distance * step;
+        return true;
     }
     
     /**
-     * Deactivate the current power-up
+     * Get how fast the game should run for the player's power-up
+     * @returns {number} Speed multiplier (1 is normal speed)
      */
-    deactivatePowerUp() {
-        this.hasPowerUp = false;
-        this.powerUpType = null;
-        // Note: Shield stays active until used
+    getTimeScale() {
+        return this.powerUpValue('timeScale') || 1;
+    }
+    
+    /**
+     * Get a hook from the definition of the first running power-up that has it
+     * @param {string} property - Hook in PowerUpTypes (e.g. 'flightSpeed')
+     * @returns {*} Its value, or null if no running power-up has it
+     */
+    powerUpValue(property) {
+        const type = this.powerUpWith(property);
+        return type ? PowerUpTypes.get(type)[property] : null;
+    }
+    
+    /**
+     * Find the first running power-up whose definition has a hook
+     * @param {string} property - Hook in PowerUpTypes (e.g. 'absorbsHits')
+     * @returns {string|null} Its type, or null if no running power-up has it
+     */
+    powerUpWith(property) {
+        const effect = this.effects.active.find(running => {
+            const definition = PowerUpTypes.get(running.type);
+            return definition && definition[property];
+        });
+        return effect ? effect.type : null;
+    }
+    
+    /**
+     * Activate a power-up, alongside any that are already active
+     * @param {string} type - Type of power-up (a name in PowerUpTypes)
+     * @param {number} duration - Duration in milliseconds
+     * @returns {string} How it stacked (see ActiveEffects.add)
+     */
+    activatePowerUp(type, duration) {
+        const stacking = this.effects.add(type, duration);
+        
+        // Let the game play the power-up sound
+        if (this.onEvent) {
+            this.onEvent('powerUp', { type: type, duration: duration, stacking: stacking });
+        }
+        return stacking;
     }
     
     /**
      * Draw the player
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} cameraY - Camera Y position for scroll offset
+     * @param {number} alpha - Interpolation factor between the previous and current tick
      */
-    draw(ctx, cameraY) {
+    draw(ctx, cameraY, alpha = 1) {
         const screenY = this.y - cameraY;
         
         ctx.save();
         
+        // Draw at the position interpolated between the last two simulation ticks
+        this.transform.translate(ctx, alpha);
+        
         // Draw player trail/afterimage effect to make movement more visible
         for (let i = 1; i <= 3; i++) {
             const trailOpacity = 0.1 * (4 - i);
@@ -350,7 +368,13 @@ class Player {
                 ctx.globalAlpha = trailOpacity;
                 
                 // Draw trail markers (small dots instead of circles)
-                ctx.fillStyle = '#39547B'; // Bunny blue trail
+                // Rainbow trails cycle through the hues as the bunny climbs
+                const hue = ((Math.abs(this.y) * 0.5 + i * 60) % 360).toFixed(0);
+                ctx.fillStyle = this.trail.rainbow ? `hsl(${hue}, 90%, 60%)` : this.trail.color;
+                if (this.trail.glow) {
+                    ctx.shadowColor = ctx.fillStyle;
+                    ctx.shadowBlur = 8;
+                }
                 ctx.beginPath();
                 ctx.arc(
                     this.x + this.width/2, 
@@ -363,14 +387,16 @@ class Player {
         }
         
         ctx.globalAlpha = 1.0;
+        ctx.shadowBlur = 0;
         
         // Try to use the sprite image if it exists
-        if (this.sprite.complete) {
+        if (this.sprite.isLoaded()) {
             // Sprite exists, draw it scaled to fit player dimensions
+            const image = this.sprite.image;
             ctx.drawImage(
-                this.sprite, 
+                image, 
                 0, 0, 
-                this.sprite.width, this.sprite.height,
+                image.width, image.height,
                 this.x, screenY, 
                 this.width, this.height
             );
@@ -399,7 +425,7 @@ class Player {
             // Draw Bunny character based on the image
             
             // Body - blue hoodie
-            ctx.fillStyle = '#39547B'; // Blue hoodie color
+            ctx.fillStyle = this.skin.hoodie; // Hoodie color
             ctx.beginPath();
             ctx.roundRect(
                 this.x + this.width * 0.1, 
@@ -411,7 +437,7 @@ class Player {
             ctx.fill();
             
             // Head - white rabbit
-            ctx.fillStyle = '#FFFFFF'; // White rabbit color
+            ctx.fillStyle = this.skin.fur; // Rabbit fur color
             ctx.beginPath();
             ctx.arc(
                 this.x + this.width/2, 
@@ -504,7 +530,7 @@ class Player {
             ctx.stroke();
             
             // Gold chain necklace
-            ctx.strokeStyle = '#FFD700'; // Gold color
+            ctx.strokeStyle = this.skin.chain; // Chain color
             ctx.lineWidth = 3;
             ctx.beginPath();
             ctx.arc(
@@ -521,7 +547,7 @@ class Player {
                 const pendantX = this.x + this.width * (0.4 + i * 0.1);
                 const pendantY = screenY + this.height * 0.45;
                 
-                ctx.fillStyle = '#FFD700';
+                ctx.fillStyle = this.skin.chain;
                 ctx.beginPath();
                 ctx.arc(
                     pendantX,
@@ -534,72 +560,13 @@ class Player {
         }
         
         // Draw power-up effects
-        if (this.hasPowerUp) {
-            switch (this.powerUpType) {
-                case 'jetpack':
-                    // Draw jetpack flames
-                    ctx.fillStyle = 'orange';
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + this.width/4, screenY + this.height);
-                    ctx.lineTo(this.x + this.width/2, screenY + this.height + 30);
-                    ctx.lineTo(this.x + this.width*3/4, screenY + this.height);
-                    ctx.fill();
-                    break;
-                    
-                case 'spring':
-                    // Draw spring indicator
-                    ctx.fillStyle = 'green';
-                    ctx.fillRect(this.x, screenY + this.height - 5, this.width, 5);
-                    break;
+        for (const effect of this.effects.active) {
+            const definition = PowerUpTypes.get(effect.type);
+            if (definition && definition.drawEffect) {
+                definition.drawEffect(this, ctx, screenY, effect);
             }
         }
         
-        // Draw shield effect
-        if (this.hasShield) {
-            // Create a glowing shield effect with umbrella-like appearance
-            const gradient = ctx.createRadialGradient(
-                this.x + this.width/2, 
-                screenY + this.height/2, 
-                this.width/2,
-                this.x + this.width/2, 
-                screenY + this.height/2, 
-                this.width * 0.9
-            );
-            gradient.addColorStop(0, 'rgba(139, 58, 58, 0)');
-            gradient.addColorStop(0.7, 'rgba(139, 58, 58, 0.2)');
-            gradient.addColorStop(1, 'rgba(139, 58, 58, 0.7)');
-            
-            ctx.fillStyle = gradient;
-            ctx.beginPath();
-            ctx.arc(
-                this.x + this.width/2, 
-                screenY + this.height/2, 
-                this.width * 0.9, 
-                0, Math.PI * 2
-            );
-            ctx.fill();
-            
-            // Add shield border - like umbrella
-            ctx.strokeStyle = 'rgba(139, 58, 58, 0.7)';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(
-                this.x + this.width/2, 
-                screenY + this.height/2, 
-                this.width * 0.9, 
-                0, Math.PI * 2
-            );
-            ctx.stroke();
-            
-            // Draw umbrella handle
-            ctx.strokeStyle = '#8B3A3A';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(this.x + this.width/2, screenY + this.height/2);
-            ctx.lineTo(this.x + this.width/2, screenY + this.height);
-            ctx.stroke();
-        }
-        
         ctx.restore();
     }
 } 
\ No newline at end of file
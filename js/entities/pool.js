@@ -0,0 +1,51 @@
+/**
+ * Pool class - spent objects kept to be used again, so spawning doesn't allocate
+ * once the pool has filled up. Pools don't reset what they hand out: the object's
+ * own method does that (Platform.spawn, Projectile.launch, ...), whether it's new
+ * or reused.
+ *
+ * Anything still holding on to a released object sees it come back as something
+ * else once it's reused, so only release what nothing refers to any more.
+ */
+class Pool {
+    /**
+     * Create an empty pool
+     * @param {Function} create - Makes a new object when there are none to reuse
+     * @param {Object} stats - Counts {created, reused} to add to (see World.allocations)
+     */
+    constructor(create, stats = null) {
+        this.create = create;
+        this.free = []; // Released objects waiting to be reused
+        this.stats = stats || { created: 0, reused: 0 };
+    }
+    
+    /**
+     * Number of objects waiting to be reused
+     * @returns {number} Free objects
+     */
+    get length() {
+        return this.free.length;
+    }
+    
+    /**
+     * Take an object from the pool, or make one if it's empty
+     * @returns {Object} The object, to be reset by the caller
+     */
+    acquire() {
+        if (this.free.length > 0) {
+            this.stats.reused++;
+            return this.free.pop();
+        }
+        
+        this.stats.created++;
+        return this.create();
+    }
+    
+    /**
+     * Give an object back to be reused
+     * @param {Object} object - An object nothing refers to any more
+     */
+    release(object) {
+        this.free.push(object);
+    }
+}
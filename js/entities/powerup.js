@@ -1,63 +1,600 @@
+/**
+ * Power-up definitions - everything that makes one power-up different from another:
+ *
+ *   name: {
+ *     duration: 5000,          // Milliseconds the effect lasts once collected
+ *     color: '#71A744',        // Icon, glow and HUD ring color
+ *     pitch: 1,                // Pickup sound pitch
+ *     stacking: {...},         // What happens when it's picked up while running (see below)
+ *     spawns: false,           // Left out of the normal spawns (e.g. only dropped by bosses)
+ *     drawIcon(powerUp, ctx, screenY) {},               // The collectible
+ *     drawEffect(player, ctx, screenY, effect) {},      // On the player while it runs
+ *     ...hooks                 // What it does to the player (below)
+ *   }
+ *
+ * Stacking rules ({stack, maxStack, maxCharges, group, untimed}):
+ *   'refresh' - restart its timer
+ *   'extend'  - add the new time to what's left, up to maxStack pickups' worth
+ *   'charges' - add a use (up to maxCharges) and restart its timer
+ * Effects in the same group can't run together - a different one waits in the queue.
+ * Untimed effects last until their charges are used up.
+ *
+ * Player hooks: flightSpeed (flies up at this speed), jumpMultiplier (higher bounces),
+ * absorbsHits (a charge saves the player from a hit or a fall), magnet ({range, strength}
+ * pull on coins and power-ups), timeScale (slows the world down), extraJumps (a mid-air
+ * jump per charge) and invincible (enemies can't hurt the player).
+ *
+ * The order of the types is the order spawns pick from, so it's part of a replay.
+ */
+const PowerUpTypes = {
+    // Definitions by name
+    types: {
+        jetpack: {
+            duration: 5000,
+            color: '#71A744', // Grass green
+            pitch: 1,
+            stacking: { stack: 'extend', maxStack: 2, group: 'flight' },
+            flightSpeed: 10,
+            
+            /**
+             * Draw a Pepe-themed jetpack
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                
+                // Jetpack body
+                ctx.beginPath();
+                ctx.roundRect(
+                    powerUp.x + powerUp.width * 0.2,
+                    screenY + powerUp.height * 0.2,
+                    powerUp.width * 0.6,
+                    powerUp.height * 0.6,
+                    [5]
+                );
+                ctx.fill();
+                
+                // Pepe face on jetpack
+                ctx.fillStyle = '#4B5320';
+                ctx.beginPath();
+                ctx.arc(
+                    powerUp.x + powerUp.width/2,
+                    screenY + powerUp.height/2,
+                    powerUp.width/4,
+                    0, Math.PI * 2
+                );
+                ctx.fill();
+                
+                // Pepe eyes
+                ctx.fillStyle = '#FFF';
+                ctx.beginPath();
+                ctx.arc(
+                    powerUp.x + powerUp.width/2 - powerUp.width/8,
+                    screenY + powerUp.height/2 - powerUp.height/10,
+                    powerUp.width/10,
+                    0, Math.PI * 2
+                );
+                ctx.arc(
+                    powerUp.x + powerUp.width/2 + powerUp.width/8,
+                    screenY + powerUp.height/2 - powerUp.height/10,
+                    powerUp.width/10,
+                    0, Math.PI * 2
+                );
+                ctx.fill();
+                
+                // Flames
+                ctx.fillStyle = 'orange';
+                ctx.beginPath();
+                ctx.moveTo(powerUp.x + powerUp.width/3, screenY + powerUp.height * 0.8);
+                ctx.lineTo(powerUp.x + powerUp.width/2, screenY + powerUp.height * 1.1);
+                ctx.lineTo(powerUp.x + powerUp.width * 2/3, screenY + powerUp.height * 0.8);
+                ctx.fill();
+            },
+            
+            /**
+             * Draw jetpack flames under the player
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.fillStyle = 'orange';
+                ctx.beginPath();
+                ctx.moveTo(player.x + player.width/4, screenY + player.height);
+                ctx.lineTo(player.x + player.width/2, screenY + player.height + 30);
+                ctx.lineTo(player.x + player.width*3/4, screenY + player.height);
+                ctx.fill();
+            }
+        },
+        
+        spring: {
+            duration: 3000,
+            color: '#D4AF37', // Gold
+            pitch: 1.25,
+            stacking: { stack: 'refresh' },
+            jumpMultiplier: 1.4,
+            
+            /**
+             * Draw a gold spring
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                
+                // Spring base
+                ctx.fillRect(
+                    powerUp.x + powerUp.width * 0.2,
+                    screenY + powerUp.height * 0.7,
+                    powerUp.width * 0.6,
+                    powerUp.height * 0.2
+                );
+                
+                // Spring coils
+                ctx.strokeStyle = this.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(powerUp.x + powerUp.width * 0.3, screenY + powerUp.height * 0.7);
+                
+                // Draw zigzag
+                const segments = 4;
+                const coilHeight = powerUp.height * 0.5;
+                for (let i = 0; i <= segments; i++) {
+                    const segX = powerUp.x + powerUp.width * 0.3 + (powerUp.width * 0.4 * i / segments);
+                    const segY = screenY + powerUp.height * 0.7 - (i % 2 === 0 ? 0 : coilHeight / 2);
+                    ctx.lineTo(segX, segY);
+                }
+                
+                ctx.stroke();
+                
+                // Spring top
+                ctx.fillRect(
+                    powerUp.x + powerUp.width * 0.2,
+                    screenY + powerUp.height * 0.2,
+                    powerUp.width * 0.6,
+                    powerUp.height * 0.1
+                );
+            },
+            
+            /**
+             * Draw a spring under the player's feet
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.fillStyle = 'green';
+                ctx.fillRect(player.x, screenY + player.height - 5, player.width, 5);
+            }
+        },
+        
+        shield: {
+            duration: 8000, // Untimed - it lasts until it's used
+            color: '#8B3A3A', // Umbrella red
+            pitch: 0.9,
+            stacking: { stack: 'charges', maxCharges: 2, untimed: true },
+            absorbsHits: true,
+            
+            /**
+             * Draw an umbrella
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                
+                // Umbrella top
+                ctx.beginPath();
+                ctx.arc(
+                    powerUp.x + powerUp.width/2,
+                    screenY + powerUp.height/3,
+                    powerUp.width/2.5,
+                    Math.PI,
+                    0
+                );
+                ctx.fill();
+                
+                // Umbrella handle
+                ctx.strokeStyle = '#5E2727';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(powerUp.x + powerUp.width/2, screenY + powerUp.height/3);
+                ctx.lineTo(powerUp.x + powerUp.width/2, screenY + powerUp.height/1.2);
+                ctx.stroke();
+                
+                // Umbrella ribs
+                ctx.strokeStyle = '#FFF';
+                ctx.lineWidth = 1;
+                for (let i = 0; i < 4; i++) {
+                    ctx.beginPath();
+                    ctx.moveTo(powerUp.x + powerUp.width/2, screenY + powerUp.height/3);
+                    ctx.lineTo(
+                        powerUp.x + powerUp.width/2 + Math.cos(Math.PI + (i * Math.PI/4)) * powerUp.width/2.5,
+                        screenY + powerUp.height/3 + Math.sin(Math.PI + (i * Math.PI/4)) * powerUp.width/2.5
+                    );
+                    ctx.stroke();
+                }
+            },
+            
+            /**
+             * Draw a glowing umbrella-like shield around the player
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                const gradient = ctx.createRadialGradient(
+                    player.x + player.width/2, 
+                    screenY + player.height/2, 
+                    player.width/2,
+                    player.x + player.width/2, 
+                    screenY + player.height/2, 
+                    player.width * 0.9
+                );
+                gradient.addColorStop(0, 'rgba(139, 58, 58, 0)');
+                gradient.addColorStop(0.7, 'rgba(139, 58, 58, 0.2)');
+                gradient.addColorStop(1, 'rgba(139, 58, 58, 0.7)');
+                
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(
+                    player.x + player.width/2, 
+                    screenY + player.height/2, 
+                    player.width * 0.9, 
+                    0, Math.PI * 2
+                );
+                ctx.fill();
+                
+                // Add shield border - like umbrella
+                ctx.strokeStyle = 'rgba(139, 58, 58, 0.7)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(
+                    player.x + player.width/2, 
+                    screenY + player.height/2, 
+                    player.width * 0.9, 
+                    0, Math.PI * 2
+                );
+                ctx.stroke();
+                
+                // Draw umbrella handle
+                ctx.strokeStyle = '#8B3A3A';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(player.x + player.width/2, screenY + player.height/2);
+                ctx.lineTo(player.x + player.width/2, screenY + player.height);
+                ctx.stroke();
+            }
+        },
+        
+        magnet: {
+            duration: 8000,
+            color: '#D64541', // Horseshoe red
+            pitch: 0.8,
+            stacking: { stack: 'extend', maxStack: 3 },
+            magnet: { range: 250, strength: 8 },
+            
+            /**
+             * Draw a horseshoe magnet with silver tips
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.strokeStyle = this.color;
+                ctx.lineWidth = powerUp.width * 0.18;
+                ctx.beginPath();
+                ctx.arc(
+                    powerUp.x + powerUp.width/2,
+                    screenY + powerUp.height * 0.45,
+                    powerUp.width * 0.25,
+                    0,
+                    Math.PI
+                );
+                ctx.moveTo(powerUp.x + powerUp.width * 0.25, screenY + powerUp.height * 0.45);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.25, screenY + powerUp.height * 0.2);
+                ctx.moveTo(powerUp.x + powerUp.width * 0.75, screenY + powerUp.height * 0.45);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.75, screenY + powerUp.height * 0.2);
+                ctx.stroke();
+                
+                // Tips
+                ctx.fillStyle = '#DDDDDD';
+                ctx.fillRect(powerUp.x + powerUp.width * 0.16, screenY + powerUp.height * 0.1, powerUp.width * 0.18, powerUp.height * 0.12);
+                ctx.fillRect(powerUp.x + powerUp.width * 0.66, screenY + powerUp.height * 0.1, powerUp.width * 0.18, powerUp.height * 0.12);
+            },
+            
+            /**
+             * Draw a faint ring showing the magnet's reach
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.strokeStyle = 'rgba(214, 69, 65, 0.35)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 6]);
+                ctx.beginPath();
+                ctx.arc(player.x + player.width / 2, screenY + player.height / 2, this.magnet.range, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        },
+        
+        slowMotion: {
+            duration: 4000, // Game time, so it lasts twice as long on the clock
+            color: '#5DADE2', // Sky blue
+            pitch: 0.6,
+            stacking: { stack: 'refresh' },
+            timeScale: 0.5,
+            
+            /**
+             * Draw an hourglass
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                ctx.beginPath();
+                ctx.moveTo(powerUp.x + powerUp.width * 0.25, screenY + powerUp.height * 0.15);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.75, screenY + powerUp.height * 0.15);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.5, screenY + powerUp.height * 0.5);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.75, screenY + powerUp.height * 0.85);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.25, screenY + powerUp.height * 0.85);
+                ctx.lineTo(powerUp.x + powerUp.width * 0.5, screenY + powerUp.height * 0.5);
+                ctx.closePath();
+                ctx.fill();
+                
+                // Frame
+                ctx.fillStyle = '#8B5A2B';
+                ctx.fillRect(powerUp.x + powerUp.width * 0.2, screenY + powerUp.height * 0.1, powerUp.width * 0.6, powerUp.height * 0.06);
+                ctx.fillRect(powerUp.x + powerUp.width * 0.2, screenY + powerUp.height * 0.84, powerUp.width * 0.6, powerUp.height * 0.06);
+            },
+            
+            /**
+             * Draw a cool blue glow around the player
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.strokeStyle = 'rgba(93, 173, 226, 0.8)';
+                ctx.lineWidth = 3;
+                ctx.strokeRect(player.x - 3, screenY - 3, player.width + 6, player.height + 6);
+            }
+        },
+        
+        doubleJump: {
+            duration: 10000, // Time to use the extra jumps in
+            color: '#9B59B6', // Purple
+            pitch: 1.35,
+            stacking: { stack: 'charges', maxCharges: 3 },
+            extraJumps: true,
+            
+            /**
+             * Draw two chevrons pointing up
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.strokeStyle = this.color;
+                ctx.lineWidth = 4;
+                for (let i = 0; i < 2; i++) {
+                    const chevronY = screenY + powerUp.height * (0.35 + i * 0.3);
+                    ctx.beginPath();
+                    ctx.moveTo(powerUp.x + powerUp.width * 0.2, chevronY);
+                    ctx.lineTo(powerUp.x + powerUp.width * 0.5, chevronY - powerUp.height * 0.2);
+                    ctx.lineTo(powerUp.x + powerUp.width * 0.8, chevronY);
+                    ctx.stroke();
+                }
+            },
+            
+            /**
+             * Draw little wings showing there's a jump in reserve
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.fillStyle = 'rgba(155, 89, 182, 0.8)';
+                for (const side of [-1, 1]) {
+                    const wingX = player.x + player.width / 2 + side * player.width * 0.45;
+                    ctx.beginPath();
+                    ctx.moveTo(wingX, screenY + player.height * 0.45);
+                    ctx.lineTo(wingX + side * 18, screenY + player.height * 0.3);
+                    ctx.lineTo(wingX + side * 12, screenY + player.height * 0.6);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+        },
+        
+        propeller: {
+            duration: 6000,
+            color: '#F39C12', // Orange hat
+            pitch: 1.1,
+            stacking: { stack: 'extend', maxStack: 2, group: 'flight' },
+            flightSpeed: 6,
+            
+            /**
+             * Draw a propeller hat
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                ctx.beginPath();
+                ctx.arc(
+                    powerUp.x + powerUp.width/2,
+                    screenY + powerUp.height * 0.75,
+                    powerUp.width * 0.35,
+                    Math.PI,
+                    0
+                );
+                ctx.fill();
+                
+                // Stem and blades
+                ctx.fillStyle = '#555555';
+                ctx.fillRect(powerUp.x + powerUp.width * 0.47, screenY + powerUp.height * 0.25, powerUp.width * 0.06, powerUp.height * 0.2);
+                ctx.fillStyle = '#5DADE2';
+                ctx.fillRect(powerUp.x + powerUp.width * 0.1, screenY + powerUp.height * 0.2, powerUp.width * 0.8, powerUp.height * 0.08);
+            },
+            
+            /**
+             * Draw a propeller hat with spinning blades
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                const hatX = player.x + player.width / 2;
+                const hatY = screenY - player.height * 0.05;
+                const bladeWidth = Math.abs(Math.cos(effect.timer * 0.05)) * player.width * 0.4;
+                ctx.fillStyle = '#F39C12';
+                ctx.beginPath();
+                ctx.arc(hatX, hatY + 6, player.width * 0.18, Math.PI, 0);
+                ctx.fill();
+                ctx.fillStyle = '#555555';
+                ctx.fillRect(hatX - 1, hatY - 4, 2, 10);
+                ctx.fillStyle = '#5DADE2';
+                ctx.fillRect(hatX - bladeWidth, hatY - 6, bladeWidth * 2, 4);
+            }
+        },
+        
+        star: {
+            duration: 8000,
+            color: '#FF40A0', // Boss gem pink
+            pitch: 1.5,
+            stacking: { stack: 'refresh' },
+            invincible: true,
+            spawns: false, // Only dropped by bosses
+            
+            /**
+             * Draw a five-pointed star
+             * @param {PowerUp} powerUp - Power-up to draw
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the power-up on screen
+             */
+            drawIcon(powerUp, ctx, screenY) {
+                ctx.fillStyle = this.color;
+                ctx.beginPath();
+                for (let i = 0; i < 10; i++) {
+                    const radius = i % 2 === 0 ? powerUp.width / 2.2 : powerUp.width / 5;
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    ctx.lineTo(
+                        powerUp.x + powerUp.width/2 + Math.cos(angle) * radius,
+                        screenY + powerUp.height/2 + Math.sin(angle) * radius
+                    );
+                }
+                ctx.closePath();
+                ctx.fill();
+                
+                // Star outline
+                ctx.strokeStyle = '#FFD700';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            },
+            
+            /**
+             * Draw a shimmering outline that cycles through the colors
+             * @param {Player} player - The player
+             * @param {CanvasRenderingContext2D} ctx - Canvas context
+             * @param {number} screenY - Top of the player on screen
+             * @param {Object} effect - The running effect ({type, timer, duration, charges})
+             */
+            drawEffect(player, ctx, screenY, effect) {
+                ctx.strokeStyle = `hsl(${(effect.timer * 0.5) % 360}, 100%, 60%)`;
+                ctx.lineWidth = 4;
+                ctx.strokeRect(player.x - 4, screenY - 4, player.width + 8, player.height + 8);
+            }
+        }
+    },
+    
+    /**
+     * Get a power-up definition
+     * @param {string} name - Power-up type
+     * @returns {Object|null} The definition, or null for an unknown type
+     */
+    get: (name) => {
+        return Object.prototype.hasOwnProperty.call(PowerUpTypes.types, name) ? PowerUpTypes.types[name] : null;
+    },
+    
+    /**
+     * Names of the power-ups that appear in the normal spawns
+     * @returns {string[]} Power-up types
+     */
+    spawnable: () => {
+        return Object.keys(PowerUpTypes.types).filter(name => PowerUpTypes.types[name].spawns !== false);
+    }
+};
+
 /**
  * PowerUp class for the game
  */
-class PowerUp {
+class PowerUp extends Entity {
     /**
      * Create a new power-up
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} size - Size of the power-up (both width and height)
-     * @param {string} type - Power-up type ('jetpack', 'spring', 'shield', 'coin')
+     * @param {string} type - Power-up type (a name in PowerUpTypes)
+     * @throws {Error} If the type isn't defined
      */
     constructor(x, y, size, type = 'shield') {
-        // Position and size
-        this.x = x;
-        this.y = y;
-        this.width = size;
-        this.height = size;
+        super('powerUp');
+        
+        // Animation properties, fading out once collected (there's no sprite
+        // image - canvas-drawn shapes are used instead)
+        this.sprite = new Sprite({ frameCount: 2, frameDelay: 10 });
+        this.floatSpeed = 0.003;
+        this.floatAmount = 5;
+        
+        this.spawn(x, y, size, type);
+    }
+    
+    /**
+     * Set the power-up up at a new place. Power-ups are reused by PowerUpManager,
+     * so everything about a power-up is set here.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} size - Size of the power-up (both width and height)
+     * @param {string} type - Power-up type (a name in PowerUpTypes)
+     * @returns {PowerUp} This power-up
+     * @throws {Error} If the type isn't defined
+     */
+    spawn(x, y, size, type = 'shield') {
+        this.place(x, y, size, size);
         
         // Power-up properties
         this.type = type;
-        this.active = true;
-        this.collectTimer = 0;
+        this.definition = PowerUpTypes.get(type);
+        if (!this.definition) {
+            throw new Error(`Unknown power-up type: ${type}`);
+        }
         this.isCollected = false;
         
         // Visual properties
-        this.opacity = 1;
         this.bobHeight = 0;
         this.bobDirection = 1;
         this.rotationAngle = 0;
         this.glowIntensity = 0;
         this.glowDirection = 1;
-        
-        // Animation properties
-        this.frame = 0;
-        this.frameCount = 2;
-        this.frameDelay = 10;
-        this.frameTimer = 0;
-        this.floatSpeed = 0.003;
-        this.floatAmount = 5;
         this.floatOffset = 0;
         
-        // Power-up durations in milliseconds
-        this.durations = {
-            'jetpack': 5000,
-            'spring': 3000,
-            'shield': 8000,
-            'coin': 0 // coins are instant
-        };
-        
-        // Define colors for each power-up type to match theme
-        this.colors = {
-            'shield': '#8B3A3A',     // Umbrella red for shield
-            'jetpack': '#71A744',    // Grass green for jetpack
-            'spring': '#D4AF37',     // Gold for spring
-            'coin': '#FFD700'        // Gold for coins
-        };
-
-        // Don't try to load the sprite image since it doesn't exist
-        // Just use canvas-drawn shapes instead
-        this.spriteLoaded = false;
+        return this;
     }
     
     /**
@@ -66,9 +603,8 @@ class PowerUp {
      */
     update(deltaTime) {
         if (this.isCollected) {
-            // Update collection animation
-            this.collectTimer += deltaTime * 0.1;
-            if (this.collectTimer >= 1) {
+            // Update collection animation (a quarter of a second)
+            if (this.sprite.updateFade(deltaTime)) {
                 this.active = false;
             }
             return;
@@ -100,8 +636,8 @@ class PowerUp {
      */
     collect() {
         this.isCollected = true;
-        this.collectTimer = 0.01;
-        return this.durations[this.type];
+        this.sprite.fadeOut(250, 0.01);
+        return this.definition.duration;
     }
     
     /**
@@ -123,8 +659,8 @@ class PowerUp {
         
         // Apply collection animation
         if (this.isCollected) {
-            ctx.globalAlpha = 1 - this.collectTimer;
-            const collectScale = 1 + this.collectTimer * 2;
+            this.sprite.apply(ctx);
+            const collectScale = 1 + this.sprite.fadeProgress * 2;
             ctx.translate(this.x + this.width / 2, screenY + this.height / 2);
             ctx.scale(collectScale, collectScale);
             ctx.translate(-(this.x + this.width / 2), -(screenY + this.height / 2));
@@ -135,185 +671,12 @@ class PowerUp {
             ctx.translate(-(this.x + this.width / 2), -(screenY + this.height / 2));
         }
         
-        // Draw power-up based on type
-        switch (this.type) {
-            case 'shield':
-                // Draw umbrella shield
-                ctx.fillStyle = this.colors[this.type];
-                
-                // Umbrella top
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2,
-                    screenY + this.height/3,
-                    this.width/2.5,
-                    Math.PI,
-                    0
-                );
-                ctx.fill();
-                
-                // Umbrella handle
-                ctx.strokeStyle = '#5E2727';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(this.x + this.width/2, screenY + this.height/3);
-                ctx.lineTo(this.x + this.width/2, screenY + this.height/1.2);
-                ctx.stroke();
-                
-                // Umbrella ribs
-                ctx.strokeStyle = '#FFF';
-                ctx.lineWidth = 1;
-                for (let i = 0; i < 4; i++) {
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + this.width/2, screenY + this.height/3);
-                    ctx.lineTo(
-                        this.x + this.width/2 + Math.cos(Math.PI + (i * Math.PI/4)) * this.width/2.5,
-                        screenY + this.height/3 + Math.sin(Math.PI + (i * Math.PI/4)) * this.width/2.5
-                    );
-                    ctx.stroke();
-                }
-                break;
-                
-            case 'jetpack':
-                // Draw Pepe-themed jetpack
-                ctx.fillStyle = this.colors[this.type];
-                
-                // Jetpack body
-                ctx.beginPath();
-                ctx.roundRect(
-                    this.x + this.width * 0.2,
-                    screenY + this.height * 0.2,
-                    this.width * 0.6,
-                    this.height * 0.6,
-                    [5]
-                );
-                ctx.fill();
-                
-                // Pepe face on jetpack
-                ctx.fillStyle = '#4B5320';
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2,
-                    screenY + this.height/2,
-                    this.width/4,
-                    0, Math.PI * 2
-                );
-                ctx.fill();
-                
-                // Pepe eyes
-                ctx.fillStyle = '#FFF';
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2 - this.width/8,
-                    screenY + this.height/2 - this.height/10,
-                    this.width/10,
-                    0, Math.PI * 2
-                );
-                ctx.arc(
-                    this.x + this.width/2 + this.width/8,
-                    screenY + this.height/2 - this.height/10,
-                    this.width/10,
-                    0, Math.PI * 2
-                );
-                ctx.fill();
-                
-                // Flames
-                ctx.fillStyle = 'orange';
-                ctx.beginPath();
-                ctx.moveTo(this.x + this.width/3, screenY + this.height * 0.8);
-                ctx.lineTo(this.x + this.width/2, screenY + this.height * 1.1);
-                ctx.lineTo(this.x + this.width * 2/3, screenY + this.height * 0.8);
-                ctx.fill();
-                break;
-                
-            case 'spring':
-                // Draw gold spring
-                ctx.fillStyle = this.colors[this.type];
-                
-                // Spring base
-                ctx.fillRect(
-                    this.x + this.width * 0.2,
-                    screenY + this.height * 0.7,
-                    this.width * 0.6,
-                    this.height * 0.2
-                );
-                
-                // Spring coils
-                ctx.strokeStyle = this.colors[this.type];
-                ctx.lineWidth = 3;
-                ctx.beginPath();
-                ctx.moveTo(this.x + this.width * 0.3, screenY + this.height * 0.7);
-                
-                // Draw zigzag
-                const segments = 4;
-                const coilHeight = this.height * 0.5;
-                for (let i = 0; i <= segments; i++) {
-                    const segX = this.x + this.width * 0.3 + (this.width * 0.4 * i / segments);
-                    const segY = screenY + this.height * 0.7 - (i % 2 === 0 ? 0 : coilHeight / 2);
-                    ctx.lineTo(segX, segY);
-                }
-                
-                ctx.stroke();
-                
-                // Spring top
-                ctx.fillRect(
-                    this.x + this.width * 0.2,
-                    screenY + this.height * 0.2,
-                    this.width * 0.6,
-                    this.height * 0.1
-                );
-                break;
-                
-            case 'coin':
-                // Draw gold coin
-                ctx.fillStyle = this.colors[this.type];
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2,
-                    screenY + this.height/2,
-                    this.width/2.5,
-                    0, Math.PI * 2
-                );
-                ctx.fill();
-                
-                // Coin edge
-                ctx.strokeStyle = '#D4AF37';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2,
-                    screenY + this.height/2,
-                    this.width/2.5,
-                    0, Math.PI * 2
-                );
-                ctx.stroke();
-                
-                // Dollar sign
-                ctx.fillStyle = '#FFF';
-                ctx.font = `${this.width/2}px Arial`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('$', this.x + this.width/2, screenY + this.height/2);
-                break;
-                
-            default:
-                // Generic power-up
-                ctx.fillStyle = this.colors[this.type] || '#FFF';
-                ctx.beginPath();
-                ctx.arc(
-                    this.x + this.width/2,
-                    screenY + this.height/2,
-                    this.width/2.5,
-                    0, Math.PI * 2
-                );
-                ctx.fill();
-                break;
-        }
+        this.definition.drawIcon(this, ctx, screenY);
         
-        // Draw glow effect
-        ctx.globalAlpha = 0.3 + this.glowIntensity * 0.2;
+        // Draw glow effect, fading out with the rest once collected
+        ctx.globalAlpha = (0.3 + this.glowIntensity * 0.2) * this.sprite.opacity;
         ctx.filter = 'blur(5px)';
-        ctx.fillStyle = this.colors[this.type];
+        ctx.fillStyle = this.definition.color;
         ctx.beginPath();
         ctx.arc(
             this.x + this.width / 2, 
@@ -325,6 +688,23 @@ class PowerUp {
         ctx.filter = 'none';
         
         ctx.restore();
+        
+        // Burst of light spreading out from where it was picked up
+        if (this.isCollected) {
+            ctx.save();
+            this.sprite.apply(ctx);
+            ctx.strokeStyle = this.definition.color;
+            ctx.lineWidth = 4 * this.sprite.opacity + 1;
+            ctx.beginPath();
+            ctx.arc(
+                this.x + this.width / 2,
+                screenY + this.height / 2,
+                this.width / 2 + this.sprite.fadeProgress * this.width * 1.5,
+                0, Math.PI * 2
+            );
+            ctx.stroke();
+            ctx.restore();
+        }
     }
 }
 
@@ -336,21 +716,29 @@ class PowerUpManager {
      * Create a new power-up manager
      * @param {number} canvasWidth - Width of the game canvas
      * @param {number} canvasHeight - Height of the game canvas
+     * @param {SeededRandom} random - Random generator for power-up spawns
+     * @param {World} world - World the power-ups live in (a world of their own if omitted)
      */
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, random = null, world = null) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
-        this.powerUps = [];
+        this.world = world || new World(canvasWidth, canvasHeight);
+        this.pool = this.world.pool(() => new PowerUp()); // Removed power-ups waiting to be reused
+        this.random = random || new SeededRandom(SeededRandom.generateSeed());
         this.powerUpSize = 40; // Default power-up size
         
         // Power-up spawn settings
         this.minHeight = 500; // Minimum height before power-ups start spawning
         this.spawnInterval = 3000; // Height interval between power-up spawns
         this.lastSpawnHeight = this.minHeight;
-        this.powerUpTypes = ['jetpack', 'spring', 'shield'];
+        this.powerUpTypes = PowerUpTypes.spawnable();
         this.powerUpChance = 0.5; // Chance of spawning a power-up at a spawn point
     }
     
+    // The power-ups in play, kept by the world
+    get powerUps() { return this.world.query('powerUp'); }
+    set powerUps(powerUps) { this.world.replace('powerUp', powerUps); }
+    
     /**
      * Generate a new power-up
      * @param {number} height - Current game height
@@ -363,21 +751,21 @@ class PowerUpManager {
         if (height - this.lastSpawnHeight < this.spawnInterval) return null;
         
         // Random chance to not spawn a power-up
-        if (Math.random() > this.powerUpChance) {
+        if (this.random.next() > this.powerUpChance) {
             this.lastSpawnHeight = height;
             return null;
         }
         
         // Choose a random power-up type
-        const type = Utils.randomItem(this.powerUpTypes);
+        const type = this.random.item(this.powerUpTypes);
         
         // Generate position
-        const x = Utils.randomBetween(0, this.canvasWidth - this.powerUpSize);
-        const y = -height - Utils.randomBetween(0, 100); // Position above the current view
+        const x = this.random.between(0, this.canvasWidth - this.powerUpSize);
+        const y = -height - this.random.between(0, 100); // Position above the current view
         
         // Create the power-up
-        const powerUp = new PowerUp(x, y, this.powerUpSize, type);
-        this.powerUps.push(powerUp);
+        const powerUp = this.pool.acquire().spawn(x, y, this.powerUpSize, type);
+        this.world.add(powerUp);
         
         // Update last spawn height
         this.lastSpawnHeight = height;
@@ -385,28 +773,62 @@ class PowerUpManager {
         return powerUp;
     }
     
+    /**
+     * Place a power-up outside the normal spawns (e.g. a boss's drop)
+     * @param {string} type - Power-up type
+     * @param {number} centerX - X position of its middle
+     * @param {number} centerY - Y position of its middle
+     * @returns {PowerUp} The power-up
+     */
+    spawn(type, centerX, centerY) {
+        const x = Math.max(0, Math.min(this.canvasWidth - this.powerUpSize, centerX - this.powerUpSize / 2));
+        const powerUp = this.pool.acquire().spawn(x, centerY - this.powerUpSize / 2, this.powerUpSize, type);
+        this.world.add(powerUp);
+        return powerUp;
+    }
+    
+    /**
+     * Use the difficulty profile's power-up settings (see DifficultyProfile.valuesAt)
+     * @param {Object} values - Difficulty values for the current level
+     */
+    applyDifficulty(values) {
+        this.spawnInterval = values.powerUpInterval;
+        this.powerUpChance = values.powerUpChance;
+    }
+    
     /**
      * Update all power-ups
      * @param {number} deltaTime - Time since last update
      * @param {number} cameraY - Camera Y position
      * @param {number} height - Current game height
+     * @param {Player} player - The player, whose magnet pulls power-ups in
      */
-    update(deltaTime, cameraY, height) {
+    update(deltaTime, cameraY, height, player = null) {
         // Generate new power-ups based on height
         this.generatePowerUp(Math.abs(cameraY));
         
-        // Update existing power-ups
-        for (let i = this.powerUps.length - 1; i >= 0; i--) {
-            const powerUp = this.powerUps[i];
-            
+        // Update existing power-ups, newest first
+        this.world.each('powerUp', powerUp => {
             // Update power-up behavior
             powerUp.update(deltaTime);
+            if (player && !powerUp.isCollected) {
+                player.pull(powerUp);
+            }
             
             // Remove power-ups that are no longer active or are too far below the camera
             if (!powerUp.active || powerUp.y > cameraY + this.canvasHeight + 100) {
-                this.powerUps.splice(i, 1);
+                this.remove(powerUp);
             }
-        }
+        }, true);
+    }
+    
+    /**
+     * Take a power-up out of play, to be reused by a later spawn
+     * @param {PowerUp} powerUp - The power-up
+     */
+    remove(powerUp) {
+        this.world.remove(powerUp);
+        this.pool.release(powerUp);
     }
     
     /**
@@ -415,40 +837,25 @@ class PowerUpManager {
      * @param {number} cameraY - Camera Y position
      */
     draw(ctx, cameraY) {
-        for (const powerUp of this.powerUps) {
-            if (Utils.isVisible(powerUp, this.canvasHeight, cameraY)) {
-                powerUp.draw(ctx, cameraY);
-            }
-        }
+        this.world.drawEntities('powerUp', ctx, cameraY);
     }
     
     /**
-     * Check for collisions with the player
+     * Collect every power-up the player is touching and activate it on the player
      * @param {Player} player - The player object
+     * @returns {PowerUp[]} The power-ups collected this tick
      */
     checkCollisions(player) {
-        for (let i = this.powerUps.length - 1; i >= 0; i--) {
-            const powerUp = this.powerUps[i];
-            
-            if (!powerUp.active || powerUp.isCollected) continue;
+        const collected = [];
+        
+        for (const powerUp of this.world.near('powerUp', player.y, player.y + player.height)) {
+            if (!powerUp.active || powerUp.isCollected || !Utils.isColliding(player, powerUp)) continue;
             
-            if (Utils.isColliding(player, powerUp)) {
-                // Player collected the power-up
-                const duration = powerUp.collect();
-                
-                // Check if player exists and has the activatePowerUp method
-                if (player && typeof player.activatePowerUp === 'function') {
-                    // Safely activate the power-up on the player
-                    try {
-                        player.activatePowerUp(powerUp.type, duration);
-                        console.log(`[DEBUG] PowerUp collected: ${powerUp.type}, duration: ${duration}`);
-                    } catch (e) {
-                        console.error('[DEBUG] Error activating power-up:', e);
-                    }
-                } else {
-                    console.warn('[DEBUG] Player cannot activate power-up - missing method');
-                }
-            }
+            // The player announces it ('powerUp' event), which plays the sound and logs the pickup
+            player.activatePowerUp(powerUp.type, powerUp.collect());
+            collected.push(powerUp);
         }
+        
+        return collected;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,225 @@
+/**
+ * Projectile class for the game - a shot fired by an enemy or the player
+ */
+class Projectile extends Entity {
+    /**
+     * Create a new projectile. Projectiles are reused by ProjectileManager, so
+     * everything about a shot is set in launch().
+     */
+    constructor() {
+        super('projectile');
+        this.launch('enemy', 0, 0, 0, 0, 8, 8);
+        this.active = false; // Not in flight until fired
+    }
+    
+    /**
+     * Fire the projectile
+     * @param {string} owner - Who fired it ('enemy' or 'player')
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} velocityX - Horizontal speed per tick
+     * @param {number} velocityY - Vertical speed per tick
+     * @param {number} width - Projectile width
+     * @param {number} height - Projectile height
+     */
+    launch(owner, x, y, velocityX, velocityY, width, height) {
+        this.owner = owner;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        
+        // Enemy shots are stopped by platforms so the player can take cover;
+        // the player's shots pass through so they can hit enemies above
+        this.blockedByPlatforms = owner === 'enemy';
+        
+        // Start interpolation from here, not from where the pooled object was last drawn
+        this.transform.storePrevious();
+        this.active = true;
+    }
+    
+    /**
+     * Move the projectile one tick
+     */
+    update() {
+        this.x += this.velocityX;
+        this.y += this.velocityY;
+    }
+    
+    /**
+     * Draw the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position for scroll offset
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        const x = this.transform.interpolatedX(alpha);
+        const y = this.transform.interpolatedY(alpha) - cameraY;
+        
+        ctx.save();
+        if (this.owner === 'player') {
+            // Player shots are carrots flying upwards
+            ctx.fillStyle = '#FF8C00';
+            ctx.beginPath();
+            ctx.moveTo(x + this.width / 2, y);
+            ctx.lineTo(x + this.width, y + this.height * 0.8);
+            ctx.lineTo(x, y + this.height * 0.8);
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.fillStyle = '#3CB371';
+            ctx.fillRect(x + this.width * 0.25, y + this.height * 0.8, this.width * 0.5, this.height * 0.2);
+        } else {
+            // Enemy shots glow red so they stand out from the enemies
+            const radius = this.width / 2;
+            ctx.fillStyle = '#FF3B30';
+            ctx.shadowColor = '#FF3B30';
+            ctx.shadowBlur = 8;
+            ctx.beginPath();
+            ctx.arc(x + radius, y + radius, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+}
+
+/**
+ * ProjectileManager class for moving, colliding and drawing every shot in play.
+ * Spent projectiles go back into a pool and are reused by the next shot, so
+ * steady firing doesn't allocate.
+ */
+class ProjectileManager {
+    /**
+     * Create a new projectile manager
+     * @param {number} canvasWidth - Width of the game canvas
+     * @param {number} canvasHeight - Height of the game canvas
+     * @param {World} world - World the shots in flight live in (a world of their own if omitted)
+     */
+    constructor(canvasWidth, canvasHeight, world = null) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.world = world || new World(canvasWidth, canvasHeight);
+        this.pool = this.world.pool(() => new Projectile()); // Spent projectiles waiting to be reused
+        
+        // Shot sizes by owner
+        this.sizes = {
+            enemy: { width: 8, height: 8 },
+            player: { width: 10, height: 20 }
+        };
+    }
+    
+    // Projectiles in flight, kept by the world
+    get projectiles() { return this.world.query('projectile'); }
+    set projectiles(projectiles) { this.world.replace('projectile', projectiles); }
+    
+    /**
+     * Fire a projectile, reusing a spent one if there is one
+     * @param {string} owner - Who fired it ('enemy' or 'player')
+     * @param {number} centerX - X position of the middle of the shot
+     * @param {number} centerY - Y position of the middle of the shot
+     * @param {number} velocityX - Horizontal speed per tick
+     * @param {number} velocityY - Vertical speed per tick
+     * @returns {Projectile} The projectile
+     */
+    fire(owner, centerX, centerY, velocityX, velocityY) {
+        const size = this.sizes[owner] || this.sizes.enemy;
+        const projectile = this.pool.acquire();
+        
+        projectile.launch(
+            owner,
+            centerX - size.width / 2,
+            centerY - size.height / 2,
+            velocityX,
+            velocityY,
+            size.width,
+            size.height
+        );
+        this.world.add(projectile);
+        
+        return projectile;
+    }
+    
+    /**
+     * Move all projectiles and put the spent ones back in the pool
+     * @param {number} cameraY - Camera Y position
+     */
+    update(cameraY) {
+        this.world.each('projectile', projectile => {
+            if (projectile.active) {
+                this.move(projectile, cameraY);
+            }
+            
+            if (!projectile.active) {
+                this.pool.release(projectile);
+                this.world.remove(projectile);
+            }
+        }, true);
+    }
+    
+    /**
+     * Move a projectile, using it up if it leaves the screen or (for enemy shots) hits a platform
+     * @param {Projectile} projectile - The projectile
+     * @param {number} cameraY - Camera Y position
+     */
+    move(projectile, cameraY) {
+        projectile.update();
+        
+        const offScreen =
+            projectile.x + projectile.width < 0 || projectile.x > this.canvasWidth ||
+            projectile.y > cameraY + this.canvasHeight || projectile.y + projectile.height < cameraY;
+        
+        if (offScreen) {
+            projectile.active = false;
+        } else if (projectile.blockedByPlatforms) {
+            const platforms = this.world.near('platform', projectile.y, projectile.y + projectile.height);
+            projectile.active = !platforms.some(platform =>
+                platform.active && !platform.isDisappearing && Utils.isColliding(projectile, platform)
+            );
+        }
+    }
+    
+    /**
+     * Get the heights the shots of an owner span, to look for what they can hit
+     * @param {string} owner - Whose shots ('enemy' or 'player')
+     * @returns {Object|null} Range {top, bottom}, or null if none are in flight
+     */
+    span(owner) {
+        let range = null;
+        for (const projectile of this.projectiles) {
+            if (!projectile.active || projectile.owner !== owner) continue;
+            
+            range = range || { top: Infinity, bottom: -Infinity };
+            range.top = Math.min(range.top, projectile.y);
+            range.bottom = Math.max(range.bottom, projectile.y + projectile.height);
+        }
+        return range;
+    }
+    
+    /**
+     * Find a shot that hits a target, using it up
+     * @param {string} owner - Only shots fired by this owner count ('enemy' or 'player')
+     * @param {Object} target - Anything with x, y, width and height
+     * @returns {Projectile|null} The projectile that hit, or null
+     */
+    hit(owner, target) {
+        for (const projectile of this.world.near('projectile', target.y, target.y + target.height)) {
+            if (projectile.active && projectile.owner === owner && Utils.isColliding(projectile, target)) {
+                projectile.active = false;
+                return projectile;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Draw all projectiles
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        this.world.drawEntities('projectile', ctx, cameraY, alpha);
+    }
+}
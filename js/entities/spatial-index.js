@@ -0,0 +1,165 @@
+/**
+ * SpatialIndex class - the entities of one kind sorted into horizontal bands
+ * ("buckets") by height, so a collision check only looks at the entities near
+ * the player instead of all of them.
+ *
+ * The World keeps one for each kind that's asked about (see World.near). New
+ * entities are added to their bands as they come; the index is only rebuilt when
+ * it's next asked after an entity has moved into other bands or some were taken
+ * out of the kind's list. Answers come in the order of the kind's list, like a
+ * scan of the list would give them, so the game plays out the same with or
+ * without the index.
+ */
+class SpatialIndex {
+    /**
+     * Create an empty index
+     * @param {number} bucketHeight - Height of each band
+     */
+    constructor(bucketHeight = 100) {
+        this.bucketHeight = bucketHeight;
+        
+        // Positions in the list of the entities touching each band, by band number
+        this.buckets = new Map();
+        this.spare = []; // Emptied band arrays, reused by the next rebuild
+        this.minKey = 0;
+        this.maxKey = -1;
+        
+        this.entities = [];
+        this.stale = true; // True once entities have changed bands since the last rebuild
+        this.found = []; // Reused for every answer
+    }
+    
+    /**
+     * Get the band a height falls in
+     * @param {number} y - Y position
+     * @returns {number} Band number
+     */
+    keyOf(y) {
+        return Math.floor(y / this.bucketHeight);
+    }
+    
+    /**
+     * Sort the entities into bands again
+     * @param {Entity[]} entities - The kind's list
+     */
+    rebuild(entities) {
+        for (const bucket of this.buckets.values()) {
+            bucket.length = 0;
+            this.spare.push(bucket);
+        }
+        this.buckets.clear();
+        this.minKey = Infinity;
+        this.maxKey = -Infinity;
+        
+        this.entities = entities;
+        for (let n = 0; n < entities.length; n++) {
+            if (!entities[n].removed) {
+                this.insert(n);
+            }
+        }
+        
+        this.stale = false;
+    }
+    
+    /**
+     * Add an entity to the bands it touches
+     * @param {number} position - Where the entity is in the kind's list
+     */
+    insert(position) {
+        const entity = this.entities[position];
+        
+        // Anything that isn't at a real height can't touch anything
+        const first = this.keyOf(entity.y);
+        const last = this.keyOf(entity.y + entity.height);
+        if (!Number.isFinite(first) || !Number.isFinite(last)) return;
+        
+        for (let key = first; key <= last; key++) {
+            let bucket = this.buckets.get(key);
+            if (!bucket) {
+                bucket = this.spare.pop() || [];
+                this.buckets.set(key, bucket);
+            }
+            bucket.push(position);
+        }
+        this.minKey = Math.min(this.minKey, first);
+        this.maxKey = Math.max(this.maxKey, last);
+    }
+    
+    /**
+     * Check whether an entity has moved into other bands than the ones it touched
+     * at an earlier height (moving within its bands doesn't need a rebuild)
+     * @param {Entity} entity - The entity
+     * @param {number} y - Its earlier Y position
+     * @param {number} height - Its earlier height
+     * @returns {boolean} True if the index no longer has it in the right bands
+     */
+    changedBands(entity, y, height) {
+        return this.keyOf(y) !== this.keyOf(entity.y) ||
+            this.keyOf(y + height) !== this.keyOf(entity.y + entity.height);
+    }
+    
+    /**
+     * Find the entities in the bands between two heights - every entity that
+     * reaches into the range is in there, along with some that only come close
+     * @param {number} top - Top of the range
+     * @param {number} bottom - Bottom of the range
+     * @returns {Entity[]} The entities, in list order (the array is reused by the next call)
+     */
+    query(top, bottom) {
+        const found = this.found;
+        found.length = 0;
+        
+        const first = Math.max(this.minKey, this.keyOf(top));
+        const last = Math.min(this.maxKey, this.keyOf(bottom));
+        for (let key = first; key <= last; key++) {
+            const bucket = this.buckets.get(key);
+            if (bucket) {
+                found.push(...bucket);
+            }
+        }
+        
+        // Entities taller than a band are in more than one
+        if (last > first) {
+            found.sort((a, b) => a - b);
+        }
+        
+        let kept = 0;
+        let previous = -1;
+        for (let n = 0; n < found.length; n++) {
+            const position = found[n];
+            if (position !== previous && !this.entities[position].removed) {
+                found[kept++] = this.entities[position];
+            }
+            previous = position;
+        }
+        found.length = kept;
+        
+        return found;
+    }
+    
+    /**
+     * Find the entity whose top is nearest below a height (at the same height counts)
+     * @param {number} y - Y position
+     * @returns {Entity|null} The entity, the first in the list if several are as near, or null
+     */
+    nearestBelow(y) {
+        let nearest = null;
+        
+        for (let key = Math.max(this.minKey, this.keyOf(y)); key <= this.maxKey; key++) {
+            const bucket = this.buckets.get(key);
+            if (!bucket) continue;
+            
+            for (const n of bucket) {
+                const entity = this.entities[n];
+                if (!entity.removed && entity.y >= y && (!nearest || entity.y < nearest.y)) {
+                    nearest = entity;
+                }
+            }
+            
+            // Anything in the bands further down is lower still
+            if (nearest && nearest.y < (key + 1) * this.bucketHeight) break;
+        }
+        
+        return nearest;
+    }
+}
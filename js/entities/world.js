@@ -0,0 +1,315 @@
+/**
+ * World class - every entity in a run, kept together by kind, with one update
+ * and one draw pass over all of them.
+ *
+ * Each kind can have a system that runs it: the managers (PlatformManager,
+ * EnemyManager, ...) spawn their kind and apply its rules, and the simulation
+ * registers them in the order the world updates them. Kinds without a system
+ * are updated and drawn entity by entity (see Entity.update and Entity.draw), so
+ * a composed entity only has to be added to the world.
+ *
+ * Entities are never taken out of a list while it's being gone through: remove()
+ * marks them, and they're swept out once the pass is over. The managers keep
+ * their spent entities in pools made by pool(), which count what they allocate.
+ *
+ * Collision checks ask near() for the entities around a height rather than going
+ * through a whole kind. A kind's SpatialIndex is only rebuilt when it's next asked
+ * after one of its entities moved into other bands during a pass, or entities were
+ * taken out.
+ */
+class World {
+    /**
+     * Create an empty world
+     * @param {number} width - Width of the playfield
+     * @param {number} height - Height of the playfield (the screen height, for culling)
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        // Entities by kind, and the kinds in update order
+        this.entities = {};
+        this.kinds = [];
+        
+        // Systems by kind ({update, draw, layer})
+        this.systems = {};
+        
+        // Objects the world's pools have created and reused (shown in the debug overlay)
+        this.allocations = { created: 0, reused: 0 };
+        
+        // Spatial indexes by kind, made the first time a kind is asked about
+        this.indexes = {};
+    }
+    
+    /**
+     * Set how a kind of entity is updated and drawn. Kinds are updated in the
+     * order they're registered.
+     * @param {string} kind - Entity kind
+     * @param {Object} system - The kind's system
+     * @param {Function|boolean} system.update - Called with (deltaTime) instead of updating each entity,
+     *                                           or false if something else moves them (e.g. the player)
+     * @param {Function} system.draw - Called with (ctx, cameraY, alpha) instead of drawing each entity
+     * @param {number} system.layer - Draw order, higher on top (defaults to the update order)
+     */
+    addSystem(kind, system = {}) {
+        this.query(kind);
+        
+        // Registering a kind again moves it to the end of the update order
+        this.kinds.splice(this.kinds.indexOf(kind), 1);
+        this.kinds.push(kind);
+        
+        this.systems[kind] = system;
+    }
+    
+    /**
+     * Make a pool that counts towards the world's allocations
+     * @param {Function} create - Makes a new object when there are none to reuse
+     * @returns {Pool} The pool
+     */
+    pool(create) {
+        return new Pool(create, this.allocations);
+    }
+    
+    /**
+     * Get the entities of a kind. The list stays the same array for the life of
+     * the world, so it can be held on to.
+     * @param {string} kind - Entity kind
+     * @returns {Entity[]} The entities, in the order they were added
+     */
+    query(kind) {
+        if (!this.entities[kind]) {
+            this.entities[kind] = [];
+            this.kinds.push(kind);
+        }
+        return this.entities[kind];
+    }
+    
+    /**
+     * Add an entity
+     * @param {Entity} entity - The entity
+     * @returns {Entity} The entity
+     */
+    add(entity) {
+        entity.removed = false;
+        const list = this.query(entity.kind);
+        list.push(entity);
+        
+        const index = this.indexes[entity.kind];
+        if (index && !index.stale) {
+            index.insert(list.length - 1);
+        }
+        return entity;
+    }
+    
+    /**
+     * Take an entity out of the world once the current pass over its kind is done
+     * @param {Entity} entity - The entity
+     */
+    remove(entity) {
+        entity.removed = true;
+    }
+    
+    /**
+     * Replace all the entities of a kind
+     * @param {string} kind - Entity kind
+     * @param {Entity[]} entities - The new entities
+     */
+    replace(kind, entities) {
+        const list = this.query(kind);
+        list.length = 0;
+        this.moved(kind);
+        entities.forEach(entity => this.add(entity));
+    }
+    
+    /**
+     * Go through the entities of a kind that are still in the world, then sweep out
+     * the ones removed on the way. Entities added during the pass wait for the next one.
+     * The callback can move them: the kind's spatial index is rebuilt before it's next used
+     * if any moved into other bands.
+     * @param {string} kind - Entity kind
+     * @param {Function} callback - Called with each entity
+     * @param {boolean} reverse - Go from the newest to the oldest
+     */
+    each(kind, callback, reverse = false) {
+        const list = this.query(kind);
+        const count = list.length;
+        const index = this.indexes[kind];
+        
+        for (let n = 0; n < count; n++) {
+            const entity = list[reverse ? count - 1 - n : n];
+            if (entity.removed) continue;
+            
+            // Watch for moves out of the entity's bands, while the index is still right
+            if (index && !index.stale) {
+                const y = entity.y;
+                const height = entity.height;
+                callback(entity);
+                index.stale = index.changedBands(entity, y, height);
+            } else {
+                callback(entity);
+            }
+        }
+        
+        this.sweep(kind);
+    }
+    
+    /**
+     * Take the removed entities of a kind out of its list, keeping the others in order
+     * @param {string} kind - Entity kind
+     */
+    sweep(kind) {
+        const list = this.query(kind);
+        
+        let kept = 0;
+        for (const entity of list) {
+            if (!entity.removed) {
+                list[kept++] = entity;
+            }
+        }
+        if (kept < list.length) {
+            list.length = kept;
+            this.moved(kind);
+        }
+    }
+    
+    /**
+     * Find the entities of a kind around a range of heights. Use it to narrow down
+     * a collision check: it can also return entities just outside the range.
+     * @param {string} kind - Entity kind
+     * @param {number} top - Top of the range
+     * @param {number} bottom - Bottom of the range
+     * @returns {Entity[]} The entities, in list order (the array is reused by the next call for the kind)
+     */
+    near(kind, top, bottom) {
+        return this.index(kind).query(top, bottom);
+    }
+    
+    /**
+     * Find the entity of a kind whose top is nearest below a height
+     * @param {string} kind - Entity kind
+     * @param {number} y - Y position (an entity at the same height counts)
+     * @returns {Entity|null} The entity, or null if there's nothing below
+     */
+    nearestBelow(kind, y) {
+        return this.index(kind).nearestBelow(y);
+    }
+    
+    /**
+     * Get a kind's spatial index, rebuilt if the kind has moved since it was last used
+     * @param {string} kind - Entity kind
+     * @returns {SpatialIndex} The index
+     */
+    index(kind) {
+        if (!this.indexes[kind]) {
+            this.indexes[kind] = new SpatialIndex();
+        }
+        
+        const index = this.indexes[kind];
+        if (index.stale) {
+            index.rebuild(this.query(kind));
+        }
+        return index;
+    }
+    
+    /**
+     * Note that the entities of a kind have moved (or were taken out), so its
+     * spatial index is rebuilt before it's next used. Anything that moves entities
+     * outside of a pass over their kind (see each) has to call this.
+     * @param {string} kind - Entity kind
+     */
+    moved(kind) {
+        if (this.indexes[kind]) {
+            this.indexes[kind].stale = true;
+        }
+    }
+    
+    /**
+     * Update every kind of entity for one tick
+     * @param {number} deltaTime - Length of the tick in ms
+     */
+    update(deltaTime) {
+        for (const kind of this.kinds) {
+            const system = this.systems[kind] || {};
+            if (system.update === false) continue;
+            
+            if (system.update) {
+                system.update(deltaTime);
+            } else {
+                this.updateEntities(kind, deltaTime);
+            }
+        }
+    }
+    
+    /**
+     * Update each entity of a kind, removing the ones that are done
+     * @param {string} kind - Entity kind
+     * @param {number} deltaTime - Length of the tick in ms
+     */
+    updateEntities(kind, deltaTime) {
+        this.each(kind, entity => {
+            entity.update(deltaTime, this);
+            if (!entity.active) {
+                this.remove(entity);
+            }
+        });
+    }
+    
+    /**
+     * Draw every kind of entity, lowest layer first
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     */
+    draw(ctx, cameraY, alpha = 1) {
+        const layer = kind => {
+            const system = this.systems[kind];
+            return system && system.layer !== undefined ? system.layer : this.kinds.indexOf(kind);
+        };
+        
+        for (const kind of [...this.kinds].sort((a, b) => layer(a) - layer(b))) {
+            const system = this.systems[kind] || {};
+            if (system.draw) {
+                system.draw(ctx, cameraY, alpha);
+            } else {
+                this.drawEntities(kind, ctx, cameraY, alpha);
+            }
+        }
+    }
+    
+    /**
+     * Draw the entities of a kind that are on screen
+     * @param {string} kind - Entity kind
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} cameraY - Camera Y position
+     * @param {number} alpha - Interpolation factor between the previous and current tick
+     * @param {...*} extra - More arguments for each entity's draw
+     */
+    drawEntities(kind, ctx, cameraY, alpha = 1, ...extra) {
+        for (const entity of this.query(kind)) {
+            if (entity.active && !entity.removed && entity.isVisible(cameraY, this.height)) {
+                entity.draw(ctx, cameraY, alpha, ...extra);
+            }
+        }
+    }
+    
+    /**
+     * Remember where every entity is, for drawing between this tick and the next
+     */
+    storePrevious() {
+        for (const kind of this.kinds) {
+            for (const entity of this.entities[kind]) {
+                entity.transform.storePrevious();
+            }
+        }
+    }
+    
+    /**
+     * Change the size of the playfield
+     * @param {number} width - New playfield width
+     * @param {number} height - New playfield height
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+}
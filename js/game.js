@@ -1,5 +1,6 @@
 /**
- * Main Game class that manages game logic and entities
+ * Main Game class that runs the simulation in the browser - rendering,
+ * controls, audio, replays and talking to the backend
  */
 class Game {
     /**
@@ -20,28 +21,56 @@ class Game {
         // Game state
         this.isRunning = false;
         this.isGameOver = false;
-        this.score = 0;
         
-        // Initialize high score from localStorage, but will be updated from server if user is logged in
-        this.highScore = parseInt(localStorage.getItem('highScore')) || 0;
+        // Difficulty mode - the one picked on the start screen, unless ?difficulty=<id>
+        // in the URL asks for a profile from data/difficulty-profiles.json
+        const urlDifficulty = new URLSearchParams(window.location.search).get('difficulty');
+        this.difficultyId = DifficultyProfiles.get(urlDifficulty || localStorage.getItem('difficulty')).id;
+        
+        // Initialize this mode's high score from localStorage, but will be updated from server if user is logged in
+        this.highScore = parseInt(localStorage.getItem(DifficultyProfiles.highScoreKey(this.difficultyId))) || 0;
+        
+        // Coins saved to the user's account, once the server has told us (guests don't keep coins)
+        this.coinBalance = null;
         
         // Fetch user's high score from backend if they're logged in
         this.fetchUserHighScore();
         
-        // Difficulty system
-        this.difficulty = 1;
-        this.lastDifficultyIncrease = 0;
+        // World seed - a seed passed in the URL (?seed=...) is reused for every run
+        this.fixedSeed = this.getSeedFromUrl();
+        this.seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.generateSeed();
         
         // Time tracking
         this.lastTime = 0;
         this.animationFrameId = null;
         
-        // Camera
-        this.camera = {
-            y: 0,
-            targetY: 0,
-            smoothing: 0.1
-        };
+        // Fixed-timestep simulation (60 physics ticks per second)
+        this.fixedTimeStep = 1000 / 60;
+        this.maxFrameTime = 250; // Longest frame we try to catch up on
+        this.maxStepsPerFrame = 5; // Cap on ticks per rendered frame for slow devices
+        this.accumulator = 0;
+        
+        // Direction requested by the controls (-1 to 1), applied on the next tick
+        this.controlDirection = 0;
+        
+        // Shot requested by the controls, fired on the next tick
+        this.shootRequested = false;
+        this.touchStartedAt = 0; // A touch shorter than tapDuration is a tap, which shoots
+        this.tapDuration = 200;
+        
+        // Double jump requested by the controls (up key or swiping up), used on the next tick
+        this.jumpRequested = false;
+        this.touchStartY = 0;
+        this.swipeDistance = 60; // How far a touch has to travel up to count as a swipe
+        
+        // Each pickup plays the power-up sound at its own pitch (power-ups set theirs in PowerUpTypes)
+        this.coinPitch = 2;
+        
+        // Power-up icons drawn in the HUD's active-effects row, by type and size
+        this.hudIcons = {};
+        
+        // Debug overlay showing the guaranteed platform path (F2, or ?debug in the URL)
+        this.showDebugOverlay = new URLSearchParams(window.location.search).has('debug');
         
         // Background
         this.background = {
@@ -58,6 +87,15 @@ class Game {
             milestone: null
         };
         
+        // Replays - the current run is recorded, or a recorded run is played back
+        this.replayPlayer = null;
+        this.recorder = null;
+        this.lastReplay = null;
+        
+        // Run verification - the server-issued run ticket
+        this.runTicket = null;
+        this.runStartedAt = 0;
+        
         // Initialize game entities
         this.initEntities();
         
@@ -79,50 +117,166 @@ class Game {
         // Milestone timers
         this.milestoneTimers = {};
         
+        // Boss fight announcement ({title, subtitle, timer}), drawn by drawScore
+        this.banner = null;
+        
+        // Keyboard and tilt controls
+        this.setupControls();
+        
         // Set up event listeners for control buttons
         this.setupControlButtons();
+        
+        // Allow replay files to be dropped onto the game to watch them
+        this.setupReplayDrop();
     }
     
     /**
-     * Initialize game entities
+     * Start a fresh simulation of this run's world
      */
     initEntities() {
-        // Create player
-        this.player = new Player(
-            this.canvas.width / 2 - 30, // Half of width (60/2)
-            this.canvas.height - 150, // Position for player
-            60, // Width reduced to 60
-            100  // Height maintained at 100
-        );
+        console.log(`World seed: ${this.seed}`);
+        
+        this.simulation = new GameSimulation({
+            seed: this.seed,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            difficulty: this.replayPlayer ? this.replayPlayer.replay.difficulty : this.difficultyId,
+            tickDuration: this.fixedTimeStep
+        });
+        this.bindSimulationEvents();
+        this.applyCosmetics();
         
-        // Create platform manager
-        this.platformManager = new PlatformManager(
+        // Record this run's inputs (nothing to record while watching a replay)
+        this.recorder = this.replayPlayer ? null : new ReplayRecorder(
+            this.seed,
             this.canvas.width,
             this.canvas.height,
-            15 // Initial platform count
-        );
-        
-        // Create enemy manager
-        this.enemyManager = new EnemyManager(
-            this.canvas.width,
-            this.canvas.height
+            this.simulation.difficultyProfile.id
         );
+        this.runTicket = null;
+    }
+    
+    /**
+     * Dress the player and platforms in the selected cosmetics (they only change how things look)
+     */
+    applyCosmetics() {
+        this.player.setCosmetics(Cosmetics.selectedItem('skins'), Cosmetics.selectedItem('trails'));
+        this.platformManager.theme = Cosmetics.selectedItem('platformThemes');
+    }
+    
+    // Shortcuts to the simulation state, used by rendering and the page scripts
+    get world() { return this.simulation ? this.simulation.world : null; }
+    get player() { return this.simulation ? this.simulation.player : null; }
+    get platformManager() { return this.simulation ? this.simulation.platformManager : null; }
+    get enemyManager() { return this.simulation ? this.simulation.enemyManager : null; }
+    get bossManager() { return this.simulation ? this.simulation.bossManager : null; }
+    get projectileManager() { return this.simulation ? this.simulation.projectileManager : null; }
+    get powerUpManager() { return this.simulation ? this.simulation.powerUpManager : null; }
+    get collectibleManager() { return this.simulation ? this.simulation.collectibleManager : null; }
+    get camera() { return this.simulation ? this.simulation.camera : null; }
+    get score() { return this.simulation ? this.simulation.score : 0; }
+    get coins() { return this.simulation ? this.simulation.coins : 0; }
+    get difficulty() { return this.simulation ? this.simulation.difficulty : 1; }
+    get tick() { return this.simulation ? this.simulation.tick : 0; }
+    
+    /**
+     * Play sounds and effects for what happens in the simulation
+     */
+    bindSimulationEvents() {
+        this.simulation
+            .on('jump', () => this.playSound(this.sounds.jump, true))
+            .on('milestone', () => {
+                // Play milestone sound for every 100 points
+                this.playSound(this.sounds.milestone, true);
+                
+                // Add special animation class for 100-point milestones
+                this.pulseScore(1000);
+            })
+            .on('difficulty', (event) => this.showThousandMilestone(event.milestone))
+            .on('score', (event) => this.updateScore(event.score))
+            .on('enemyDefeated', () => this.playSound(this.sounds.enemyDeath, true))
+            .on('powerUp', (event) => {
+                this.playPickupSound(PowerUpTypes.get(event.type).pitch);
+                
+                // Log the pickup (not when it's a replay being watched)
+                if (!this.replayPlayer) {
+                    Analytics.track('powerUpCollected', {
+                        type: event.type,
+                        stacking: event.stacking,
+                        score: this.score,
+                        difficulty: this.simulation.difficultyProfile.id,
+                        seed: this.seed
+                    });
+                }
+            })
+            .on('coin', () => this.playPickupSound(this.coinPitch))
+            .on('bossStart', (event) => {
+                this.showBanner(`BOSS ${event.encounter}!`, 'Stomp the gem on its crown');
+                this.playSound(this.sounds.milestone);
+            })
+            .on('bossHit', () => this.playSound(this.sounds.enemyDeath, true))
+            .on('bossPhase', () => this.showDamageFlash())
+            .on('bossDefeated', (event) => {
+                this.showBanner('BOSS DEFEATED!', `+${event.bonus} bonus - grab the star!`);
+                this.playSound(this.sounds.milestone);
+            })
+            .on('teleport', () => {
+                // Don't draw the player sliding across the screen between the portals
+                this.player.transform.storePrevious();
+                this.playSound(this.sounds.powerUp, true);
+            });
+    }
+    
+    /**
+     * Play a sound effect if it's loaded
+     * @param {HTMLAudioElement} sound - Sound to play
+     * @param {boolean} rewind - Whether to restart the sound if it's already playing
+     */
+    playSound(sound, rewind = false) {
+        if (!sound) return;
         
-        // Create power-up manager
-        this.powerUpManager = new PowerUpManager(
-            this.canvas.width,
-            this.canvas.height
-        );
+        try {
+            if (rewind) {
+                sound.currentTime = 0;
+            }
+            const playPromise = sound.play();
+            
+            // Handle the promise properly to avoid uncaught exceptions
+            if (playPromise !== undefined) {
+                playPromise.catch(e => console.warn('Could not play sound', e));
+            }
+        } catch (e) {
+            console.warn('Could not play sound', e);
+        }
+    }
+    
+    /**
+     * Play the power-up sound, pitched for the type of pickup
+     * @param {number} pitch - Playback rate (1 is the recorded pitch)
+     */
+    playPickupSound(pitch) {
+        const sound = this.sounds.powerUp;
+        if (!sound) return;
         
-        // Ensure there's a starting platform under the player
-        const startingPlatform = new Platform(
-            this.canvas.width / 2 - 40, // Platform centered under player (slightly wider than player)
-            this.canvas.height - 40, // Just below player's feet
-            80, // Platform width appropriate for 60px player
-            this.platformManager.platformHeight || 20,
-            'normal'
-        );
-        this.platformManager.platforms.push(startingPlatform);
+        sound.preservesPitch = false;
+        sound.playbackRate = pitch;
+        this.playSound(sound, true);
+    }
+    
+    /**
+     * Read the world seed from the page URL (?seed=...)
+     * @returns {number|null} Normalized seed, or null if none was given
+     */
+    getSeedFromUrl() {
+        try {
+            const seedParam = new URLSearchParams(window.location.search).get('seed');
+            if (seedParam !== null && seedParam.trim() !== '') {
+                return SeededRandom.normalizeSeed(seedParam);
+            }
+        } catch (error) {
+            console.warn('Could not read seed from URL', error);
+        }
+        return null;
     }
     
     /**
@@ -208,6 +362,7 @@ class Game {
         this.isRunning = true;
         this.isGameOver = false;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
     }
     
@@ -226,14 +381,27 @@ class Game {
         this.isGameOver = true;
         this.stop();
         
-        // Send the current game score to the backend
-        this.sendGameScoreToServer(this.score);
+        if (this.replayPlayer) {
+            // Watching a replay - nothing to submit, just check it reproduced the run
+            if (this.score !== this.replayPlayer.replay.score) {
+                console.warn(`Replay diverged: recorded score ${this.replayPlayer.replay.score}, replayed score ${this.score}`);
+            }
+        } else {
+            // Keep the input log of this run so it can be saved or submitted
+            this.lastReplay = this.recorder ? this.recorder.finish(this.tick, this.score, this.coins) : null;
+            
+            // Send the current game score to the backend
+            this.sendGameScoreToServer(this.score);
+            
+            // Send the run's analytics events along with it
+            Analytics.flush();
+        }
         
         // We'll update the local high score display only if this run's score is higher
         // than the previously displayed high score
-        if (this.score > this.highScore) {
+        if (!this.replayPlayer && this.score > this.highScore) {
             this.highScore = this.score;
-            localStorage.setItem('highScore', this.highScore);
+            localStorage.setItem(DifficultyProfiles.highScoreKey(this.difficultyId), this.highScore);
             console.log('Display high score updated:', this.highScore);
         }
         
@@ -262,11 +430,7 @@ class Game {
             }
             
             // Check if interaction is within the restart button bounds
-            if (this.restartButtonBounds && 
-                x >= this.restartButtonBounds.x && 
-                x <= this.restartButtonBounds.x + this.restartButtonBounds.width &&
-                y >= this.restartButtonBounds.y && 
-                y <= this.restartButtonBounds.y + this.restartButtonBounds.height) {
+            if (this.isInsideBounds(x, y, this.restartButtonBounds)) {
                 
                 // Remove all event listeners
                 this.canvas.removeEventListener('click', handleInteraction);
@@ -274,6 +438,9 @@ class Game {
                 
                 // Restart the game
                 this.restart();
+            } else if (this.isInsideBounds(x, y, this.replayButtonBounds)) {
+                // Save the replay of the run that just ended
+                this.downloadReplay();
             }
         };
         
@@ -282,24 +449,33 @@ class Game {
         this.canvas.addEventListener('touchend', handleInteraction, { passive: false });
         
         // Play death sound if available
-        if (this.sounds.playerDeath) {
-            try {
-                this.sounds.playerDeath.play().catch(e => console.warn('Could not play sound', e));
-            } catch (e) {
-                console.warn('Could not play sound', e);
-            }
-        }
+        this.playSound(this.sounds.playerDeath);
         
         // Draw the game over screen immediately
         this.render();
     }
     
     /**
-     * Send current game score to backend
-     * @param {number} score - The current game score to send
-     *
+     * Check whether a point lies inside a button's bounds
+     * @param {number} x - X coordinate on the canvas
+     * @param {number} y - Y coordinate on the canvas
+     * @param {Object} bounds - Button bounds {x, y, width, height}
+     * @returns {boolean} True if the point is inside the bounds
+     */
+    isInsideBounds(x, y, bounds) {
+        return !!bounds &&
+            x >= bounds.x &&
+            x <= bounds.x + bounds.width &&
+            y >= bounds.y &&
+            y <= bounds.y + bounds.height;
+    }
+    
+    /**
+     * Send the summary of the finished run to the backend for verification.
+     * The server re-simulates the run and only records the score if it matches,
+     * on the board of the difficulty mode the run was played on.
+     * @param {number} score - The score of the finished run
      */
-
     sendGameScoreToServer(score) {
         // Get user data from local storage or session storage
         const token = localStorage.getItem('token') || sessionStorage.getItem('token');
@@ -311,24 +487,43 @@ class Game {
             return;
         }
         
-        // Log the score being sent
-        console.log('Sending game score to server:', score);
+        // Without an input log the server has nothing to re-simulate
+        if (!this.lastReplay || !this.runTicket) {
+            console.warn('Cannot send score: this run was not recorded');
+            return;
+        }
         
-        // Send current game score to backend
-        console.log('this', score);
-
-        try {
-            // Use the API endpoint
-            fetch('https://hop-bunny-backend-v2.vercel.app/api/update-score', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    userId: userId,
-                    score: score // Current score from this game session
-                })
+        console.log('Sending run summary to server, score:', score);
+        
+        // Build the summary now - the next run resets the checkpoints
+        const summary = RunSummary.build(this.lastReplay, this.simulation.checkpoints, {
+            runId: null,
+            userId: userId,
+            durationMs: performance.now() - this.runStartedAt
+        });
+        
+        this.runTicket
+            .then(ticket => {
+                if (!ticket) {
+                    throw new Error('No run ticket was issued for this run');
+                }
+                
+                summary.runId = ticket.runId;
+                const payload = JSON.stringify(summary);
+                
+                return RunSummary.sign(payload, ticket.runKey).then(signature => {
+                    return fetch('https://hop-bunny-backend-v2.vercel.app/api/submit-run', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': `Bearer ${token}`
+                        },
+                        body: JSON.stringify({
+                            payload: payload, // Signed as-is, so it's sent as a string
+                            signature: signature
+                        })
+                    });
+                });
             })
             .then(response => {
                 // Check if response is JSON
@@ -351,19 +546,25 @@ class Game {
             .then(data => {
                 console.log('Score sent successfully:', data);
                 
-                // If the server sends back a highScore property, we can use it to update
-                // the local display, but this is just for display purposes
+                // If the server sends back the high score of this run's board, we can use it
+                // to update the local display, but this is just for display purposes
                 if (data && data.highScore !== undefined) {
                     this.highScore = parseInt(data.highScore);
-                    localStorage.setItem('highScore', this.highScore);
+                    localStorage.setItem(DifficultyProfiles.highScoreKey(this.difficultyId), this.highScore);
+                }
+                
+                // The account's coin balance, with this run's coins added
+                if (data && data.coins !== undefined) {
+                    this.coinBalance = parseInt(data.coins);
+                    Cosmetics.coins = this.coinBalance; // So the shop can spend them
+                    if (this.isGameOver) {
+                        this.render();
+                    }
                 }
             })
             .catch(error => {
                 console.error('Error sending score:', error);
             });
-        } catch (error) {
-            console.error('Error connecting to server:', error);
-        }
     }
     
     /**
@@ -410,16 +611,21 @@ class Game {
             .then(data => {
                 console.log('User data fetched:', data);
                 
-                // Update high score from server (which should be the cumulative total)
-                if (data.highScore && !isNaN(data.highScore)) {
-                    const serverHighScore = parseInt(data.highScore);
-                    console.log('Received cumulative high score from server:', serverHighScore);
+                // Update high score from the server's board for this mode
+                const serverHighScore = DifficultyProfiles.scoreFor(data, this.difficultyId);
+                if (serverHighScore) {
+                    console.log(`Received ${this.difficultyId} high score from server:`, serverHighScore);
                     
                     // Set the high score to the server value
                     this.highScore = serverHighScore;
-                    localStorage.setItem('highScore', this.highScore);
+                    localStorage.setItem(DifficultyProfiles.highScoreKey(this.difficultyId), this.highScore);
                     console.log('Local high score updated to match server:', this.highScore);
                 }
+                
+                // Coins saved to the account from earlier runs
+                if (data && data.coins !== undefined) {
+                    this.coinBalance = parseInt(data.coins);
+                }
             })
             .catch(error => {
                 console.error('Error fetching user data:', error);
@@ -433,53 +639,166 @@ class Game {
      * Restart the game
      */
     restart() {
+        // Restarting from a replay goes back to normal play
+        if (this.replayPlayer) {
+            this.replayPlayer = null;
+            this.resizeCanvas();
+        }
+        
         // Reset game state
-        this.score = 0;
-        this.updateScore(0);
-        this.camera.y = 0;
-        this.camera.targetY = 0;
         this.isGameOver = false;
+        this.controlDirection = 0;
+        this.shootRequested = false;
+        this.jumpRequested = false;
         
-        // Reset difficulty
-        this.difficulty = 1;
-        this.lastDifficultyIncrease = 0;
+        // Pick a new world unless the seed was fixed from the URL
+        this.seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.generateSeed();
         
-        // Reset entities
+        // Start a new simulation
         this.initEntities();
+        this.updateScore(0);
         
         // Clear milestone timers
         this.milestoneTimers = {};
+        this.banner = null;
         
         // Start the game loop again
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
         
         console.log('Game restarted');
     }
     
     /**
-     * Main game loop
+     * Play back a recorded run
+     * @param {Object} replay - Replay data (see ReplayRecorder.finish)
+     */
+    playReplay(replay) {
+        const error = Replay.validate(replay);
+        if (error) {
+            console.error('Cannot play replay:', error);
+            return;
+        }
+        
+        this.stop();
+        this.replayPlayer = new ReplayPlayer(replay);
+        
+        // Simulate at the recorded size; CSS scales the canvas to fit the screen
+        this.canvas.width = replay.width;
+        this.canvas.height = replay.height;
+        
+        // Start a new simulation of the recorded world
+        this.seed = replay.seed;
+        this.milestoneTimers = {};
+        this.banner = null;
+        this.initEntities();
+        this.updateScore(0);
+        
+        this.start();
+        console.log(`Playing replay: seed ${replay.seed}, ${replay.ticks} ticks, score ${replay.score}`);
+    }
+    
+    /**
+     * Fetch a replay from the backend and play it
+     * @param {string} replayId - ID of the stored replay
+     * @returns {Promise<void>}
+     */
+    loadReplayById(replayId) {
+        return fetch(`https://hop-bunny-backend-v2.vercel.app/api/replays/${encodeURIComponent(replayId)}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                // Accept either the bare replay or a {replay} wrapper
+                this.playReplay(data.replay || data);
+            })
+            .catch(error => {
+                console.error('Error loading replay:', error);
+            });
+    }
+    
+    /**
+     * Download the replay of the last finished run as a JSON file
+     */
+    downloadReplay() {
+        if (!this.lastReplay) {
+            console.warn('No replay available to download');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hop-bunny-replay-${this.lastReplay.seed}-${this.lastReplay.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Play replay files dropped onto the game canvas (e.g. from a bug report)
+     */
+    setupReplayDrop() {
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.playReplay(Replay.parse(text)))
+                .catch(error => console.error('Could not read replay file:', error));
+        });
+    }
+    
+    /**
+     * Main game loop.
+     * The simulation advances in fixed ticks of `fixedTimeStep` ms no matter how often
+     * the browser calls us, so physics and scoring are identical on 60/90/120/144 Hz
+     * screens. Rendering interpolates between the last two ticks.
      * @param {number} currentTime - Current timestamp
      */
-    gameLoop(currentTime = 0) {
+    gameLoop(currentTime = performance.now()) {
         if (!this.isRunning) return;
         
-        // Calculate delta time
-        const deltaTime = currentTime - this.lastTime;
+        // Calculate frame time
+        const frameTime = Math.max(0, currentTime - this.lastTime);
         this.lastTime = currentTime;
         
-        // Don't allow massive delta time jumps (e.g. after tab switching)
-        const safeDeltaTime = Math.min(deltaTime, 50);
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        // Don't allow massive frame time jumps (e.g. after tab switching).
+        // Slow motion runs fewer ticks per second instead of changing the simulation.
+        this.accumulator += Math.min(frameTime, this.maxFrameTime) * this.simulation.getTimeScale();
+        
+        // Run as many fixed simulation ticks as the elapsed time covers
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            this.storePreviousState();
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+            
+            // gameOver() stops the loop and draws the final frame itself
+            if (!this.isRunning) return;
+        }
         
-        // Update game
-        this.update(safeDeltaTime);
+        // On devices too slow to keep up, drop the backlog instead of spiralling
+        if (steps >= this.maxStepsPerFrame) {
+            this.accumulator = 0;
+        }
         
-        // Render game
-        this.render();
+        // Render game, blending between the previous and current tick
+        this.render(this.accumulator / this.fixedTimeStep);
         
         // Periodically log status for debugging
         if (Math.random() < 0.001) { // ~0.1% chance each frame
@@ -491,272 +810,258 @@ class Game {
     }
     
     /**
-     * Update game state
+     * Remember entity positions from the last tick for interpolated rendering
+     */
+    storePreviousState() {
+        this.camera.prevY = this.camera.y;
+        this.world.storePrevious();
+    }
+    
+    /**
+     * Advance the game by one simulation tick
      * @param {number} deltaTime - Time since last update
      */
     update(deltaTime) {
         // Don't update if game is over
         if (this.isGameOver) return;
         
-        // CRITICAL FIX: Special handling for score 300-310 range where player vanishes
-        if (this.score >= 300 && this.score <= 310) {
-            // Enable extra debugging
-            console.log(`Score ${this.score}: Player at ${Math.round(this.player.x)},${Math.round(this.player.y)} - Camera at ${Math.round(this.camera.y)}`);
-            
-            // Force player to be visible - extreme measure for this score range
-            const screenY = this.player.y - this.camera.y;
-            if (screenY < 0 || screenY > this.canvas.height || isNaN(screenY)) {
-                console.log("CRITICAL FIX: Repositioning player at score 300-310 range");
-                this.player.y = this.camera.y + this.canvas.height * 0.5;
-                this.player.velocityY = -5; // Small upward velocity
-                
-                // Create safe platform below
-                const safePlatform = new Platform(
-                    this.canvas.width / 2 - 75,
-                    this.player.y + this.player.height + 20,
-                    150,
-                    this.platformManager.platformHeight,
-                    'normal'
-                );
-                this.platformManager.platforms.push(safePlatform);
-                
-                // Remove any enemies at this height
-                this.enemyManager.enemies = this.enemyManager.enemies.filter(enemy => {
-                    const enemyScreenY = enemy.y - this.camera.y;
-                    return enemyScreenY < 0 || enemyScreenY > this.canvas.height;
-                });
-            }
+        // A replay ends when all recorded ticks have been played
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.tick)) {
+            this.gameOver();
+            return;
         }
         
-        // Emergency player recovery - if the player is outside the screen bounds
-        this.recoverPlayerIfNeeded();
+        // Ask the server for a run ticket as the run begins
+        if (this.tick === 0 && this.recorder) {
+            this.beginRun();
+        }
         
-        // Update player
-        this.player.update(deltaTime, this);
+        // Simulate this tick with the live controls or the replay
+        this.simulation.step(this.readInput());
         
-        // Check if player is dead
-        if (!this.player.isAlive) {
+        if (this.simulation.isGameOver) {
             this.gameOver();
             return;
         }
         
-        // Update camera to follow player
-        this.updateCamera(deltaTime);
-        
-        // Update platforms - pass player to make platforms disappear below player
-        this.platformManager.update(deltaTime, this.camera.y, this.player);
-        
-        // Update enemies
-        this.enemyManager.update(deltaTime, this.camera.y, Math.abs(this.camera.y));
-        
-        // Update power-ups
-        this.powerUpManager.update(deltaTime, this.camera.y, Math.abs(this.camera.y));
-        
-        // Check collisions
-        this.checkCollisions();
-        
         // Update background
         this.updateBackground(deltaTime);
         
-        // Update score based on height
-        const currentHeight = Math.abs(this.camera.y);
-        this.updateScore(Math.floor(currentHeight / 10));
-
-        // Ensure player is visible after score update
-        if (this.score === 300) {
-            console.log("Player just reached score 300, ensuring visibility");
-            this.forcePlayerVisibility();
-        }
+        // Count down milestone notifications in ticks so they last the same on every screen
+        this.updateMilestoneTimers();
     }
     
     /**
-     * Force player to be visible on screen
+     * Start timing a live run and request its run ticket from the server
      */
-    forcePlayerVisibility() {
-        const screenY = this.player.y - this.camera.y;
-        
-        // If player is not clearly visible on screen, reposition
-        if (screenY < 50 || screenY > this.canvas.height - 50) {
-            // Position player at lower middle of screen
-            this.player.y = this.camera.y + this.canvas.height * 0.7;
-            
-            // Reset vertical velocity to a small upward bounce
-            this.player.velocityY = this.player.jumpForce * 0.5;
-            
-            // Create supporting platform
-            const platform = new Platform(
-                this.canvas.width / 2 - 75,
-                this.player.y + this.player.height + 20,
-                150,
-                this.platformManager.platformHeight,
-                'normal'
-            );
-            
-            this.platformManager.platforms.push(platform);
-            console.log("Force repositioned player for visibility at score 300");
-        }
+    beginRun() {
+        this.runStartedAt = performance.now();
+        this.runTicket = this.requestRunTicket();
     }
     
     /**
-     * Update camera position to follow player
-     * @param {number} deltaTime - Time since last update
+     * Request a run ticket ({runId, runKey}) used to sign the run summary
+     * @returns {Promise<Object|null>} The ticket, or null if none could be issued
      */
-    updateCamera(deltaTime) {
-        // Calculate how far up the screen the player is
-        const screenY = this.player.y - this.camera.y;
+    requestRunTicket() {
+        const token = localStorage.getItem('token') || sessionStorage.getItem('token');
+        const userId = localStorage.getItem('userId') || sessionStorage.getItem('userId');
         
-        // If player is in the upper 2/3 of the screen, move the camera up
-        if (screenY < this.canvas.height * 0.67) {
-            this.camera.targetY = this.player.y - (this.canvas.height * 0.5);
+        // Guests don't submit scores, so they don't need a ticket
+        if (!token || !userId) {
+            return Promise.resolve(null);
         }
         
-        // Camera shouldn't move down too quickly if player is falling
-        // Only follow player down if they're below 80% of screen height
-        if (screenY > this.canvas.height * 0.8 && this.camera.targetY > this.camera.y) {
-            this.camera.targetY = this.camera.y;
+        return fetch('https://hop-bunny-backend-v2.vercel.app/api/runs/start', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ userId: userId, seed: this.seed, difficulty: this.simulation.difficultyProfile.id })
+        })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Run ticket request failed (${response.status})`);
+            }
+            return response.json();
+        })
+        .then(data => {
+            if (!data || !data.runId || !data.runKey) {
+                throw new Error('Server returned an invalid run ticket');
+            }
+            return { runId: data.runId, runKey: data.runKey };
+        })
+        .catch(error => {
+            console.error('Error requesting run ticket:', error);
+            return null;
+        });
+    }
+    
+    /**
+     * Get the input for the current tick, recording it for the replay
+     * @returns {Object} Input for this tick ({direction, shoot, jump})
+     */
+    readInput() {
+        if (this.replayPlayer) {
+            return this.replayPlayer.inputAt(this.tick);
         }
         
-        // Smooth camera movement, but slower when moving down
-        const easing = this.player.velocityY > 0 ? 0.05 : 0.1;
-        this.camera.y = Utils.ease(this.camera.y, this.camera.targetY, easing);
-        
-        // Don't let the player fall off the bottom - check game over
-        if (screenY > this.canvas.height + 50) {
-            // Player has fallen too far
-            Utils.debug("Player fell off screen", {screenY, cameraY: this.camera.y, playerY: this.player.y});
-            
-            // No more safety shields or repositioning - player dies when falling off screen
-            this.player.isAlive = false;
+        const input = {
+            direction: Replay.quantizeDirection(this.controlDirection),
+            shoot: this.shootRequested,
+            jump: this.jumpRequested
+        };
+        this.shootRequested = false;
+        this.jumpRequested = false;
+        if (this.recorder) {
+            this.recorder.record(this.tick, input);
         }
+        return input;
     }
     
     /**
-     * Update score display with animation
-     * @param {number} newScore - New score value
+     * Set up keyboard and tilt controls
      */
-    updateScore(newScore) {
-        if (newScore > this.score) {
-            // Check if we crossed a 100-point threshold
-            const previousHundred = Math.floor(this.score / 100);
-            const newHundred = Math.floor(newScore / 100);
-            
-            if (newHundred > previousHundred) {
-                // Play milestone sound for every 100 points
-                if (this.sounds && this.sounds.milestone) {
-                    try {
-                        this.sounds.milestone.currentTime = 0;
-                        this.sounds.milestone.play().catch(e => console.warn('Could not play milestone sound', e));
-                    } catch (e) {
-                        console.warn('Could not play milestone sound', e);
-                    }
+    setupControls() {
+        // Keyboard controls
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'a') {
+                this.controlDirection = -1;
+            } else if (e.key === 'ArrowRight' || e.key === 'd') {
+                this.controlDirection = 1;
+            } else if (e.key === ' ') {
+                // Holding the key down doesn't auto-fire
+                if (!e.repeat) {
+                    this.shootRequested = true;
                 }
-                
-                // Add special animation class for 100-point milestones
-                const scoreElement = document.getElementById('score');
-                if (scoreElement) {
-                    scoreElement.classList.add('score-pulse');
-                    setTimeout(() => {
-                        scoreElement.classList.remove('score-pulse');
-                    }, 1000);
+            } else if (e.key === 'ArrowUp' || e.key === 'w') {
+                if (!e.repeat) {
+                    this.jumpRequested = true;
                 }
+            } else if (e.key === 'F2') {
+                this.showDebugOverlay = !this.showDebugOverlay;
             }
-            
-            // Check if we crossed a 1000-point threshold
-            const previousThousand = Math.floor(this.score / 1000);
-            const newThousand = Math.floor(newScore / 1000);
-            
-            if (newThousand > previousThousand) {
-                this.increaseDifficulty();
-                this.showThousandMilestone(newThousand * 1000);
+        });
+        
+        window.addEventListener('keyup', (e) => {
+            if ((e.key === 'ArrowLeft' || e.key === 'a') && this.controlDirection === -1) {
+                this.controlDirection = 0;
+            } else if ((e.key === 'ArrowRight' || e.key === 'd') && this.controlDirection === 1) {
+                this.controlDirection = 0;
             }
-            
-            this.score = newScore;
-            
-            // Update DOM score with animation
-            const scoreElement = document.getElementById('score');
-            if (scoreElement) {
-                // Add pulse animation class if not already added
-                if (!scoreElement.classList.contains('score-pulse')) {
-                    scoreElement.classList.add('score-pulse');
-                    setTimeout(() => {
-                        scoreElement.classList.remove('score-pulse');
-                    }, 300);
+        });
+        
+        // Disable device orientation controls as they can interfere with touch controls
+        // Enable only on desktop for a better experience
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        
+        if (!isMobile && window.DeviceOrientationEvent) {
+            window.addEventListener('deviceorientation', (e) => {
+                if (e.gamma) {
+                    // Convert gamma rotation to direction (-90 to 90), clamped between -1 and 1
+                    this.controlDirection = Math.max(-1, Math.min(1, e.gamma / 45));
                 }
-                scoreElement.textContent = Math.floor(this.score);
-            }
+            }, true);
         }
     }
     
     /**
-     * Show a special effect for thousand milestone
-     * @param {number} milestone - The milestone achieved
+     * Update score display with animation
+     * @param {number} score - New score value
      */
-    showThousandMilestone(milestone) {
-        // Add milestone to the list to be shown by drawScore
-        this.milestoneTimers[milestone] = 120;  // Show for 2 seconds
-        
-        // Try to play a special sound for milestone
-        if (this.sounds && this.sounds.milestone) {
-            try {
-                this.sounds.milestone.play().catch(e => console.warn('Could not play milestone sound', e));
-            } catch (e) {
-                console.warn('Could not play milestone sound', e);
+    updateScore(score) {
+        const scoreElement = document.getElementById('score');
+        if (scoreElement) {
+            // Add pulse animation class if not already added
+            if (!scoreElement.classList.contains('score-pulse')) {
+                this.pulseScore(300);
             }
+            scoreElement.textContent = Math.floor(score);
         }
     }
     
     /**
-     * Increase game difficulty
+     * Briefly pulse the DOM score
+     * @param {number} duration - How long the pulse lasts in ms
      */
-    increaseDifficulty() {
-        this.difficulty += 1;
-        this.lastDifficultyIncrease = this.score;
-        
-        console.log(`Difficulty increased to level ${this.difficulty} at score ${this.score}`);
-        
-        // Increase player gravity
-        if (this.player) {
-            const newGravity = 0.5 + (this.difficulty - 1) * 0.05;
-            this.player.gravity = Math.min(newGravity, 0.8); // Cap at 0.8
-            
-            // Also increase jump force to compensate for higher gravity
-            const newJumpForce = -15 - (this.difficulty - 1);
-            this.player.jumpForce = Math.max(newJumpForce, -20); // Cap at -20
-            
-            console.log(`Player gravity increased to ${this.player.gravity}, jump force to ${this.player.jumpForce}`);
+    pulseScore(duration) {
+        const scoreElement = document.getElementById('score');
+        if (scoreElement) {
+            scoreElement.classList.add('score-pulse');
+            setTimeout(() => {
+                scoreElement.classList.remove('score-pulse');
+            }, duration);
         }
-        
-        // Adjust platform generation
-        if (this.platformManager) {
-            // Reduce platform density
-            const platformReduction = Math.min(this.difficulty - 1, 5);
-            this.platformManager.density = Math.max(10 - platformReduction, 5); // Ensure at least 5 platforms
-            
-            // Make platforms narrower with each level
-            const widthReduction = Math.min((this.difficulty - 1) * 10, 40);
-            this.platformManager.minWidth = Math.max(60 - widthReduction, 20); // Minimum 20px wide (was 40)
-            this.platformManager.maxWidth = Math.max(120 - widthReduction, 60); // Minimum 60px wide (was 80)
-            
-            // Also make platforms shorter (reduce height)
-            const heightReduction = Math.min((this.difficulty - 1) * 2, 10);
-            this.platformManager.platformHeight = Math.max(20 - heightReduction, 10); // Minimum 10px height
-            
-            console.log(`Platform size reduced: ${this.platformManager.minWidth}-${this.platformManager.maxWidth}x${this.platformManager.platformHeight}, density: ${this.platformManager.density}`);
+    }
+    
+    /**
+     * Flash the screen red when an enemy hurts the player
+     */
+    showDamageFlash() {
+        const gameContainer = document.querySelector('.game-container');
+        if (!gameContainer) return;
+        
+        gameContainer.style.animation = 'none';
+        setTimeout(() => {
+            gameContainer.style.animation = 'damage-flash 0.5s';
+        }, 10);
+        
+        // Add the animation if it doesn't exist
+        if (!document.getElementById('damageAnimation')) {
+            const style = document.createElement('style');
+            style.id = 'damageAnimation';
+            style.textContent = `
+                @keyframes damage-flash {
+                    0% { background-color: rgba(255, 0, 0, 0); }
+                    50% { background-color: rgba(255, 0, 0, 0.3); }
+                    100% { background-color: rgba(255, 0, 0, 0); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+    
+    /**
+     * Start and count down milestone notifications
+     */
+    updateMilestoneTimers() {
+        // Show a marker when score reaches a 100-point threshold
+        if (this.score > 0 && this.score % 100 === 0 && this.milestoneTimers[this.score] === undefined) {
+            this.milestoneTimers[this.score] = 60;  // Show for 60 ticks (1 second)
         }
         
-        // Increase enemy spawn rate
-        if (this.enemyManager) {
-            // More enemies
-            this.enemyManager.spawnChance = Math.min(0.2 + (this.difficulty - 1) * 0.05, 0.5); // Cap at 50%
-            
-            // Faster enemies
-            this.enemyManager.maxSpeed = Math.min(2 + (this.difficulty - 1) * 0.5, 5); // Cap at 5
-            
-            console.log(`Enemy spawn chance increased to ${this.enemyManager.spawnChance}, max speed to ${this.enemyManager.maxSpeed}`);
+        Object.keys(this.milestoneTimers).forEach(milestone => {
+            this.milestoneTimers[milestone]--;
+            if (this.milestoneTimers[milestone] <= 0) {
+                delete this.milestoneTimers[milestone];
+            }
+        });
+        
+        if (this.banner && --this.banner.timer <= 0) {
+            this.banner = null;
         }
+    }
+    
+    /**
+     * Announce something big in the middle of the screen (boss fights)
+     * @param {string} title - Main line
+     * @param {string} subtitle - Smaller line underneath
+     */
+    showBanner(title, subtitle) {
+        this.banner = { title: title, subtitle: subtitle, timer: 150 }; // Show for 2.5 seconds
+    }
+    
+    /**
+     * Show a special effect for thousand milestone
+     * @param {number} milestone - The milestone achieved
+     */
+    showThousandMilestone(milestone) {
+        // Add milestone to the list to be shown by drawScore
+        this.milestoneTimers[milestone] = 120;  // Show for 2 seconds
         
-        // Also adjust camera speed
-        this.camera.smoothing = Math.min(0.1 + (this.difficulty - 1) * 0.02, 0.2); // Cap at 0.2
+        // Try to play a special sound for milestone
+        this.playSound(this.sounds.milestone);
     }
     
     /**
@@ -777,89 +1082,36 @@ class Game {
         }
     }
     
-    /**
-     * Check for collisions between game entities
-     */
-    checkCollisions() {
-        // Check player-platform collisions
-        const platformCollision = this.platformManager.checkCollisions(this.player);
-        
-        // Force the player to jump if on a platform and not already jumping
-        if (platformCollision && this.player.isFalling) {
-            // The player has landed on a platform, ensure jump happens
-            Utils.debug('Player landed on platform');
-        }
-        
-        // Check player-enemy collisions
-        if (this.enemyManager.checkCollisions(this.player)) {
-            // Player hit an enemy (harmful collision)
-            Utils.debug('Player hit enemy, game over');
-            this.player.isAlive = false;
-        }
-        
-        // Check player-powerup collisions
-        this.powerUpManager.checkCollisions(this.player);
-    }
-    
-    /**
-     * Emergency player recovery if they vanish or go out of bounds
-     */
-    recoverPlayerIfNeeded() {
-        // Check if player is off-screen horizontally
-        if (this.player.x < -this.player.width * 2 || this.player.x > this.canvas.width + this.player.width * 2) {
-            console.log("Emergency player recovery: Player off-screen horizontally");
-            // Reset to center
-            this.player.x = this.canvas.width / 2 - this.player.width / 2;
-        }
-        
-        // Calculate player's screen position
-        const screenY = this.player.y - this.camera.y;
-        
-        // Check if player is way off-screen vertically - game over instead of recovery
-        if (screenY < -this.canvas.height || screenY > this.canvas.height * 2) {
-            console.log("Player is too far off-screen vertically - game over");
-            this.player.isAlive = false;
-            return;
-        }
-        
-        // Check if player has invalid position (NaN)
-        if (isNaN(this.player.x) || isNaN(this.player.y) || 
-            isNaN(this.player.velocityX) || isNaN(this.player.velocityY)) {
-            console.log("Emergency player recovery: Player has NaN position or velocity");
-            
-            // Reset player
-            this.player.x = this.canvas.width / 2 - this.player.width / 2;
-            this.player.y = this.camera.y + this.canvas.height * 0.7;
-            this.player.velocityX = 0;
-            this.player.velocityY = this.player.jumpForce * 0.5;
-        }
-    }
-    
     /**
      * Render the game
+     * @param {number} alpha - How far we are between the previous and current tick (0-1)
      */
-    render() {
+    render(alpha = 1) {
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw background
-        this.drawBackground();
-        
-        // Draw platforms
-        this.platformManager.draw(this.ctx, this.camera.y);
+        // Interpolated camera position for this frame
+        const cameraY = Utils.interpolate(this.camera.prevY, this.camera.y, alpha);
         
-        // Draw power-ups
-        this.powerUpManager.draw(this.ctx, this.camera.y);
+        // Draw background
+        this.drawBackground(cameraY);
         
-        // Draw enemies
-        this.enemyManager.draw(this.ctx, this.camera.y);
+        // Draw platforms, power-ups, coins, enemies, the boss, shots and the player
+        this.world.draw(this.ctx, cameraY, alpha);
         
-        // Draw player
-        this.player.draw(this.ctx, this.camera.y);
+        if (this.showDebugOverlay) {
+            this.platformManager.drawPathOverlay(this.ctx, cameraY, alpha);
+        }
         
         // Draw score
         this.drawScore(this.ctx);
         
+        // Draw the player's active power-ups and the time they have left
+        this.drawEffectsHud(this.ctx);
+        
+        // Draw the boss's health bar
+        this.bossManager.drawHealthBar(this.ctx);
+        
         // Draw game over screen if game is over
         if (this.isGameOver) {
             this.drawGameOverScreen();
@@ -935,10 +1187,8 @@ class Game {
         
         ctx.restore();
         
-        // Draw milestone markers when score reaches certain thresholds
-        if (score > 0 && score % 100 === 0 && this.milestoneTimers[score] === undefined) {
-            this.milestoneTimers[score] = 60;  // Show for 60 frames (1 second at 60fps)
-        }
+        // Draw the coins collected this run next to the score
+        this.drawCoinCounter(ctx, scoreX + scoreWidth + 10, scoreY);
         
         // Draw active milestone notifications
         Object.keys(this.milestoneTimers).forEach(milestone => {
@@ -1012,25 +1262,183 @@ class Game {
                 ctx.font = '14px Arial';
                 ctx.fillText(`Keep hopping!`, notifX, notifY + 20);
                 
-                // Decrease timer
-                this.milestoneTimers[milestone]--;
-                if (this.milestoneTimers[milestone] <= 0) {
-                    delete this.milestoneTimers[milestone];
-                }
-                
                 ctx.restore();
             }
         });
+        
+        // Draw the boss fight announcement
+        if (this.banner) {
+            const notifX = ctx.canvas.width / 2;
+            const notifY = ctx.canvas.height * 0.45;
+            const notifWidth = 260;
+            const notifHeight = 70;
+            
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, this.banner.timer / 30);
+            
+            ctx.fillStyle = 'rgba(162, 62, 72, 0.9)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.roundRect(notifX - notifWidth/2, notifY - notifHeight/2, notifWidth, notifHeight, [15]);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 26px Arial';
+            ctx.fillText(this.banner.title, notifX, notifY - 10);
+            
+            ctx.font = '14px Arial';
+            ctx.fillText(this.banner.subtitle, notifX, notifY + 20);
+            
+            ctx.restore();
+        }
+    }
+    
+    /**
+     * Draw a coin icon and a count
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Left edge of the counter
+     * @param {number} y - Top edge of the counter
+     */
+    drawCoinCounter(ctx, x, y) {
+        const width = 80;
+        const height = 40;
+        
+        ctx.save();
+        
+        ctx.fillStyle = 'rgba(57, 84, 123, 0.8)'; // Bunny blue
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, [10]);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Coin icon
+        ctx.fillStyle = '#FFD700';
+        ctx.strokeStyle = '#D4AF37';
+        ctx.beginPath();
+        ctx.arc(x + 20, y + height / 2, 10, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Count
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(this.coins, x + 36, y + height / 2);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a row of the player's active power-ups under the score, each with a ring counting
+     * down its time, followed by smaller dimmed icons for the ones waiting their turn
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawEffectsHud(ctx) {
+        const effects = this.player.effects;
+        const iconSize = 28;
+        const spacing = 48;
+        const centerY = 114;
+        const radius = 20;
+        let x = 20;
+        
+        ctx.save();
+        
+        for (const effect of effects.active) {
+            const icon = this.hudIcon(effect.type, x, centerY - iconSize / 2, iconSize);
+            const untimed = effects.ruleFor(effect.type).untimed;
+            const remaining = untimed ? 1 : Math.max(0, Math.min(1, effect.timer / effect.duration));
+            const centerX = x + iconSize / 2;
+            
+            // Ring track, then the time left going round clockwise from the top
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            // Flash in the last second
+            const flashing = !untimed && effect.timer < 1000 && Math.floor(effect.timer / 125) % 2 === 0;
+            ctx.strokeStyle = flashing ? '#FFFFFF' : icon.definition.color;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * remaining);
+            ctx.stroke();
+            
+            icon.draw(ctx, 0);
+            
+            // Charges left (double jumps, shield hits)
+            if (effect.charges > 1) {
+                ctx.fillStyle = '#FFFFFF';
+                ctx.beginPath();
+                ctx.arc(centerX + radius * 0.75, centerY + radius * 0.75, 8, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#333333';
+                ctx.font = 'bold 11px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(effect.charges, centerX + radius * 0.75, centerY + radius * 0.75 + 1);
+            }
+            
+            x += spacing;
+        }
+        
+        // Queued power-ups start when the one in their way runs out
+        ctx.globalAlpha = 0.5;
+        for (const entry of effects.queued) {
+            this.hudIcon(entry.type, x, centerY - iconSize / 4, iconSize / 2).draw(ctx, 0);
+            x += iconSize / 2 + 6;
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Get the cached power-up drawn as a HUD icon, moved to where it's needed
+     * @param {string} type - Power-up type
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} size - Icon size
+     * @returns {PowerUp} The icon
+     */
+    hudIcon(type, x, y, size) {
+        const key = `${type}:${size}`;
+        if (!this.hudIcons[key]) {
+            this.hudIcons[key] = new PowerUp(x, y, size, type);
+        }
+        
+        const icon = this.hudIcons[key];
+        icon.x = x;
+        icon.y = y;
+        return icon;
     }
     
     /**
      * Resize canvas to match container size
      */
     resizeCanvas() {
+        // Replays are simulated at their recorded size
+        if (this.replayPlayer) return;
+        
         const container = this.canvas.parentElement;
         const containerWidth = container.clientWidth;
         const containerHeight = container.clientHeight;
         
+        // Nothing to adjust if the size didn't actually change
+        if (this.player && this.canvas.width === containerWidth && this.canvas.height === containerHeight) {
+            return;
+        }
+        
+        // The simulation depends on the canvas size, so a resize mid-run can't be replayed
+        if (this.recorder && this.tick > 0 && !this.isGameOver) {
+            this.recorder.invalidate('canvas resized during the run');
+        }
+        
         // Set canvas dimensions to match container
         this.canvas.width = containerWidth;
         this.canvas.height = containerHeight;
@@ -1057,41 +1465,13 @@ class Game {
      * @param {boolean} isMobile - Whether device is a mobile device
      */
     adjustEntitiesForResize(isPortrait, isMobile) {
-        // Update platform manager dimensions
-        if (this.platformManager) {
-            this.platformManager.canvasWidth = this.canvas.width;
-            this.platformManager.canvasHeight = this.canvas.height;
-        }
-        
-        // Update player position
-        if (this.player) {
-            // Keep player horizontally centered on resize
-            this.player.x = Math.min(
-                this.canvas.width - this.player.width,
-                Math.max(0, (this.canvas.width / 2) - (this.player.width / 2))
-            );
-            
-            // Adjust vertical position to keep player in view
-            const screenY = this.player.y - this.camera.y;
-            if (screenY < 0 || screenY > this.canvas.height) {
-                this.player.y = this.camera.y + (this.canvas.height * 0.7);
-            }
-        }
+        if (!this.simulation) return;
         
-        // Adjust enemy manager
-        if (this.enemyManager) {
-            this.enemyManager.canvasWidth = this.canvas.width;
-            this.enemyManager.canvasHeight = this.canvas.height;
-        }
-        
-        // Adjust power-up manager
-        if (this.powerUpManager) {
-            this.powerUpManager.canvasWidth = this.canvas.width;
-            this.powerUpManager.canvasHeight = this.canvas.height;
-        }
+        // Update the simulated playfield
+        this.simulation.resize(this.canvas.width, this.canvas.height);
         
         // For mobile devices in portrait, adjust camera position
-        if (isMobile && isPortrait && this.camera) {
+        if (isMobile && isPortrait) {
             // Ensure camera shows relevant part of the game
             const cameraAdjustment = this.canvas.height * 0.1;
             this.camera.y -= cameraAdjustment;
@@ -1139,7 +1519,7 @@ class Game {
         
         // Draw score panel
         const panelWidth = 280;
-        const panelHeight = 150;
+        const panelHeight = 220;
         const panelX = centerX - panelWidth / 2;
         const panelY = centerY + 50;
         
@@ -1183,7 +1563,10 @@ class Game {
         this.ctx.fillText('YOUR SCORE:', panelX + 30, panelY + 50);
         
         // Draw high score text
-        this.ctx.fillText('HIGH SCORE:', panelX + 30, panelY + 100);
+        this.ctx.fillText('HIGH SCORE:', panelX + 30, panelY + 95);
+        
+        // Draw coins text
+        this.ctx.fillText('COINS:', panelX + 30, panelY + 140);
         
         // Draw score values
         this.ctx.font = 'bold 28px Arial';
@@ -1202,7 +1585,24 @@ class Game {
         // Reset style for high score
         this.ctx.shadowBlur = 0;
         this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillText(Math.floor(this.highScore), panelX + panelWidth - 30, panelY + 100);
+        this.ctx.fillText(Math.floor(this.highScore), panelX + panelWidth - 30, panelY + 95);
+        
+        // Coins from this run, and the account's total once the server has counted them
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.fillText(`+${this.coins}`, panelX + panelWidth - 30, panelY + 140);
+        if (this.coinBalance !== null && !this.replayPlayer) {
+            this.ctx.font = '14px Arial';
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.fillText(`TOTAL: ${this.coinBalance}`, panelX + panelWidth - 30, panelY + 165);
+        }
+        
+        // Draw the mode and world seed so the run can be reproduced with ?seed=...
+        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.textAlign = 'center';
+        const modeLabel = this.simulation.difficultyProfile.label.toUpperCase();
+        const seedLabel = this.replayPlayer ? `REPLAY - ${modeLabel} - SEED: ${this.seed}` : `${modeLabel} - SEED: ${this.seed}`;
+        this.ctx.fillText(seedLabel, centerX, panelY + 195);
         
         // Draw restart button
         const buttonWidth = 200;
@@ -1242,6 +1642,31 @@ class Game {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText('TRY AGAIN', centerX, buttonY + buttonHeight / 2);
         
+        // Draw save replay button when this run's replay is available
+        this.replayButtonBounds = null;
+        if (!this.replayPlayer && this.lastReplay) {
+            const replayButtonWidth = 160;
+            const replayButtonHeight = 36;
+            const replayButtonX = centerX - replayButtonWidth / 2;
+            const replayButtonY = buttonY + buttonHeight + 15;
+            
+            this.ctx.fillStyle = 'rgba(57, 84, 123, 0.9)'; // Bunny blue
+            this.ctx.beginPath();
+            this.ctx.roundRect(replayButtonX, replayButtonY, replayButtonWidth, replayButtonHeight, [18]);
+            this.ctx.fill();
+            
+            this.ctx.font = 'bold 16px Arial';
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText('SAVE REPLAY', centerX, replayButtonY + replayButtonHeight / 2);
+            
+            this.replayButtonBounds = {
+                x: replayButtonX,
+                y: replayButtonY,
+                width: replayButtonWidth,
+                height: replayButtonHeight
+            };
+        }
+        
         // Add fun characters to game over screen
         this.drawGameOverCharacters();
         
@@ -1390,8 +1815,9 @@ class Game {
     
     /**
      * Draw the background with decorative elements
+     * @param {number} cameraY - Camera Y position to draw from
      */
-    drawBackground() {
+    drawBackground(cameraY = this.camera.y) {
         // Draw some completely static clouds with NO parallax effect
         this.ctx.save();
         this.ctx.globalAlpha = 0.8;
@@ -1430,13 +1856,13 @@ class Game {
             this.ctx.lineWidth = 1;
             
             // Calculate which height markers should be visible
-            const currentHeight = Math.abs(this.camera.y);
+            const currentHeight = Math.abs(cameraY);
             const visibleMarkerStart = Math.max(0, Math.floor((currentHeight - this.canvas.height) / 1000)) * 1000;
             const visibleMarkerEnd = Math.ceil((currentHeight + this.canvas.height) / 1000) * 1000;
             
             for (let h = visibleMarkerStart; h <= visibleMarkerEnd; h += 1000) {
                 // Calculate screen position for this height
-                const markerScreenY = h - this.camera.y;
+                const markerScreenY = h - cameraY;
                 
                 // Only draw if within visible range
                 if (markerScreenY >= 0 && markerScreenY <= this.canvas.height) {
@@ -1539,6 +1965,7 @@ class Game {
     resumeGame() {
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
     }
     
@@ -1581,6 +2008,10 @@ class Game {
         // Ensure we have touch data
         if (!e.touches || e.touches.length === 0) return;
         
+        // Remember when and where the touch started to tell taps and swipes from holds
+        this.touchStartedAt = performance.now();
+        this.touchStartY = e.touches[0].clientY;
+        
         const touch = e.touches[0];
         const containerRect = this.canvas.getBoundingClientRect();
         const touchX = touch.clientX - containerRect.left;
@@ -1590,11 +2021,11 @@ class Game {
         
         if (touchX < centerX) {
             // Left side touched
-            this.player.direction = -1;
+            this.controlDirection = -1;
             console.log('Touch left: Moving player left');
         } else {
             // Right side touched
-            this.player.direction = 1;
+            this.controlDirection = 1;
             console.log('Touch right: Moving player right');
         }
     }
@@ -1618,10 +2049,10 @@ class Game {
         
         if (touchX < centerX) {
             // Left side touched
-            this.player.direction = -1;
+            this.controlDirection = -1;
         } else {
             // Right side touched
-            this.player.direction = 1;
+            this.controlDirection = 1;
         }
     }
     
@@ -1633,7 +2064,27 @@ class Game {
         if (!this.isRunning || this.isGameOver) return;
         
         // Stop player movement
-        this.player.direction = 0;
+        this.controlDirection = 0;
         console.log('Touch ended: Stopping player movement');
+        
+        if (e.type !== 'touchend') return;
+        
+        // Swiping up uses the double jump, a quick tap shoots
+        const touch = e.changedTouches && e.changedTouches[0];
+        if (touch && this.touchStartY - touch.clientY > this.swipeDistance) {
+            this.jumpRequested = true;
+        } else if (performance.now() - this.touchStartedAt < this.tapDuration) {
+            this.shootRequested = true;
+        }
+    }
+    
+    /**
+     * Handle mouse down events - clicking the canvas shoots
+     * @param {MouseEvent} e - The mouse event
+     */
+    handleMouseDown(e) {
+        if (!this.isRunning || this.isGameOver) return;
+        
+        this.shootRequested = true;
     }
 }
\ No newline at end of file
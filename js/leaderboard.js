@@ -9,6 +9,9 @@ const API_ENDPOINTS = {
     users: '/users'
 };
 
+// Difficulty mode whose board is shown (see DifficultyProfiles)
+let currentMode = 'normal';
+
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize the leaderboard
     initLeaderboard();
@@ -35,14 +38,70 @@ function initLeaderboard() {
     // Set up animations for particles
     setupParticleAnimations();
     
-    // Load and display user info at the top bar
-    loadUserInfo();
+    // The modes come from the difficulty profiles. Show the board of ?mode=<id>,
+    // or of the mode last picked on the start screen
+    DifficultyProfiles.load().then(() => {
+        const requestedMode = new URLSearchParams(window.location.search).get('mode');
+        currentMode = DifficultyProfiles.get(requestedMode || localStorage.getItem('difficulty')).id;
+        setupModeTabs();
+        
+        // Load and display user info at the top bar
+        loadUserInfo();
+        
+        // Load leaderboard data
+        loadLeaderboardData();
+        
+        // Load player's own stats
+        loadPlayerStats();
+    });
+}
+
+/**
+ * Add a tab per difficulty mode that switches the board shown
+ */
+function setupModeTabs() {
+    const modeTabs = document.getElementById('modeTabs');
+    if (!modeTabs) return;
     
-    // Load leaderboard data
-    loadLeaderboardData();
+    modeTabs.innerHTML = '';
     
-    // Load player's own stats
-    loadPlayerStats();
+    DifficultyProfiles.list().forEach(({ id, label }) => {
+        const tab = document.createElement('button');
+        tab.className = 'mode-tab' + (id === currentMode ? ' selected' : '');
+        tab.textContent = label;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', id === currentMode);
+        
+        tab.addEventListener('click', () => {
+            if (id === currentMode) return;
+            
+            currentMode = id;
+            modeTabs.querySelectorAll('.mode-tab').forEach(other => {
+                other.classList.toggle('selected', other === tab);
+                other.setAttribute('aria-selected', other === tab);
+            });
+            
+            // The cached users were ranked for the previous board
+            window.allUsers = null;
+            loadUserInfo();
+            loadLeaderboardData().then(() => loadPlayerStats());
+        });
+        
+        modeTabs.appendChild(tab);
+    });
+}
+
+/**
+ * Get the replay of a player's best run on the current board. Replays from
+ * before there were modes ({bestReplayId}) belong to Normal.
+ * @param {Object} user - User data from the backend
+ * @returns {string|null} Replay ID, or null if the server kept none
+ */
+function bestReplayFor(user) {
+    if (user.bestReplayIds && user.bestReplayIds[currentMode]) {
+        return user.bestReplayIds[currentMode];
+    }
+    return currentMode === 'normal' && user.bestReplayId ? user.bestReplayId : null;
 }
 
 /**
@@ -260,8 +319,8 @@ async function loadLeaderboardData() {
             rowsContainer.appendChild(loadingIndicator);
         }
         
-        // Fetch data from API
-        const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.users}`, {
+        // Fetch data from API (scores of every board; ?mode= lets the server narrow it down)
+        const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.users}?mode=${encodeURIComponent(currentMode)}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -275,8 +334,10 @@ async function loadLeaderboardData() {
         const data = await response.json();
         const users = data.users || [];
         
-        // Sort users by highScore in descending order
-        const sortedUsers = users.sort((a, b) => b.highScore - a.highScore);
+        // Rank the players with a score on this mode's board, highest first
+        const sortedUsers = users
+            .filter(user => DifficultyProfiles.scoreFor(user, currentMode) > 0)
+            .sort((a, b) => DifficultyProfiles.scoreFor(b, currentMode) - DifficultyProfiles.scoreFor(a, currentMode));
         
         // Get top 10 users
         const topUsers = sortedUsers.slice(0, 10);
@@ -349,8 +410,10 @@ function loadSampleUserData() {
         }
     ];
     
-    // Sort by high score descending
-    const sortedUsers = sampleUsers.sort((a, b) => b.highScore - a.highScore);
+    // Sort by high score descending (the sample scores are all on the Normal board)
+    const sortedUsers = sampleUsers
+        .filter(user => DifficultyProfiles.scoreFor(user, currentMode) > 0)
+        .sort((a, b) => DifficultyProfiles.scoreFor(b, currentMode) - DifficultyProfiles.scoreFor(a, currentMode));
     
     // Display users in leaderboard
     displayLeaderboardData(sortedUsers);
@@ -411,10 +474,16 @@ function displayLeaderboardData(users) {
             rankDisplay = `<i class="fas fa-hashtag"></i> ${rank}`;
         }
         
+        // Link to the replay of the player's best run, if the server kept one
+        const replayId = bestReplayFor(user);
+        const replayLink = replayId
+            ? ` <a class="watch-replay" href="index.html?replay=${encodeURIComponent(replayId)}" title="Watch replay"><i class="fas fa-play-circle"></i></a>`
+            : '';
+        
         row.innerHTML = `
             <div class="rank">${rankDisplay}</div>
-            <div class="player">${user.username || 'Anonymous'}</div>
-            <div class="score">${formatNumber(user.highScore)}</div>
+            <div class="player">${user.username || 'Anonymous'}${replayLink}</div>
+            <div class="score">${formatNumber(DifficultyProfiles.scoreFor(user, currentMode))}</div>
         `;
         
         rowsContainer.appendChild(row);
@@ -487,7 +556,8 @@ function loadUserInfo() {
     // Get user info from localStorage or sessionStorage (same approach as auth-checker.js)
     const username = localStorage.getItem('username') || sessionStorage.getItem('username');
     const userId = localStorage.getItem('userId') || sessionStorage.getItem('userId');
-    const highScore = localStorage.getItem('highScore') || sessionStorage.getItem('highScore') || 0;
+    const highScoreKey = DifficultyProfiles.highScoreKey(currentMode);
+    const highScore = localStorage.getItem(highScoreKey) || sessionStorage.getItem(highScoreKey) || 0;
     
     // Update the UI elements
     const currentUsernameElement = document.getElementById('currentUsername');
@@ -543,9 +613,10 @@ async function loadPlayerStats() {
             return;
         }
         
-        // Check if score has changed
-        const oldHighScore = parseInt(localStorage.getItem('highScore') || sessionStorage.getItem('highScore') || '0');
-        const newHighScore = currentUser.highScore;
+        // Check if score on this mode's board has changed
+        const highScoreKey = DifficultyProfiles.highScoreKey(currentMode);
+        const oldHighScore = parseInt(localStorage.getItem(highScoreKey) || sessionStorage.getItem(highScoreKey) || '0');
+        const newHighScore = DifficultyProfiles.scoreFor(currentUser, currentMode);
         
         // Update the user info bar
         if (currentUsernameElement) currentUsernameElement.textContent = currentUser.username || 'Guest Player';
@@ -567,10 +638,10 @@ async function loadPlayerStats() {
         // Store user info in localStorage and sessionStorage based on where the original token was stored
         if (localStorage.getItem('token')) {
             localStorage.setItem('username', currentUser.username);
-            localStorage.setItem('highScore', currentUser.highScore);
+            localStorage.setItem(highScoreKey, newHighScore);
         } else if (sessionStorage.getItem('token')) {
             sessionStorage.setItem('username', currentUser.username);
-            sessionStorage.setItem('highScore', currentUser.highScore);
+            sessionStorage.setItem(highScoreKey, newHighScore);
         }
     } catch (error) {
         console.error('Error loading player stats:', error);
@@ -322,6 +322,29 @@ function addDebugOverlay() {
         }
     });
     
+    // Objects the world's pools created and reused over the last second (see World.allocations)
+    let allocationSample = { time: 0, world: null, created: 0, reused: 0 };
+    let allocationRate = { created: 0, reused: 0 };
+    
+    /**
+     * Measure the allocation rate once a second
+     * @param {World} world - The running game's world
+     */
+    function sampleAllocations(world) {
+        const now = performance.now();
+        if (now - allocationSample.time < 1000) return;
+        
+        // A new run has a new world, counting from zero
+        if (allocationSample.world === world) {
+            const seconds = (now - allocationSample.time) / 1000;
+            allocationRate = {
+                created: Math.round((world.allocations.created - allocationSample.created) / seconds),
+                reused: Math.round((world.allocations.reused - allocationSample.reused) / seconds)
+            };
+        }
+        allocationSample = { time: now, world: world, ...world.allocations };
+    }
+    
     // Update debug info periodically
     function updateDebugInfo() {
         if (!document.body.classList.contains('debug-enabled')) return;
@@ -336,6 +359,8 @@ function addDebugOverlay() {
             info.push(`Camera: ${Math.round(g.camera.y)}`);
             info.push(`Score: ${g.score}`);
             info.push(`Platforms: ${g.platformManager.platforms.length}`);
+            sampleAllocations(g.world);
+            info.push(`Allocs/s: ${allocationRate.created} (reused ${allocationRate.reused}/s)`);
             info.push(`Press D to hide debug`);
         } else {
             info.push('Game not initialized');
@@ -360,11 +385,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const finalScore = document.getElementById('finalScore');
     const highScore = document.getElementById('highScore');
     const gameCanvas = document.getElementById('gameCanvas');
+    const modeSelector = document.getElementById('modeSelector');
+    const shopButton = document.getElementById('shopButton');
     
     // Game state
     let game = null;
     let isGameStarted = false;
     
+    // The difficulty profiles are the modes on offer and decide how the run plays,
+    // so start loading them right away (the built-in curve is used if they can't be loaded)
+    const profilesLoaded = DifficultyProfiles.load();
+    
+    // The selected cosmetics are part of the account and dress the first run, so load them too
+    const cosmeticsLoaded = Cosmetics.load();
+    
+    // Buying or equipping something redresses a game that's already been created
+    const shop = new ShopScreen(document.getElementById('shopScreen'), () => {
+        if (game) game.applyCosmetics();
+    });
+    
     // Initialize the flow
     function init() {
         // Check if the user is already authenticated (can be implemented later)
@@ -378,6 +417,43 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Add event listeners
         setupEventListeners();
+        
+        // Let the player know the start button opens a replay
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('replay')) {
+            startButton.innerHTML = '<i class="fas fa-play-circle"></i> WATCH REPLAY';
+        }
+        
+        // A replay brings its own mode, and ?difficulty=<id> overrides the choice
+        if (params.get('replay') || params.get('difficulty')) {
+            modeSelector.classList.add('hidden');
+        } else {
+            profilesLoaded.then(setupModeSelector);
+        }
+    }
+    
+    // Offer a button per difficulty mode, remembering the choice for the next visit
+    function setupModeSelector() {
+        const selectedId = DifficultyProfiles.get(localStorage.getItem('difficulty')).id;
+        modeSelector.innerHTML = '';
+        
+        DifficultyProfiles.list().forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.className = 'mode-button' + (id === selectedId ? ' selected' : '');
+            button.textContent = label;
+            button.setAttribute('role', 'radio');
+            button.setAttribute('aria-checked', id === selectedId);
+            
+            button.addEventListener('click', () => {
+                localStorage.setItem('difficulty', id);
+                modeSelector.querySelectorAll('.mode-button').forEach(other => {
+                    other.classList.toggle('selected', other === button);
+                    other.setAttribute('aria-checked', other === button);
+                });
+            });
+            
+            modeSelector.appendChild(button);
+        });
     }
     
     // Setup all event listeners
@@ -388,6 +464,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // Restart button
         restartButton.addEventListener('click', restartGame);
         
+        // Shop button - opens once the player's coins and cosmetics are known
+        shopButton.addEventListener('click', () => cosmeticsLoaded.then(() => shop.show()));
+        
         // For touchscreen devices - use passive: false to prevent scrolling
         gameCanvas.addEventListener('touchstart', handleTouchStart, { passive: false });
         gameCanvas.addEventListener('touchmove', handleTouchMove, { passive: false });
@@ -408,12 +487,22 @@ document.addEventListener('DOMContentLoaded', () => {
         startScreen.classList.add('hidden');
         isGameStarted = true;
         
-        // Initialize the game
-        game = new Game(gameCanvas);
-        game.start();
-        
-        // Set up callback for game over
-        game.onGameOver = showGameOver;
+        // The difficulty profiles decide how the run plays and the cosmetics how it looks, so wait for them
+        Promise.all([profilesLoaded, cosmeticsLoaded]).then(() => {
+            // Initialize the game
+            game = new Game(gameCanvas);
+            
+            // Opened from the leaderboard to watch a replay (?replay=<id>)
+            const replayId = new URLSearchParams(window.location.search).get('replay');
+            if (replayId) {
+                game.loadReplayById(replayId);
+            } else {
+                game.start();
+            }
+            
+            // Set up callback for game over
+            game.onGameOver = showGameOver;
+        });
     }
     
     // Restart the game
@@ -474,14 +563,8 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update score display
         finalScore.textContent = score;
         
-        // Update high score
-        const currentHighScore = localStorage.getItem('highScore') || 0;
-        if (score > currentHighScore) {
-            localStorage.setItem('highScore', score);
-            highScore.textContent = score;
-        } else {
-            highScore.textContent = currentHighScore;
-        }
+        // Update high score (the game keeps one per difficulty mode)
+        highScore.textContent = game.highScore;
     }
     
     // Input handlers
@@ -493,11 +576,11 @@ document.addEventListener('DOMContentLoaded', () => {
             } catch (error) {
                 console.error('Error in handleTouchStart:', error);
                 // Fallback direct control if method fails
-                if (game.player && e.touches && e.touches.length > 0) {
+                if (e.touches && e.touches.length > 0) {
                     const touch = e.touches[0];
                     const rect = gameCanvas.getBoundingClientRect();
                     const touchX = touch.clientX - rect.left;
-                    game.player.direction = touchX < rect.width / 2 ? -1 : 1;
+                    game.controlDirection = touchX < rect.width / 2 ? -1 : 1;
                 }
             }
         }
@@ -511,11 +594,11 @@ document.addEventListener('DOMContentLoaded', () => {
             } catch (error) {
                 console.error('Error in handleTouchMove:', error);
                 // Fallback direct control if method fails
-                if (game.player && e.touches && e.touches.length > 0) {
+                if (e.touches && e.touches.length > 0) {
                     const touch = e.touches[0];
                     const rect = gameCanvas.getBoundingClientRect();
                     const touchX = touch.clientX - rect.left;
-                    game.player.direction = touchX < rect.width / 2 ? -1 : 1;
+                    game.controlDirection = touchX < rect.width / 2 ? -1 : 1;
                 }
             }
         }
@@ -529,9 +612,7 @@ document.addEventListener('DOMContentLoaded', () => {
             } catch (error) {
                 console.error('Error in handleTouchEnd:', error);
                 // Fallback direct control if method fails
-                if (game.player) {
-                    game.player.direction = 0;
-                }
+                game.controlDirection = 0;
             }
         }
     }
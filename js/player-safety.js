@@ -0,0 +1,139 @@
+/**
+ * Catches player states the rules can't recover from on their own, the same way
+ * at every height.
+ *
+ * Once per tick, after the player has moved, the simulation calls `update()`:
+ * - Non-finite position, velocity or camera values (NaN / Infinity) are rolled
+ *   back to the last tick that was valid.
+ * - A player outside the walls (pushed by a platform or an enemy hit) is put
+ *   back inside.
+ * - A player that hasn't moved vertically for two seconds gets a jump, so
+ *   a run can never hang without ending.
+ *
+ * Every rescue is reported through the simulation's 'playerRescued' event.
+ * Falling off the bottom of the screen is not a problem state - it ends the run.
+ */
+class PlayerSafety {
+    /**
+     * Create the safety checks for a simulation
+     * @param {GameSimulation} simulation - Simulation whose player to watch
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        
+        // Last valid player and camera state, restored when the state breaks
+        this.snapshot = null;
+        
+        // Stuck detection
+        this.stuckLimit = 120; // Ticks without vertical movement before the player counts as stuck
+        this.stuckDistance = 0.01; // Vertical movement per tick that counts as not moving
+        this.stuckTicks = 0;
+        this.lastY = null;
+        
+        // Number of rescues this run, by reason
+        this.rescues = {};
+    }
+    
+    /**
+     * Check the player after it moved this tick, fixing anything broken
+     */
+    update() {
+        const player = this.simulation.player;
+        if (!player.isAlive) return;
+        
+        if (!this.isValid()) {
+            this.restoreSnapshot();
+            this.rescue('invalid-state');
+        }
+        
+        // Keep the player inside the walls
+        const maxX = this.simulation.width - player.width;
+        if (player.x < 0 || player.x > maxX) {
+            player.x = Math.max(0, Math.min(maxX, player.x));
+            player.velocityX = 0;
+            this.rescue('out-of-bounds');
+        }
+        
+        // A player that keeps bouncing or falling always changes height
+        if (this.lastY !== null && Math.abs(player.y - this.lastY) < this.stuckDistance) {
+            this.stuckTicks++;
+        } else {
+            this.stuckTicks = 0;
+        }
+        this.lastY = player.y;
+        
+        if (this.stuckTicks >= this.stuckLimit) {
+            player.velocityY = player.jumpForce;
+            this.stuckTicks = 0;
+            this.rescue('stuck');
+        }
+        
+        this.takeSnapshot();
+    }
+    
+    /**
+     * Check that the player and camera state is made of real numbers
+     * @returns {boolean} True if the state is usable
+     */
+    isValid() {
+        const player = this.simulation.player;
+        const camera = this.simulation.camera;
+        
+        return [player.x, player.y, player.velocityX, player.velocityY, camera.y, camera.targetY]
+            .every(value => Number.isFinite(value));
+    }
+    
+    /**
+     * Remember the current (valid) state
+     */
+    takeSnapshot() {
+        const player = this.simulation.player;
+        const camera = this.simulation.camera;
+        
+        this.snapshot = {
+            x: player.x,
+            y: player.y,
+            velocityX: player.velocityX,
+            velocityY: player.velocityY,
+            cameraY: camera.y,
+            cameraTargetY: camera.targetY
+        };
+    }
+    
+    /**
+     * Put the player and camera back to the last valid state. Without one (the state
+     * broke on the first tick) the player restarts from the middle of the screen.
+     */
+    restoreSnapshot() {
+        const player = this.simulation.player;
+        const camera = this.simulation.camera;
+        
+        const snapshot = this.snapshot || {
+            x: this.simulation.width / 2 - player.width / 2,
+            y: this.simulation.height * 0.7,
+            velocityX: 0,
+            velocityY: player.jumpForce,
+            cameraY: 0,
+            cameraTargetY: 0
+        };
+        
+        player.x = snapshot.x;
+        player.y = snapshot.y;
+        player.velocityX = snapshot.velocityX;
+        player.velocityY = snapshot.velocityY;
+        camera.y = snapshot.cameraY;
+        camera.targetY = snapshot.cameraTargetY;
+    }
+    
+    /**
+     * Record and report a rescue
+     * @param {string} reason - What was wrong ('invalid-state', 'out-of-bounds' or 'stuck')
+     */
+    rescue(reason) {
+        this.rescues[reason] = (this.rescues[reason] || 0) + 1;
+        console.log(`Player safety: ${reason} at tick ${this.simulation.tick}`);
+        
+        this.simulation.emit('playerRescued', { reason: reason, tick: this.simulation.tick });
+    }
+}
+
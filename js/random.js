@@ -0,0 +1,116 @@
+/**
+ * Seedable pseudo-random number generator for deterministic world generation
+ */
+class SeededRandom {
+    /**
+     * Create a new random number generator
+     * @param {number|string} seed - Seed value (numbers are used as-is, other strings are hashed)
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Convert any seed value into an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed).trim();
+
+        // Plain numbers in strings (e.g. from the URL) map to the same seed as the number
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        return SeededRandom.hashString(text);
+    }
+
+    /**
+     * Hash a string into an unsigned 32-bit integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash value
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Pick a fresh seed for a new run
+     * @returns {number} A random unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} Random number in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generate a random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer between min and max
+     */
+    between(min, max) {
+        return Math.floor(this.next() * (max - min + 1) + min);
+    }
+
+    /**
+     * Generate a random float between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float in the range [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of returning true (0-1)
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Get a random item from an array
+     * @param {Array} array - Array to choose from
+     * @returns {*} Random item from the array
+     */
+    item(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Create an independent generator derived from this seed.
+     * Each subsystem gets its own stream so that one subsystem consuming more
+     * numbers (e.g. because the player moved differently) doesn't shift the others.
+     * @param {string} label - Name of the stream
+     * @returns {SeededRandom} Derived generator
+     */
+    fork(label) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+    }
+}
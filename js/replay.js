@@ -0,0 +1,237 @@
+/**
+ * Input recording and playback for complete runs.
+ *
+ * The simulation is deterministic for a given world seed, canvas size,
+ * difficulty profile and per-tick input, so a replay only needs to store those. The
+ * profile is stored by ID along with its hash, so a replay recorded before the
+ * profile was retuned is turned down rather than played differently. Inputs are stored
+ * as a change list of [tick, direction] pairs - a new entry is only written
+ * when the input differs from the previous tick. One-off actions such as
+ * shooting or a double jump are stored separately as [tick, action] pairs.
+ */
+const Replay = {
+    // Bump when the simulation changes in a way that makes old replays diverge
+    VERSION: 17,
+
+    // One-off actions an input can carry, as flags named after the action
+    ACTIONS: ['shoot', 'jump'],
+
+    /**
+     * Round a control direction so that the recorded value is exactly the value applied
+     * @param {number} direction - Raw direction from keyboard, touch or tilt (-1 to 1)
+     * @returns {number} Quantized direction
+     */
+    quantizeDirection: (direction) => {
+        if (!direction || isNaN(direction)) return 0;
+        return Math.round(Math.max(-1, Math.min(1, direction)) * 100) / 100;
+    },
+
+    /**
+     * Check that an object looks like a replay this version can play
+     * @param {Object} replay - Parsed replay data
+     * @returns {string|null} Error message, or null if the replay is valid
+     */
+    validate: (replay) => {
+        if (!replay || typeof replay !== 'object') return 'Replay is empty';
+        if (replay.version !== Replay.VERSION) return `Unsupported replay version: ${replay.version}`;
+        if (typeof replay.seed !== 'number') return 'Replay has no world seed';
+        if (!(replay.width > 0) || !(replay.height > 0)) return 'Replay has no canvas size';
+        if (!DifficultyProfiles.has(replay.difficulty)) return `Unknown difficulty profile: ${replay.difficulty}`;
+        if (replay.difficultyHash !== DifficultyProfiles.get(replay.difficulty).hash) {
+            return `Difficulty profile "${replay.difficulty}" has changed since the replay was recorded`;
+        }
+        if (!Array.isArray(replay.inputs)) return 'Replay has no input log';
+        if (!Replay.isInputLog(replay.inputs)) return 'Replay has a malformed input log';
+        if (!Array.isArray(replay.actions)) return 'Replay has no action log';
+        if (!Replay.isActionLog(replay.actions)) return 'Replay has a malformed action log';
+        if (!Number.isInteger(replay.ticks) || replay.ticks < 0) return 'Replay has no tick count';
+        return null;
+    },
+
+    /**
+     * Check that every entry of an input log is a [tick, direction] pair, in increasing
+     * tick order, with a direction quantizeDirection could have recorded
+     * @param {Array} inputs - Input log
+     * @returns {boolean} True if the log is well formed
+     */
+    isInputLog: (inputs) => {
+        let previousTick = -1;
+        return inputs.every(entry => {
+            if (!Array.isArray(entry) || entry.length !== 2) return false;
+
+            const [tick, direction] = entry;
+            if (!Number.isInteger(tick) || tick <= previousTick) return false;
+            previousTick = tick;
+
+            return Number.isFinite(direction) && Replay.quantizeDirection(direction) === direction;
+        });
+    },
+
+    /**
+     * Check that every entry of an action log is a [tick, action] pair of a known action,
+     * in tick order (several actions can share a tick)
+     * @param {Array} actions - Action log
+     * @returns {boolean} True if the log is well formed
+     */
+    isActionLog: (actions) => {
+        let previousTick = 0;
+        return actions.every(entry => {
+            if (!Array.isArray(entry) || entry.length !== 2) return false;
+
+            const [tick, action] = entry;
+            if (!Number.isInteger(tick) || tick < previousTick) return false;
+            previousTick = tick;
+
+            return Replay.ACTIONS.includes(action);
+        });
+    },
+
+    /**
+     * Parse a replay from JSON text
+     * @param {string} text - Replay JSON
+     * @returns {Object} Replay data
+     * @throws {Error} If the replay is malformed
+     */
+    parse: (text) => {
+        const replay = JSON.parse(text);
+        const error = Replay.validate(replay);
+        if (error) {
+            throw new Error(error);
+        }
+        return replay;
+    }
+};
+
+/**
+ * Records the per-tick input stream of a run
+ */
+class ReplayRecorder {
+    /**
+     * Create a new recorder
+     * @param {number} seed - World seed of the run
+     * @param {number} width - Canvas width the run is simulated at
+     * @param {number} height - Canvas height the run is simulated at
+     * @param {string} difficulty - ID of the run's difficulty profile
+     */
+    constructor(seed, width, height, difficulty) {
+        this.seed = seed;
+        this.width = width;
+        this.height = height;
+        this.difficulty = difficulty;
+        this.difficultyHash = DifficultyProfiles.get(difficulty).hash;
+        this.inputs = [];
+        this.actions = [];
+        this.lastDirection = 0;
+        this.invalidReason = null;
+        this.startedAt = new Date().toISOString();
+    }
+
+    /**
+     * Record the input applied on a tick
+     * @param {number} tick - Simulation tick number
+     * @param {Object} input - Input applied this tick ({direction, shoot, jump})
+     */
+    record(tick, input) {
+        if (input.direction !== this.lastDirection) {
+            this.inputs.push([tick, input.direction]);
+            this.lastDirection = input.direction;
+        }
+        for (const action of Replay.ACTIONS) {
+            if (input[action]) {
+                this.actions.push([tick, action]);
+            }
+        }
+    }
+
+    /**
+     * Mark the recording as unplayable (e.g. the canvas was resized mid-run)
+     * @param {string} reason - Why the recording can't be replayed
+     */
+    invalidate(reason) {
+        if (!this.invalidReason) {
+            this.invalidReason = reason;
+            console.warn(`Replay recording invalidated: ${reason}`);
+        }
+    }
+
+    /**
+     * Finish the recording
+     * @param {number} ticks - Total number of ticks simulated
+     * @param {number} score - Final score of the run
+     * @param {number} coins - Coins collected in the run
+     * @returns {Object|null} Replay data, or null if the recording is invalid
+     */
+    finish(ticks, score, coins = 0) {
+        if (this.invalidReason) return null;
+
+        return {
+            version: Replay.VERSION,
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            difficulty: this.difficulty,
+            difficultyHash: this.difficultyHash,
+            ticks: ticks,
+            score: score,
+            coins: coins,
+            inputs: this.inputs.slice(),
+            actions: this.actions.slice(),
+            recordedAt: this.startedAt
+        };
+    }
+}
+
+/**
+ * Feeds a recorded input stream back into the simulation
+ */
+class ReplayPlayer {
+    /**
+     * Create a new replay player
+     * @param {Object} replay - Replay data (see ReplayRecorder.finish)
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.index = 0;
+        this.actionIndex = 0;
+        this.direction = 0;
+    }
+
+    /**
+     * Get the input for a tick. Ticks must be requested in increasing order.
+     * @param {number} tick - Simulation tick number
+     * @returns {Object} Input for this tick ({direction, shoot, jump})
+     */
+    inputAt(tick) {
+        const inputs = this.replay.inputs;
+        while (this.index < inputs.length && inputs[this.index][0] <= tick) {
+            this.direction = inputs[this.index][1];
+            this.index++;
+        }
+
+        const input = { direction: this.direction };
+        for (const action of Replay.ACTIONS) {
+            input[action] = false;
+        }
+
+        // Actions only happen on the tick they were recorded on
+        const actions = this.replay.actions;
+        while (this.actionIndex < actions.length && actions[this.actionIndex][0] <= tick) {
+            const [actionTick, action] = actions[this.actionIndex];
+            if (actionTick === tick && Replay.ACTIONS.includes(action)) {
+                input[action] = true;
+            }
+            this.actionIndex++;
+        }
+
+        return input;
+    }
+
+    /**
+     * Check whether the recorded run has been fully played back
+     * @param {number} tick - Current simulation tick number
+     * @returns {boolean} True once all recorded ticks have been simulated
+     */
+    isFinished(tick) {
+        return tick >= this.replay.ticks;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Run summaries for server-verified score submission.
+ *
+ * Instead of posting a bare score, the client submits everything needed to
+ * re-simulate the run: world seed, canvas size, difficulty profile, tick count,
+ * the recorded input and action logs (see replay.js) and a hash of the simulation state
+ * every CHECKPOINT_INTERVAL ticks. The server replays the inputs through a headless
+ * simulation and only accepts the score if every checkpoint, the final score and
+ * the coins collected match. Accepted scores go on the leaderboard of the run's difficulty
+ * profile - each mode has its own board - and the coins are added to the player's account.
+ *
+ * The payload is signed with a per-run key the server issues when the run
+ * starts. The signature only ties a submission to a run the server handed
+ * out - the re-simulation is what makes the score trustworthy.
+ *
+ * Verification assumes the server's JavaScript engine gives the same results as
+ * the player's. The simulation moves platforms, enemies and the boss with
+ * Math.sin, Math.cos, Math.atan2 and Math.hypot, and lays out platforms with
+ * Math.pow. The language leaves engines free to round these differently. Where
+ * two engines disagree, an honest run fails with a checkpoint mismatch.
+ *
+ * The seed is chosen by the client (the game only reports it to /runs/start), so
+ * a player can replay a world they already know. Re-simulation proves the score
+ * was played for in that world, not that the world was a fresh one.
+ */
+const RunSummary = {
+    // Bump when the summary format changes
+    VERSION: 5,
+
+    // Ticks between state checkpoints (one second of simulation)
+    CHECKPOINT_INTERVAL: 60,
+
+    /**
+     * Hash a list of simulation state values.
+     * Values are rounded so that tiny floating point differences in rendering-only
+     * state can't break verification.
+     * @param {number[]} values - State values to hash
+     * @returns {string} 8-character hex hash
+     */
+    hashState: (values) => {
+        const text = values.map(value => Math.round(value * 1000)).join('|');
+        return SeededRandom.hashString(text).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Build the summary of a finished run
+     * @param {Object} replay - Replay of the run (see ReplayRecorder.finish)
+     * @param {Array} checkpoints - [tick, hash] pairs recorded during the run
+     * @param {Object} run - Run details {runId, userId, durationMs}
+     * @returns {Object} Run summary
+     */
+    build: (replay, checkpoints, run) => {
+        return {
+            version: RunSummary.VERSION,
+            runId: run.runId,
+            userId: run.userId,
+            seed: replay.seed,
+            width: replay.width,
+            height: replay.height,
+            difficulty: replay.difficulty,
+            difficultyHash: replay.difficultyHash,
+            ticks: replay.ticks,
+            durationMs: Math.round(run.durationMs),
+            score: replay.score,
+            coins: replay.coins,
+            replayVersion: replay.version,
+            inputs: replay.inputs,
+            actions: replay.actions,
+            checkpoints: checkpoints.slice()
+        };
+    },
+
+    /**
+     * Sign a serialized summary with the run key (HMAC-SHA256)
+     * @param {string} payload - JSON string of the summary
+     * @param {string} runKey - Per-run key issued by the server
+     * @returns {Promise<string>} Hex signature
+     */
+    sign: async (payload, runKey) => {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Web Crypto is not available, cannot sign run');
+        }
+
+        const encoder = new TextEncoder();
+        const key = await window.crypto.subtle.importKey(
+            'raw',
+            encoder.encode(runKey),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await window.crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+
+        return Array.from(new Uint8Array(signature))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+};
+
+/**
+ * Re-simulates a run summary to check that the claimed score is genuine.
+ *
+ * `createSimulation({seed, width, height, difficulty})` must return a headless simulation with:
+ * - `tick` - number of ticks simulated so far
+ * - `score`, `coins` and `isGameOver`
+ * - `step(input)` - advance one tick with the given input ({direction, shoot, jump})
+ * - `checkpoints` - [tick, hash] pairs recorded the same way as during the run
+ */
+const RunVerifier = {
+    // Real time can't be shorter than simulated time; allow a little clock slack
+    MIN_DURATION_RATIO: 0.9,
+
+    // Longest run accepted (an hour at 60 ticks a second), so one submission can't keep the
+    // server re-simulating for hours
+    MAX_TICKS: 60 * 60 * 60,
+
+    // Playfield sizes the game can run at: the game container is at most 430px wide
+    // (see styles.css) and as tall as the window
+    MIN_WIDTH: 240,
+    MAX_WIDTH: 430,
+    MIN_HEIGHT: 320,
+    MAX_HEIGHT: 2400,
+
+    /**
+     * Verify a run summary
+     * @param {Object} summary - Run summary (see RunSummary.build)
+     * @param {Function} createSimulation - Factory for a headless simulation
+     * @param {number} tickDuration - Length of one simulation tick in ms
+     * @returns {Object} Result {valid, reason, score, coins, tick}
+     */
+    verify: (summary, createSimulation, tickDuration = 1000 / 60) => {
+        const fail = (reason, tick = null) => ({ valid: false, reason, score: null, coins: null, tick });
+
+        if (!summary || summary.version !== RunSummary.VERSION) {
+            return fail('Unsupported summary version');
+        }
+
+        const replay = {
+            version: summary.replayVersion,
+            seed: summary.seed,
+            width: summary.width,
+            height: summary.height,
+            difficulty: summary.difficulty,
+            difficultyHash: summary.difficultyHash,
+            ticks: summary.ticks,
+            score: summary.score,
+            inputs: summary.inputs,
+            actions: summary.actions
+        };
+        const replayError = Replay.validate(replay);
+        if (replayError) {
+            return fail(replayError);
+        }
+
+        if (summary.ticks > RunVerifier.MAX_TICKS) {
+            return fail('Run is longer than the longest run accepted');
+        }
+        if (summary.width < RunVerifier.MIN_WIDTH || summary.width > RunVerifier.MAX_WIDTH ||
+            summary.height < RunVerifier.MIN_HEIGHT || summary.height > RunVerifier.MAX_HEIGHT) {
+            return fail('Canvas size is outside the sizes the game runs at');
+        }
+
+        if (!Number.isFinite(summary.durationMs)) {
+            return fail('Missing run duration');
+        }
+        if (summary.durationMs < summary.ticks * tickDuration * RunVerifier.MIN_DURATION_RATIO) {
+            return fail('Run finished faster than real time');
+        }
+
+        // Checkpoints must be [tick, hash] pairs
+        const wellFormed = Array.isArray(summary.checkpoints) && summary.checkpoints.every(checkpoint =>
+            Array.isArray(checkpoint) && checkpoint.length === 2 &&
+            Number.isInteger(checkpoint[0]) && typeof checkpoint[1] === 'string'
+        );
+        if (!wellFormed) {
+            return fail('Malformed checkpoints');
+        }
+
+        // Claimed checkpoints by tick for quick lookup
+        const claimed = new Map(summary.checkpoints.map(([tick, hash]) => [tick, hash]));
+
+        const simulation = createSimulation({
+            seed: summary.seed,
+            width: summary.width,
+            height: summary.height,
+            difficulty: summary.difficulty
+        });
+        const inputs = new ReplayPlayer(replay);
+        let checked = 0;
+
+        while (!simulation.isGameOver && simulation.tick < summary.ticks) {
+            simulation.step(inputs.inputAt(simulation.tick));
+
+            // Every checkpoint the re-simulation records must have been claimed with the same hash
+            for (; checked < simulation.checkpoints.length; checked++) {
+                const [tick, hash] = simulation.checkpoints[checked];
+                if (claimed.get(tick) !== hash) {
+                    return fail('Checkpoint mismatch', tick);
+                }
+            }
+        }
+
+        if (!simulation.isGameOver) {
+            return fail('Run did not end where the summary says it did', simulation.tick);
+        }
+
+        if (simulation.score !== summary.score) {
+            return fail(`Score mismatch: claimed ${summary.score}, simulated ${simulation.score}`, simulation.tick);
+        }
+
+        if (simulation.coins !== summary.coins) {
+            return fail(`Coin mismatch: claimed ${summary.coins}, simulated ${simulation.coins}`, simulation.tick);
+        }
+
+        return { valid: true, reason: null, score: simulation.score, coins: simulation.coins, tick: simulation.tick };
+    }
+};
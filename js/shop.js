@@ -0,0 +1,159 @@
+/**
+ * ShopScreen class for the shop overlay, where coins buy cosmetics.
+ * Lists the items of one category at a time; owned items can be selected,
+ * the others bought (see Cosmetics for the catalog and the account data).
+ */
+class ShopScreen {
+    /**
+     * Create the shop screen
+     * @param {HTMLElement} element - The shop overlay
+     * @param {Function} onChange - Called after an item is bought or selected
+     */
+    constructor(element, onChange = null) {
+        this.element = element;
+        this.onChange = onChange;
+        
+        this.balanceElement = element.querySelector('#shopCoins');
+        this.tabsElement = element.querySelector('#shopTabs');
+        this.itemsElement = element.querySelector('#shopItems');
+        this.messageElement = element.querySelector('#shopMessage');
+        
+        this.category = Cosmetics.categories()[0];
+        this.labels = { skins: 'Skins', trails: 'Trails', platformThemes: 'Platforms' };
+        this.busy = false;
+        
+        element.querySelector('#shopCloseButton').addEventListener('click', () => this.hide());
+    }
+    
+    /**
+     * Open the shop
+     */
+    show() {
+        this.message('');
+        this.render();
+        this.element.classList.remove('hidden');
+    }
+    
+    /**
+     * Close the shop
+     */
+    hide() {
+        this.element.classList.add('hidden');
+    }
+    
+    /**
+     * Show a message under the items (e.g. why a purchase failed)
+     * @param {string} text - Message, or '' to clear it
+     */
+    message(text) {
+        this.messageElement.textContent = text;
+    }
+    
+    /**
+     * Draw the balance, the category tabs and the items of the current category
+     */
+    render() {
+        this.balanceElement.textContent = Cosmetics.coins;
+        
+        this.tabsElement.innerHTML = '';
+        Cosmetics.categories().forEach(category => {
+            const tab = document.createElement('button');
+            tab.className = 'mode-button' + (category === this.category ? ' selected' : '');
+            tab.textContent = this.labels[category] || category;
+            tab.addEventListener('click', () => {
+                this.category = category;
+                this.render();
+            });
+            this.tabsElement.appendChild(tab);
+        });
+        
+        this.itemsElement.innerHTML = '';
+        for (const [id, item] of Object.entries(Cosmetics.CATALOG[this.category])) {
+            this.itemsElement.appendChild(this.createCard(id, item));
+        }
+    }
+    
+    /**
+     * Create the card for an item, with a preview swatch and a buy/select button
+     * @param {string} id - Item ID
+     * @param {Object} item - The item
+     * @returns {HTMLElement} The card
+     */
+    createCard(id, item) {
+        const owned = Cosmetics.isOwned(this.category, id);
+        const selected = Cosmetics.selected[this.category] === id;
+        
+        const card = document.createElement('div');
+        card.className = 'shop-item' + (selected ? ' selected' : '');
+        
+        const swatch = document.createElement('div');
+        swatch.className = 'shop-swatch';
+        swatch.style.background = this.previewOf(item);
+        card.appendChild(swatch);
+        
+        const name = document.createElement('span');
+        name.className = 'shop-item-name';
+        name.textContent = item.label;
+        card.appendChild(name);
+        
+        const button = document.createElement('button');
+        button.className = 'mode-button';
+        if (selected) {
+            button.textContent = 'EQUIPPED';
+            button.disabled = true;
+        } else if (owned) {
+            button.textContent = 'EQUIP';
+            button.addEventListener('click', () => this.perform(() => Cosmetics.select(this.category, id)));
+        } else {
+            button.innerHTML = `<i class="fas fa-coins"></i> ${item.price}`;
+            button.disabled = item.price > Cosmetics.coins;
+            button.addEventListener('click', () => {
+                this.perform(() => Cosmetics.buy(this.category, id).then(() => Cosmetics.select(this.category, id)));
+            });
+        }
+        card.appendChild(button);
+        
+        return card;
+    }
+    
+    /**
+     * Get a CSS background previewing an item
+     * @param {Object} item - The item
+     * @returns {string} CSS background
+     */
+    previewOf(item) {
+        if (item.rainbow) {
+            return 'linear-gradient(90deg, #E74C3C, #F1C40F, #2ECC71, #3498DB, #9B59B6)';
+        }
+        if (item.colors) {
+            const normal = item.colors.normal || PlatformTypes.get('normal').colors;
+            return `linear-gradient(${normal.light}, ${normal.dark})`;
+        }
+        if (item.hoodie) {
+            return `linear-gradient(${item.fur} 45%, ${item.hoodie} 45%)`;
+        }
+        return item.color;
+    }
+    
+    /**
+     * Make a purchase or selection unless one is already under way, then redraw and
+     * let the game know
+     * @param {Function} request - Starts the purchase or selection and returns its promise
+     */
+    perform(request) {
+        if (this.busy) return;
+        this.busy = true;
+        this.message('');
+        this.render();
+        
+        request()
+            .then(() => {
+                if (this.onChange) this.onChange();
+            })
+            .catch(error => this.message(error.message))
+            .finally(() => {
+                this.busy = false;
+                this.render();
+            });
+    }
+}
@@ -0,0 +1,529 @@
+/**
+ * The game rules, without rendering, DOM or audio.
+ *
+ * A simulation owns the world and its entities (see World), the entity managers,
+ * the camera, the score and the difficulty, and advances them one fixed tick at a
+ * time with `step(input)`. The managers are the world's systems: each spawns its
+ * kind of entity and applies its rules, in the order they're added in initEntities.
+ * The browser `Game` wraps it with drawing, sound and controls; in Node it can be
+ * driven directly by tests, bots, replay validation and balancing scripts
+ * (see tools/headless.js).
+ *
+ * Anything the outside world may want to react to is emitted as an event:
+ * - 'jump' {multiplier} - the player bounced off a platform
+ * - 'teleport' {from, to} - a teleport platform moved the player to its exit
+ * - 'score' {score, previousScore} - the score went up
+ * - 'milestone' {score} - a 100-point threshold was crossed
+ * - 'difficulty' {level, milestone} - the score reached the next difficulty level
+ * - 'enemyDefeated' {type} - the player stomped or shot an enemy, or broke it with a shield
+ * - 'enemyShot' {x, y} - a turret fired at the player
+ * - 'shoot' {x, y} - the player fired a shot
+ * - 'powerUp' {type, duration, stacking} - the player picked up a power-up (stacking: see ActiveEffects.add)
+ * - 'coin' {value, x, y} - the player picked up a coin
+ * - 'bossStart' {encounter, score, health} - a boss fight began and the camera locked
+ * - 'bossAttack' {pattern} - the boss fired an attack pattern
+ * - 'bossHit' {health, maxHealth} - the player stomped the boss's weak point
+ * - 'bossPhase' {phase} - the boss moved on to its next attack phase
+ * - 'bossDefeated' {encounter, bonus, x, y} - the boss was beaten, awarding bonus score and a star
+ * - 'playerRescued' {reason, tick} - PlayerSafety fixed a broken player state
+ * - 'gameOver' {score, tick} - the run ended
+ */
+class GameSimulation {
+    /**
+     * Create a new simulation of one run
+     * @param {Object} config - Simulation settings
+     * @param {number|string} config.seed - World seed (a fresh one is picked if omitted)
+     * @param {string} config.difficulty - Difficulty profile ID (see DifficultyProfiles)
+     * @param {number} config.width - Width of the playfield (the canvas width in the browser)
+     * @param {number} config.height - Height of the playfield
+     * @param {number} config.initialPlatformCount - Platforms generated at the start
+     * @param {number} config.tickDuration - Length of one tick in ms
+     */
+    constructor(config = {}) {
+        this.seed = SeededRandom.normalizeSeed(config.seed !== undefined ? config.seed : SeededRandom.generateSeed());
+        this.width = config.width || 400;
+        this.height = config.height || 700;
+        this.tickDuration = config.tickDuration || 1000 / 60;
+        
+        // Run state
+        this.tick = 0;
+        this.score = 0;
+        this.bonusScore = 0; // Score earned on top of height (boss defeats)
+        this.coins = 0; // Coins collected this run
+        this.isGameOver = false;
+        
+        // Difficulty system
+        this.difficultyProfile = DifficultyProfiles.get(config.difficulty);
+        this.difficulty = 1;
+        this.lastDifficultyIncrease = 0;
+        
+        // Camera
+        this.camera = {
+            y: 0,
+            targetY: 0,
+            smoothing: 0.1
+        };
+        
+        // State hashes for run verification ([tick, hash] pairs)
+        this.checkpoints = [];
+        
+        // Event listeners by event type
+        this.listeners = {};
+        
+        this.initEntities(config.initialPlatformCount || 15);
+        this.applyDifficulty();
+    }
+    
+    /**
+     * Create the world, the player and the entity managers for this run
+     * @param {number} initialPlatformCount - Platforms generated at the start
+     */
+    initEntities(initialPlatformCount) {
+        // Random generator for this run's world, with one stream per manager
+        this.random = new SeededRandom(this.seed);
+        
+        // Every entity in the run, updated and drawn in one pass
+        this.world = new World(this.width, this.height);
+        
+        // Create player
+        this.player = this.world.add(new Player(
+            this.width / 2 - 30, // Half of width (60/2)
+            this.height - 150, // Position for player
+            60, // Width reduced to 60
+            100,  // Height maintained at 100
+            this.random.fork('player')
+        ));
+        
+        // Create platform manager
+        this.platformManager = new PlatformManager(
+            this.width,
+            this.height,
+            initialPlatformCount,
+            this.random.fork('platforms'),
+            this.player,
+            this.world
+        );
+        
+        // Shots fired by enemies and the player
+        this.projectileManager = new ProjectileManager(this.width, this.height, this.world);
+        
+        // Create enemy manager
+        this.enemyManager = new EnemyManager(
+            this.width,
+            this.height,
+            this.random.fork('enemies'),
+            this.projectileManager,
+            this.world
+        );
+        
+        // Create power-up manager
+        this.powerUpManager = new PowerUpManager(
+            this.width,
+            this.height,
+            this.random.fork('powerups'),
+            this.world
+        );
+        
+        // Coins placed along the platforms
+        this.collectibleManager = new CollectibleManager(
+            this.width,
+            this.height,
+            this.random.fork('collectibles'),
+            this.world
+        );
+        
+        // Boss fights at the difficulty profile's milestones
+        this.bossManager = new BossManager(
+            this.width,
+            this.height,
+            this.projectileManager,
+            this.difficultyProfile.bossScores,
+            this.world
+        );
+        
+        // Ensure there's a starting platform under the player
+        const startingPlatform = new Platform(
+            this.width / 2 - 40, // Platform centered under player (slightly wider than player)
+            this.height - 40, // Just below player's feet
+            80, // Platform width appropriate for 60px player
+            this.platformManager.platformHeight || 20,
+            'normal',
+            this.platformManager.random
+        );
+        this.world.add(startingPlatform);
+        
+        this.addSystems();
+        
+        // Entities report what happens to them through the simulation's events
+        const forward = (type, data) => this.emit(type, data);
+        this.player.onEvent = forward;
+        this.enemyManager.onEvent = forward;
+        this.collectibleManager.onEvent = forward;
+        this.bossManager.onEvent = forward;
+        
+        // Beating a boss is worth bonus points and drops a star
+        this.on('bossDefeated', (event) => this.rewardBoss(event));
+        
+        // Catches broken player states (NaN, outside the walls, stuck)
+        this.safety = new PlayerSafety(this);
+    }
+    
+    /**
+     * Listen for a simulation event
+     * @param {string} type - Event type (see the class description)
+     * @param {Function} handler - Called with the event data
+     * @returns {GameSimulation} This simulation, for chaining
+     */
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return this;
+    }
+    
+    /**
+     * Notify listeners of an event
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    emit(type, data = {}) {
+        const handlers = this.listeners[type];
+        if (handlers) {
+            handlers.forEach(handler => handler(data));
+        }
+    }
+    
+    /**
+     * Advance the simulation by one tick
+     * @param {Object} input - Input for this tick ({direction}: -1 to 1, {shoot}: fire a shot,
+     *                         {jump}: use a double jump)
+     */
+    step(input = {}) {
+        if (this.isGameOver) return;
+        
+        // Replays and run summaries come from outside, so a direction can't be trusted to be in range
+        this.player.direction = Math.max(-1, Math.min(1, input.direction)) || 0;
+        if (input.shoot) {
+            this.player.shoot(this.projectileManager);
+        }
+        if (input.jump) {
+            this.player.doubleJump();
+        }
+        this.update(this.tickDuration);
+        this.tick++;
+    }
+    
+    /**
+     * Hand each kind of entity to its manager, in the order the world updates them.
+     * Layers set the draw order: platforms at the back, the player in front.
+     */
+    addSystems() {
+        const world = this.world;
+        const platforms = this.platformManager.platforms;
+        
+        // The player moves before the camera and everything else (see update)
+        world.addSystem('player', { update: false, layer: 6 });
+        
+        // Platforms - pass player to make platforms disappear below player
+        world.addSystem('platform', {
+            update: (deltaTime) => this.platformManager.update(deltaTime, this.camera.y, this.player),
+            draw: (ctx, cameraY, alpha) => this.platformManager.draw(ctx, cameraY, alpha),
+            layer: 0
+        });
+        
+        world.addSystem('enemy', {
+            update: (deltaTime) => this.enemyManager.update(
+                deltaTime, this.camera.y, Math.abs(this.camera.y), this.player, platforms
+            ),
+            layer: 3
+        });
+        
+        // Start and run boss fights (the arena's top is where the camera settles)
+        world.addSystem('boss', {
+            update: (deltaTime) => this.bossManager.update(deltaTime, this.camera.targetY, this.score, this.player),
+            layer: 4
+        });
+        
+        // Move shots - enemy shots stop at platforms
+        world.addSystem('projectile', {
+            update: () => this.projectileManager.update(this.camera.y),
+            layer: 5
+        });
+        
+        world.addSystem('powerUp', {
+            update: (deltaTime) => this.powerUpManager.update(deltaTime, this.camera.y, Math.abs(this.camera.y), this.player),
+            layer: 1
+        });
+        
+        // Place and update coins
+        world.addSystem('coin', {
+            update: (deltaTime) => this.collectibleManager.update(deltaTime, this.camera.y, platforms, this.player),
+            layer: 2
+        });
+    }
+    
+    /**
+     * Update the world for the current tick
+     * @param {number} deltaTime - Length of the tick in ms
+     */
+    update(deltaTime) {
+        // Update player
+        this.player.update(deltaTime, this);
+        
+        // Check if player is dead
+        if (!this.player.isAlive) {
+            this.endRun();
+            return;
+        }
+        
+        // Fix anything the move broke before the rest of the world sees it
+        this.safety.update();
+        
+        // Update camera to follow player
+        this.updateCamera(deltaTime);
+        
+        // Update everything else (see addSystems)
+        this.world.update(deltaTime);
+        
+        // Check collisions
+        this.checkCollisions();
+        
+        // Update score based on height
+        const currentHeight = Math.max(0, -this.camera.y);
+        this.updateScore(Math.floor(currentHeight / 10) + this.bonusScore);
+        
+        // Hash the state regularly so a re-simulation can be checked against this one
+        if (this.tick % RunSummary.CHECKPOINT_INTERVAL === 0) {
+            this.recordCheckpoint();
+        }
+    }
+    
+    /**
+     * Get how fast the game should run. Slow motion slows the whole game rather than
+     * changing the physics, so the fixed ticks (and replays) stay the same and the
+     * player simply gets more time to react.
+     * @returns {number} Speed multiplier for the game loop (1 is normal speed)
+     */
+    getTimeScale() {
+        return this.player.getTimeScale();
+    }
+    
+    /**
+     * End the run
+     */
+    endRun() {
+        this.isGameOver = true;
+        
+        // Final state of the run, for verification
+        this.recordCheckpoint();
+        
+        this.emit('gameOver', { score: this.score, tick: this.tick });
+    }
+    
+    /**
+     * Award the bonus for beating a boss and drop its star where it fell
+     * @param {Object} event - The 'bossDefeated' event
+     */
+    rewardBoss(event) {
+        this.bonusScore += event.bonus;
+        this.powerUpManager.spawn('star', event.x, event.y);
+    }
+    
+    /**
+     * Hash the state that decides the outcome of a run
+     * @returns {string} Checkpoint hash (see RunSummary.hashState)
+     */
+    getCheckpointHash() {
+        return RunSummary.hashState([
+            this.tick,
+            this.score,
+            this.player.x,
+            this.player.y,
+            this.player.velocityX,
+            this.player.velocityY,
+            this.camera.y,
+            this.platformManager.platforms.length,
+            this.enemyManager.enemies.length,
+            this.projectileManager.projectiles.length,
+            this.bossManager.boss ? this.bossManager.boss.health : 0,
+            this.coins
+        ]);
+    }
+    
+    /**
+     * Store a checkpoint hash for the current tick (at most one per tick)
+     */
+    recordCheckpoint() {
+        const last = this.checkpoints[this.checkpoints.length - 1];
+        if (last && last[0] === this.tick) return;
+        
+        this.checkpoints.push([this.tick, this.getCheckpointHash()]);
+    }
+    
+    /**
+     * Update camera position to follow player
+     * @param {number} deltaTime - Time since last update
+     */
+    updateCamera(deltaTime) {
+        // Calculate how far up the screen the player is
+        const screenY = this.player.y - this.camera.y;
+        
+        // If player is in the upper 2/3 of the screen, move the camera up.
+        // The camera never moves back down - following a falling player let runs sink
+        // forever without ending and raised the score below the starting point.
+        // During a boss fight the camera stays put and the top of the screen is a ceiling.
+        if (this.bossManager.isFighting()) {
+            if (this.player.y < this.camera.targetY) {
+                this.player.y = this.camera.targetY;
+                this.player.velocityY = Math.max(0, this.player.velocityY);
+            }
+        } else if (screenY < this.height * 0.67) {
+            this.camera.targetY = Math.min(this.camera.targetY, this.player.y - (this.height * 0.5));
+        }
+        
+        // Smooth camera movement (faster at higher difficulty, see increaseDifficulty)
+        this.camera.y = Utils.ease(this.camera.y, this.camera.targetY, this.camera.smoothing);
+        
+        // Never let the easing leave the player above the top of the screen
+        if (this.player.y < this.camera.y) {
+            this.camera.y = this.player.y;
+        }
+        
+        // Don't let the player fall off the bottom - check game over
+        if (screenY > this.height + 50) {
+            // Player has fallen too far
+            Utils.debug("Player fell off screen", {screenY, cameraY: this.camera.y, playerY: this.player.y});
+            
+            // No more safety shields or repositioning - player dies when falling off screen
+            this.player.isAlive = false;
+        }
+    }
+    
+    /**
+     * Raise the score, announcing milestones and raising the difficulty
+     * @param {number} newScore - New score value
+     */
+    updateScore(newScore) {
+        if (newScore <= this.score) return;
+        
+        const previousScore = this.score;
+        
+        // Check if we crossed a 100-point threshold
+        if (Math.floor(newScore / 100) > Math.floor(previousScore / 100)) {
+            this.emit('milestone', { score: newScore });
+        }
+        
+        this.score = newScore;
+        
+        // Check if we reached the next difficulty level
+        const level = this.difficultyProfile.levelAt(newScore);
+        if (level > this.difficultyProfile.levelAt(previousScore)) {
+            this.increaseDifficulty();
+            this.emit('difficulty', { level: this.difficulty, milestone: (level - 1) * this.difficultyProfile.levelScore });
+        } else if (this.difficultyProfile.by === 'height') {
+            // Height-keyed curves change with every point
+            this.applyDifficulty();
+        }
+        
+        this.emit('score', { score: newScore, previousScore: previousScore });
+    }
+    
+    /**
+     * Increase game difficulty
+     */
+    increaseDifficulty() {
+        this.difficulty += 1;
+        this.lastDifficultyIncrease = this.score;
+        
+        console.log(`Difficulty increased to level ${this.difficulty} at score ${this.score}`);
+        
+        this.applyDifficulty();
+    }
+    
+    /**
+     * Apply the difficulty profile's values for the current level (or height)
+     */
+    applyDifficulty() {
+        const values = this.difficultyProfile.valuesAt(this.difficulty, this.score);
+        
+        // Player physics - stronger gravity with a stronger jump to compensate
+        this.player.gravity = values.gravity;
+        this.player.jumpForce = values.jumpForce;
+        
+        this.platformManager.applyDifficulty(values, this.player);
+        this.enemyManager.applyDifficulty(values);
+        this.powerUpManager.applyDifficulty(values);
+        this.camera.smoothing = values.cameraSmoothing;
+    }
+    
+    /**
+     * Check for collisions between game entities
+     */
+    checkCollisions() {
+        // Check player-platform collisions
+        const platformCollision = this.platformManager.checkCollisions(this.player);
+        
+        // Force the player to jump if on a platform and not already jumping
+        if (platformCollision && this.player.isFalling) {
+            // The player has landed on a platform, ensure jump happens
+            Utils.debug('Player landed on platform');
+        }
+        
+        // Check the player's shots against enemies
+        this.enemyManager.checkShots();
+        
+        // Check player-enemy collisions
+        if (this.enemyManager.checkCollisions(this.player)) {
+            // Player hit an enemy (harmful collision)
+            Utils.debug('Player hit enemy, game over');
+            this.player.isAlive = false;
+        }
+        
+        // Check player-boss collisions
+        this.bossManager.checkCollisions(this.player);
+        
+        // Check player-powerup collisions
+        this.powerUpManager.checkCollisions(this.player);
+        
+        // Collect coins
+        this.coins += this.collectibleManager.checkCollisions(this.player);
+    }
+    
+    /**
+     * Change the size of the playfield
+     * @param {number} width - New playfield width
+     * @param {number} height - New playfield height
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        // Update world and manager dimensions
+        this.world.resize(width, height);
+        this.platformManager.canvasWidth = width;
+        this.platformManager.canvasHeight = height;
+        this.enemyManager.canvasWidth = width;
+        this.enemyManager.canvasHeight = height;
+        this.projectileManager.canvasWidth = width;
+        this.projectileManager.canvasHeight = height;
+        this.powerUpManager.canvasWidth = width;
+        this.powerUpManager.canvasHeight = height;
+        this.collectibleManager.canvasWidth = width;
+        this.collectibleManager.canvasHeight = height;
+        this.bossManager.canvasWidth = width;
+        this.bossManager.canvasHeight = height;
+        
+        // Keep player horizontally centered on resize
+        this.player.x = Math.min(
+            width - this.player.width,
+            Math.max(0, (width / 2) - (this.player.width / 2))
+        );
+        
+        // Adjust vertical position to keep player in view
+        const screenY = this.player.y - this.camera.y;
+        if (screenY < 0 || screenY > height) {
+            this.player.y = this.camera.y + (height * 0.7);
+        }
+    }
+}
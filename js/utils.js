@@ -61,6 +61,18 @@ const Utils = {
         return current + (target - current) * ease;
     },
 
+    /**
+     * Interpolate between a value's previous and current state for rendering
+     * @param {number} previous - Value at the previous tick (may be undefined for new objects)
+     * @param {number} current - Value at the current tick
+     * @param {number} alpha - Blend factor (0 = previous, 1 = current)
+     * @returns {number} Interpolated value
+     */
+    interpolate: (previous, current, alpha) => {
+        if (previous === undefined || isNaN(previous)) return current;
+        return previous + (current - previous) * alpha;
+    },
+
     /**
      * Get a random item from an array
      * @param {Array} array - Array to choose from
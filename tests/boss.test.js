@@ -0,0 +1,153 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { BossManager, Enemy, EnemyManager, GameSimulation, ProjectileManager, SeededRandom } = game;
+
+/**
+ * Create a boss manager with its first boss in place in the arena
+ * @returns {Object} {manager, boss, events}
+ */
+function bossFight() {
+    const manager = new BossManager(400, 700, new ProjectileManager(400, 700), [5000]);
+    const events = [];
+    manager.onEvent = (type, data) => events.push([type, data]);
+    manager.startEncounter(0);
+
+    while (manager.boss.isEntering) {
+        manager.boss.update(1000 / 60, 400);
+    }
+    return { manager, boss: manager.boss, events };
+}
+
+/**
+ * Put a player just above the boss's weak point, falling onto it
+ * @param {Boss} boss - The boss
+ * @returns {Player} The player
+ */
+function stomper(boss) {
+    const weakPoint = boss.getWeakPoint();
+    return makePlayer(game, {
+        x: weakPoint.x + weakPoint.width / 2 - 30,
+        y: boss.y - 100 + 5,
+        velocityY: 6
+    });
+}
+
+describe('Boss fights', () => {
+    test('start at a milestone and lock the camera until the boss is beaten', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        const events = [];
+        simulation.on('bossStart', (event) => events.push(event));
+
+        simulation.score = 5000;
+        simulation.step({ direction: 0 });
+        assert.strictEqual(simulation.bossManager.isFighting(), true);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].health, simulation.bossManager.baseHealth);
+
+        // It drops in from out of sight
+        const boss = simulation.bossManager.boss;
+        assert.strictEqual(boss.isEntering, true);
+        assert.ok(boss.y + boss.height <= simulation.camera.targetY);
+
+        // The top of the screen is a ceiling
+        const arenaTop = simulation.camera.targetY;
+        simulation.player.y = arenaTop - 300;
+        simulation.player.velocityY = -10;
+        simulation.step({ direction: 0 });
+        assert.strictEqual(simulation.camera.targetY, arenaTop);
+        assert.ok(simulation.player.y >= arenaTop);
+    });
+
+    test('stomps on the weak point hurt the boss and move it through its phases', () => {
+        const { manager, boss, events } = bossFight();
+
+        const player = stomper(boss);
+        manager.checkCollisions(player);
+        assert.strictEqual(boss.health, boss.maxHealth - 1);
+        assert.ok(player.velocityY < 0);
+
+        // It can't be hurt again while it's flashing
+        manager.checkCollisions(stomper(boss));
+        assert.strictEqual(boss.health, boss.maxHealth - 1);
+
+        boss.invulnerableTimer = 0;
+        manager.checkCollisions(stomper(boss));
+        assert.strictEqual(boss.phase, 1);
+        assert.deepStrictEqual(events.map(([type]) => type), ['bossStart', 'bossHit', 'bossHit', 'bossPhase']);
+    });
+
+    test('shots bounce off and bumping into it knocks the player away', () => {
+        const { manager, boss } = bossFight();
+        const projectiles = manager.projectileManager;
+        projectiles.fire('player', boss.x + boss.width / 2, boss.y + boss.height / 2, 0, -12);
+
+        const player = makePlayer(game, { x: boss.x - 50, y: boss.y + 20, velocityY: -8 });
+        manager.checkCollisions(player);
+        assert.strictEqual(boss.health, boss.maxHealth);
+        assert.strictEqual(projectiles.projectiles[0].active, false);
+        assert.ok(player.velocityY > 0);
+        assert.ok(player.x < boss.x - 50);
+    });
+
+    test('each phase has its own attack pattern', () => {
+        const { manager, boss } = bossFight();
+        const player = makePlayer(game, { y: 600 });
+        const shots = manager.projectileManager.projectiles;
+
+        for (const [phase, count] of [[0, 1], [1, 3], [2, 8]]) {
+            boss.phase = phase;
+            boss.fireTimer = boss.phases[phase].fireInterval;
+            shots.length = 0;
+
+            manager.update(1000 / 60, 0, 5000, player);
+            assert.strictEqual(shots.length, count);
+        }
+    });
+
+    test('later phases swoop down and back up', () => {
+        const { boss } = bossFight();
+        boss.phase = 2;
+
+        let lowest = boss.y;
+        for (let tick = 0; tick < 400; tick++) {
+            boss.update(1000 / 60, 400);
+            lowest = Math.max(lowest, boss.y);
+        }
+        assert.ok(lowest > boss.homeY + boss.swoopDepth * 0.9);
+    });
+
+    test('beating the boss awards bonus score, drops a star and unlocks the camera', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        simulation.score = 5000;
+        simulation.step({ direction: 0 });
+
+        const boss = simulation.bossManager.boss;
+        boss.health = 1;
+        boss.takeHit();
+        while (simulation.bossManager.isFighting() && !simulation.isGameOver) {
+            simulation.step({ direction: 0 });
+        }
+
+        assert.strictEqual(simulation.bonusScore, simulation.bossManager.bonusPerEncounter);
+        assert.ok(simulation.powerUpManager.powerUps.some(powerUp => powerUp.type === 'star'));
+        assert.strictEqual(simulation.bossManager.encounter, 1);
+        assert.strictEqual(simulation.isGameOver, false);
+    });
+
+    test("the boss's star knocks out enemies and shrugs off shots", () => {
+        const manager = new EnemyManager(400, 700, new SeededRandom(1));
+        const enemy = new Enemy(185, 400, 30, 30, 'static', new SeededRandom(1));
+        manager.enemies = [enemy];
+
+        const player = makePlayer(game, { x: enemy.x - 15, y: enemy.y - 35, velocityY: -5 });
+        player.activatePowerUp('star', 8000);
+        assert.strictEqual(manager.checkCollisions(player), false);
+        assert.strictEqual(enemy.isDying, true);
+
+        manager.projectileManager.fire('enemy', player.x + 10, player.y + 10, 0, 0);
+        assert.strictEqual(manager.checkCollisions(player), false);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { CollectibleManager, GameSimulation, Platform, PowerUp, PowerUpTypes, ReplayRecorder, RunSummary, RunVerifier, SeededRandom } = game;
+
+/**
+ * Create a path platform like the platform manager generates
+ * @param {number} y - Y position
+ * @param {string} type - Platform type
+ * @returns {Platform} The platform
+ */
+function pathPlatform(y, type = 'normal') {
+    const platform = new Platform(150, y, 100, 20, type, new SeededRandom(1));
+    platform.onPath = true;
+    return platform;
+}
+
+describe('Coins', () => {
+    test('come in rows, arcs and columns above a platform', () => {
+        const manager = new CollectibleManager(400, 700, new SeededRandom(1));
+        const platform = pathPlatform(500);
+
+        for (const pattern of manager.patterns) {
+            const coins = manager.placePattern(pattern, platform);
+            assert.ok(coins.length >= 4);
+            assert.ok(coins.every(coin => coin.y + coin.height <= platform.y));
+            assert.ok(coins.every(coin => coin.x >= 0 && coin.x + coin.width <= 400));
+        }
+    });
+
+    test('are placed once along new path platforms, never on moving ones', () => {
+        const manager = new CollectibleManager(400, 700, new SeededRandom(1));
+        manager.patternChance = 1;
+
+        const platforms = [pathPlatform(500), pathPlatform(400, 'vertical'), pathPlatform(300)];
+        manager.update(1000 / 60, 0, platforms);
+        const placed = manager.coins.length;
+        assert.ok(placed > 0);
+        assert.ok(manager.coins.every(coin => coin.y < 500 && (coin.y > 400 || coin.y < 300)));
+
+        manager.update(1000 / 60, 0, platforms);
+        assert.strictEqual(manager.coins.length, placed);
+    });
+
+    test('are counted by the simulation when the player touches them', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        const events = [];
+        simulation.on('coin', (event) => events.push(event));
+
+        const player = simulation.player;
+        simulation.collectibleManager.coins = [];
+        simulation.collectibleManager.placePattern('column', { x: player.x, y: player.y + 120, width: player.width });
+        simulation.step({ direction: 0 });
+
+        assert.ok(simulation.coins > 0);
+        assert.strictEqual(events.length, simulation.coins);
+    });
+
+    test('are pulled in by the magnet', () => {
+        const manager = new CollectibleManager(400, 700, new SeededRandom(1));
+        const player = makePlayer(game);
+        player.activatePowerUp('magnet', 8000);
+
+        const [coin] = manager.placePattern('column', { x: player.x + 150, y: player.y + 200, width: player.width });
+        const before = { x: coin.x, y: coin.y };
+        manager.update(1000 / 60, 0, [], player);
+        assert.ok(coin.x < before.x);
+    });
+
+    test('are no longer a power-up', () => {
+        assert.strictEqual(PowerUpTypes.get('coin'), null);
+        assert.throws(() => new PowerUp(0, 0, 40, 'coin'), /Unknown power-up type/);
+    });
+
+    test('must match the re-simulation for a run to be accepted', () => {
+        const simulation = new GameSimulation({ seed: 3 });
+        const recorder = new ReplayRecorder(simulation.seed, simulation.width, simulation.height, 'normal');
+        while (!simulation.isGameOver) {
+            const input = { direction: 1, shoot: false, jump: false };
+            recorder.record(simulation.tick, input);
+            simulation.step(input);
+        }
+        assert.ok(simulation.coins > 0);
+
+        const replay = recorder.finish(simulation.tick, simulation.score, simulation.coins);
+        const summary = RunSummary.build(replay, simulation.checkpoints, { runId: 'run', userId: 'user', durationMs: 60000 });
+        const createSimulation = config => new GameSimulation(config);
+
+        const result = RunVerifier.verify(summary, createSimulation);
+        assert.strictEqual(result.valid, true, result.reason);
+        assert.strictEqual(result.coins, simulation.coins);
+
+        summary.coins += 10;
+        assert.match(RunVerifier.verify(summary, createSimulation).reason, /Coin mismatch/);
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers');
+
+const { Utils } = loadGame();
+
+describe('Utils.isColliding', () => {
+    const box = { x: 100, y: 100, width: 50, height: 50 };
+
+    test('detects overlapping rectangles', () => {
+        assert.strictEqual(Utils.isColliding(box, { x: 120, y: 130, width: 50, height: 50 }), true);
+    });
+
+    test('detects a rectangle inside another', () => {
+        assert.strictEqual(Utils.isColliding(box, { x: 110, y: 110, width: 10, height: 10 }), true);
+        assert.strictEqual(Utils.isColliding({ x: 110, y: 110, width: 10, height: 10 }, box), true);
+    });
+
+    test('rectangles that only touch edges do not collide', () => {
+        assert.strictEqual(Utils.isColliding(box, { x: 150, y: 100, width: 50, height: 50 }), false);
+        assert.strictEqual(Utils.isColliding(box, { x: 100, y: 150, width: 50, height: 50 }), false);
+    });
+
+    test('separate rectangles do not collide', () => {
+        assert.strictEqual(Utils.isColliding(box, { x: 300, y: 100, width: 50, height: 50 }), false);
+        assert.strictEqual(Utils.isColliding(box, { x: 100, y: -100, width: 50, height: 50 }), false);
+    });
+
+    test('overlapping on one axis only is not a collision', () => {
+        assert.strictEqual(Utils.isColliding(box, { x: 120, y: 200, width: 10, height: 10 }), false);
+        assert.strictEqual(Utils.isColliding(box, { x: 200, y: 120, width: 10, height: 10 }), false);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { Platform, PlatformManager, SeededRandom } = game;
+
+/**
+ * Load the cosmetics module on its own, with in-memory storage and a fake backend
+ * @param {Object} account - Stored credentials ({token, userId}), or null for a guest
+ * @param {Function} respond - Called with (url, options), returns [status, data] or throws when offline
+ * @returns {Object} {Cosmetics, storage, requests}
+ */
+function loadCosmetics(account = null, respond = () => [200, {}]) {
+    const storage = new Map(Object.entries(account || {}));
+    const requests = [];
+    const store = {
+        getItem: key => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => storage.set(key, String(value))
+    };
+
+    const context = vm.createContext({
+        console,
+        localStorage: store,
+        sessionStorage: { getItem: () => null },
+        fetch: (url, options) => {
+            requests.push({ url, options });
+            try {
+                const [status, data] = respond(url, options);
+                return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(data) });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+    });
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'cosmetics.js'), 'utf8');
+    vm.runInContext(code + '\nthis.Cosmetics = Cosmetics;', context);
+
+    return { Cosmetics: context.Cosmetics, storage, requests };
+}
+
+const account = { token: 'token', userId: 'user' };
+
+describe('Cosmetics', () => {
+    test('guests get the free items', async () => {
+        const { Cosmetics, requests } = loadCosmetics();
+        await Cosmetics.load();
+
+        assert.strictEqual(requests.length, 0);
+        for (const category of Cosmetics.categories()) {
+            assert.strictEqual(Cosmetics.selected[category], Cosmetics.defaultId(category));
+            assert.strictEqual(Cosmetics.CATALOG[category][Cosmetics.defaultId(category)].price, 0);
+        }
+    });
+
+    test('are loaded from the account, ignoring unknown and unowned items', async () => {
+        const { Cosmetics, storage } = loadCosmetics(account, () => [200, {
+            coins: 320,
+            cosmetics: {
+                owned: { skins: ['golden', 'unicorn'], trails: [] },
+                selected: { skins: 'golden', trails: 'rainbow' }
+            }
+        }]);
+        await Cosmetics.load();
+
+        assert.strictEqual(Cosmetics.coins, 320);
+        assert.strictEqual(Cosmetics.selectedItem('skins'), Cosmetics.CATALOG.skins.golden);
+        assert.strictEqual(Cosmetics.selected.trails, 'classic');
+        assert.strictEqual(Cosmetics.isOwned('skins', 'unicorn'), false);
+        assert.ok(storage.has('cosmetics:user'));
+    });
+
+    test('fall back to the cached ones when the backend is offline', async () => {
+        const cached = { coins: 50, cosmetics: { owned: { trails: ['mint'] }, selected: { trails: 'mint' } } };
+        const { Cosmetics } = loadCosmetics({ ...account, 'cosmetics:user': JSON.stringify(cached) }, () => {
+            throw new Error('offline');
+        });
+        await Cosmetics.load();
+
+        assert.strictEqual(Cosmetics.selected.trails, 'mint');
+        assert.strictEqual(Cosmetics.coins, 50);
+    });
+
+    test('are bought with coins and selected on the account', async () => {
+        const { Cosmetics, requests } = loadCosmetics(account, (url, options) => {
+            if (url.endsWith('/cosmetics/purchase')) {
+                return [200, { coins: 50, cosmetics: { owned: { trails: ['mint'] }, selected: {} } }];
+            }
+            return [200, { coins: 150 }];
+        });
+        await Cosmetics.load();
+
+        await assert.rejects(Cosmetics.buy('skins', 'golden'), /Not enough coins/);
+        await assert.rejects(Cosmetics.select('trails', 'mint'), /Buy this item first/);
+
+        await Cosmetics.buy('trails', 'mint');
+        assert.strictEqual(Cosmetics.coins, 50);
+        assert.strictEqual(Cosmetics.isOwned('trails', 'mint'), true);
+
+        await Cosmetics.select('trails', 'mint');
+        assert.strictEqual(Cosmetics.selected.trails, 'mint');
+        assert.deepStrictEqual(JSON.parse(requests[requests.length - 1].options.body), {
+            userId: 'user', category: 'trails', itemId: 'mint'
+        });
+    });
+
+    test('keep the old selection when the account is not updated', async () => {
+        const owned = { coins: 0, cosmetics: { owned: { trails: ['mint'] }, selected: { trails: 'classic' } } };
+        const { Cosmetics, storage } = loadCosmetics(account, url => {
+            if (url.endsWith('/cosmetics/select')) {
+                return [500, { message: 'Server error' }];
+            }
+            return [200, owned];
+        });
+        await Cosmetics.load();
+
+        await assert.rejects(Cosmetics.select('trails', 'mint'), /Server error/);
+        assert.strictEqual(Cosmetics.selected.trails, 'classic');
+        assert.strictEqual(JSON.parse(storage.get('cosmetics:user')).cosmetics.selected.trails, 'classic');
+    });
+
+    test('dress the player', () => {
+        const { Cosmetics } = loadCosmetics();
+        const player = makePlayer(game);
+        assert.strictEqual(player.skin.sprite, Cosmetics.CATALOG.skins.classic.sprite);
+
+        player.setCosmetics(Cosmetics.CATALOG.skins.midnight, Cosmetics.CATALOG.trails.rainbow);
+        assert.strictEqual(player.skin.hoodie, Cosmetics.CATALOG.skins.midnight.hoodie);
+        assert.strictEqual(player.trail.rainbow, true);
+        assert.strictEqual(player.sprite.image, null);
+    });
+
+    test('recolor the everyday platforms but not the hazards', () => {
+        const { Cosmetics } = loadCosmetics();
+        const theme = Cosmetics.CATALOG.platformThemes.candy;
+        const normal = new Platform(0, 0, 100, 20, 'normal', new SeededRandom(1));
+        const breakable = new Platform(0, 0, 100, 20, 'breakable', new SeededRandom(1));
+
+        assert.strictEqual(normal.getColors(theme), theme.colors.normal);
+        assert.deepStrictEqual(breakable.getColors(theme), breakable.getColors());
+        assert.strictEqual(new PlatformManager(400, 700, 10, new SeededRandom(1)).theme, null);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGame } = require('./helpers');
+
+const { DifficultyProfile, DifficultyProfiles, GameSimulation, Replay, ReplayRecorder, RunSummary, RunVerifier } = loadGame();
+
+// Objects from the game's VM context have their own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('DifficultyProfile', () => {
+    const profile = new DifficultyProfile('test', {
+        curves: { gravity: [[1, 0.5], [3, 0.7], [5, 0.9]] }
+    });
+
+    test('interpolates linearly between keyframes', () => {
+        assert.strictEqual(profile.valuesAt(1).gravity, 0.5);
+        assert.ok(Math.abs(profile.valuesAt(2).gravity - 0.6) < 1e-9);
+        assert.strictEqual(profile.valuesAt(3).gravity, 0.7);
+    });
+
+    test('holds the first and last values outside the keyframes', () => {
+        assert.strictEqual(profile.valuesAt(0).gravity, 0.5);
+        assert.strictEqual(profile.valuesAt(40).gravity, 0.9);
+    });
+
+    test('holds each value until the next keyframe with step interpolation', () => {
+        const stepped = new DifficultyProfile('step', {
+            interpolation: 'step',
+            curves: { gravity: [[1, 0.5], [3, 0.7]] }
+        });
+        assert.strictEqual(stepped.valuesAt(2.9).gravity, 0.5);
+        assert.strictEqual(stepped.valuesAt(3).gravity, 0.7);
+    });
+
+    test('reads height-keyed curves by score', () => {
+        const byHeight = new DifficultyProfile('height', {
+            by: 'height',
+            curves: { enemySpawnChance: [[0, 0.1], [2000, 0.5]] }
+        });
+        assert.ok(Math.abs(byHeight.valuesAt(9, 500).enemySpawnChance - 0.2) < 1e-9);
+    });
+
+    test('uses the built-in curve for parameters it leaves out', () => {
+        assert.strictEqual(profile.curves.jumpForce, DifficultyProfiles.BUILT_IN.curves.jumpForce);
+        assert.strictEqual(profile.valuesAt(6).jumpForce, -20);
+    });
+
+    test('rejects keyframes out of order', () => {
+        assert.throws(() => new DifficultyProfile('bad', { curves: { gravity: [[3, 0.5], [1, 0.7]] } }), /increasing order/);
+    });
+
+    test('has boss fights at the built-in milestones unless it sets its own', () => {
+        assert.deepStrictEqual(plain(profile.bossScores), [5000, 10000]);
+        assert.deepStrictEqual(plain(new DifficultyProfile('none', { bossScores: [] }).bossScores), []);
+        assert.throws(() => new DifficultyProfile('bad', { bossScores: [5000, 3000] }), /bossScores/);
+    });
+});
+
+describe('DifficultyProfiles', () => {
+    test('ships Easy, Normal, Hard and Insane presets', () => {
+        assert.deepStrictEqual(plain(DifficultyProfiles.list().map(p => p.id)), ['easy', 'normal', 'hard', 'insane']);
+    });
+
+    test('the shipped Normal profile matches the built-in curve', () => {
+        const file = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/difficulty-profiles.json'), 'utf8'));
+        assert.deepStrictEqual(file.profiles.normal, plain(DifficultyProfiles.BUILT_IN));
+    });
+
+    test('falls back to the default profile for unknown IDs', () => {
+        assert.strictEqual(DifficultyProfiles.get('nightmare').id, 'normal');
+        assert.strictEqual(DifficultyProfiles.has('nightmare'), false);
+        assert.strictEqual(DifficultyProfiles.has('hard'), true);
+    });
+
+    test('keeps a high score per mode, with Normal on the key from before modes', () => {
+        assert.strictEqual(DifficultyProfiles.highScoreKey('normal'), 'highScore');
+        assert.strictEqual(DifficultyProfiles.highScoreKey('insane'), 'highScore:insane');
+    });
+
+    test("reads a player's score on each mode's board", () => {
+        const user = { highScore: 420, highScores: { hard: 310 } };
+
+        assert.strictEqual(DifficultyProfiles.scoreFor(user, 'hard'), 310);
+        assert.strictEqual(DifficultyProfiles.scoreFor(user, 'normal'), 420);
+        assert.strictEqual(DifficultyProfiles.scoreFor(user, 'easy'), 0);
+        assert.strictEqual(DifficultyProfiles.scoreFor({ highScores: { normal: 900 }, highScore: 420 }, 'normal'), 900);
+    });
+});
+
+describe('GameSimulation difficulty', () => {
+    test('applies the profile from the start of the run', () => {
+        const simulation = new GameSimulation({ seed: 1, difficulty: 'hard' });
+        const values = DifficultyProfiles.get('hard').valuesAt(1);
+
+        assert.strictEqual(simulation.player.gravity, values.gravity);
+        assert.strictEqual(simulation.platformManager.density, values.platformDensity);
+        assert.strictEqual(simulation.enemyManager.spawnChance, values.enemySpawnChance);
+        assert.strictEqual(simulation.camera.smoothing, values.cameraSmoothing);
+    });
+
+    test('sets where enemies start, how often power-ups spawn and the special platform mix', () => {
+        const simulation = new GameSimulation({ seed: 1, difficulty: 'insane' });
+        const values = DifficultyProfiles.get('insane').valuesAt(1);
+
+        assert.strictEqual(simulation.enemyManager.minHeight, values.enemyMinHeight);
+        assert.strictEqual(simulation.enemyManager.lastSpawnHeight, values.enemyMinHeight);
+        assert.strictEqual(simulation.powerUpManager.spawnInterval, values.powerUpInterval);
+        assert.strictEqual(simulation.powerUpManager.powerUpChance, values.powerUpChance);
+        assert.strictEqual(simulation.platformManager.specialPlatformScale, values.specialPlatformScale);
+    });
+
+    test("raises the level every profile's levelScore points", () => {
+        const simulation = new GameSimulation({ seed: 1, difficulty: 'hard' });
+        const levels = [];
+        simulation.on('difficulty', ({ level, milestone }) => levels.push([level, milestone]));
+
+        simulation.updateScore(700);
+        simulation.updateScore(760);
+        simulation.updateScore(1500);
+
+        assert.deepStrictEqual(levels, [[2, 750], [3, 1500]]);
+        assert.strictEqual(simulation.player.jumpForce, DifficultyProfiles.get('hard').valuesAt(3).jumpForce);
+    });
+});
+
+describe('Replays of a difficulty profile', () => {
+    /**
+     * Record a short run on a profile
+     * @param {string} difficulty - Profile ID
+     * @returns {Object} Replay data (see ReplayRecorder.finish)
+     */
+    function record(difficulty) {
+        const simulation = new GameSimulation({ seed: 2, difficulty });
+        const recorder = new ReplayRecorder(simulation.seed, simulation.width, simulation.height, difficulty);
+        while (!simulation.isGameOver) {
+            const input = { direction: 1, shoot: false, jump: false };
+            recorder.record(simulation.tick, input);
+            simulation.step(input);
+        }
+        return plain(recorder.finish(simulation.tick, simulation.score, simulation.coins));
+    }
+
+    test('record a hash of the settings, but not the label', () => {
+        const hard = DifficultyProfiles.get('hard');
+        assert.match(hard.hash, /^[0-9a-f]{8}$/);
+        assert.notStrictEqual(hard.hash, DifficultyProfiles.get('normal').hash);
+        assert.strictEqual(new DifficultyProfile('hard', { ...plain(hard), label: 'Tough' }).hash, hard.hash);
+        assert.strictEqual(record('hard').difficultyHash, hard.hash);
+    });
+
+    test('are turned down once the profile has been retuned', (t) => {
+        const replay = record('hard');
+        const summary = RunSummary.build(replay, [], { runId: 'run', userId: 'user', durationMs: 60000 });
+        assert.strictEqual(Replay.validate(replay), null);
+
+        const hard = DifficultyProfiles.profiles.hard;
+        t.after(() => { DifficultyProfiles.profiles.hard = hard; });
+        const curves = { ...plain(hard.curves), gravity: [[1, 0.6], [6, 0.9]] };
+        DifficultyProfiles.profiles.hard = new DifficultyProfile('hard', { ...plain(hard), curves });
+
+        const reason = 'Difficulty profile "hard" has changed since the replay was recorded';
+        assert.strictEqual(Replay.validate(replay), reason);
+        assert.strictEqual(RunVerifier.verify(summary, config => new GameSimulation(config)).reason, reason);
+    });
+});
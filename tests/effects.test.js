@@ -0,0 +1,122 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer, makeWorld } = require('./helpers');
+
+const game = loadGame();
+const { ActiveEffects, PowerUpTypes } = game;
+
+// Objects from the game's VM context have their own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Count down a set of effects
+ * @param {ActiveEffects} effects - The effects
+ * @param {number} ms - Time to let pass
+ */
+function wait(effects, ms) {
+    for (let time = 0; time < ms; time += 1000 / 60) {
+        effects.update(1000 / 60);
+    }
+}
+
+describe('Active effects', () => {
+    test('run side by side, each on its own timer', () => {
+        const effects = new ActiveEffects();
+        effects.add('jetpack', 3000);
+        effects.add('spring', 1000);
+        effects.add('magnet', 8000);
+        assert.deepStrictEqual(plain(effects.active.map(effect => effect.type)), ['jetpack', 'spring', 'magnet']);
+
+        wait(effects, 1500);
+        assert.deepStrictEqual(plain(effects.active.map(effect => effect.type)), ['jetpack', 'magnet']);
+        assert.ok(effects.get('magnet').timer > effects.get('jetpack').timer);
+    });
+
+    test('refresh, extend or add charges when picked up again', () => {
+        const effects = new ActiveEffects();
+        effects.add('star', 8000);
+        effects.add('magnet', 8000);
+        effects.add('doubleJump', 10000);
+        wait(effects, 2000);
+
+        assert.strictEqual(effects.add('star', 8000), 'refreshed');
+        assert.strictEqual(effects.get('star').timer, 8000);
+
+        assert.strictEqual(effects.add('magnet', 8000), 'extended');
+        const extended = effects.get('magnet').timer;
+        assert.ok(extended > 8000 && extended < 16000);
+        assert.strictEqual(effects.get('magnet').duration, extended);
+
+        // Extending stops at the rule's cap
+        effects.add('magnet', 8000);
+        effects.add('magnet', 8000);
+        assert.strictEqual(effects.get('magnet').timer, 8000 * effects.ruleFor('magnet').maxStack);
+
+        assert.strictEqual(effects.add('doubleJump', 10000), 'charged');
+        assert.strictEqual(effects.get('doubleJump').charges, 2);
+    });
+
+    test('of the same group queue up behind each other', () => {
+        const effects = new ActiveEffects();
+        assert.strictEqual(effects.add('jetpack', 1000), 'started');
+        assert.strictEqual(effects.add('propeller', 2000), 'queued');
+        assert.strictEqual(effects.has('propeller'), false);
+
+        wait(effects, 1100);
+        assert.strictEqual(effects.has('jetpack'), false);
+        assert.ok(effects.get('propeller').timer > 1800);
+        assert.strictEqual(effects.queued.length, 0);
+    });
+
+    test('untimed effects last until their charges are used', () => {
+        const effects = new ActiveEffects();
+        effects.add('shield', 8000);
+        effects.add('shield', 8000);
+        wait(effects, 60000);
+
+        assert.strictEqual(effects.useCharge('shield'), true);
+        assert.strictEqual(effects.useCharge('shield'), true);
+        assert.strictEqual(effects.useCharge('shield'), false);
+        assert.strictEqual(effects.has('shield'), false);
+    });
+});
+
+describe('Stacked power-ups', () => {
+    test('a spring picked up during a jetpack is kept', () => {
+        const player = makePlayer(game);
+        player.activatePowerUp('jetpack', 3000);
+        assert.strictEqual(player.activatePowerUp('spring', 10000), 'started');
+
+        // Flying with the jetpack...
+        const startY = player.y;
+        player.update(1000 / 60, makeWorld());
+        assert.strictEqual(startY - player.y, PowerUpTypes.get('jetpack').flightSpeed);
+
+        // ...while every bounce is higher too
+        player.jump();
+        assert.strictEqual(player.velocityY, player.jumpForce * PowerUpTypes.get('spring').jumpMultiplier);
+    });
+
+    test('the propeller takes over when the jetpack runs out', () => {
+        const player = makePlayer(game, { y: -2000 });
+        player.activatePowerUp('jetpack', 500);
+        assert.strictEqual(player.activatePowerUp('propeller', 6000), 'queued');
+
+        const world = makeWorld({ camera: { y: -3000, targetY: -3000 } });
+        for (let tick = 0; tick < 40; tick++) {
+            player.update(1000 / 60, world);
+        }
+        assert.strictEqual(player.velocityY, -PowerUpTypes.get('propeller').flightSpeed);
+    });
+
+    test('double jumps stack into several mid-air jumps', () => {
+        const player = makePlayer(game, { velocityY: 5 });
+        player.activatePowerUp('doubleJump', 10000);
+        player.activatePowerUp('doubleJump', 10000);
+
+        assert.strictEqual(player.doubleJump(), true);
+        player.velocityY = 5;
+        assert.strictEqual(player.doubleJump(), true);
+        assert.strictEqual(player.doubleJump(), false);
+    });
+});
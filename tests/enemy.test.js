@@ -0,0 +1,221 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { Enemy, EnemyManager, Platform, SeededRandom, Utils } = game;
+
+/**
+ * Create an enemy manager holding a single enemy
+ * @param {string} type - Enemy type
+ * @returns {Object} {manager, enemy}
+ */
+function oneEnemy(type = 'basic') {
+    const manager = new EnemyManager(400, 700, new SeededRandom(1));
+    const enemy = new Enemy(185, 400, 30, 30, type, new SeededRandom(1));
+    manager.enemies = [enemy];
+    return { manager, enemy };
+}
+
+/**
+ * Make a player falling onto an enemy from above
+ * @param {Enemy} enemy - Enemy to stomp
+ * @returns {Player} The player
+ */
+function stomper(enemy) {
+    return makePlayer(game, { x: 170, y: enemy.y - 100 + 10, velocityY: 5 });
+}
+
+describe('EnemyManager.checkCollisions', () => {
+    test('landing on an enemy from above stomps it', () => {
+        const { manager, enemy } = oneEnemy();
+        const player = makePlayer(game, { x: 170, y: enemy.y - 100 + 10, velocityY: 5 });
+
+        assert.strictEqual(manager.checkCollisions(player), false);
+        assert.strictEqual(enemy.isDying, true);
+        assert.strictEqual(player.velocityY, player.jumpForce * 0.7);
+    });
+
+    test('running into an enemy is a harmful hit', () => {
+        const { manager, enemy } = oneEnemy();
+        const player = makePlayer(game, { x: 170, y: enemy.y - 50, velocityY: -5 });
+
+        assert.strictEqual(manager.checkCollisions(player), true);
+        assert.strictEqual(enemy.isDying, false);
+    });
+
+    test('falling into an enemy from the side is still a hit', () => {
+        const { manager, enemy } = oneEnemy();
+        const player = makePlayer(game, { x: 170, y: enemy.y - 40, velocityY: 5 });
+
+        assert.strictEqual(manager.checkCollisions(player), true);
+    });
+
+    test('a shield absorbs the hit, destroys the enemy and is used up', () => {
+        const { manager, enemy } = oneEnemy();
+        const player = makePlayer(game, { x: 170, y: enemy.y - 50, velocityY: -5 });
+        player.activatePowerUp('shield', 8000);
+
+        assert.strictEqual(manager.checkCollisions(player), false);
+        assert.strictEqual(enemy.isDying, true);
+        assert.strictEqual(player.effects.has('shield'), false);
+    });
+
+    test('dying enemies are harmless', () => {
+        const { manager, enemy } = oneEnemy();
+        enemy.die();
+        const player = makePlayer(game, { x: 170, y: enemy.y - 50, velocityY: -5 });
+
+        assert.strictEqual(manager.checkCollisions(player), false);
+    });
+
+    test('a hit ends the run however many enemies are around', () => {
+        const { manager, enemy } = oneEnemy();
+        for (let n = 0; n < 5; n++) {
+            manager.world.add(new Enemy(30 + n * 60, 100, 30, 30, 'basic', new SeededRandom(n)));
+        }
+        const player = makePlayer(game, { x: 170, y: enemy.y - 50, velocityY: -5 });
+
+        manager.update(1000 / 60, 0, 0, player);
+        assert.strictEqual(manager.enemies.length, 6);
+        assert.strictEqual(manager.checkCollisions(player), true);
+        assert.strictEqual(enemy.isDying, false);
+    });
+
+    test('a player who does not touch the enemy hitbox is safe', () => {
+        const { manager, enemy } = oneEnemy();
+        const player = makePlayer(game, { x: enemy.x + enemy.width, y: enemy.y - 50, velocityY: -5 });
+
+        assert.strictEqual(manager.checkCollisions(player), false);
+    });
+});
+
+describe('Enemy types', () => {
+    test('every type spawns once its height is reached', () => {
+        const seen = new Set();
+        const platforms = [];
+        for (let y = -10200; y < -9600; y += 50) {
+            platforms.push(new Platform(100, y, 150, 20, 'normal', new SeededRandom(1)));
+        }
+
+        for (let seed = 1; seed <= 200; seed++) {
+            const manager = new EnemyManager(400, 700, new SeededRandom(seed));
+            manager.spawnChance = 1;
+            const enemy = manager.generateEnemy(10000, platforms);
+            seen.add(enemy.type);
+        }
+
+        assert.deepStrictEqual([...seen].sort(), ['basic', 'chaser', 'flying', 'patroller', 'static', 'turret']);
+    });
+
+    test('newer types stay away until their height', () => {
+        for (let seed = 1; seed <= 50; seed++) {
+            const manager = new EnemyManager(400, 700, new SeededRandom(seed));
+            manager.spawnChance = 1;
+            manager.spawnInterval = 0;
+            const enemy = manager.generateEnemy(1500);
+            assert.ok(['basic', 'flying', 'static'].includes(enemy.type), enemy.type);
+        }
+    });
+
+    test('flying enemies bob around where they spawned', () => {
+        const enemy = new Enemy(20, -3000, 30, 30, 'flying', new SeededRandom(1));
+        for (let tick = 0; tick < 300; tick++) {
+            enemy.update(1000 / 60, 400);
+            assert.ok(Math.abs(enemy.y + 3000) <= enemy.amplitude);
+            assert.ok(enemy.x >= 0 && enemy.x + enemy.width <= 400);
+        }
+    });
+
+    test('chasers home in on a nearby player and take two stomps', () => {
+        const { manager, enemy } = oneEnemy('chaser');
+        const player = makePlayer(game, { x: 170, y: 150 });
+        const startDistance = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+
+        for (let tick = 0; tick < 60; tick++) {
+            enemy.update(1000 / 60, 400, player);
+        }
+        assert.ok(Math.hypot(player.x - enemy.x, player.y - enemy.y) < startDistance - 20);
+
+        enemy.x = 185;
+        enemy.y = 400;
+        assert.strictEqual(manager.checkCollisions(stomper(enemy)), false);
+        assert.strictEqual(enemy.isDying, false);
+        assert.ok(enemy.stunTimer > 0);
+
+        assert.strictEqual(manager.checkCollisions(stomper(enemy)), false);
+        assert.strictEqual(enemy.isDying, true);
+    });
+
+    test('spiked enemies hurt when stomped', () => {
+        const { manager, enemy } = oneEnemy('static');
+
+        assert.strictEqual(manager.checkCollisions(stomper(enemy)), true);
+        assert.strictEqual(enemy.isDying, false);
+    });
+
+    test('turrets fire at a player in range, and the shots hurt', () => {
+        const { manager, enemy } = oneEnemy('turret');
+        const player = makePlayer(game, { x: 170, y: 100 });
+
+        let ticks = 0;
+        const shots = manager.projectileManager.projectiles;
+        while (shots.length === 0 && ticks < 200) {
+            manager.update(1000 / 60, 0, 0, player);
+            ticks++;
+        }
+        assert.strictEqual(ticks, Math.ceil(enemy.fireInterval / (1000 / 60)));
+
+        // The shot flies towards the player
+        const shot = shots[0];
+        assert.ok(shot.velocityY < 0);
+        while (!Utils.isColliding(player, shot) && shot.y > 0) {
+            manager.projectileManager.update(0);
+        }
+
+        const shielded = makePlayer(game, { x: player.x, y: player.y });
+        shielded.activatePowerUp('shield', 8000);
+        assert.strictEqual(manager.checkCollisions(shielded), false);
+        assert.strictEqual(shielded.effects.has('shield'), false);
+        assert.strictEqual(shot.active, false);
+    });
+
+    test('a shot that reaches the player is a harmful hit', () => {
+        const manager = new EnemyManager(400, 700, new SeededRandom(1));
+        const player = makePlayer(game);
+        manager.projectileManager.fire('enemy', player.x + 10, player.y + 10, 0, 0);
+
+        assert.strictEqual(manager.checkCollisions(player), true);
+    });
+
+    test('patrollers walk along their platform and bump the player away', () => {
+        const platform = new Platform(100, 430, 120, 20, 'normal', new SeededRandom(1));
+        const { manager, enemy } = oneEnemy('patroller');
+        enemy.walkOn(platform);
+
+        for (let tick = 0; tick < 300; tick++) {
+            enemy.update(1000 / 60, 400);
+            assert.strictEqual(enemy.y + enemy.height, platform.y);
+            assert.ok(enemy.x >= platform.x && enemy.x + enemy.width <= platform.x + platform.width);
+        }
+
+        const player = makePlayer(game, { x: enemy.x - 50, y: enemy.y - 50, velocityY: -5 });
+        const x = player.x;
+        assert.strictEqual(manager.checkCollisions(player), false);
+        assert.strictEqual(enemy.isDying, false);
+        assert.ok(player.x < x);
+    });
+
+    test('patrollers fall once their platform is gone', () => {
+        const platform = new Platform(100, 430, 120, 20, 'normal', new SeededRandom(1));
+        const enemy = new Enemy(0, 0, 30, 30, 'patroller', new SeededRandom(1));
+        enemy.walkOn(platform);
+        platform.active = false;
+
+        const y = enemy.y;
+        for (let tick = 0; tick < 10; tick++) {
+            enemy.update(1000 / 60, 400);
+        }
+        assert.ok(enemy.y > y);
+    });
+});
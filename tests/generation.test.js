@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, canReach } = require('./helpers');
+
+const { GameSimulation } = loadGame();
+
+const SEEDS = 30;
+const PLATFORMS_PER_SEED = 100;
+
+/**
+ * Start a simulation and raise it to a difficulty level
+ * @param {number} seed - World seed
+ * @param {number} level - Difficulty level (1 is the start of a run)
+ * @param {string} difficulty - Difficulty profile ID
+ * @returns {GameSimulation} The simulation
+ */
+function simulationAtLevel(seed, level, difficulty = 'normal') {
+    const simulation = new GameSimulation({ seed, width: 400, height: 700, difficulty });
+    while (simulation.difficulty < level) {
+        simulation.increaseDifficulty();
+    }
+    return simulation;
+}
+
+describe('platform generation', () => {
+    test('is the same for the same seed', () => {
+        const a = new GameSimulation({ seed: 99, width: 400, height: 700 }).platformManager;
+        const b = new GameSimulation({ seed: 99, width: 400, height: 700 }).platformManager;
+
+        for (let i = 0; i < 50; i++) {
+            const pa = a.generatePlatform();
+            const pb = b.generatePlatform();
+            assert.deepStrictEqual([pa.x, pa.y, pa.width, pa.type], [pb.x, pb.y, pb.width, pb.type]);
+        }
+    });
+
+    test('keeps platforms inside the playfield', () => {
+        const manager = simulationAtLevel(7, 1).platformManager;
+        for (let i = 0; i < 200; i++) {
+            const platform = manager.generatePlatform();
+            assert.ok(platform.x >= 0 && platform.x + platform.width <= 400, `platform at x=${platform.x} width=${platform.width}`);
+        }
+    });
+
+    test('only generates normal platforms when special platforms are turned off', () => {
+        const manager = simulationAtLevel(3, 1).platformManager;
+        manager.specialPlatformScale = 0;
+
+        for (let i = 0; i < 100; i++) {
+            assert.strictEqual(manager.generatePlatform().type, 'normal');
+        }
+    });
+
+    test('links each teleport entrance to an exit further up the path', () => {
+        const manager = simulationAtLevel(11, 1).platformManager;
+        manager.highestPlatformY -= 15000; // Late game, where teleports appear
+        const generated = [];
+        for (let i = 0; i < 400; i++) generated.push(manager.generatePlatform());
+
+        const entrances = generated.filter(platform => platform.teleportTarget);
+        assert.ok(entrances.length > 0);
+        for (const entrance of entrances) {
+            const exit = entrance.teleportTarget;
+            assert.strictEqual(exit.type, 'teleport');
+            assert.strictEqual(exit.teleportTarget, null);
+            assert.strictEqual(exit.onPath, true);
+            assert.ok(exit.y < entrance.y);
+            assert.strictEqual(exit.teleportHue, entrance.teleportHue);
+        }
+    });
+
+    test('every late-game platform can be reached, even against a conveyor belt', () => {
+        for (let seed = 1; seed <= SEEDS; seed++) {
+            const simulation = simulationAtLevel(seed, 5);
+            const manager = simulation.platformManager;
+            manager.highestPlatformY -= 15000;
+            let previous = manager.generatePlatform();
+
+            for (let i = 0; i < PLATFORMS_PER_SEED; i++) {
+                const next = manager.generatePlatform();
+                assert.ok(
+                    canReach(previous, next, simulation.player, simulation.width),
+                    `seed ${seed}: can't reach platform at (${next.x}, ${next.y}) from ${previous.type} platform at (${previous.x}, ${previous.y})`
+                );
+                previous = next;
+            }
+        }
+    });
+
+    for (const difficulty of ['easy', 'normal', 'hard', 'insane']) {
+        for (let level = 1; level <= 6; level++) {
+            test(`every platform can be reached from the one below it on ${difficulty} at level ${level}`, () => {
+                for (let seed = 1; seed <= SEEDS; seed++) {
+                    const simulation = simulationAtLevel(seed, level, difficulty);
+                    const manager = simulation.platformManager;
+                    let previous = manager.platforms.reduce((highest, p) => (p.y < highest.y ? p : highest));
+
+                    for (let i = 0; i < PLATFORMS_PER_SEED; i++) {
+                        const next = manager.generatePlatform();
+                        assert.ok(
+                            canReach(previous, next, simulation.player, simulation.width),
+                            `seed ${seed}: can't reach platform at (${next.x}, ${next.y}) from (${previous.x}, ${previous.y})`
+                        );
+                        previous = next;
+                    }
+                }
+            });
+        }
+    }
+});
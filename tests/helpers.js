@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for the test suite.
+ *
+ * The game classes are loaded headlessly (see tools/headless.js), so tests run
+ * offline in plain Node: `node --test`
+ */
+const { loadGame } = require('../tools/headless');
+
+/**
+ * Create a player standing in an empty world
+ * @param {Object} game - Loaded game (see loadGame)
+ * @param {Object} overrides - Properties to set on the player
+ * @returns {Player} The player
+ */
+function makePlayer(game, overrides = {}) {
+    const player = new game.Player(170, 400, 60, 100, new game.SeededRandom(1));
+    return Object.assign(player, overrides);
+}
+
+/**
+ * Put a player just above a platform, falling onto it
+ * @param {Player} player - The player
+ * @param {Platform} platform - Platform to land on
+ * @returns {Player} The player
+ */
+function fallOnto(player, platform) {
+    player.x = platform.x + platform.width / 2 - player.width / 2;
+    player.y = platform.y - player.height + 2;
+    player.velocityY = 5;
+    return player;
+}
+
+/**
+ * Minimal stand-in for the simulation, for code that only needs the playfield and camera
+ * @param {Object} overrides - Properties to set
+ * @returns {Object} World {width, height, camera, score}
+ */
+function makeWorld(overrides = {}) {
+    return Object.assign({ width: 400, height: 700, camera: { y: 0, targetY: 0 }, score: 0 }, overrides);
+}
+
+/**
+ * Check whether a normal jump from one platform can land on another, by stepping the
+ * player's physics tick by tick while steering towards the target platform
+ * @param {Platform} from - Platform the player jumps from
+ * @param {Platform} to - Platform the player wants to land on
+ * @param {Player} player - Player whose physics (speed, gravity, jumpForce) to use
+ * @param {number} worldWidth - Width of the playfield
+ * @returns {boolean} True if the landing is possible
+ */
+function canReach(from, to, player, worldWidth) {
+    const width = player.width;
+    const clampX = x => Math.max(0, Math.min(worldWidth - width, x));
+
+    // Take off from the spot on the first platform closest to the target
+    const targetX = clampX(to.x + to.width / 2 - width / 2);
+    let x = clampX(Math.max(from.x - width + 1, Math.min(from.x + from.width - 1, targetX)));
+    let y = from.y - player.height;
+    let velocityY = player.jumpForce;
+
+    // Conveyor belts push the player along however they steer
+    const conveyor = from.type === 'conveyor';
+    let momentum = conveyor ? from.conveyorSpeed : 0;
+    const keep = conveyor ? from.slipperiness : 0;
+
+    // Until the player has fallen back past the platform they jumped from
+    while (y + player.height <= from.y + player.terminalVelocity) {
+        const steer = Math.max(-player.speed, Math.min(player.speed, targetX - x - momentum));
+        x = clampX(x + steer + momentum);
+        momentum *= keep;
+        velocityY = Math.min(velocityY + player.gravity, player.terminalVelocity);
+        y += velocityY;
+
+        const bottom = y + player.height;
+        const overlaps = x < to.x + to.width && x + width > to.x;
+        if (velocityY > 0 && overlaps && bottom >= to.y && bottom <= to.y + to.height / 2) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+module.exports = { loadGame, makePlayer, fallOnto, makeWorld, canReach };
@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer, fallOnto } = require('./helpers');
+
+const game = loadGame();
+const { Platform, PlatformManager, SeededRandom } = game;
+
+/**
+ * Create a platform manager holding only the given platforms
+ * @param {Platform[]} platforms - Platforms to check against
+ * @returns {PlatformManager} The manager
+ */
+function managerWith(platforms) {
+    const manager = new PlatformManager(400, 700, 0, new SeededRandom(1));
+    manager.platforms = platforms;
+    return manager;
+}
+
+describe('PlatformManager.checkCollisions', () => {
+    test('lands a falling player on the platform under their feet', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+
+        assert.strictEqual(managerWith([platform]).checkCollisions(player), true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+    });
+
+    test('ignores a rising player', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.velocityY = -3;
+
+        assert.strictEqual(managerWith([platform]).checkCollisions(player), false);
+    });
+
+    test('ignores platforms the player is not horizontally over', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.x = platform.x + platform.width + 1;
+
+        assert.strictEqual(managerWith([platform]).checkCollisions(player), false);
+    });
+
+    test('ignores inactive platforms', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        platform.active = false;
+
+        assert.strictEqual(managerWith([platform]).checkCollisions(player), false);
+    });
+
+    test('only lands on one platform per tick', () => {
+        const breakable = new Platform(150, 500, 100, 20, 'breakable', new SeededRandom(1));
+        const overlapping = new Platform(150, 505, 100, 20, 'breakable', new SeededRandom(2));
+        const player = fallOnto(makePlayer(game), breakable);
+
+        assert.strictEqual(managerWith([breakable, overlapping]).checkCollisions(player), true);
+        assert.ok(breakable.breakProgress > 0);
+        assert.strictEqual(overlapping.breakProgress, 0);
+    });
+});
+
+describe('PlatformManager.update', () => {
+    /**
+     * Stand a player still on top of a platform
+     * @param {Platform} platform - Platform to stand on
+     * @returns {Player} The player
+     */
+    function standOn(platform) {
+        const player = makePlayer(game);
+        player.x = platform.x + platform.width / 2 - player.width / 2;
+        player.y = platform.y - player.height;
+        player.velocityY = 0;
+        return player;
+    }
+
+    for (const type of ['moving', 'vertical', 'circular', 'path']) {
+        test(`${type} platforms carry a player standing on them`, () => {
+            const platform = new Platform(150, 500, 100, 20, type, new SeededRandom(1));
+            const manager = managerWith([platform]);
+
+            for (let tick = 0; tick < 60; tick++) {
+                const player = standOn(platform);
+                const x = player.x;
+                const y = player.y;
+
+                manager.update(1000 / 60, 0, player);
+                assert.ok(Math.abs(player.x - x - platform.velocityX) < 1e-9);
+                assert.ok(Math.abs(player.y - y - platform.velocityY) < 1e-9);
+                assert.strictEqual(player.y + player.height, platform.y);
+            }
+        });
+    }
+
+    test('lifts move vertically and circular platforms in both directions', () => {
+        const lift = new Platform(150, 500, 100, 20, 'vertical', new SeededRandom(1));
+        const circular = new Platform(150, 500, 100, 20, 'circular', new SeededRandom(1));
+        const moved = { lift: new Set(), circularX: new Set(), circularY: new Set() };
+
+        for (let tick = 0; tick < 300; tick++) {
+            managerWith([lift, circular]).update(1000 / 60, 0, null);
+            moved.lift.add(Math.sign(lift.velocityY));
+            moved.circularX.add(Math.sign(circular.velocityX));
+            moved.circularY.add(Math.sign(circular.velocityY));
+            assert.strictEqual(lift.x, 150);
+        }
+
+        assert.ok(moved.lift.has(1) && moved.lift.has(-1));
+        assert.ok(moved.circularX.has(1) && moved.circularX.has(-1));
+        assert.ok(moved.circularY.has(1) && moved.circularY.has(-1));
+    });
+
+    test('path platforms visit each waypoint and loop back', () => {
+        const platform = new Platform(150, 500, 100, 20, 'path', new SeededRandom(1));
+        const manager = managerWith([platform]);
+        const unvisited = platform.waypoints.map(([x, y]) => [150 + x, 500 + y]);
+
+        for (let tick = 0; tick < 2000 && unvisited.length > 0; tick++) {
+            manager.update(1000 / 60, 0, null);
+            const i = unvisited.findIndex(([x, y]) => Math.hypot(platform.x - x, platform.y - y) < 1);
+            if (i >= 0) unvisited.splice(i, 1);
+        }
+
+        assert.strictEqual(unvisited.length, 0);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer, fallOnto } = require('./helpers');
+
+const game = loadGame();
+const { Platform, PlatformManager, PlatformTypes, SeededRandom } = game;
+
+describe('PlatformTypes', () => {
+    test('registers every shipped type', () => {
+        assert.deepStrictEqual(Object.keys(PlatformTypes.types), [
+            'normal', 'bouncy', 'breakable', 'moving', 'disappearing', 'conveyor', 'ice', 'crumbling', 'teleport',
+            'vertical', 'circular', 'path'
+        ]);
+    });
+
+    test('rejects types without a name or with malformed spawn weights', () => {
+        assert.throws(() => PlatformTypes.register({}), /needs a name/);
+        assert.throws(() => PlatformTypes.register({ name: 'bad', spawnWeights: [[0, -1]] }), /\[score, weight\]/);
+        assert.throws(() => PlatformTypes.register({ name: 'bad', spawnWeights: [[300, 1], [0, 1]] }), /increasing score order/);
+        assert.strictEqual(PlatformTypes.types.bad, undefined);
+    });
+
+    test('holds each spawn weight until the next height band', () => {
+        const definition = { name: 'banded', spawnWeights: [[300, 0.2], [1000, 0.5]] };
+
+        assert.strictEqual(PlatformTypes.weightAt(definition, 0), 0);
+        assert.strictEqual(PlatformTypes.weightAt(definition, 300), 0.2);
+        assert.strictEqual(PlatformTypes.weightAt(definition, 999), 0.2);
+        assert.strictEqual(PlatformTypes.weightAt(definition, 5000), 0.5);
+    });
+
+    test('never picks a type whose canSpawn vetoes it', () => {
+        const random = new SeededRandom(1);
+        const manager = new PlatformManager(400, 700, 0, new SeededRandom(1));
+
+        for (let i = 0; i < 200; i++) {
+            const type = PlatformTypes.pick(random, 2000, ['disappearing'], manager);
+            assert.notStrictEqual(type, 'disappearing');
+        }
+    });
+
+    test('unknown types behave like normal platforms', () => {
+        const platform = new Platform(150, 500, 100, 20, 'missing', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+    });
+});
+
+describe('A platform type registered in one place', () => {
+    const landed = [];
+    before(() => PlatformTypes.register({
+        name: 'sticky',
+        colors: { light: '#FFD700', dark: '#B8860B' },
+        spawnWeights: [[0, 1000]],
+        init(platform) {
+            platform.stuck = 0;
+        },
+        onLand(platform, player) {
+            platform.stuck++;
+            landed.push(platform);
+            player.jump(0.5);
+        }
+    }));
+
+    test('spawns by its weight', () => {
+        const manager = new PlatformManager(400, 700, 0, new SeededRandom(1));
+        manager.specialPlatformScale = 10;
+
+        const types = [];
+        for (let i = 0; i < 20; i++) {
+            types.push(manager.generatePlatform().type);
+        }
+        assert.ok(types.includes('sticky'));
+    });
+
+    test('sets up its state and decides the jump', () => {
+        const platform = new Platform(150, 500, 100, 20, 'sticky', new SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(platform.stuck, 1);
+        assert.strictEqual(landed[0], platform);
+        assert.strictEqual(player.velocityY, player.jumpForce * 0.5);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers');
+
+const { GameSimulation } = loadGame();
+
+/**
+ * Start a simulation with nothing to land on, so only the player and camera matter
+ * @returns {GameSimulation} The simulation
+ */
+function emptySimulation() {
+    const simulation = new GameSimulation({ seed: 5, width: 400, height: 700 });
+    simulation.platformManager.checkCollisions = () => false;
+    return simulation;
+}
+
+describe('PlayerSafety', () => {
+    test('rolls a NaN position back to the last valid tick', () => {
+        const simulation = new GameSimulation({ seed: 5, width: 400, height: 700 });
+        const reasons = [];
+        simulation.on('playerRescued', ({ reason }) => reasons.push(reason));
+
+        for (let i = 0; i < 30; i++) simulation.step({});
+        const before = { x: simulation.player.x, y: simulation.player.y };
+
+        simulation.player.velocityY = NaN;
+        simulation.step({});
+
+        assert.deepStrictEqual(reasons, ['invalid-state']);
+        assert.strictEqual(simulation.isGameOver, false);
+        assert.ok(Number.isFinite(simulation.camera.y));
+        assert.ok(Math.abs(simulation.player.y - before.y) < 20);
+        assert.strictEqual(simulation.player.x, before.x);
+    });
+
+    test('puts a player outside the walls back inside', () => {
+        const simulation = emptySimulation();
+        simulation.player.velocityY = simulation.player.jumpForce;
+        simulation.step({});
+
+        simulation.player.x = 500;
+        simulation.safety.update();
+
+        assert.strictEqual(simulation.player.x, 400 - simulation.player.width);
+        assert.strictEqual(simulation.safety.rescues['out-of-bounds'], 1);
+    });
+
+    test('gives a player that stopped moving a jump', () => {
+        const simulation = emptySimulation();
+        simulation.player.gravity = 0;
+        simulation.player.velocityY = 0;
+
+        for (let i = 0; i < simulation.safety.stuckLimit + 1; i++) simulation.step({});
+
+        assert.strictEqual(simulation.safety.rescues.stuck, 1);
+        assert.ok(simulation.player.velocityY < 0);
+    });
+});
+
+describe('GameSimulation camera', () => {
+    test('never moves down, so a falling player ends the run', () => {
+        const simulation = emptySimulation();
+        simulation.player.velocityY = simulation.player.jumpForce * 2;
+
+        let highest = simulation.camera.y;
+        while (!simulation.isGameOver && simulation.tick < 1000) {
+            simulation.step({});
+            assert.ok(simulation.camera.y <= highest + 1e-9, `camera moved down at tick ${simulation.tick}`);
+            highest = Math.min(highest, simulation.camera.y);
+        }
+
+        assert.strictEqual(simulation.isGameOver, true);
+    });
+
+    test('keeps a fast-rising player on screen', () => {
+        const simulation = emptySimulation();
+        simulation.player.velocityY = -60;
+
+        for (let i = 0; i < 20; i++) {
+            simulation.step({});
+            assert.ok(simulation.player.y >= simulation.camera.y, `player above the screen at tick ${simulation.tick}`);
+        }
+    });
+
+    test('does not score for falling below the start', () => {
+        const simulation = emptySimulation();
+        while (!simulation.isGameOver) simulation.step({});
+
+        assert.strictEqual(simulation.score, 0);
+    });
+});
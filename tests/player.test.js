@@ -0,0 +1,203 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer, fallOnto, makeWorld } = require('./helpers');
+
+const game = loadGame();
+const { Platform } = game;
+
+/**
+ * Drop a fresh player onto a fresh platform of the given type
+ * @param {string} type - Platform type
+ * @returns {Object} {player, platform, landed}
+ */
+function land(type) {
+    const platform = new Platform(150, 500, 100, 20, type, new game.SeededRandom(1));
+    const player = fallOnto(makePlayer(game), platform);
+    const landed = player.onPlatformCollision(platform);
+    return { player, platform, landed };
+}
+
+describe('Player.onPlatformCollision', () => {
+    test('normal platforms bounce the player with the jump force', () => {
+        const { player, platform, landed } = land('normal');
+        assert.strictEqual(landed, true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.strictEqual(player.y + player.height, platform.y);
+    });
+
+    test('bouncy platforms jump 1.5 times as high', () => {
+        const { player, landed } = land('bouncy');
+        assert.strictEqual(landed, true);
+        assert.strictEqual(player.velocityY, player.jumpForce * 1.5);
+    });
+
+    test('breakable platforms start breaking', () => {
+        const { player, platform, landed } = land('breakable');
+        assert.strictEqual(landed, true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.ok(platform.breakProgress > 0);
+    });
+
+    test('moving platforms pass on some of their horizontal speed', () => {
+        const platform = new Platform(150, 500, 100, 20, 'moving', new game.SeededRandom(1));
+        platform.velocityX = 4;
+        const player = fallOnto(makePlayer(game), platform);
+
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.strictEqual(player.velocityX, 2);
+    });
+
+    test('rising platforms catch a player they rose past this tick', () => {
+        const platform = new Platform(150, 500, 100, 20, 'vertical', new game.SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.y = platform.y + platform.height / 2 + 2 - player.height;
+
+        assert.strictEqual(player.onPlatformCollision(platform), false);
+
+        platform.velocityY = -3;
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(player.y + player.height, platform.y);
+    });
+
+    test('disappearing platforms start to fade', () => {
+        const { player, platform, landed } = land('disappearing');
+        assert.strictEqual(landed, true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.strictEqual(platform.isDisappearing, true);
+    });
+
+    test('conveyor platforms push the player along the belt', () => {
+        const { player, platform, landed } = land('conveyor');
+        assert.strictEqual(landed, true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+
+        const x = player.x;
+        player.update(1000 / 60, makeWorld());
+        assert.ok(Math.abs(player.x - x - platform.conveyorSpeed) < 0.5);
+        assert.ok(Math.abs(player.momentumX) < Math.abs(platform.conveyorSpeed));
+    });
+
+    test('ice platforms keep the player sliding the way they were moving', () => {
+        const platform = new Platform(150, 500, 100, 20, 'ice', new game.SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.velocityX = player.speed;
+
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(player.momentumX, player.speed);
+
+        // Still sliding after letting go of the controls, a little slower each tick
+        const x = player.x;
+        player.update(1000 / 60, makeWorld());
+        player.update(1000 / 60, makeWorld());
+        assert.ok(player.x - x > player.speed * 1.5);
+        assert.ok(player.momentumX < player.speed);
+    });
+
+    test('landing on an ordinary platform stops a slide', () => {
+        const player = fallOnto(makePlayer(game, { momentumX: 4 }), new Platform(150, 500, 100, 20, 'normal', new game.SeededRandom(1)));
+        player.onPlatformCollision(new Platform(150, 500, 100, 20, 'normal', new game.SeededRandom(1)));
+        assert.strictEqual(player.momentumX, 0);
+    });
+
+    test('crumbling platforms shrink towards their middle and then fall away', () => {
+        const { platform, landed } = land('crumbling');
+        assert.strictEqual(landed, true);
+
+        const center = platform.x + platform.width / 2;
+        for (let i = 0; i < 60; i++) platform.update(1000 / 60, 400);
+        assert.ok(platform.width < 100 && platform.width > 0);
+        assert.ok(Math.abs(platform.x + platform.width / 2 - center) < 1e-9);
+        assert.strictEqual(platform.active, true);
+
+        while (platform.active) platform.update(1000 / 60, 400);
+        assert.ok(platform.crumbleProgress >= 1);
+    });
+
+    test('teleport entrances move the player onto their exit', () => {
+        const entrance = new Platform(150, 500, 100, 20, 'teleport', new game.SeededRandom(1));
+        const exit = new Platform(20, 100, 80, 20, 'teleport', new game.SeededRandom(2));
+        game.PlatformTypes.get('teleport').link(entrance, exit, 100);
+        const player = fallOnto(makePlayer(game), entrance);
+        const events = [];
+        player.onEvent = (type) => events.push(type);
+
+        assert.strictEqual(player.onPlatformCollision(entrance), true);
+        assert.strictEqual(player.y + player.height, exit.y);
+        assert.strictEqual(player.x + player.width / 2, exit.x + exit.width / 2);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.deepStrictEqual(events, ['teleport', 'jump']);
+    });
+
+    test('teleport exits are ordinary landings', () => {
+        const { player, platform } = land('teleport');
+        assert.strictEqual(player.y + player.height, platform.y);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+    });
+
+    test('jumping reports a jump event', () => {
+        const platform = new Platform(150, 500, 100, 20, 'bouncy', new game.SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        const events = [];
+        player.onEvent = (type, data) => events.push([type, data.multiplier]);
+
+        player.onPlatformCollision(platform);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0][0], 'jump');
+        assert.strictEqual(events[0][1], 1.5);
+    });
+
+    test('a rising player passes through platforms', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new game.SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.velocityY = -5;
+
+        assert.strictEqual(player.onPlatformCollision(platform), false);
+        assert.strictEqual(player.velocityY, -5);
+    });
+
+    test('a player whose feet are below the top half of the platform falls through', () => {
+        const platform = new Platform(150, 500, 100, 20, 'normal', new game.SeededRandom(1));
+        const player = fallOnto(makePlayer(game), platform);
+        player.y = platform.y + platform.height * 0.75 - player.height;
+
+        assert.strictEqual(player.onPlatformCollision(platform), false);
+        assert.strictEqual(player.velocityY, 5);
+    });
+});
+
+describe('Player.update', () => {
+    test('falling off the bottom of the screen kills the player', () => {
+        const player = makePlayer(game, { y: 700, velocityY: 5 });
+        player.update(1000 / 60, makeWorld());
+        assert.strictEqual(player.isAlive, false);
+    });
+
+    test('a shield saves the player from falling once and is used up', () => {
+        const player = makePlayer(game, { y: 700, velocityY: 5 });
+        player.activatePowerUp('shield', 8000);
+        player.update(1000 / 60, makeWorld());
+
+        assert.strictEqual(player.isAlive, true);
+        assert.strictEqual(player.effects.has('shield'), false);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.ok(player.y < 700);
+
+        // Without the shield the next fall is fatal
+        player.y = 700;
+        player.velocityY = 5;
+        player.update(1000 / 60, makeWorld());
+        assert.strictEqual(player.isAlive, false);
+    });
+
+    test('the player stays inside the playfield', () => {
+        const player = makePlayer(game, { x: 395, direction: 1 });
+        player.update(1000 / 60, makeWorld());
+        assert.ok(player.x + player.width <= 400);
+
+        player.x = 2;
+        player.direction = -1;
+        player.update(1000 / 60, makeWorld());
+        assert.ok(player.x >= 0);
+    });
+});
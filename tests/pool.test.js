@@ -0,0 +1,92 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers');
+
+const game = loadGame();
+const { Enemy, EnemyManager, PlatformManager, Pool, SeededRandom } = game;
+
+describe('Pool', () => {
+    test('hands out released objects before making new ones', () => {
+        const pool = new Pool(() => ({}));
+        const first = pool.acquire();
+        pool.release(first);
+
+        assert.strictEqual(pool.length, 1);
+        assert.strictEqual(pool.acquire(), first);
+        assert.notStrictEqual(pool.acquire(), first);
+        assert.deepStrictEqual({ ...pool.stats }, { created: 2, reused: 1 });
+    });
+
+    test('platforms stop being allocated once the climb has filled the pool', () => {
+        const manager = new PlatformManager(400, 700, 15, new SeededRandom(1));
+        const allocations = manager.world.allocations;
+        const climb = (ticks, from) => {
+            for (let tick = from; tick < from + ticks; tick++) {
+                manager.update(1000 / 60, -tick * 5, null);
+            }
+        };
+
+        climb(1000, 0);
+        const created = allocations.created;
+        const reused = allocations.reused;
+
+        climb(2000, 1000);
+        assert.strictEqual(allocations.created, created);
+        assert.ok(allocations.reused > reused + 100);
+    });
+
+    test('enemies stop being allocated once the climb has filled the pool', () => {
+        const manager = new EnemyManager(400, 700, new SeededRandom(1));
+        manager.minHeight = 0;
+        manager.spawnInterval = 50;
+        manager.spawnChance = 1;
+
+        let created = 0;
+        for (let tick = 0; tick < 3000; tick++) {
+            manager.update(1000 / 60, -tick * 5, tick * 5);
+            if (tick === 1000) {
+                created = manager.world.allocations.created;
+            }
+        }
+        assert.ok(created > 0);
+        assert.strictEqual(manager.world.allocations.created, created);
+    });
+
+    test('a reused enemy starts over', () => {
+        const manager = new EnemyManager(400, 700, new SeededRandom(1));
+        const enemy = manager.pool.acquire().spawn(100, 200, 30, 30, 'chaser', new SeededRandom(1));
+        enemy.die();
+        enemy.flashingColors = true;
+        for (let tick = 0; tick < 5; tick++) {
+            enemy.update(1000 / 60, 400);
+        }
+        manager.remove(enemy);
+
+        const reused = manager.pool.acquire().spawn(50, 300, 30, 30, 'basic', new SeededRandom(1));
+        const fresh = new Enemy(50, 300, 30, 30, 'basic', new SeededRandom(1));
+        assert.strictEqual(reused, enemy);
+        for (const property of ['active', 'isDying', 'flashingColors', 'health', 'x', 'y', 'prevX', 'prevY', 'direction', 'phase']) {
+            assert.strictEqual(reused[property], fresh[property], property);
+        }
+        assert.deepStrictEqual({ ...reused.sprite, image: null }, { ...fresh.sprite, image: null });
+    });
+
+    test('a removed platform is kept out of the pool until every entity has seen it go', () => {
+        const manager = new PlatformManager(400, 700, 0, new SeededRandom(1));
+        const platform = manager.platforms[0];
+        const patroller = new Enemy(0, 0, 30, 30, 'patroller', new SeededRandom(1));
+        patroller.walkOn(platform);
+
+        manager.remove(platform);
+        manager.world.sweep('platform');
+        assert.strictEqual(manager.pool.length, 0);
+
+        // The patroller notices on the same tick, before the platform can come back as another one
+        patroller.update(1000 / 60, 400);
+        assert.strictEqual(patroller.platform, null);
+
+        // From the next update on it can be reused
+        manager.update(1000 / 60, 0, null);
+        assert.ok(manager.pool.length === 1 || manager.platforms.includes(platform));
+    });
+});
@@ -0,0 +1,208 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer, fallOnto, makeWorld } = require('./helpers');
+
+const game = loadGame();
+const { GameSimulation, Platform, PowerUp, PowerUpManager, PowerUpTypes, ReplayPlayer, ReplayRecorder, SeededRandom } = game;
+
+/**
+ * Create a player with a power-up active
+ * @param {string} type - Power-up type
+ * @returns {Player} The player
+ */
+function poweredUp(type) {
+    const player = makePlayer(game);
+    player.activatePowerUp(type, PowerUpTypes.get(type).duration);
+    return player;
+}
+
+describe('Power-ups', () => {
+    test('spawn every type', () => {
+        const manager = new PowerUpManager(400, 700, new SeededRandom(1));
+        manager.powerUpChance = 1;
+
+        const types = new Set();
+        for (let height = 3500; height < 400000; height += 3000) {
+            types.add(manager.generatePowerUp(height).type);
+        }
+        assert.deepStrictEqual([...types].sort(), JSON.parse(JSON.stringify(manager.powerUpTypes)).sort());
+    });
+
+    test('are each defined once, with everything the game needs', () => {
+        // The star is only dropped by bosses
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(PowerUpTypes.spawnable())),
+            ['jetpack', 'spring', 'shield', 'magnet', 'slowMotion', 'doubleJump', 'propeller']);
+
+        for (const [type, definition] of Object.entries(PowerUpTypes.types)) {
+            assert.ok(definition.duration > 0, type);
+            assert.match(definition.color, /^#[0-9A-F]{6}$/, type);
+            assert.ok(definition.pitch > 0, type);
+            assert.strictEqual(typeof definition.drawIcon, 'function', type);
+            assert.strictEqual(typeof definition.drawEffect, 'function', type);
+            assert.strictEqual(new PowerUp(0, 0, 40, type).collect(), definition.duration, type);
+        }
+    });
+
+    test('the spring makes every bounce higher', () => {
+        const player = poweredUp('spring');
+        const platform = new Platform(150, 500, 100, 20, 'normal', new SeededRandom(1));
+
+        fallOnto(player, platform);
+        assert.strictEqual(player.onPlatformCollision(platform), true);
+        assert.strictEqual(player.velocityY, player.jumpForce * PowerUpTypes.get('spring').jumpMultiplier);
+    });
+
+    test('the propeller flies up slower than the jetpack', () => {
+        const climb = (type) => {
+            const player = poweredUp(type);
+            const startY = player.y;
+            player.update(1000 / 60, makeWorld());
+            return startY - player.y;
+        };
+
+        assert.strictEqual(climb('jetpack'), 10);
+        assert.strictEqual(climb('propeller'), 6);
+    });
+
+    test('the magnet pulls nearby power-ups in', () => {
+        const manager = new PowerUpManager(400, 700, new SeededRandom(1));
+        const player = poweredUp('magnet');
+        const near = manager.spawn('shield', player.x + player.width / 2 + 150, player.y + player.height / 2);
+        const far = manager.spawn('shield', player.x + player.width / 2 + 150, player.y + player.height / 2 + 400);
+
+        const [nearX, farX] = [near.x, far.x];
+        manager.update(1000 / 60, 0, 0, player);
+        assert.strictEqual(near.x, nearX - PowerUpTypes.get('magnet').magnet.strength);
+        assert.strictEqual(far.x, farX);
+    });
+
+    test('the magnet rings the player at its reach', () => {
+        const player = poweredUp('magnet');
+        const radii = [];
+        const ctx = { setLineDash() {}, beginPath() {}, stroke() {}, arc: (x, y, radius) => radii.push(radius) };
+
+        const definition = PowerUpTypes.get('magnet');
+        definition.drawEffect(player, ctx, 300, player.effects.get('magnet'));
+        assert.deepStrictEqual(radii, [definition.magnet.range]);
+    });
+
+    test('slow motion halves the game speed until it runs out', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        assert.strictEqual(simulation.getTimeScale(), 1);
+
+        simulation.player.activatePowerUp('slowMotion', 100);
+        assert.strictEqual(simulation.getTimeScale(), 0.5);
+
+        for (let tick = 0; tick < 10; tick++) {
+            simulation.step({ direction: 0 });
+        }
+        assert.strictEqual(simulation.getTimeScale(), 1);
+    });
+
+    test('the double jump works once, mid-air', () => {
+        const player = makePlayer(game, { velocityY: 5 });
+        assert.strictEqual(player.doubleJump(), false);
+        assert.strictEqual(player.velocityY, 5);
+
+        player.activatePowerUp('doubleJump', 10000);
+        assert.strictEqual(player.doubleJump(), true);
+        assert.strictEqual(player.velocityY, player.jumpForce);
+        assert.strictEqual(player.effects.has('doubleJump'), false);
+        assert.strictEqual(player.doubleJump(), false);
+    });
+
+    test('the simulation double jumps on a jump input', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        simulation.player.activatePowerUp('doubleJump', 10000);
+
+        simulation.step({ direction: 0 });
+        assert.strictEqual(simulation.player.effects.has('doubleJump'), true);
+
+        simulation.step({ direction: 0, jump: true });
+        assert.strictEqual(simulation.player.effects.has('doubleJump'), false);
+    });
+
+    test('announce themselves and are timed for the HUD', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        const events = [];
+        simulation.on('powerUp', (event) => events.push(event));
+
+        const player = simulation.player;
+        simulation.powerUpManager.spawn('propeller', player.x + 30, player.y + 50);
+        simulation.step({ direction: 0 });
+
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(events)), [{ type: 'propeller', duration: 6000, stacking: 'started' }]);
+        const effect = player.effects.get('propeller');
+        assert.strictEqual(effect.duration, PowerUpTypes.get('propeller').duration);
+        assert.strictEqual(effect.timer, effect.duration);
+    });
+
+    test('every type takes effect when the player touches it', () => {
+        // What each power-up visibly does to the player once it's active
+        const takesEffect = {
+            jetpack: player => player.velocityY === -PowerUpTypes.get('jetpack').flightSpeed,
+            propeller: player => player.velocityY === -PowerUpTypes.get('propeller').flightSpeed,
+            spring: player => {
+                player.jump();
+                return player.velocityY === player.jumpForce * PowerUpTypes.get('spring').jumpMultiplier;
+            },
+            shield: player => player.effects.useCharge('shield'),
+            magnet: player => player.pull({ x: player.x + 100, y: player.y, width: 10, height: 10 }),
+            slowMotion: player => player.getTimeScale() === PowerUpTypes.get('slowMotion').timeScale,
+            doubleJump: player => player.doubleJump(),
+            star: player => player.isInvincible()
+        };
+        const types = [...new PowerUpManager(400, 700).powerUpTypes, 'star'];
+        assert.deepStrictEqual(Object.keys(takesEffect).sort(), [...types].sort());
+
+        for (const type of types) {
+            const simulation = new GameSimulation({ seed: 1 });
+            const events = [];
+            simulation.on('powerUp', (event) => events.push(event));
+
+            const player = simulation.player;
+            const powerUp = simulation.powerUpManager.spawn(type, player.x + player.width / 2, player.y + player.height / 2);
+            simulation.step({ direction: 0 });
+
+            assert.strictEqual(powerUp.isCollected, true, type);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(events)), [
+                { type: type, duration: PowerUpTypes.get(type).duration, stacking: 'started' }
+            ], type);
+
+            // Flying starts on the tick after the pickup
+            simulation.step({ direction: 0 });
+            assert.ok(takesEffect[type](player), type);
+        }
+    });
+
+    test('play a collect animation before they disappear', () => {
+        const manager = new PowerUpManager(400, 700, new SeededRandom(1));
+        const player = makePlayer(game);
+        const powerUp = manager.spawn('spring', player.x + 30, player.y + 50);
+
+        const collected = manager.checkCollisions(player);
+        assert.strictEqual(collected.length, 1);
+        assert.strictEqual(collected[0], powerUp);
+        assert.strictEqual(manager.checkCollisions(player).length, 0);
+
+        let ticks = 0;
+        while (manager.powerUps.includes(powerUp)) {
+            manager.update(1000 / 60, 0, 0);
+            ticks++;
+        }
+        assert.ok(ticks > 10 && ticks < 30);
+    });
+
+    test('double jumps are recorded in replays', () => {
+        const recorder = new ReplayRecorder(1, 400, 700, 'normal');
+        recorder.record(0, { direction: 0, shoot: false, jump: true });
+        recorder.record(1, { direction: 0, shoot: true, jump: true });
+
+        const player = new ReplayPlayer(recorder.finish(2, 0));
+        const inputs = [0, 1].map(tick => player.inputAt(tick));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(inputs)), [
+            { direction: 0, shoot: false, jump: true },
+            { direction: 0, shoot: true, jump: true }
+        ]);
+    });
+});
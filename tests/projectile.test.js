@@ -0,0 +1,120 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { Enemy, EnemyManager, GameSimulation, Platform, ProjectileManager, ReplayPlayer, ReplayRecorder, SeededRandom } = game;
+
+describe('ProjectileManager', () => {
+    test('reuses spent projectiles instead of making new ones', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        const first = projectiles.fire('enemy', 200, 300, 0, 0);
+
+        first.active = false;
+        projectiles.update(0);
+        assert.strictEqual(projectiles.projectiles.length, 0);
+        assert.strictEqual(projectiles.pool.length, 1);
+
+        const second = projectiles.fire('player', 100, 200, 0, -12);
+        assert.strictEqual(second, first);
+        assert.strictEqual(second.owner, 'player');
+        assert.strictEqual(second.active, true);
+        assert.strictEqual(second.prevY, second.y);
+        assert.strictEqual(projectiles.pool.length, 0);
+    });
+
+    test('drops projectiles that leave the screen', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        projectiles.fire('player', 200, 10, 0, -12);
+
+        projectiles.update(0);
+        projectiles.update(0);
+        assert.strictEqual(projectiles.projectiles.length, 0);
+    });
+
+    test('platforms stop enemy shots but not the player\'s', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        projectiles.world.add(new Platform(150, 300, 100, 20, 'normal', new SeededRandom(1)));
+        const enemyShot = projectiles.fire('enemy', 200, 330, 0, -10);
+        const playerShot = projectiles.fire('player', 210, 330, 0, -10);
+
+        projectiles.update(0);
+        projectiles.update(0);
+        assert.strictEqual(enemyShot.active, false);
+        assert.strictEqual(playerShot.active, true);
+    });
+
+    test('a shot only hits targets of the other side, once', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        const target = { x: 190, y: 290, width: 30, height: 30 };
+        projectiles.fire('player', 200, 300, 0, 0);
+
+        assert.strictEqual(projectiles.hit('enemy', target), null);
+        assert.ok(projectiles.hit('player', target));
+        assert.strictEqual(projectiles.hit('player', target), null);
+    });
+});
+
+describe('Player shots', () => {
+    test('fly upwards and wait for the reload', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        const player = makePlayer(game, { velocityY: -8 });
+
+        assert.strictEqual(player.shoot(projectiles), true);
+        assert.strictEqual(player.shoot(projectiles), false);
+        assert.strictEqual(projectiles.projectiles.length, 1);
+        assert.strictEqual(projectiles.projectiles[0].velocityY, -8 - player.shotSpeed);
+
+        player.shotTimer = 0;
+        assert.strictEqual(player.shoot(projectiles), true);
+    });
+
+    test('defeat enemies, chasers taking two', () => {
+        const projectiles = new ProjectileManager(400, 700);
+        const manager = new EnemyManager(400, 700, new SeededRandom(1), projectiles);
+        const enemy = new Enemy(185, 300, 30, 30, 'chaser', new SeededRandom(1));
+        manager.enemies = [enemy];
+
+        const defeated = [];
+        manager.onEvent = (type, data) => {
+            if (type === 'enemyDefeated') defeated.push(data.type);
+        };
+
+        projectiles.fire('player', 200, 315, 0, -12);
+        manager.checkShots();
+        assert.strictEqual(enemy.isDying, false);
+        assert.ok(enemy.stunTimer > 0);
+
+        projectiles.fire('player', 200, 315, 0, -12);
+        manager.checkShots();
+        assert.strictEqual(enemy.isDying, true);
+        assert.deepStrictEqual(defeated, ['chaser']);
+    });
+
+    test('are fired by the simulation on a shoot input', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        const shots = [];
+        simulation.on('shoot', (event) => shots.push(event));
+
+        simulation.step({ direction: 0, shoot: true });
+        simulation.step({ direction: 0, shoot: true });
+        assert.strictEqual(shots.length, 1);
+        assert.strictEqual(simulation.projectileManager.projectiles.length, 1);
+        assert.strictEqual(simulation.projectileManager.projectiles[0].owner, 'player');
+    });
+
+    test('are recorded in replays on the tick they were fired', () => {
+        const recorder = new ReplayRecorder(1, 400, 700, 'normal');
+        recorder.record(0, { direction: 1, shoot: false });
+        recorder.record(1, { direction: 1, shoot: true });
+        recorder.record(2, { direction: 0, shoot: false });
+
+        const player = new ReplayPlayer(recorder.finish(3, 0));
+        const inputs = [0, 1, 2].map(tick => player.inputAt(tick));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(inputs)), [
+            { direction: 1, shoot: false, jump: false },
+            { direction: 1, shoot: true, jump: false },
+            { direction: 0, shoot: false, jump: false }
+        ]);
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers');
+
+const game = loadGame();
+const { GameSimulation, ReplayRecorder, RunSummary, RunVerifier } = game;
+
+/**
+ * Play a short run and build its summary, as the game does at game over
+ * @returns {Object} Run summary (see RunSummary.build)
+ */
+function honestSummary() {
+    const simulation = new GameSimulation({ seed: 5 });
+    const recorder = new ReplayRecorder(simulation.seed, simulation.width, simulation.height, 'normal');
+    while (!simulation.isGameOver) {
+        const input = { direction: simulation.tick % 90 < 45 ? 1 : -1, shoot: false, jump: false };
+        recorder.record(simulation.tick, input);
+        simulation.step(input);
+    }
+
+    const replay = recorder.finish(simulation.tick, simulation.score, simulation.coins);
+    const durationMs = simulation.tick * 1000 / 60;
+    return JSON.parse(JSON.stringify(RunSummary.build(replay, simulation.checkpoints, { runId: 'run', userId: 'user', durationMs })));
+}
+
+const createSimulation = config => new GameSimulation(config);
+
+describe('RunVerifier', () => {
+    test('accepts an honest run', () => {
+        const summary = honestSummary();
+        assert.ok(summary.checkpoints.length > 1);
+
+        const result = RunVerifier.verify(summary, createSimulation);
+        assert.strictEqual(result.valid, true, result.reason);
+        assert.strictEqual(result.score, summary.score);
+        assert.strictEqual(result.tick, summary.ticks);
+    });
+
+    test('rejects a run whose state drifts from its checkpoints', () => {
+        const summary = honestSummary();
+        const [tick] = summary.checkpoints[0];
+        summary.checkpoints[0][1] = '00000000';
+
+        const result = RunVerifier.verify(summary, createSimulation);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.reason, 'Checkpoint mismatch');
+        assert.strictEqual(result.tick, tick);
+    });
+
+    test('rejects missing or malformed checkpoints instead of throwing', () => {
+        for (const checkpoints of [undefined, null, 'abc', [[60]], [['60', 'abcd1234']], [[60, 1234]], [null]]) {
+            const summary = honestSummary();
+            summary.checkpoints = checkpoints;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Malformed checkpoints', JSON.stringify(checkpoints));
+        }
+    });
+
+    test('rejects a run without a real-time duration', () => {
+        for (const durationMs of [undefined, '60000', null, NaN]) {
+            const summary = honestSummary();
+            summary.durationMs = durationMs;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Missing run duration', String(durationMs));
+        }
+
+        const summary = honestSummary();
+        summary.durationMs = 10;
+        assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Run finished faster than real time');
+    });
+});
+
+describe('RunVerifier input checks', () => {
+    test('rejects malformed input logs instead of throwing', () => {
+        const logs = [
+            [null],
+            [[10]],
+            [[10, 1, 'extra']],
+            [['10', 1]],
+            [[10.5, 1]],
+            [[20, 1], [10, -1]],
+            [[10, 1], [10, -1]],
+            [[10, 25]],
+            [[10, -25]],
+            [[10, 0.123]],
+            [[10, '1']],
+            [[10, null]],
+            [[10, Infinity]]
+        ];
+        for (const inputs of logs) {
+            const summary = honestSummary();
+            summary.inputs = inputs;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Replay has a malformed input log', JSON.stringify(inputs));
+        }
+    });
+
+    test('rejects malformed action logs', () => {
+        const logs = [
+            [null],
+            [[10]],
+            [['10', 'shoot']],
+            [[20, 'shoot'], [10, 'jump']],
+            [[10, 'fly']],
+            [[10, 'constructor']]
+        ];
+        for (const actions of logs) {
+            const summary = honestSummary();
+            summary.actions = actions;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Replay has a malformed action log', JSON.stringify(actions));
+        }
+    });
+
+    test('accepts several actions on one tick', () => {
+        const summary = honestSummary();
+        summary.actions = [[10, 'shoot'], [10, 'jump']];
+        assert.notStrictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Replay has a malformed action log');
+    });
+
+    test('rejects a tick count that is not a whole number', () => {
+        for (const ticks of [undefined, '600', 600.5, -1]) {
+            const summary = honestSummary();
+            summary.ticks = ticks;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Replay has no tick count', String(ticks));
+        }
+    });
+
+    test('the simulation keeps directions in range', () => {
+        const fast = new GameSimulation({ seed: 5 });
+        const full = new GameSimulation({ seed: 5 });
+        for (let tick = 0; tick < 30; tick++) {
+            fast.step({ direction: 25 });
+            full.step({ direction: 1 });
+        }
+        assert.strictEqual(fast.player.x, full.player.x);
+
+        const idle = new GameSimulation({ seed: 5 });
+        idle.step({ direction: 'left' });
+        assert.strictEqual(idle.player.direction, 0);
+    });
+});
+
+describe('RunVerifier limits', () => {
+    test('rejects runs longer than the longest run accepted', () => {
+        const summary = honestSummary();
+        summary.ticks = RunVerifier.MAX_TICKS + 1;
+        summary.durationMs = summary.ticks * 1000 / 60;
+        assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Run is longer than the longest run accepted');
+    });
+
+    test('rejects canvas sizes the game never runs at', () => {
+        for (const [width, height] of [[100, 700], [5000, 700], [400, 100], [400, 100000]]) {
+            const summary = honestSummary();
+            summary.width = width;
+            summary.height = height;
+            assert.strictEqual(RunVerifier.verify(summary, createSimulation).reason, 'Canvas size is outside the sizes the game runs at', `${width}x${height}`);
+        }
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, makePlayer } = require('./helpers');
+
+const game = loadGame();
+const { Enemy, EnemyManager, Entity, Platform, ProjectileManager, SeededRandom, World } = game;
+
+/**
+ * Create a world holding things at the given heights
+ * @param {number[][]} boxes - [y, height] of each thing
+ * @returns {World} The world
+ */
+function worldWith(boxes) {
+    const world = new World(400, 700);
+    boxes.forEach(([y, height]) => world.add(new Entity('thing', 0, y, 10, height)));
+    return world;
+}
+
+/**
+ * Get the heights of some entities
+ * @param {Entity[]} entities - The entities
+ * @returns {number[]} Their y positions
+ */
+function heights(entities) {
+    return [...entities].map(entity => entity.y);
+}
+
+describe('SpatialIndex', () => {
+    test('finds the entities around a range of heights, once each and in list order', () => {
+        const world = worldWith([[250, 10], [-500, 10], [120, 300], [210, 10], [900, 10]]);
+
+        assert.deepStrictEqual(heights(world.near('thing', 200, 260)), [250, 120, 210]);
+        assert.deepStrictEqual(heights(world.near('thing', -1000, 2000)), [250, -500, 120, 210, 900]);
+        assert.deepStrictEqual(heights(world.near('thing', 600, 700)), []);
+    });
+
+    test('keeps up with entities that move, come and go', () => {
+        const world = worldWith([[0, 10], [500, 10]]);
+        assert.deepStrictEqual(heights(world.near('thing', 450, 550)), [500]);
+
+        world.each('thing', entity => { entity.y += 1000; });
+        assert.deepStrictEqual(heights(world.near('thing', 450, 550)), []);
+        assert.deepStrictEqual(heights(world.near('thing', 1000, 1500)), [1000, 1500]);
+
+        const [first] = world.query('thing');
+        world.remove(first);
+        world.add(new Entity('thing', 0, 1200, 10, 10));
+        assert.deepStrictEqual(heights(world.near('thing', 1000, 1500)), [1500, 1200]);
+    });
+
+    test('finds the entity nearest below a height, the first in the list if two are level', () => {
+        const world = worldWith([[800, 10], [420, 10], [-50, 10], [420, 20]]);
+        const [, level] = world.query('thing');
+
+        assert.strictEqual(world.nearestBelow('thing', 300), level);
+        assert.strictEqual(world.nearestBelow('thing', 420), level);
+        assert.strictEqual(world.nearestBelow('thing', 421).y, 800);
+        assert.strictEqual(world.nearestBelow('thing', 801), null);
+    });
+
+    test('is only rebuilt once entities change bands or are taken out', () => {
+        const world = worldWith([[0, 10], [500, 10]]);
+        world.near('thing', 0, 0);
+        const index = world.indexes.thing;
+        let rebuilds = 0;
+        const rebuild = index.rebuild;
+        index.rebuild = entities => {
+            rebuilds++;
+            rebuild.call(index, entities);
+        };
+
+        // Moving within their bands, and new entities, don't need a rebuild
+        world.each('thing', entity => { entity.y += 50; });
+        world.add(new Entity('thing', 0, 320, 10, 10));
+        assert.deepStrictEqual(heights(world.near('thing', 0, 600)), [50, 550, 320]);
+        assert.strictEqual(rebuilds, 0);
+
+        world.each('thing', entity => { entity.y += 100; });
+        assert.deepStrictEqual(heights(world.near('thing', 600, 700)), [650]);
+        assert.strictEqual(rebuilds, 1);
+
+        world.remove(world.query('thing')[0]);
+        world.sweep('thing');
+        assert.deepStrictEqual(heights(world.near('thing', 0, 1000)), [650, 420]);
+        assert.strictEqual(rebuilds, 2);
+    });
+
+    test('collision checks see enemies where they moved to this tick', () => {
+        const manager = new EnemyManager(400, 700, new SeededRandom(1));
+        const enemy = new Enemy(185, 2000, 30, 30, 'basic', new SeededRandom(1));
+        manager.enemies = [enemy];
+        const player = makePlayer(game, { x: 170, y: 350, velocityY: -5 });
+        assert.strictEqual(manager.checkCollisions(player), false);
+
+        manager.world.each('enemy', moved => { moved.y = 380; });
+        assert.strictEqual(manager.checkCollisions(player), true);
+    });
+
+    test('shots are checked against the platforms, player and enemies near them', () => {
+        const world = new World(400, 700);
+        const projectiles = new ProjectileManager(400, 700, world);
+        const manager = new EnemyManager(400, 700, new SeededRandom(1), projectiles, world);
+        world.add(new Platform(150, 300, 100, 20, 'normal', new SeededRandom(1)));
+        const near = world.add(new Enemy(185, 100, 30, 30, 'basic', new SeededRandom(1)));
+        const far = world.add(new Enemy(185, -2000, 30, 30, 'basic', new SeededRandom(1)));
+
+        // Enemy shots stop at platforms
+        const blocked = projectiles.fire('enemy', 200, 330, 0, -10);
+        projectiles.update(0);
+        projectiles.update(0);
+        assert.strictEqual(blocked.active, false);
+
+        // ...and hurt the player they reach
+        const player = makePlayer(game, { x: 20, y: 500 });
+        projectiles.fire('enemy', 40, 520, 0, 0);
+        assert.strictEqual(manager.checkCollisions(player), true);
+
+        // The player's shots only look at the enemies level with them
+        const checked = [];
+        const hit = projectiles.hit;
+        projectiles.hit = (owner, target) => {
+            checked.push(target);
+            return hit.call(projectiles, owner, target);
+        };
+        projectiles.fire('player', 200, 115, 0, -12);
+        manager.checkShots();
+        assert.deepStrictEqual(checked, [near]);
+        assert.strictEqual(near.isDying, true);
+        assert.strictEqual(far.isDying, false);
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./helpers');
+
+const game = loadGame();
+const { Behavior, Collider, Entity, GameSimulation, Sprite, World } = game;
+
+describe('World', () => {
+    test('updates composed entities and removes them once they fade away', () => {
+        const world = new World(400, 700);
+        const spark = world.add(new Entity('spark', 100, 200, 8, 8)
+            .add(new Sprite({ fadeDuration: 100 }))
+            .add(new Behavior({ update(entity) { entity.y -= 1; } })));
+
+        world.update(50);
+        assert.strictEqual(spark.y, 199);
+        assert.strictEqual(spark.sprite.opacity, 0.5);
+        assert.deepStrictEqual([...world.query('spark')], [spark]);
+
+        world.update(50);
+        assert.strictEqual(spark.active, false);
+        assert.strictEqual(world.query('spark').length, 0);
+    });
+
+    test('only takes entities out once a pass over them is done', () => {
+        const world = new World(400, 700);
+        const [first, second, third] = [1, 2, 3].map(n => world.add(new Entity('thing', n, 0, 10, 10)));
+
+        const seen = [];
+        world.each('thing', entity => {
+            seen.push(entity.x);
+            world.remove(second);
+            world.add(new Entity('thing', 4, 0, 10, 10));
+            assert.strictEqual(world.query('thing').includes(second), true);
+        }, true);
+
+        // The second was removed before the pass reached it, the new ones wait for the next pass
+        assert.deepStrictEqual(seen, [3, 1]);
+        assert.deepStrictEqual([...world.query('thing')].map(entity => entity.x), [1, 3, 4, 4]);
+        assert.strictEqual(world.query('thing')[0], first);
+        assert.strictEqual(world.query('thing')[1], third);
+    });
+
+    test('keeps the same list for a kind when it is replaced', () => {
+        const world = new World(400, 700);
+        const list = world.query('thing');
+
+        world.replace('thing', [new Entity('thing'), new Entity('thing')]);
+        assert.strictEqual(world.query('thing'), list);
+        assert.strictEqual(list.length, 2);
+    });
+
+    test('runs systems in the order they were added and draws them by layer', () => {
+        const world = new World(400, 700);
+        const order = [];
+        world.addSystem('back', { update: () => order.push('update back'), draw: () => order.push('draw back'), layer: 0 });
+        world.addSystem('front', { update: () => order.push('update front'), draw: () => order.push('draw front'), layer: 2 });
+        world.addSystem('middle', { update: false, draw: () => order.push('draw middle'), layer: 1 });
+
+        world.update(16);
+        world.draw({}, 0);
+        assert.deepStrictEqual(order, ['update back', 'update front', 'draw back', 'draw middle', 'draw front']);
+    });
+
+    test('only draws entities that are on screen', () => {
+        const world = new World(400, 700);
+        const drawn = [];
+        const behavior = new Behavior({ draw: (entity, ctx, x, screenY) => drawn.push(screenY) });
+        world.add(new Entity('thing', 0, 100, 10, 10).add(behavior));
+        world.add(new Entity('thing', 0, 900, 10, 10).add(behavior));
+
+        const ctx = { save() {}, restore() {} };
+        world.draw(ctx, 50);
+        assert.deepStrictEqual(drawn, [50]);
+    });
+});
+
+describe('Entity', () => {
+    test('collides with its collider rather than its full size', () => {
+        const enemy = new Entity('enemy', 100, 100, 50, 50).add(new Collider(0.2));
+        assert.deepStrictEqual({ ...enemy.bounds() }, { x: 110, y: 110, width: 30, height: 30 });
+
+        assert.strictEqual(enemy.overlaps({ x: 95, y: 95, width: 10, height: 10 }), false);
+        assert.strictEqual(enemy.overlaps(new Entity('spark', 135, 135, 10, 10)), true);
+    });
+
+    test('only takes components', () => {
+        assert.throws(() => new Entity('thing').add({ update() {} }), /Not an entity component/);
+    });
+
+    test('keeps its position in its transform', () => {
+        const entity = new Entity('thing', 10, 20, 30, 40);
+        entity.x += 5;
+        entity.transform.storePrevious();
+        entity.y = 60;
+
+        assert.strictEqual(entity.transform.x, 15);
+        assert.strictEqual(entity.prevY, 20);
+        assert.strictEqual(entity.transform.interpolatedY(0.5), 40);
+    });
+
+    test('every entity in a run lives in the simulation\'s world', () => {
+        const simulation = new GameSimulation({ seed: 1 });
+        const world = simulation.world;
+
+        assert.deepStrictEqual([...world.query('player')], [simulation.player]);
+        assert.strictEqual(world.query('platform'), simulation.platformManager.platforms);
+        assert.strictEqual(world.query('enemy'), simulation.enemyManager.enemies);
+        assert.strictEqual(world.query('projectile'), simulation.projectileManager.projectiles);
+        assert.strictEqual(world.query('powerUp'), simulation.powerUpManager.powerUps);
+        assert.strictEqual(world.query('coin'), simulation.collectibleManager.coins);
+
+        simulation.bossManager.startEncounter(simulation.camera.targetY);
+        assert.deepStrictEqual([...world.query('boss')], [simulation.bossManager.boss]);
+    });
+});
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Runs the game simulation in Node, without a browser.
+ *
+ * The game scripts are plain browser scripts that share globals, so they are
+ * loaded into one VM context in the same order as index.html. Only the scripts
+ * the simulation needs are loaded - nothing here touches a canvas or the DOM.
+ *
+ * As a module:
+ *   const { loadGame } = require('./tools/headless');
+ *   const { GameSimulation } = loadGame();
+ *   const simulation = new GameSimulation({ seed: 12345, width: 400, height: 700 });
+ *   simulation.step({ direction: 1 });
+ *
+ * From the command line, check a saved replay or a submitted run summary:
+ *   node tools/headless.js path/to/replay.json
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Scripts that make up the simulation, in index.html order
+const SIMULATION_SCRIPTS = [
+    'js/utils.js',
+    'js/random.js',
+    'js/difficulty.js',
+    'js/replay.js',
+    'js/run-summary.js',
+    'js/entities/entity.js',
+    'js/entities/pool.js',
+    'js/entities/spatial-index.js',
+    'js/entities/world.js',
+    'js/entities/effects.js',
+    'js/entities/player.js',
+    'js/entities/platform-types.js',
+    'js/entities/platforms/normal.js',
+    'js/entities/platforms/bouncy.js',
+    'js/entities/platforms/breakable.js',
+    'js/entities/platforms/moving.js',
+    'js/entities/platforms/disappearing.js',
+    'js/entities/platforms/conveyor.js',
+    'js/entities/platforms/ice.js',
+    'js/entities/platforms/crumbling.js',
+    'js/entities/platforms/teleport.js',
+    'js/entities/platforms/vertical.js',
+    'js/entities/platforms/circular.js',
+    'js/entities/platforms/path.js',
+    'js/entities/platform.js',
+    'js/entities/projectile.js',
+    'js/entities/enemy.js',
+    'js/entities/boss.js',
+    'js/entities/powerup.js',
+    'js/entities/collectible.js',
+    'js/player-safety.js',
+    'js/simulation.js'
+];
+
+// Globals the loaded scripts can see
+const EXPORTS = [
+    'Utils',
+    'SeededRandom',
+    'DifficultyProfile',
+    'DifficultyProfiles',
+    'Replay',
+    'ReplayRecorder',
+    'ReplayPlayer',
+    'RunSummary',
+    'RunVerifier',
+    'Transform',
+    'Collider',
+    'Sprite',
+    'Behavior',
+    'Entity',
+    'Pool',
+    'SpatialIndex',
+    'World',
+    'ActiveEffects',
+    'Player',
+    'PlatformTypes',
+    'Platform',
+    'PlatformManager',
+    'Projectile',
+    'ProjectileManager',
+    'Enemy',
+    'EnemyManager',
+    'Boss',
+    'BossManager',
+    'PowerUpTypes',
+    'PowerUp',
+    'PowerUpManager',
+    'Coin',
+    'CollectibleManager',
+    'PlayerSafety',
+    'GameSimulation'
+];
+
+// Difficulty profiles, loaded like the browser does at startup
+const DIFFICULTY_PROFILES = 'data/difficulty-profiles.json';
+
+// The game logs a lot of debug output; keep only warnings and errors by default
+const quietConsole = {
+    log: () => {},
+    info: () => {},
+    debug: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Load the simulation scripts into a fresh context
+ * @param {Object} options - Loader options
+ * @param {boolean} options.verbose - Pass the game's debug logging through to the console
+ * @returns {Object} The game's classes and helpers (GameSimulation, Replay, RunVerifier, ...)
+ */
+function loadGame(options = {}) {
+    const context = vm.createContext({
+        console: options.verbose ? console : quietConsole
+    });
+
+    for (const script of SIMULATION_SCRIPTS) {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+
+    const game = vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+    game.DifficultyProfiles.register(JSON.parse(fs.readFileSync(path.join(ROOT, DIFFICULTY_PROFILES), 'utf8')));
+
+    return game;
+}
+
+/**
+ * Re-simulate a replay or run summary and report whether it reproduces
+ * @param {Object} data - Parsed replay (see ReplayRecorder.finish) or run summary (see RunSummary.build)
+ * @param {Object} game - Loaded game (see loadGame)
+ * @returns {Object} Result {valid, reason, score, coins, tick}
+ */
+function check(data, game) {
+    const createSimulation = config => new game.GameSimulation(config);
+
+    // Run summaries carry checkpoint hashes and can be verified in full
+    if (Array.isArray(data.checkpoints)) {
+        return game.RunVerifier.verify(data, createSimulation);
+    }
+
+    const error = game.Replay.validate(data);
+    if (error) {
+        return { valid: false, reason: error, score: null, coins: null, tick: null };
+    }
+
+    const simulation = createSimulation({
+        seed: data.seed,
+        width: data.width,
+        height: data.height,
+        difficulty: data.difficulty
+    });
+    const inputs = new game.ReplayPlayer(data);
+    while (!simulation.isGameOver && !inputs.isFinished(simulation.tick)) {
+        simulation.step(inputs.inputAt(simulation.tick));
+    }
+
+    const valid = simulation.score === data.score;
+    return {
+        valid: valid,
+        reason: valid ? null : `Score mismatch: recorded ${data.score}, simulated ${simulation.score}`,
+        score: simulation.score,
+        coins: simulation.coins,
+        tick: simulation.tick
+    };
+}
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node tools/headless.js <replay-or-run-summary.json>');
+        process.exit(2);
+    }
+
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    // Accept a submission body ({payload, signature}) as sent to the server
+    if (typeof data.payload === 'string') {
+        data = JSON.parse(data.payload);
+    }
+
+    const result = check(data, loadGame());
+    if (result.valid) {
+        console.log(`OK: score ${result.score} and ${result.coins} coins after ${result.tick} ticks`);
+    } else {
+        console.log(`INVALID: ${result.reason}` + (result.tick !== null ? ` (tick ${result.tick})` : ''));
+        process.exit(1);
+    }
+}
+
+module.exports = { loadGame, check, SIMULATION_SCRIPTS };